@@ -0,0 +1,23 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const { markLegacyAccountsVerified } = require('./src/services/emailVerification');
+
+// One-off, run once when deploying email verification: accounts created before it
+// was enforced are marked verified so they keep access to records and files
+const backfill = async () => {
+    try {
+        await mongoose.connect(process.env.MONGO_URI);
+        console.log('✅ MongoDB connected');
+
+        const updated = await markLegacyAccountsVerified();
+        console.log(`✅ Marked ${updated} existing account(s) as verified`);
+
+        await mongoose.connection.close();
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Backfill error:', error);
+        process.exit(1);
+    }
+};
+
+backfill();
@@ -24,10 +24,27 @@ const uploadToCloudinary = async (file, folder = 'patient-referral-system') => {
     }
 };
 
+// Helper function to upload clinical files exactly as received: no quality or
+// format transformations, so diagnostic images are never re-encoded. They are
+// 'authenticated' assets, which cannot be fetched by their public URL
+const uploadOriginalToCloudinary = async (filePath, folder = 'patient-referral-system') => {
+    try {
+        const result = await cloudinary.uploader.upload(filePath, {
+            folder: folder,
+            resource_type: 'auto',
+            type: 'authenticated'
+        });
+        return result;
+    } catch (error) {
+        console.error('Cloudinary upload error:', error);
+        throw new Error('File upload failed');
+    }
+};
+
 // Helper function to delete files from Cloudinary
-const deleteFromCloudinary = async (publicId) => {
+const deleteFromCloudinary = async (publicId, options = {}) => {
     try {
-        const result = await cloudinary.uploader.destroy(publicId);
+        const result = await cloudinary.uploader.destroy(publicId, options);
         return result;
     } catch (error) {
         console.error('Cloudinary delete error:', error);
@@ -38,5 +55,6 @@ const deleteFromCloudinary = async (publicId) => {
 module.exports = {
     cloudinary,
     uploadToCloudinary,
+    uploadOriginalToCloudinary,
     deleteFromCloudinary
 };
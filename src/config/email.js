@@ -1,141 +1,88 @@
-const nodemailer = require('nodemailer');
-
-// Create transporter
-const createTransporter = () => {
-  return nodemailer.createTransporter({
-    service: 'gmail',
-    auth: {
-      user: process.env.EMAIL_USER,
-      pass: process.env.EMAIL_PASS
-    }
+const { queueEmail } = require('../services/email');
+const { renderTemplate, DEFAULT_LOCALE } = require('../services/email/templates');
+
+// Queue an email for delivery by the outbox worker (see services/email).
+// Resolves once the message is stored; delivery failures are retried in the
+// background and never reach the caller.
+const sendEmail = async (options) => {
+  const entry = await queueEmail({
+    to: options.email || options.to,
+    subject: options.subject,
+    text: options.text,
+    html: options.html,
+    attachments: options.attachments,
+    idempotencyKey: options.idempotencyKey,
+    template: options.template
   });
+  return entry;
 };
 
-// Send email function
-const sendEmail = async (options) => {
-  try {
-    const transporter = createTransporter();
-
-    const mailOptions = {
-      from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
-      to: options.email,
-      subject: options.subject,
-      text: options.text,
-      html: options.html,
-      attachments: options.attachments || []
-    };
-
-    const result = await transporter.sendMail(mailOptions);
-    console.log('✅ Email sent successfully:', result.messageId);
-    return result;
-  } catch (error) {
-    console.error('❌ Email sending failed:', error);
-    throw new Error('Email sending failed');
-  }
+// Date and time of an appointment, the date spelled out in the recipient's language
+const formatAppointment = (appointment, locale) => {
+  const start = new Date(appointment.scheduledStart);
+  return {
+    date: start.toLocaleDateString(locale === 'en' ? 'en-GB' : locale, { weekday: 'long', day: 'numeric', month: 'long', year: 'numeric' }),
+    time: start.toTimeString().slice(0, 5),
+    location: appointment.location
+  };
 };
 
+const REFERRAL_STATUS_TEXTS = ['pending', 'accepted', 'rejected', 'completed', 'expired'];
+
 // Email templates
+//
+// Each builder takes the template data and the recipient's locale and returns
+// { subject, html, text, template } ready to spread into sendEmail(). The
+// wording lives in src/templates/email; builders only shape the data.
+const template = (name, prepare = (data) => data) =>
+  (data = {}, locale = DEFAULT_LOCALE) => renderTemplate(name, prepare(data, locale), locale);
+
 const emailTemplates = {
-  welcome: (name) => ({
-    subject: 'Welcome to Patient Referral System',
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #2196f3;">Welcome to Patient Referral System!</h2>
-        <p>Hello ${name},</p>
-        <p>Welcome to Patient Referral System - the national healthcare referral and record management system.</p>
-        <p>Your account has been successfully created and you can now access the platform.</p>
-        <p>Best regards,<br>The Patient Referral System Team</p>
-      </div>
-    `
-  }),
-
-  referralNotification: (referralData) => ({
-    subject: `New Referral - ${referralData.patientName}`,
-    html: `
-      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #2196f3;">New Patient Referral</h2>
-        <p><strong>Patient:</strong> ${referralData.patientName}</p>
-        <p><strong>From:</strong> ${referralData.fromHospital}</p>
-        <p><strong>To:</strong> ${referralData.toHospital}</p>
-        <p><strong>Reason:</strong> ${referralData.reason}</p>
-        <p><strong>Priority:</strong> ${referralData.priority}</p>
-        <p>Please log in to Patient Referral System to review and respond to this referral.</p>
-        <p>Best regards,<br>The Patient Referral System Team</p>
-      </div>
-    `
-  }),
-
-  passwordReset: (resetLink) => ({
-    subject: 'Password Reset - Patient Referral System',
-    html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #2196f3;">Password Reset Request</h2>
-            <p>You have requested to reset your password for your Patient Referral System account.</p>
-            <p>Click the link below to reset your password:</p>
-            <a href="${resetLink}" style="background-color: #2196f3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
-            <p>This link will expire in 1 hour.</p>
-            <p>If you didn't request this, please ignore this email.</p>
-            <p>Best regards,<br>The Patient Referral System Team</p>
-          </div>
-        `
-  }),
-
-  accountApproved: (name, message) => ({
-    subject: 'Account Approved - Patient Referral System',
-    html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4caf50;">Account Approved!</h2>
-            <p>Hello ${name},</p>
-            <p>Great news! Your Patient Referral System account has been approved and you can now access the platform.</p>
-            ${message ? `<p><strong>Message from admin:</strong> ${message}</p>` : ''}
-            <p>You can now log in to your account and start using Patient Referral System's features.</p>
-            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/login" style="background-color: #4caf50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Login to Patient Referral System</a>
-            <p>Best regards,<br>The Patient Referral System Team</p>
-          </div>
-        `
-  }),
-
-  accountRejected: (name, reason) => ({
-    subject: 'Account Application Rejected - Patient Referral System',
-    html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #f44336;">Account Application Rejected</h2>
-            <p>Hello ${name},</p>
-            <p>We regret to inform you that your Patient Referral System account application has been rejected.</p>
-            <p><strong>Reason:</strong> ${reason}</p>
-            <p>If you believe this is an error or would like to reapply, please contact our support team.</p>
-            <p>Best regards,<br>The Patient Referral System Team</p>
-          </div>
-        `
-  }),
-
-  hospitalApproved: (hospitalName, message) => ({
-    subject: 'Hospital Approved - Patient Referral System',
-    html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #4caf50;">Hospital Approved!</h2>
-            <p>Congratulations!</p>
-            <p>Your hospital "${hospitalName}" has been approved and is now part of the Patient Referral System network.</p>
-            ${message ? `<p><strong>Message from admin:</strong> ${message}</p>` : ''}
-            <p>You can now manage your hospital and approve doctor applications.</p>
-            <a href="${process.env.FRONTEND_URL || 'http://localhost:5173'}/dashboard" style="background-color: #4caf50; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Access Dashboard</a>
-            <p>Best regards,<br>The Patient Referral System Team</p>
-          </div>
-        `
-  }),
-
-  hospitalRejected: (hospitalName, reason) => ({
-    subject: 'Hospital Application Rejected - Patient Referral System',
-    html: `
-          <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto;">
-            <h2 style="color: #f44336;">Hospital Application Rejected</h2>
-            <p>We regret to inform you that your hospital "${hospitalName}" application has been rejected.</p>
-            <p><strong>Reason:</strong> ${reason}</p>
-            <p>If you believe this is an error or would like to reapply, please contact our support team.</p>
-            <p>Best regards,<br>The Patient Referral System Team</p>
-          </div>
-        `
-  })
+  welcome: template('welcome'),
+
+  emailVerification: template('emailVerification'),
+
+  passwordReset: template('passwordReset'),
+
+  accountApproved: template('accountApproved'),
+
+  accountRejected: template('accountRejected'),
+
+  accountLocked: template('accountLocked'),
+
+  accountUnlocked: template('accountUnlocked'),
+
+  hospitalApproved: template('hospitalApproved'),
+
+  hospitalRejected: template('hospitalRejected'),
+
+  referralNotification: template('referralNotification'),
+
+  referralDecision: template('referralDecision', (data) => ({
+    ...data,
+    accepted: data.status === 'accepted',
+    expired: data.status === 'expired',
+    forwarded: data.status === 'forwarded',
+    declined: !['accepted', 'expired', 'forwarded'].includes(data.status)
+  })),
+
+  referralCompleted: template('referralCompleted'),
+
+  referralMessage: template('referralMessage'),
+
+  referralEscalated: template('referralEscalated'),
+
+  patientReferralUpdate: template('patientReferralUpdate', (data, locale) => ({
+    ...data,
+    status: { [REFERRAL_STATUS_TEXTS.includes(data.status) ? data.status : 'other']: true },
+    appointment: data.appointment ? formatAppointment(data.appointment, locale) : null
+  })),
+
+  appointmentUpdate: template('appointmentUpdate', (data, locale) => ({
+    ...data,
+    [data.action]: true,
+    appointment: formatAppointment(data.appointment, locale)
+  }))
 };
 
 module.exports = {
@@ -161,9 +161,9 @@ const options = {
                         },
                         password: {
                             type: 'string',
-                            description: 'User password',
-                            example: 'password123',
-                            minLength: 6,
+                            description: 'User password; must meet the password policy (by default 10+ characters with upper and lowercase letters and a number, not a common password, not containing the name or email)',
+                            example: 'Harbor-Lantern-42',
+                            minLength: 10,
                         },
                         confirmPassword: {
                             type: 'string',
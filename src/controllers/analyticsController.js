@@ -2,6 +2,7 @@ const User = require('../models/User');
 const Hospital = require('../models/Hospital');
 const Referral = require('../models/Referral');
 const Patient = require('../models/Patient');
+const Appointment = require('../models/Appointment');
 
 // @desc    Get super admin dashboard data
 // @route   GET /api/analytics/super-admin-dashboard
@@ -335,15 +336,15 @@ const getPatientDashboard = async (req, res) => {
             getRecentActivities('patient', null, null, patientId)
         ]);
 
-        // Get next upcoming referral appointment if any
-        const upcomingReferral = await Referral.findOne({
+        // Get next upcoming appointment if any
+        const upcomingAppointment = await Appointment.findOne({
             patient: patientId,
-            'appointment.scheduledDate': { $gte: new Date() },
-            status: { $in: ['accepted', 'pending'] }
+            status: 'scheduled',
+            scheduledStart: { $gte: new Date() }
         })
-            .populate('receivingHospital', 'name')
-            .populate('receivingDoctor', 'firstName lastName')
-            .sort({ 'appointment.scheduledDate': 1 })
+            .populate('hospital', 'name')
+            .populate('doctor', 'firstName lastName')
+            .sort({ scheduledStart: 1 })
             .lean();
 
         const stats = {
@@ -355,10 +356,10 @@ const getPatientDashboard = async (req, res) => {
             completedReferrals,
             pendingReferrals,
             totalRecords,
-            nextAppointment: upcomingReferral?.appointment?.scheduledDate || null,
-            nextAppointmentHospital: upcomingReferral?.receivingHospital?.name || null,
-            nextAppointmentDoctor: upcomingReferral?.receivingDoctor
-                ? `Dr. ${upcomingReferral.receivingDoctor.firstName} ${upcomingReferral.receivingDoctor.lastName}`
+            nextAppointment: upcomingAppointment?.scheduledStart || null,
+            nextAppointmentHospital: upcomingAppointment?.hospital?.name || null,
+            nextAppointmentDoctor: upcomingAppointment?.doctor
+                ? `Dr. ${upcomingAppointment.doctor.firstName} ${upcomingAppointment.doctor.lastName}`
                 : null
         };
 
@@ -617,17 +618,18 @@ const getTodayAppointments = async (hospitalId, doctorId = null) => {
         tomorrow.setDate(tomorrow.getDate() + 1);
 
         const filter = {
-            hospitalId,
-            dateTime: { $gte: today, $lt: tomorrow }
+            scheduledStart: { $gte: today, $lt: tomorrow },
+            status: { $ne: 'cancelled' }
         };
 
+        // A doctor's own schedule spans every hospital they are booked at
         if (doctorId) {
-            filter.doctorId = doctorId;
+            filter.doctor = doctorId;
+        } else {
+            filter.hospital = hospitalId;
         }
 
-        // This would be from an Appointment model
-        // For now, return a mock count
-        return doctorId ? 8 : 45;
+        return await Appointment.countDocuments(filter);
     } catch (error) {
         console.error('Error getting today appointments:', error);
         return 0;
@@ -636,30 +638,28 @@ const getTodayAppointments = async (hospitalId, doctorId = null) => {
 
 const getDoctorAppointments = async (doctorId) => {
     try {
-        // This would be from an Appointment model
-        // For now, return mock data
-        return [
-            {
-                _id: '1',
-                patientName: 'John Smith',
-                time: '09:00 AM',
-                date: '2025-01-16',
-                type: 'Follow-up',
-                status: 'Scheduled',
-                notes: 'Blood pressure check',
-                createdAt: new Date()
-            },
-            {
-                _id: '2',
-                patientName: 'Jane Doe',
-                time: '10:30 AM',
-                date: '2025-01-16',
-                type: 'Consultation',
-                status: 'Scheduled',
-                notes: 'ECG review',
-                createdAt: new Date()
-            }
-        ];
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+
+        const appointments = await Appointment.find({
+            doctor: doctorId,
+            status: 'scheduled',
+            scheduledStart: { $gte: today }
+        })
+            .populate('patient', 'firstName lastName email phone')
+            .populate('referral', 'referralId priority specialty')
+            .sort({ scheduledStart: 1 })
+            .limit(10)
+            .lean();
+
+        return appointments.map(appointment => ({
+            ...appointment,
+            patientName: appointment.patient
+                ? `${appointment.patient.firstName} ${appointment.patient.lastName}`
+                : null,
+            date: appointment.scheduledStart.toISOString().split('T')[0],
+            time: appointment.scheduledStart.toTimeString().slice(0, 5)
+        }));
     } catch (error) {
         console.error('Error getting doctor appointments:', error);
         return [];
@@ -0,0 +1,624 @@
+const mongoose = require('mongoose');
+const Appointment = require('../models/Appointment');
+const AvailabilitySlot = require('../models/AvailabilitySlot');
+const Referral = require('../models/Referral');
+const { getActorParties, PARTIES } = require('../services/referralWorkflow');
+const { getAppointmentScopeConditions, isAppointmentInScope } = require('../services/referralScope');
+const { emitEvent } = require('../services/eventBus');
+const { sameId } = require('../utils/ids');
+
+// Referral statuses that can hold an appointment
+const BOOKABLE_STATUSES = ['accepted', 'in_progress'];
+const MAX_SLOTS_PER_REQUEST = 50;
+const MAX_SLOT_HOURS = 12;
+
+// The receiving side of a referral (and super admins) books its appointments
+const canBookForReferral = (referral, user) => getActorParties(referral, user)
+    .some(party => [PARTIES.RECEIVING, PARTIES.SUPER_ADMIN].includes(party));
+
+// The booked doctor, their hospital's admins and super admins run the appointment
+const canManageAppointment = (appointment, user) =>
+    user.role === 'super_admin' ||
+    (user.role === 'doctor' && sameId(appointment.doctor, user._id)) ||
+    (user.role === 'hospital' && sameId(appointment.hospital, user.hospitalId));
+
+// A slot must belong to the receiving hospital (and receiving doctor, once assigned)
+const slotMatchesReferral = (slot, referral) =>
+    sameId(slot.hospital, referral.receivingHospital) &&
+    (!referral.receivingDoctor || sameId(slot.doctor, referral.receivingDoctor));
+
+// Atomically reserve a free, future slot for an appointment; null when it is taken or gone
+const claimSlot = (slotId, appointmentId) => AvailabilitySlot.findOneAndUpdate(
+    { _id: slotId, appointment: null, startTime: { $gt: new Date() } },
+    { $set: { appointment: appointmentId } },
+    { new: true }
+);
+
+const releaseSlot = (slotId, appointmentId) => AvailabilitySlot.updateOne(
+    { _id: slotId, appointment: appointmentId },
+    { $set: { appointment: null } }
+);
+
+// Mirror the appointment on the referral so existing referral views show it
+const syncReferralAppointment = (referral, appointment) => {
+    if (!appointment || appointment.status === 'cancelled') {
+        referral.appointment = undefined;
+        return;
+    }
+    referral.appointment = {
+        scheduledDate: appointment.scheduledStart,
+        scheduledTime: appointment.scheduledStart.toTimeString().slice(0, 5),
+        location: appointment.location,
+        notes: appointment.notes
+    };
+};
+
+const populateAppointment = (query) => query
+    .populate('patient', 'firstName lastName email phone')
+    .populate('doctor', 'firstName lastName specialization')
+    .populate('hospital', 'name address phone')
+    .populate('referral', 'referralId status priority specialty');
+
+// Which slots a user may list: approved doctors see every hospital's availability (to plan
+// referrals), hospital admins and patients only their own hospital's
+const getSlotScope = (user) => {
+    if (user.role === 'super_admin') return {};
+    if (user.role === 'doctor' && user.approvalStatus === 'approved') return {};
+    if (['hospital', 'patient'].includes(user.role) && user.hospitalId) return { hospital: user.hospitalId };
+    return null;
+};
+
+const parseDate = (value) => {
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// @desc    Get availability slots
+// @route   GET /api/appointments/slots?doctorId=&hospitalId=&from=&to=&available=true
+// @access  Private (approved Doctors; Hospital admins and Patients for their own hospital; Super Admin)
+const getSlots = async (req, res) => {
+    try {
+        const user = req.user;
+        const { doctorId, hospitalId, from, to, available, page = 1, limit = 50 } = req.query;
+
+        const scope = getSlotScope(user);
+        if (!scope) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view availability slots' });
+        }
+
+        if ((doctorId && !mongoose.isValidObjectId(doctorId)) || (hospitalId && !mongoose.isValidObjectId(hospitalId))) {
+            return res.status(400).json({ success: false, message: 'doctorId and hospitalId must be valid IDs' });
+        }
+
+        const filter = {};
+        if (doctorId) filter.doctor = doctorId;
+        if (hospitalId) filter.hospital = hospitalId;
+        if (scope.hospital) {
+            if (hospitalId && !sameId(hospitalId, scope.hospital)) {
+                return res.status(403).json({ success: false, message: "You can only view your own hospital's slots" });
+            }
+            filter.hospital = scope.hospital;
+        }
+        if (from || to) {
+            filter.startTime = {};
+            if (from) filter.startTime.$gte = new Date(from);
+            if (to) filter.startTime.$lte = new Date(to);
+        }
+        if (available === 'true') {
+            filter.appointment = null;
+            filter.startTime = { ...filter.startTime, $gt: new Date() };
+        }
+
+        const slots = await AvailabilitySlot.find(filter)
+            .populate('doctor', 'firstName lastName specialization')
+            .populate('hospital', 'name')
+            .sort({ startTime: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .lean();
+
+        const total = await AvailabilitySlot.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                // Patients see whether a slot is taken, not by which appointment
+                slots: slots.map(({ appointment, ...slot }) => ({
+                    ...slot,
+                    ...(user.role === 'patient' ? {} : { appointment }),
+                    isBooked: !!appointment
+                })),
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get slots error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching slots', error: error.message });
+    }
+};
+
+// @desc    Create availability slots for the current doctor
+// @route   POST /api/appointments/slots
+// @access  Private (Doctor only)
+const createSlots = async (req, res) => {
+    try {
+        const user = req.user;
+        const input = Array.isArray(req.body.slots) ? req.body.slots : [req.body];
+
+        if (!user.hospitalId) {
+            return res.status(400).json({ success: false, message: 'Only doctors attached to a hospital can offer appointment slots' });
+        }
+
+        if (input.length === 0 || input.length > MAX_SLOTS_PER_REQUEST) {
+            return res.status(400).json({ success: false, message: `Provide between 1 and ${MAX_SLOTS_PER_REQUEST} slots` });
+        }
+
+        const now = new Date();
+        const slots = [];
+        for (const entry of input) {
+            const startTime = parseDate(entry.startTime);
+            const endTime = parseDate(entry.endTime);
+
+            if (!startTime || !endTime || endTime <= startTime) {
+                return res.status(400).json({ success: false, message: 'Each slot needs a valid startTime before its endTime' });
+            }
+            if (startTime <= now) {
+                return res.status(400).json({ success: false, message: 'Slots must start in the future' });
+            }
+            if (endTime - startTime > MAX_SLOT_HOURS * 60 * 60 * 1000) {
+                return res.status(400).json({ success: false, message: `A slot cannot be longer than ${MAX_SLOT_HOURS} hours` });
+            }
+
+            slots.push({ doctor: user._id, hospital: user.hospitalId, startTime, endTime, location: entry.location });
+        }
+
+        // Slots may not overlap each other or the doctor's existing slots
+        const sorted = [...slots].sort((a, b) => a.startTime - b.startTime);
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i].startTime < sorted[i - 1].endTime) {
+                return res.status(409).json({ success: false, message: 'Requested slots overlap each other' });
+            }
+        }
+
+        const overlapping = await AvailabilitySlot.findOne({
+            doctor: user._id,
+            $or: slots.map(slot => ({ startTime: { $lt: slot.endTime }, endTime: { $gt: slot.startTime } }))
+        }).lean();
+
+        if (overlapping) {
+            return res.status(409).json({
+                success: false,
+                message: 'A requested slot overlaps an existing slot',
+                data: { conflictingSlot: overlapping }
+            });
+        }
+
+        const created = await AvailabilitySlot.insertMany(slots);
+
+        res.status(201).json({
+            success: true,
+            message: `${created.length} slot(s) created`,
+            data: created
+        });
+    } catch (error) {
+        console.error('Create slots error:', error);
+        res.status(500).json({ success: false, message: 'Error creating slots', error: error.message });
+    }
+};
+
+// @desc    Delete an unbooked availability slot
+// @route   DELETE /api/appointments/slots/:id
+// @access  Private (owning Doctor, Super Admin)
+const deleteSlot = async (req, res) => {
+    try {
+        const user = req.user;
+        const slot = await AvailabilitySlot.findById(req.params.id);
+
+        if (!slot) {
+            return res.status(404).json({ success: false, message: 'Slot not found' });
+        }
+
+        if (!sameId(slot.doctor, user._id) && user.role !== 'super_admin') {
+            return res.status(403).json({ success: false, message: 'Not authorized to delete this slot' });
+        }
+
+        // Only delete while still free, so a concurrent booking wins
+        const result = await AvailabilitySlot.deleteOne({ _id: slot._id, appointment: null });
+        if (result.deletedCount === 0) {
+            return res.status(409).json({ success: false, message: 'Slot is booked; cancel or reschedule the appointment first' });
+        }
+
+        res.json({ success: true, message: 'Slot deleted successfully' });
+    } catch (error) {
+        console.error('Delete slot error:', error);
+        res.status(500).json({ success: false, message: 'Error deleting slot', error: error.message });
+    }
+};
+
+// @desc    Get appointments in the user's scope
+// @route   GET /api/appointments
+// @access  Private
+const getAppointments = async (req, res) => {
+    try {
+        const { status, from, to, referralId, page = 1, limit = 10 } = req.query;
+
+        const filter = {};
+        const scopeConditions = getAppointmentScopeConditions(req.user);
+        if (scopeConditions) filter.$or = scopeConditions;
+        if (status) filter.status = status;
+        if (referralId) filter.referral = referralId;
+        if (from || to) {
+            filter.scheduledStart = {};
+            if (from) filter.scheduledStart.$gte = new Date(from);
+            if (to) filter.scheduledStart.$lte = new Date(to);
+        }
+
+        const appointments = await populateAppointment(Appointment.find(filter))
+            .sort({ scheduledStart: 1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit)
+            .lean();
+
+        const total = await Appointment.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                appointments,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get appointments error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching appointments', error: error.message });
+    }
+};
+
+// @desc    Get appointment by ID
+// @route   GET /api/appointments/:id
+// @access  Private
+const getAppointmentById = async (req, res) => {
+    try {
+        const appointment = await Appointment.findById(req.params.id).lean();
+
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: 'Appointment not found' });
+        }
+
+        if (!isAppointmentInScope(appointment, req.user)) {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        const populated = await populateAppointment(Appointment.findById(appointment._id))
+            .populate('rescheduleHistory.rescheduledBy', 'firstName lastName role')
+            .lean();
+
+        res.json({ success: true, data: populated });
+    } catch (error) {
+        console.error('Get appointment error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching appointment', error: error.message });
+    }
+};
+
+// @desc    Book an accepted referral into an availability slot
+// @route   POST /api/appointments
+// @access  Private (receiving Doctor/Hospital, Super Admin)
+const bookAppointment = async (req, res) => {
+    try {
+        const user = req.user;
+        const { referralId, slotId, type, notes } = req.body;
+
+        if (!mongoose.Types.ObjectId.isValid(referralId) || !mongoose.Types.ObjectId.isValid(slotId)) {
+            return res.status(400).json({ success: false, message: 'referralId and slotId are required' });
+        }
+
+        const [referral, slot] = await Promise.all([
+            Referral.findById(referralId),
+            AvailabilitySlot.findById(slotId)
+        ]);
+
+        if (!referral) {
+            return res.status(404).json({ success: false, message: 'Referral not found' });
+        }
+        if (!slot) {
+            return res.status(404).json({ success: false, message: 'Slot not found' });
+        }
+
+        if (!canBookForReferral(referral, user)) {
+            return res.status(403).json({ success: false, message: 'Only the receiving side can book appointments for this referral' });
+        }
+
+        if (!BOOKABLE_STATUSES.includes(referral.status)) {
+            return res.status(409).json({
+                success: false,
+                message: `Only referrals that are ${BOOKABLE_STATUSES.join(' or ')} can be booked`,
+                data: { currentStatus: referral.status }
+            });
+        }
+
+        if (!slotMatchesReferral(slot, referral)) {
+            return res.status(400).json({ success: false, message: 'Slot does not belong to the receiving hospital or doctor of this referral' });
+        }
+
+        const existing = await Appointment.findOne({ referral: referral._id, status: 'scheduled' }).lean();
+        if (existing) {
+            return res.status(409).json({
+                success: false,
+                message: 'Referral already has a scheduled appointment; reschedule it instead',
+                data: { appointmentId: existing._id }
+            });
+        }
+
+        const appointmentId = new mongoose.Types.ObjectId();
+        const claimed = await claimSlot(slot._id, appointmentId);
+        if (!claimed) {
+            return res.status(409).json({ success: false, message: 'Slot is no longer available' });
+        }
+
+        let appointment;
+        try {
+            appointment = await Appointment.create({
+                _id: appointmentId,
+                referral: referral._id,
+                patient: referral.patient,
+                doctor: claimed.doctor,
+                hospital: claimed.hospital,
+                slot: claimed._id,
+                scheduledStart: claimed.startTime,
+                scheduledEnd: claimed.endTime,
+                location: claimed.location,
+                type,
+                notes,
+                bookedBy: user._id
+            });
+        } catch (createError) {
+            await releaseSlot(claimed._id, appointmentId);
+            if (createError.code === 11000) {
+                return res.status(409).json({ success: false, message: 'Referral already has a scheduled appointment; reschedule it instead' });
+            }
+            throw createError;
+        }
+
+        const previousDate = referral.appointment?.scheduledDate || null;
+        syncReferralAppointment(referral, appointment);
+        referral.recordEvent('appointment_scheduled', user, {
+            changes: [{ field: 'appointment.scheduledDate', from: previousDate, to: appointment.scheduledStart }],
+            notes: `Appointment ${appointment.appointmentId} booked`
+        });
+        await referral.save();
+
+        emitEvent('appointment.scheduled', { appointment, referral, actor: user });
+
+        res.status(201).json({
+            success: true,
+            message: 'Appointment booked successfully',
+            data: appointment
+        });
+    } catch (error) {
+        console.error('Book appointment error:', error);
+        res.status(500).json({ success: false, message: 'Error booking appointment', error: error.message });
+    }
+};
+
+// @desc    Move a scheduled appointment to another slot
+// @route   PATCH /api/appointments/:id/reschedule
+// @access  Private (booked Doctor, their Hospital, Super Admin)
+const rescheduleAppointment = async (req, res) => {
+    try {
+        const user = req.user;
+        const { slotId, reason } = req.body;
+
+        if (reason !== undefined && typeof reason !== 'string') {
+            return res.status(400).json({ success: false, message: 'Reason must be a string' });
+        }
+
+        if (!mongoose.Types.ObjectId.isValid(slotId)) {
+            return res.status(400).json({ success: false, message: 'slotId is required' });
+        }
+
+        const appointment = await Appointment.findById(req.params.id);
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: 'Appointment not found' });
+        }
+
+        if (!canManageAppointment(appointment, user)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to reschedule this appointment' });
+        }
+
+        if (appointment.status !== 'scheduled') {
+            return res.status(409).json({ success: false, message: `Cannot reschedule a ${appointment.status} appointment` });
+        }
+
+        const [referral, slot] = await Promise.all([
+            Referral.findById(appointment.referral),
+            AvailabilitySlot.findById(slotId)
+        ]);
+
+        if (!slot) {
+            return res.status(404).json({ success: false, message: 'Slot not found' });
+        }
+        if (!referral || !slotMatchesReferral(slot, referral)) {
+            return res.status(400).json({ success: false, message: 'Slot does not belong to the receiving hospital or doctor of this referral' });
+        }
+
+        const claimed = await claimSlot(slot._id, appointment._id);
+        if (!claimed) {
+            return res.status(409).json({ success: false, message: 'Slot is no longer available' });
+        }
+
+        const previous = {
+            start: appointment.scheduledStart,
+            end: appointment.scheduledEnd,
+            slot: appointment.slot
+        };
+
+        appointment.rescheduleHistory.push({ from: previous, reason, rescheduledBy: user._id, rescheduledAt: new Date() });
+        appointment.slot = claimed._id;
+        appointment.doctor = claimed.doctor;
+        appointment.scheduledStart = claimed.startTime;
+        appointment.scheduledEnd = claimed.endTime;
+        appointment.location = claimed.location;
+
+        try {
+            await appointment.save();
+        } catch (saveError) {
+            await releaseSlot(claimed._id, appointment._id);
+            throw saveError;
+        }
+
+        await releaseSlot(previous.slot, appointment._id);
+
+        syncReferralAppointment(referral, appointment);
+        referral.recordEvent('appointment_rescheduled', user, {
+            changes: [{ field: 'appointment.scheduledDate', from: previous.start, to: appointment.scheduledStart }],
+            notes: reason || `Appointment ${appointment.appointmentId} rescheduled`
+        });
+        await referral.save();
+
+        emitEvent('appointment.rescheduled', { appointment, referral, actor: user, previousStart: previous.start });
+
+        res.json({
+            success: true,
+            message: 'Appointment rescheduled successfully',
+            data: appointment
+        });
+    } catch (error) {
+        console.error('Reschedule appointment error:', error);
+        res.status(500).json({ success: false, message: 'Error rescheduling appointment', error: error.message });
+    }
+};
+
+// @desc    Cancel a scheduled appointment and free its slot
+// @route   PATCH /api/appointments/:id/cancel
+// @access  Private (booked Doctor, their Hospital, the Patient, Super Admin)
+const cancelAppointment = async (req, res) => {
+    try {
+        const user = req.user;
+        const { reason } = req.body;
+
+        if (typeof reason !== 'string' || !reason.trim()) {
+            return res.status(400).json({ success: false, message: 'A cancellation reason is required' });
+        }
+
+        const appointment = await Appointment.findById(req.params.id);
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: 'Appointment not found' });
+        }
+
+        const isPatient = user.role === 'patient' && sameId(appointment.patient, user._id);
+        if (!canManageAppointment(appointment, user) && !isPatient) {
+            return res.status(403).json({ success: false, message: 'Not authorized to cancel this appointment' });
+        }
+
+        if (appointment.status !== 'scheduled') {
+            return res.status(409).json({ success: false, message: `Cannot cancel a ${appointment.status} appointment` });
+        }
+
+        appointment.status = 'cancelled';
+        appointment.cancellation = { reason: reason.trim(), cancelledBy: user._id, cancelledAt: new Date() };
+        await appointment.save();
+        await releaseSlot(appointment.slot, appointment._id);
+
+        const referral = await Referral.findById(appointment.referral);
+        if (referral) {
+            syncReferralAppointment(referral, appointment);
+            referral.recordEvent('appointment_cancelled', user, {
+                changes: [{ field: 'appointment.scheduledDate', from: appointment.scheduledStart, to: null }],
+                notes: reason.trim()
+            });
+            await referral.save();
+        }
+
+        emitEvent('appointment.cancelled', { appointment, referral, actor: user });
+
+        res.json({
+            success: true,
+            message: 'Appointment cancelled successfully',
+            data: appointment
+        });
+    } catch (error) {
+        console.error('Cancel appointment error:', error);
+        res.status(500).json({ success: false, message: 'Error cancelling appointment', error: error.message });
+    }
+};
+
+/**
+ * Record the outcome of an appointment whose start time has passed
+ */
+const recordOutcome = (status, timelineAction, label) => async (req, res) => {
+    try {
+        const user = req.user;
+
+        const appointment = await Appointment.findById(req.params.id);
+        if (!appointment) {
+            return res.status(404).json({ success: false, message: 'Appointment not found' });
+        }
+
+        if (!canManageAppointment(appointment, user)) {
+            return res.status(403).json({ success: false, message: `Not authorized to mark this appointment as ${label}` });
+        }
+
+        if (appointment.status !== 'scheduled') {
+            return res.status(409).json({ success: false, message: `Cannot mark a ${appointment.status} appointment as ${label}` });
+        }
+
+        if (appointment.scheduledStart > new Date()) {
+            return res.status(409).json({ success: false, message: `An appointment can only be marked as ${label} after it has started` });
+        }
+
+        appointment.status = status;
+        appointment.outcome = { markedBy: user._id, markedAt: new Date(), notes: req.body.notes };
+        await appointment.save();
+
+        const referral = await Referral.findById(appointment.referral);
+        if (referral) {
+            referral.recordEvent(timelineAction, user, {
+                changes: [{ field: 'appointment.status', from: 'scheduled', to: status }],
+                notes: req.body.notes || `Appointment ${appointment.appointmentId} marked as ${label}`
+            });
+            await referral.save();
+        }
+
+        emitEvent(`appointment.${status}`, { appointment, referral, actor: user });
+
+        res.json({
+            success: true,
+            message: `Appointment marked as ${label}`,
+            data: appointment
+        });
+    } catch (error) {
+        console.error(`Mark appointment ${label} error:`, error);
+        res.status(500).json({ success: false, message: 'Error updating appointment', error: error.message });
+    }
+};
+
+// @desc    Mark an appointment as attended
+// @route   PATCH /api/appointments/:id/complete
+// @access  Private (booked Doctor, their Hospital, Super Admin)
+const completeAppointment = recordOutcome('completed', 'appointment_completed', 'completed');
+
+// @desc    Mark an appointment as a no-show
+// @route   PATCH /api/appointments/:id/no-show
+// @access  Private (booked Doctor, their Hospital, Super Admin)
+const markNoShow = recordOutcome('no_show', 'appointment_no_show', 'no-show');
+
+module.exports = {
+    getSlots,
+    createSlots,
+    deleteSlot,
+    getAppointments,
+    getAppointmentById,
+    bookAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
+    completeAppointment,
+    markNoShow
+};
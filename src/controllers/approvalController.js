@@ -2,6 +2,8 @@ const User = require('../models/User');
 const Hospital = require('../models/Hospital');
 const Clinic = require('../models/Clinic');
 const { sendEmail, emailTemplates } = require('../config/email');
+const { resolveLocale } = require('../services/email/templates');
+const { createNotifications } = require('../services/notificationCenter');
 
 // Get all pending users (for super admin)
 const getPendingUsers = async (req, res) => {
@@ -162,13 +164,26 @@ const approveUser = async (req, res) => {
         try {
             await sendEmail({
                 email: user.email,
-                subject: 'Account Approved - Patient Referral System',
-                html: emailTemplates.accountApproved(user.firstName, message)
+                ...emailTemplates.accountApproved({ name: user.firstName, message }, await resolveLocale(user)),
+                idempotencyKey: `account-approved:${user._id}:${user.approvedAt?.getTime()}`
             });
         } catch (emailError) {
             console.error('Email sending failed:', emailError);
         }
 
+        try {
+            await createNotifications([user], {
+                type: 'account_approved',
+                title: 'Account approved',
+                message: message || 'Your account has been approved. You now have full access.',
+                link: { entityType: 'user', entityId: user._id, path: '/dashboard' },
+                actor: approverId,
+                key: `account-approved:${user.approvedAt?.getTime()}`
+            });
+        } catch (notificationError) {
+            console.error('Notification failed:', notificationError);
+        }
+
         res.json({
             success: true,
             message: 'User approved successfully',
@@ -219,13 +234,26 @@ const rejectUser = async (req, res) => {
         try {
             await sendEmail({
                 email: user.email,
-                subject: 'Account Application Rejected - Patient Referral System',
-                html: emailTemplates.accountRejected(user.firstName, reason)
+                ...emailTemplates.accountRejected({ name: user.firstName, reason }, await resolveLocale(user)),
+                idempotencyKey: `account-rejected:${user._id}:${user.approvedAt?.getTime()}`
             });
         } catch (emailError) {
             console.error('Email sending failed:', emailError);
         }
 
+        try {
+            await createNotifications([user], {
+                type: 'account_rejected',
+                title: 'Account application rejected',
+                message: `Reason: ${reason}`,
+                link: { entityType: 'user', entityId: user._id, path: '/profile' },
+                actor: rejectorId,
+                key: `account-rejected:${user.approvedAt?.getTime()}`
+            });
+        } catch (notificationError) {
+            console.error('Notification failed:', notificationError);
+        }
+
         res.json({
             success: true,
             message: 'User rejected successfully',
@@ -283,18 +311,28 @@ const approveHospital = async (req, res) => {
         // Send approval email to hospital
         try {
             await sendEmail({
-                to: hospital.email,
-                subject: 'Hospital Registration Approved',
-                html: emailTemplates.hospitalApproved({
-                    hospitalName: hospital.name,
-                    message: message || 'Your hospital has been approved and is now active in the Patient Referral System.'
-                })
+                email: hospital.email,
+                ...emailTemplates.hospitalApproved({ hospitalName: hospital.name, message }),
+                idempotencyKey: `hospital-approved:${hospital._id}:${hospital.approvedAt?.getTime()}`
             });
         } catch (emailError) {
             console.error('Email sending failed:', emailError);
             // Don't fail the request if email fails
         }
 
+        try {
+            await createNotifications([hospitalUser, hospital.adminId], {
+                type: 'hospital_approved',
+                title: 'Hospital approved',
+                message: message || `${hospital.name} is now active in the Patient Referral System.`,
+                link: { entityType: 'hospital', entityId: hospital._id, path: '/dashboard' },
+                actor: approverId,
+                key: `hospital-approved:${hospital._id}:${hospital.approvedAt?.getTime()}`
+            });
+        } catch (notificationError) {
+            console.error('Notification failed:', notificationError);
+        }
+
         res.json({
             success: true,
             message: 'Hospital approved successfully',
@@ -348,8 +386,8 @@ const rejectHospital = async (req, res) => {
                 if (admin) {
                     await sendEmail({
                         email: admin.email,
-                        subject: 'Hospital Application Rejected - Patient Referral System',
-                        html: emailTemplates.hospitalRejected(hospital.name, reason)
+                        ...emailTemplates.hospitalRejected({ hospitalName: hospital.name, reason }, await resolveLocale(admin)),
+                        idempotencyKey: `hospital-rejected:${hospital._id}:${hospital.approvedAt?.getTime()}`
                     });
                 }
             } catch (emailError) {
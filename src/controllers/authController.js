@@ -2,32 +2,62 @@ const User = require('../models/User');
 const Clinic = require('../models/Clinic');
 const jwt = require('jsonwebtoken');
 const crypto = require('crypto');
-const { sendEmail } = require('../config/email');
-
-// Generate JWT Token
-const generateToken = (userId) => {
-    return jwt.sign({ userId }, process.env.JWT_SECRET, {
-        expiresIn: process.env.JWT_EXPIRE || '7d'
-    });
+const { sendEmail, emailTemplates } = require('../config/email');
+const { resolveLocale } = require('../services/email/templates');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions
+} = require('../services/sessions');
+const {
+    EMAIL_EVENT_TYPES,
+    getEmailPreferences,
+    parseEmailPreferenceUpdate
+} = require('../services/notificationPreferences');
+const { TWO_FACTOR_FIELDS, createChallengeToken, verifyChallengeToken, verifySecondFactor } = require('../services/twoFactor');
+const {
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordUnknownLogin,
+    clearLoginFailures
+} = require('../services/loginProtection');
+const {
+    validateNewPassword,
+    isPasswordReused,
+    setNewPassword,
+    passwordExpiresAt,
+    isPasswordExpired
+} = require('../services/passwordPolicy');
+const { sendVerificationEmail, resendVerificationEmail, verifyEmailToken } = require('../services/emailVerification');
+
+// Cookie options: the access token is sent everywhere, the refresh token only to /api/auth
+const cookieOptions = (extra = {}) => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    ...extra
+});
+const REFRESH_COOKIE = { path: '/api/auth' };
+
+const clearAuthCookies = (res) => {
+    res.clearCookie('token', cookieOptions());
+    res.clearCookie('refreshToken', cookieOptions(REFRESH_COOKIE));
 };
 
-// Send token response
-const sendTokenResponse = (user, statusCode, res) => {
-    const token = generateToken(user._id);
-
-    const options = {
-        expires: new Date(
-            Date.now() + (process.env.JWT_COOKIE_EXPIRE || 7) * 24 * 60 * 60 * 1000
-        ),
-        httpOnly: true,
-        secure: process.env.NODE_ENV === 'production'
-    };
+// Send a session's tokens (cookies and body) with the user's profile
+const sendSessionTokens = (user, statusCode, res, { session, accessToken, refreshToken }) => {
+    const tokenExpiresAt = new Date(jwt.decode(accessToken).exp * 1000);
 
     res.status(statusCode)
-        .cookie('token', token, options)
+        .cookie('token', accessToken, cookieOptions({ expires: tokenExpiresAt }))
+        .cookie('refreshToken', refreshToken, cookieOptions({ ...REFRESH_COOKIE, expires: session.expiresAt }))
         .json({
             success: true,
-            token,
+            token: accessToken,
+            tokenExpiresAt,
+            refreshToken,
+            sessionId: session._id,
             user: {
                 _id: user._id,
                 firstName: user.firstName,
@@ -41,6 +71,7 @@ const sendTokenResponse = (user, statusCode, res) => {
                 profileImage: user.profileImage,
                 isActive: user.isActive,
                 isEmailVerified: user.isEmailVerified,
+                twoFactorEnabled: !!user.twoFactor?.enabled,
                 approvalStatus: user.approvalStatus,
                 practiceType: user.practiceType,
                 hospitalId: user.hospitalId,
@@ -49,12 +80,49 @@ const sendTokenResponse = (user, statusCode, res) => {
                 specialization: user.specialization,
                 yearsOfExperience: user.yearsOfExperience,
                 lastLogin: user.lastLogin,
+                passwordExpiresAt: passwordExpiresAt(user),
+                passwordChangeRequired: isPasswordExpired(user),
                 createdAt: user.createdAt,
                 updatedAt: user.updatedAt
             }
         });
 };
 
+// Start a session on this device and send its tokens
+const sendTokenResponse = async (user, statusCode, req, res) => {
+    sendSessionTokens(user, statusCode, res, await createSession(user, req));
+};
+
+// Refuse a login attempt for an account that is locked or waiting out a delay
+const sendLoginBlock = (res, block) => {
+    res.status(block.statusCode)
+        .set('Retry-After', String(block.retryAfter))
+        .json({
+            success: false,
+            message: block.message,
+            retryAfter: block.retryAfter
+        });
+};
+
+// 400 for a new password the policy refuses
+const sendPasswordErrors = (res, check) => {
+    res.status(check.statusCode).json({
+        success: false,
+        message: check.message,
+        errors: check.errors
+    });
+};
+
+// With two-factor authentication on, the password only earns a challenge for POST /api/auth/login/2fa
+const sendTwoFactorChallenge = (user, res) => {
+    res.status(200).json({
+        success: true,
+        message: 'Enter the code from your authenticator app',
+        twoFactorRequired: true,
+        challengeToken: createChallengeToken(user)
+    });
+};
+
 // @desc    Register user
 // @route   POST /api/auth/register
 // @access  Public
@@ -108,11 +176,9 @@ const register = async (req, res) => {
             });
         }
 
-        if (password.length < 6) {
-            return res.status(400).json({
-                success: false,
-                message: 'Password must be at least 6 characters'
-            });
+        const passwordCheck = validateNewPassword(password, { firstName, lastName, email });
+        if (!passwordCheck.ok) {
+            return sendPasswordErrors(res, passwordCheck);
         }
 
         // Check if user already exists
@@ -276,31 +342,10 @@ const register = async (req, res) => {
             });
         }
 
-        // Generate email verification token
-        const emailVerificationToken = crypto.randomBytes(20).toString('hex');
-        user.emailVerificationToken = emailVerificationToken;
-        await user.save();
-
-        // Send verification email
-        try {
-            const verificationUrl = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email/${emailVerificationToken}`;
+        // Send the verification link; registration succeeds even if the email fails
+        await sendVerificationEmail(user);
 
-            await sendEmail({
-                email: user.email,
-                subject: 'Email Verification - Patient Referral System',
-                html: `
-                    <h2>Welcome to Patient Referral System!</h2>
-                    <p>Please click the link below to verify your email address:</p>
-                    <a href="${verificationUrl}" style="background-color: #2196f3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Verify Email</a>
-                    <p>If you didn't create this account, please ignore this email.</p>
-                `
-            });
-        } catch (emailError) {
-            console.error('Email sending failed:', emailError);
-            // Don't fail registration if email sending fails
-        }
-
-        sendTokenResponse(user, 201, res);
+        await sendTokenResponse(user, 201, req, res);
     } catch (error) {
         console.error('Registration error:', error);
         res.status(500).json({
@@ -329,6 +374,11 @@ const login = async (req, res) => {
         // Check if user exists and is active
         const user = await User.findOne({ email }).select('+password');
         if (!user) {
+            // Throttled like a real account, so the response does not reveal whether the email exists
+            const block = await recordUnknownLogin(email, password, req);
+            if (!block.ok) {
+                return sendLoginBlock(res, block);
+            }
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
@@ -342,20 +392,32 @@ const login = async (req, res) => {
             });
         }
 
+        // Delayed or locked accounts are refused before the password is checked
+        const block = checkLoginAllowed(user, req);
+        if (!block.ok) {
+            return sendLoginBlock(res, block);
+        }
+
         // Check password
         const isMatch = await user.comparePassword(password);
         if (!isMatch) {
+            await recordFailedLogin(user, req, 'bad_password');
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        if (user.twoFactor?.enabled) {
+            return sendTwoFactorChallenge(user, res);
+        }
+
         // Update last login
+        clearLoginFailures(user, req, 'login');
         user.lastLogin = new Date();
         await user.save();
 
-        sendTokenResponse(user, 200, res);
+        await sendTokenResponse(user, 200, req, res);
     } catch (error) {
         console.error('Login error:', error);
         res.status(500).json({
@@ -366,15 +428,68 @@ const login = async (req, res) => {
     }
 };
 
-// @desc    Logout user
+// @desc    Second login step: exchange the challenge token and an authenticator or recovery code for a session
+// @route   POST /api/auth/login/2fa
+// @access  Public (challenge token from POST /api/auth/login)
+const loginTwoFactor = async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
+
+        const userId = verifyChallengeToken(challengeToken);
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge is invalid or has expired, please log in again'
+            });
+        }
+
+        const user = await User.findById(userId).select(TWO_FACTOR_FIELDS);
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid credentials'
+            });
+        }
+
+        const block = checkLoginAllowed(user, req);
+        if (!block.ok) {
+            return sendLoginBlock(res, block);
+        }
+
+        const result = await verifySecondFactor(user, { code, recoveryCode });
+        if (!result.ok) {
+            // Wrong codes count towards the lockout like wrong passwords
+            if (result.statusCode === 401) {
+                await recordFailedLogin(user, req, 'bad_two_factor_code');
+            }
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        // Update last login
+        clearLoginFailures(user, req, 'login');
+        user.lastLogin = new Date();
+        await user.save();
+
+        await sendTokenResponse(user, 200, req, res);
+    } catch (error) {
+        console.error('Two-factor login error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error during login'
+        });
+    }
+};
+
+// @desc    Logout user (ends the current session)
 // @route   POST /api/auth/logout
 // @access  Private
 const logout = async (req, res) => {
     try {
-        res.cookie('token', 'none', {
-            expires: new Date(Date.now() + 10 * 1000),
-            httpOnly: true
-        });
+        await revokeSession(req.sessionId, req.user._id, 'logout');
+        clearAuthCookies(res);
 
         res.status(200).json({
             success: true,
@@ -389,6 +504,118 @@ const logout = async (req, res) => {
     }
 };
 
+// @desc    Exchange a refresh token for new access and refresh tokens
+// @route   POST /api/auth/refresh
+// @access  Public (refresh token in the refreshToken cookie or body)
+const refreshToken = async (req, res) => {
+    try {
+        const token = req.cookies.refreshToken || req.body.refreshToken;
+        if (!token) {
+            return res.status(401).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const result = await rotateRefreshToken(token, req);
+        if (!result.ok) {
+            clearAuthCookies(res);
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        sendSessionTokens(result.user, 200, res, result);
+    } catch (error) {
+        console.error('Refresh token error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    List the current user's active sessions (signed-in devices)
+// @route   GET /api/auth/sessions
+// @access  Private
+const getSessions = async (req, res) => {
+    try {
+        const sessions = await listActiveSessions(req.user._id, req.sessionId);
+
+        res.status(200).json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Revoke one of the current user's sessions
+// @route   DELETE /api/auth/sessions/:sessionId
+// @access  Private
+const revokeOneSession = async (req, res) => {
+    try {
+        const { sessionId } = req.params;
+
+        const revoked = await revokeSession(sessionId, req.user._id, 'revoked');
+        if (!revoked) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        if (sessionId === String(req.sessionId)) {
+            clearAuthCookies(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'Session revoked successfully'
+        });
+    } catch (error) {
+        console.error('Revoke session error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Revoke all of the current user's sessions (?exceptCurrent=true keeps this one)
+// @route   DELETE /api/auth/sessions
+// @access  Private
+const revokeAllSessions = async (req, res) => {
+    try {
+        const exceptCurrent = req.query.exceptCurrent === 'true';
+
+        const revoked = await revokeUserSessions(req.user._id, 'logout_all', {
+            exceptSessionId: exceptCurrent ? req.sessionId : null
+        });
+        if (!exceptCurrent) {
+            clearAuthCookies(res);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: exceptCurrent ? 'Signed out of all other sessions' : 'Signed out of all sessions',
+            data: { revoked }
+        });
+    } catch (error) {
+        console.error('Revoke all sessions error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Get current user
 // @route   GET /api/auth/me
 // @access  Private
@@ -451,14 +678,10 @@ const forgotPassword = async (req, res) => {
 
             await sendEmail({
                 email: user.email,
-                subject: 'Password Reset - Patient Referral System',
-                html: `
-                    <h2>Password Reset Request</h2>
-                    <p>You requested a password reset. Click the link below to reset your password:</p>
-                    <a href="${resetUrl}" style="background-color: #2196f3; color: white; padding: 10px 20px; text-decoration: none; border-radius: 5px;">Reset Password</a>
-                    <p>This link will expire in 10 minutes.</p>
-                    <p>If you didn't request this, please ignore this email.</p>
-                `
+                ...emailTemplates.passwordReset(
+                    { resetLink: resetUrl, expiresInMinutes: 10 },
+                    await resolveLocale(user)
+                )
             });
 
             res.status(200).json({
@@ -507,18 +730,11 @@ const resetPassword = async (req, res) => {
             });
         }
 
-        if (password.length < 6) {
-            return res.status(400).json({
-                success: false,
-                message: 'Password must be at least 6 characters'
-            });
-        }
-
         // Get user by reset token
         const user = await User.findOne({
             passwordResetToken: token,
             passwordResetExpires: { $gt: Date.now() }
-        });
+        }).select('+password +passwordHistory');
 
         if (!user) {
             return res.status(400).json({
@@ -527,13 +743,34 @@ const resetPassword = async (req, res) => {
             });
         }
 
+        const passwordCheck = validateNewPassword(password, user);
+        if (!passwordCheck.ok) {
+            return sendPasswordErrors(res, passwordCheck);
+        }
+
+        if (await isPasswordReused(user, password)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This password was used recently, please choose a new one'
+            });
+        }
+
         // Set new password
-        user.password = password;
+        setNewPassword(user, password);
         user.passwordResetToken = undefined;
         user.passwordResetExpires = undefined;
+        clearLoginFailures(user, req, 'password_reset');
         await user.save();
 
-        sendTokenResponse(user, 200, res);
+        // Whoever knew the old password is signed out everywhere
+        await revokeUserSessions(user._id, 'password_reset');
+
+        // Access to the mailbox is not a second factor
+        if (user.twoFactor?.enabled) {
+            return sendTwoFactorChallenge(user, res);
+        }
+
+        await sendTokenResponse(user, 200, req, res);
     } catch (error) {
         console.error('Reset password error:', error);
         res.status(500).json({
@@ -548,21 +785,15 @@ const resetPassword = async (req, res) => {
 // @access  Public
 const verifyEmail = async (req, res) => {
     try {
-        const { token } = req.params;
-
-        const user = await User.findOne({ emailVerificationToken: token });
+        const user = await verifyEmailToken(req.params.token);
 
         if (!user) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid verification token'
+                message: 'Invalid or expired verification link'
             });
         }
 
-        user.isEmailVerified = true;
-        user.emailVerificationToken = undefined;
-        await user.save();
-
         res.status(200).json({
             success: true,
             message: 'Email verified successfully'
@@ -576,6 +807,38 @@ const verifyEmail = async (req, res) => {
     }
 };
 
+// @desc    Send a new email verification link
+// @route   POST /api/auth/resend-verification
+// @access  Private
+const resendVerification = async (req, res) => {
+    try {
+        const result = await resendVerificationEmail(req.user);
+        if (!result.ok) {
+            if (result.retryAfter) {
+                res.set('Retry-After', String(result.retryAfter));
+            }
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: `Verification email sent to ${req.user.email}`,
+            data: {
+                expiresAt: result.expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Resend verification error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 // @desc    Update user profile
 // @route   PUT /api/auth/profile
 // @access  Private
@@ -588,7 +851,9 @@ const updateProfile = async (req, res) => {
             dateOfBirth: req.body.dateOfBirth,
             gender: req.body.gender,
             address: req.body.address,
+            location: req.body.location,
             profileImage: req.body.profileImage,
+            locale: req.body.locale,
             // Role specific optional fields
             licenseNumber: req.body.licenseNumber,
             specialization: req.body.specialization,
@@ -609,14 +874,50 @@ const updateProfile = async (req, res) => {
             fieldsToUpdate[key] === undefined && delete fieldsToUpdate[key]
         );
 
+        // A new email address needs the current password and has to be verified again
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : undefined;
+        const emailChanged = Boolean(email) && email !== req.user.email;
+        if (emailChanged) {
+            // Hospital admins are matched to their hospital by email address
+            if (req.user.role === 'hospital') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'A hospital admin email address is linked to the hospital; ask a super admin to change it'
+                });
+            }
+
+            const current = await User.findById(req.user.id).select('+password');
+            if (!req.body.currentPassword || !(await current.comparePassword(req.body.currentPassword))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Your current password is required to change your email address'
+                });
+            }
+
+            if (await User.exists({ email, _id: { $ne: req.user._id } })) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'User with this email already exists'
+                });
+            }
+
+            fieldsToUpdate.email = email;
+            fieldsToUpdate.isEmailVerified = false;
+        }
+
         const user = await User.findByIdAndUpdate(
             req.user.id,
             fieldsToUpdate,
             { new: true, runValidators: true }
         );
 
+        if (emailChanged) {
+            await sendVerificationEmail(user);
+        }
+
         res.status(200).json({
             success: true,
+            message: emailChanged ? `Profile updated. We sent a verification link to ${user.email}` : undefined,
             user
         });
     } catch (error) {
@@ -649,14 +950,12 @@ const changePassword = async (req, res) => {
             });
         }
 
-        if (newPassword.length < 6) {
-            return res.status(400).json({
-                success: false,
-                message: 'New password must be at least 6 characters'
-            });
+        const passwordCheck = validateNewPassword(newPassword, req.user, 'newPassword');
+        if (!passwordCheck.ok) {
+            return sendPasswordErrors(res, passwordCheck);
         }
 
-        const user = await User.findById(req.user.id).select('+password');
+        const user = await User.findById(req.user.id).select('+password +passwordHistory');
 
         // Check current password
         const isMatch = await user.comparePassword(currentPassword);
@@ -667,10 +966,20 @@ const changePassword = async (req, res) => {
             });
         }
 
-        user.password = newPassword;
+        if (await isPasswordReused(user, newPassword)) {
+            return res.status(400).json({
+                success: false,
+                message: 'This password was used recently, please choose a new one'
+            });
+        }
+
+        setNewPassword(user, newPassword);
         await user.save();
 
-        sendTokenResponse(user, 200, res);
+        // Sign out every device, then start a new session for this one
+        await revokeUserSessions(user._id, 'password_changed');
+
+        await sendTokenResponse(user, 200, req, res);
     } catch (error) {
         console.error('Change password error:', error);
         res.status(500).json({
@@ -680,14 +989,82 @@ const changePassword = async (req, res) => {
     }
 };
 
+// @desc    Get email notification preferences
+// @route   GET /api/auth/notification-preferences
+// @access  Private
+const getNotificationPreferences = async (req, res) => {
+    try {
+        const user = await User.findById(req.user.id).select('notificationPreferences');
+
+        res.status(200).json({
+            success: true,
+            data: {
+                email: getEmailPreferences(user),
+                eventTypes: EMAIL_EVENT_TYPES
+            }
+        });
+    } catch (error) {
+        console.error('Get notification preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Opt in or out of email notifications per event type
+// @route   PUT /api/auth/notification-preferences
+// @access  Private
+const updateNotificationPreferences = async (req, res) => {
+    try {
+        const { updates, error } = parseEmailPreferenceUpdate(req.body.email);
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const $set = {};
+        Object.entries(updates).forEach(([eventType, enabled]) => {
+            $set[`notificationPreferences.email.${eventType}`] = enabled;
+        });
+
+        const user = await User.findByIdAndUpdate(req.user.id, { $set }, { new: true })
+            .select('notificationPreferences');
+
+        res.status(200).json({
+            success: true,
+            message: 'Notification preferences updated',
+            data: {
+                email: getEmailPreferences(user)
+            }
+        });
+    } catch (error) {
+        console.error('Update notification preferences error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
 module.exports = {
     register,
     login,
+    loginTwoFactor,
     logout,
+    refreshToken,
+    getSessions,
+    revokeOneSession,
+    revokeAllSessions,
     getMe,
     forgotPassword,
     resetPassword,
     verifyEmail,
+    resendVerification,
     updateProfile,
-    changePassword
+    changePassword,
+    getNotificationPreferences,
+    updateNotificationPreferences
 };
@@ -0,0 +1,167 @@
+const Hospital = require('../models/Hospital');
+const CapacityChange = require('../models/CapacityChange');
+const { describeCapacity, applyWardUpdates, removeWard } = require('../services/hospitalCapacity');
+const { sameId } = require('../utils/ids');
+
+// Hospital admins publish their own hospital's capacity; super admins any hospital's
+const canManageCapacity = (user, hospitalId) =>
+    user.role === 'super_admin' || (user.role === 'hospital' && sameId(user.hospitalId, hospitalId));
+
+// Load the hospital for :id after the access check; sends the error response itself
+const loadManagedHospital = async (req, res) => {
+    if (!canManageCapacity(req.user, req.params.id)) {
+        res.status(403).json({ success: false, message: 'Not authorized to update capacity for this hospital' });
+        return null;
+    }
+
+    const hospital = await Hospital.findById(req.params.id);
+    if (!hospital) {
+        res.status(404).json({ success: false, message: 'Hospital not found' });
+        return null;
+    }
+    return hospital;
+};
+
+const sendResult = (res, hospital, result, message) => {
+    if (!result.ok) {
+        return res.status(result.statusCode).json({ success: false, message: result.message });
+    }
+    res.json({
+        success: true,
+        message,
+        data: describeCapacity(hospital)
+    });
+};
+
+// @desc    Current bed availability per ward, with staleness flags
+// @route   GET /api/hospitals/:id/capacity
+// @access  Private (approved users)
+const getCapacity = async (req, res) => {
+    try {
+        const hospital = await Hospital.findById(req.params.id).select('name wards availability').lean();
+        if (!hospital) {
+            return res.status(404).json({ success: false, message: 'Hospital not found' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                hospital: { _id: hospital._id, name: hospital.name },
+                ...describeCapacity(hospital)
+            }
+        });
+    } catch (error) {
+        console.error('Get capacity error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching capacity', error: error.message });
+    }
+};
+
+// @desc    Publish availability for several wards at once (wards are matched by id or name, new names are added)
+// @route   PUT /api/hospitals/:id/capacity
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const updateCapacity = async (req, res) => {
+    try {
+        const { wards, note } = req.body;
+
+        const hospital = await loadManagedHospital(req, res);
+        if (!hospital) return;
+
+        const result = await applyWardUpdates(hospital, wards, { actor: req.user, note });
+        sendResult(res, hospital, result, 'Capacity updated successfully');
+    } catch (error) {
+        console.error('Update capacity error:', error);
+        res.status(500).json({ success: false, message: 'Error updating capacity', error: error.message });
+    }
+};
+
+// @desc    Update one ward's bed counts
+// @route   PATCH /api/hospitals/:id/capacity/wards/:wardId
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const updateWard = async (req, res) => {
+    try {
+        const { name, type, totalBeds, availableBeds, note } = req.body;
+
+        const hospital = await loadManagedHospital(req, res);
+        if (!hospital) return;
+
+        const result = await applyWardUpdates(hospital, [{
+            wardId: req.params.wardId,
+            name,
+            type,
+            totalBeds,
+            availableBeds
+        }], { actor: req.user, note });
+        sendResult(res, hospital, result, 'Ward updated successfully');
+    } catch (error) {
+        console.error('Update ward error:', error);
+        res.status(500).json({ success: false, message: 'Error updating ward', error: error.message });
+    }
+};
+
+// @desc    Remove a ward
+// @route   DELETE /api/hospitals/:id/capacity/wards/:wardId
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const deleteWard = async (req, res) => {
+    try {
+        const hospital = await loadManagedHospital(req, res);
+        if (!hospital) return;
+
+        const result = await removeWard(hospital, req.params.wardId, { actor: req.user, note: req.body?.note });
+        sendResult(res, hospital, result, 'Ward removed successfully');
+    } catch (error) {
+        console.error('Delete ward error:', error);
+        res.status(500).json({ success: false, message: 'Error removing ward', error: error.message });
+    }
+};
+
+// @desc    History of capacity changes, newest first
+// @route   GET /api/hospitals/:id/capacity/history
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const getCapacityHistory = async (req, res) => {
+    try {
+        const { ward, from, to, page = 1, limit = 20 } = req.query;
+
+        if (!canManageCapacity(req.user, req.params.id)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view capacity history for this hospital' });
+        }
+
+        const filter = { hospital: req.params.id };
+        if (ward) filter.ward = ward;
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = new Date(from);
+            if (to) filter.createdAt.$lte = new Date(to);
+        }
+
+        const changes = await CapacityChange.find(filter)
+            .populate('changedBy', 'firstName lastName role')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await CapacityChange.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                changes,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get capacity history error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching capacity history', error: error.message });
+    }
+};
+
+module.exports = {
+    getCapacity,
+    updateCapacity,
+    updateWard,
+    deleteWard,
+    getCapacityHistory
+};
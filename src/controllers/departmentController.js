@@ -0,0 +1,262 @@
+const mongoose = require('mongoose');
+const Hospital = require('../models/Hospital');
+const Department = require('../models/Department');
+const Referral = require('../models/Referral');
+const { toSpecialtyCode, isDepartmentStaff, validateDepartmentStaff } = require('../services/departmentRouting');
+const { loadQueuePage } = require('../services/intakeQueue');
+const { sameId } = require('../utils/ids');
+
+const STAFF_FIELDS = 'firstName lastName email role specialization';
+
+// Hospital admins manage their own hospital's departments; super admins any hospital's
+const canManageDepartments = (user, hospitalId) =>
+    user.role === 'super_admin' || (user.role === 'hospital' && sameId(user.hospitalId, hospitalId));
+
+// Staff of the hospital see queue sizes; other users only see the departments
+const isHospitalStaff = (user, hospitalId) =>
+    canManageDepartments(user, hospitalId) || (user.role === 'doctor' && sameId(user.hospitalId, hospitalId));
+
+const populateStaff = (query) => query
+    .populate('headDoctor', STAFF_FIELDS)
+    .populate('members', STAFF_FIELDS)
+    .populate('intakeCoordinator', STAFF_FIELDS);
+
+// Load the department for :id/:departmentId; sends the error response itself
+const loadDepartment = async (req, res) => {
+    const { id, departmentId } = req.params;
+    const department = mongoose.isValidObjectId(departmentId)
+        ? await Department.findOne({ _id: departmentId, hospital: id })
+        : null;
+    if (!department) {
+        res.status(404).json({ success: false, message: 'Department not found' });
+        return null;
+    }
+    return department;
+};
+
+// Pending referrals per department queue, plus the general queue under `null`
+const countPendingByDepartment = async (hospitalId) => {
+    const rows = await Referral.aggregate([
+        { $match: { receivingHospital: new mongoose.Types.ObjectId(hospitalId), status: 'pending' } },
+        { $group: { _id: '$receivingDepartment', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [row._id ? row._id.toString() : null, row.count]));
+};
+
+// @desc    List a hospital's departments (with queue sizes for the hospital's staff)
+// @route   GET /api/hospitals/:id/departments
+// @access  Private (approved users)
+const getDepartments = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { includeInactive } = req.query;
+
+        if (!mongoose.isValidObjectId(id)) {
+            return res.status(404).json({ success: false, message: 'Hospital not found' });
+        }
+
+        const filter = { hospital: id };
+        if (!(includeInactive === 'true' && canManageDepartments(req.user, id))) {
+            filter.isActive = true;
+        }
+
+        const departments = await populateStaff(Department.find(filter)).sort({ name: 1 }).lean();
+
+        if (!isHospitalStaff(req.user, id)) {
+            return res.json({ success: true, data: { departments } });
+        }
+
+        const pending = await countPendingByDepartment(id);
+        res.json({
+            success: true,
+            data: {
+                departments: departments.map(department => ({
+                    ...department,
+                    queue: { pending: pending.get(department._id.toString()) || 0 }
+                })),
+                generalQueue: { pending: pending.get(null) || 0 }
+            }
+        });
+    } catch (error) {
+        console.error('Get departments error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching departments', error: error.message });
+    }
+};
+
+// @desc    Create a department
+// @route   POST /api/hospitals/:id/departments
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const createDepartment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, specialtyCode, description, headDoctor, members = [], intakeCoordinator } = req.body;
+
+        if (!canManageDepartments(req.user, id)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to manage departments for this hospital' });
+        }
+
+        if (!name || !name.trim()) {
+            return res.status(400).json({ success: false, message: 'Department name is required' });
+        }
+
+        const hospital = await Hospital.findById(id).select('_id');
+        if (!hospital) {
+            return res.status(404).json({ success: false, message: 'Hospital not found' });
+        }
+
+        const staffError = await validateDepartmentStaff(id, { headDoctor, members, intakeCoordinator });
+        if (staffError) {
+            return res.status(400).json({ success: false, message: staffError });
+        }
+
+        const department = await Department.create({
+            hospital: id,
+            name,
+            specialtyCode: toSpecialtyCode(specialtyCode || name),
+            description,
+            headDoctor: headDoctor || undefined,
+            members,
+            intakeCoordinator: intakeCoordinator || undefined,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Department created successfully',
+            data: await populateStaff(Department.findById(department._id)).lean()
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'This hospital already has a department for that specialty code' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Create department error:', error);
+        res.status(500).json({ success: false, message: 'Error creating department', error: error.message });
+    }
+};
+
+// @desc    Update a department (name, specialty code, staff, isActive)
+// @route   PUT /api/hospitals/:id/departments/:departmentId
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const updateDepartment = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { name, specialtyCode, description, headDoctor, members, intakeCoordinator, isActive } = req.body;
+
+        if (!canManageDepartments(req.user, id)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to manage departments for this hospital' });
+        }
+
+        const department = await loadDepartment(req, res);
+        if (!department) return;
+
+        const staffError = await validateDepartmentStaff(id, {
+            headDoctor: headDoctor !== undefined ? headDoctor : department.headDoctor,
+            members: members !== undefined ? members : department.members,
+            intakeCoordinator: intakeCoordinator !== undefined ? intakeCoordinator : department.intakeCoordinator
+        });
+        if (staffError) {
+            return res.status(400).json({ success: false, message: staffError });
+        }
+
+        if (name !== undefined) department.name = name;
+        if (specialtyCode !== undefined) department.specialtyCode = toSpecialtyCode(specialtyCode);
+        if (description !== undefined) department.description = description;
+        if (headDoctor !== undefined) department.headDoctor = headDoctor || undefined;
+        if (members !== undefined) department.members = members;
+        if (intakeCoordinator !== undefined) department.intakeCoordinator = intakeCoordinator || undefined;
+        if (isActive !== undefined) department.isActive = isActive;
+        await department.save();
+
+        res.json({
+            success: true,
+            message: 'Department updated successfully',
+            data: await populateStaff(Department.findById(department._id)).lean()
+        });
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'This hospital already has a department for that specialty code' });
+        }
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        console.error('Update department error:', error);
+        res.status(500).json({ success: false, message: 'Error updating department', error: error.message });
+    }
+};
+
+// @desc    Delete a department; its referrals move back to the hospital's general queue
+// @route   DELETE /api/hospitals/:id/departments/:departmentId
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const deleteDepartment = async (req, res) => {
+    try {
+        if (!canManageDepartments(req.user, req.params.id)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to manage departments for this hospital' });
+        }
+
+        const department = await loadDepartment(req, res);
+        if (!department) return;
+
+        const { modifiedCount } = await Referral.updateMany(
+            { receivingDepartment: department._id },
+            { $unset: { receivingDepartment: 1 } }
+        );
+        await department.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Department deleted successfully',
+            data: { referralsMovedToGeneralQueue: modifiedCount }
+        });
+    } catch (error) {
+        console.error('Delete department error:', error);
+        res.status(500).json({ success: false, message: 'Error deleting department', error: error.message });
+    }
+};
+
+// @desc    A department's referral queue, most urgent and oldest first, with SLA countdowns
+// @route   GET /api/hospitals/:id/departments/:departmentId/referrals
+// @access  Private (Department staff, Hospital Admin of that hospital, Super Admin)
+const getDepartmentQueue = async (req, res) => {
+    try {
+        const { status = 'pending', priority, page = 1, limit = 20 } = req.query;
+
+        const department = await loadDepartment(req, res);
+        if (!department) return;
+
+        if (!canManageDepartments(req.user, req.params.id) && !isDepartmentStaff(department, req.user)) {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        const match = { receivingDepartment: department._id, status };
+        if (priority) match.priority = priority;
+
+        const { items, total } = await loadQueuePage(match, { page, limit });
+
+        res.json({
+            success: true,
+            data: {
+                department: { _id: department._id, name: department.name, specialtyCode: department.specialtyCode },
+                referrals: items,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get department queue error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching department queue', error: error.message });
+    }
+};
+
+module.exports = {
+    getDepartments,
+    createDepartment,
+    updateDepartment,
+    deleteDepartment,
+    getDepartmentQueue
+};
@@ -2,6 +2,8 @@ const User = require('../models/User');
 const Hospital = require('../models/Hospital');
 const Clinic = require('../models/Clinic');
 const Referral = require('../models/Referral');
+const { validateNewPassword } = require('../services/passwordPolicy');
+const { sendVerificationEmail } = require('../services/emailVerification');
 
 // @desc    Get all doctors
 // @route   GET /api/doctors
@@ -175,6 +177,16 @@ const createDoctor = async (req, res) => {
             qualification
         } = req.body;
 
+        // Staff choose the doctor's password, so it must meet the policy like any other
+        const passwordCheck = validateNewPassword(password, { firstName, lastName, email });
+        if (!passwordCheck.ok) {
+            return res.status(passwordCheck.statusCode).json({
+                success: false,
+                message: passwordCheck.message,
+                errors: passwordCheck.errors
+            });
+        }
+
         // Check if email already exists
         const existingUser = await User.findOne({ email });
         if (existingUser) {
@@ -250,6 +262,8 @@ const createDoctor = async (req, res) => {
             await doctor.save();
         }
 
+        await sendVerificationEmail(doctor);
+
         const createdDoctor = await User.findById(doctor._id)
             .populate('hospitalId', 'name address')
             .populate('clinicId', 'name address')
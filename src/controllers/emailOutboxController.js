@@ -0,0 +1,67 @@
+const EmailOutbox = require('../models/EmailOutbox');
+const { BODY_PROJECTION, retryDeadEmail } = require('../services/email');
+
+// @desc    List outbox messages (e.g. dead letters awaiting a manual retry)
+// @route   GET /api/email-outbox
+// @access  Private (Super Admin)
+const getOutbox = async (req, res) => {
+    try {
+        const { status, to, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+        if (status) filter.status = status;
+        if (to) filter.to = String(to).toLowerCase();
+
+        const emails = await EmailOutbox.find(filter)
+            .select(BODY_PROJECTION)
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await EmailOutbox.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                emails,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get email outbox error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching email outbox', error: error.message });
+    }
+};
+
+// @desc    Queue a dead-lettered message for delivery again
+// @route   POST /api/email-outbox/:id/retry
+// @access  Private (Super Admin)
+const retryOutboxEmail = async (req, res) => {
+    try {
+        const email = await retryDeadEmail(req.params.id);
+        if (!email) {
+            return res.status(404).json({
+                success: false,
+                message: 'Dead-lettered email not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Email queued for another delivery attempt',
+            data: { email }
+        });
+    } catch (error) {
+        console.error('Retry email error:', error);
+        res.status(500).json({ success: false, message: 'Error retrying email', error: error.message });
+    }
+};
+
+module.exports = {
+    getOutbox,
+    retryOutboxEmail
+};
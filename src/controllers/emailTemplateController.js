@@ -0,0 +1,66 @@
+const { emailTemplates } = require('../config/email');
+const {
+    DEFAULT_LOCALE,
+    listTemplates,
+    getSupportedLocales,
+    getSampleData
+} = require('../services/email/templates');
+
+// @desc    List email templates with their versions and translations
+// @route   GET /api/email-templates
+// @access  Private (Super Admin)
+const getEmailTemplates = async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                templates: listTemplates(),
+                locales: getSupportedLocales(),
+                defaultLocale: DEFAULT_LOCALE
+            }
+        });
+    } catch (error) {
+        console.error('List email templates error:', error);
+        res.status(500).json({ success: false, message: 'Error listing email templates', error: error.message });
+    }
+};
+
+// @desc    Render a template with sample data (optionally overridden by body.data)
+// @route   GET|POST /api/email-templates/:name/preview?locale=&format=html
+// @access  Private (Super Admin)
+const previewEmailTemplate = async (req, res) => {
+    try {
+        const { name } = req.params;
+        const { locale = DEFAULT_LOCALE, format } = req.query;
+
+        if (!Object.prototype.hasOwnProperty.call(emailTemplates, name)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Email template not found'
+            });
+        }
+
+        const data = { ...getSampleData(name), ...(req.body?.data || {}) };
+        const email = emailTemplates[name](data, locale);
+
+        if (format === 'html') {
+            return res.type('html').send(email.html);
+        }
+        if (format === 'text') {
+            return res.type('text').send(email.text);
+        }
+
+        res.json({
+            success: true,
+            data: email
+        });
+    } catch (error) {
+        console.error('Preview email template error:', error);
+        res.status(500).json({ success: false, message: 'Error rendering email template', error: error.message });
+    }
+};
+
+module.exports = {
+    getEmailTemplates,
+    previewEmailTemplate
+};
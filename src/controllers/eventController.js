@@ -0,0 +1,25 @@
+const { addClient } = require('../services/realtime');
+const { getUserDepartmentIds } = require('../services/departmentRouting');
+
+// @desc    Stream referral and record events to the current user (Server-Sent Events)
+// @route   GET /api/events/stream
+// @access  Private
+const streamEvents = async (req, res) => {
+    let departmentIds;
+    try {
+        departmentIds = await getUserDepartmentIds(req.user);
+    } catch (error) {
+        console.error('Stream events error:', error);
+        return res.status(500).json({ success: false, message: 'Error opening event stream', error: error.message });
+    }
+
+    const removeClient = addClient(req.user, res, { departmentIds, sessionId: req.sessionId });
+
+    req.on('close', () => {
+        removeClient();
+    });
+};
+
+module.exports = {
+    streamEvents
+};
@@ -0,0 +1,139 @@
+const User = require('../models/User');
+const FileAccessLog = require('../models/FileAccessLog');
+const { resolveFile, sendStoredFile, logFileAccess } = require('../services/fileAccess');
+const { createFileLinkToken, verifyFileLinkToken } = require('../services/fileLinks');
+
+// @desc    Download a file the current user has access to
+// @route   GET /api/files/:kind/:ownerId/:fileId
+// @access  Private
+const downloadFile = async (req, res) => {
+    try {
+        const { kind, ownerId, fileId } = req.params;
+
+        const resolved = await resolveFile(kind, ownerId, fileId);
+        if (!resolved) {
+            return res.status(404).json({ success: false, message: 'File not found' });
+        }
+
+        if (!await resolved.canAccess(req.user)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to access this file' });
+        }
+
+        logFileAccess(req, req.user, kind, ownerId, resolved.file, 'direct');
+        await sendStoredFile(res, resolved.file);
+    } catch (error) {
+        console.error('Download file error:', error);
+        res.status(500).json({ success: false, message: 'Error downloading file' });
+    }
+};
+
+// @desc    Issue a short-lived signed link for a file
+// @route   POST /api/files/:kind/:ownerId/:fileId/link
+// @access  Private
+const createFileLink = async (req, res) => {
+    try {
+        const { kind, ownerId, fileId } = req.params;
+
+        const resolved = await resolveFile(kind, ownerId, fileId);
+        if (!resolved) {
+            return res.status(404).json({ success: false, message: 'File not found' });
+        }
+
+        if (!await resolved.canAccess(req.user)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to access this file' });
+        }
+
+        const { token, expiresAt } = createFileLinkToken({
+            kind,
+            ownerId,
+            fileId,
+            userId: req.user._id
+        }, req.body.expiresIn);
+
+        const baseUrl = process.env.API_URL || `${req.protocol}://${req.get('host')}`;
+
+        res.status(201).json({
+            success: true,
+            data: {
+                url: `${baseUrl}/api/files/signed/${token}`,
+                expiresAt
+            }
+        });
+    } catch (error) {
+        console.error('Create file link error:', error);
+        res.status(500).json({ success: false, message: 'Error creating file link' });
+    }
+};
+
+// @desc    Download a file through a signed link
+// @route   GET /api/files/signed/:token
+// @access  Public (signed, expiring)
+const downloadSignedFile = async (req, res) => {
+    try {
+        const link = verifyFileLinkToken(req.params.token);
+        if (!link) {
+            return res.status(403).json({ success: false, message: 'Link is invalid or has expired' });
+        }
+
+        // Re-check access so deactivated users or revoked access invalidate issued links
+        const user = await User.findById(link.userId);
+        const resolved = await resolveFile(link.kind, link.ownerId, link.fileId);
+        if (!resolved) {
+            return res.status(404).json({ success: false, message: 'File not found' });
+        }
+
+        if (!user || !user.isActive || !await resolved.canAccess(user)) {
+            return res.status(403).json({ success: false, message: 'Link is invalid or has expired' });
+        }
+
+        logFileAccess(req, user, link.kind, link.ownerId, resolved.file, 'signed_link');
+        await sendStoredFile(res, resolved.file);
+    } catch (error) {
+        console.error('Signed download error:', error);
+        res.status(500).json({ success: false, message: 'Error downloading file' });
+    }
+};
+
+// @desc    Get the file access log
+// @route   GET /api/files/access-log
+// @access  Private (Super Admin only)
+const getFileAccessLog = async (req, res) => {
+    try {
+        const { user, kind, owner, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+        if (user) filter.user = user;
+        if (kind) filter.kind = kind;
+        if (owner) filter.owner = owner;
+
+        const logs = await FileAccessLog.find(filter)
+            .populate('user', 'firstName lastName email role')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await FileAccessLog.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                logs,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get file access log error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching file access log', error: error.message });
+    }
+};
+
+module.exports = {
+    downloadFile,
+    createFileLink,
+    downloadSignedFile,
+    getFileAccessLog
+};
@@ -1,6 +1,9 @@
 const Hospital = require('../models/Hospital');
 const User = require('../models/User');
 const { sendEmail, emailTemplates } = require('../config/email');
+const { describeCapacity, freshSince } = require('../services/hospitalCapacity');
+const { validateNewPassword } = require('../services/passwordPolicy');
+const { sendVerificationEmail } = require('../services/emailVerification');
 
 // Create hospital (public registration or super admin)
 const createHospital = async (req, res) => {
@@ -8,6 +11,22 @@ const createHospital = async (req, res) => {
         const hospitalData = req.body;
         const isSuperAdmin = req.user && req.user.role === 'super_admin';
 
+        // The hospital admin's password must meet the policy like any other account's
+        if (hospitalData.password) {
+            const passwordCheck = validateNewPassword(hospitalData.password, {
+                firstName: hospitalData.firstName,
+                lastName: hospitalData.lastName,
+                email: hospitalData.email
+            });
+            if (!passwordCheck.ok) {
+                return res.status(passwordCheck.statusCode).json({
+                    success: false,
+                    message: passwordCheck.message,
+                    errors: passwordCheck.errors
+                });
+            }
+        }
+
         // Check if hospital with same email already exists
         const existingHospital = await Hospital.findOne({ email: hospitalData.email });
         if (existingHospital) {
@@ -43,6 +62,7 @@ const createHospital = async (req, res) => {
             });
 
             await hospitalUser.save();
+            await sendVerificationEmail(hospitalUser);
         }
 
         res.status(201).json({
@@ -175,6 +195,10 @@ const updateHospital = async (req, res) => {
             updateData.description = undefined;
         }
 
+        // Availability is published through /api/hospitals/:id/capacity, which keeps its history
+        delete updateData.wards;
+        delete updateData.availability;
+
         const updatedHospital = await Hospital.findByIdAndUpdate(
             id,
             updateData,
@@ -252,14 +276,30 @@ const deleteHospital = async (req, res) => {
 // Get approved hospitals (public)
 const getApprovedHospitals = async (req, res) => {
     try {
-        const hospitals = await Hospital.find({
+        const { minBeds, minIcuBeds, minEmergencyBeds, wardType, excludeStale, specialty } = req.query;
+
+        const filter = {
             status: 'approved',
             isActive: true
-        }).select('name address specialties capacity services website description');
+        };
+        if (minBeds) filter['availability.beds'] = { $gte: parseInt(minBeds) };
+        if (minIcuBeds) filter['availability.icuBeds'] = { $gte: parseInt(minIcuBeds) };
+        if (minEmergencyBeds) filter['availability.emergencyBeds'] = { $gte: parseInt(minEmergencyBeds) };
+        if (wardType) filter.wards = { $elemMatch: { type: wardType, availableBeds: { $gt: 0 } } };
+        if (excludeStale === 'true') filter['availability.updatedAt'] = { $gte: freshSince() };
+        if (specialty) filter.specialties = specialty;
+
+        const hospitals = await Hospital.find(filter)
+            .select('name address specialties capacity services website description wards availability')
+            .lean();
 
+        const now = new Date();
         res.json({
             success: true,
-            data: hospitals
+            data: hospitals.map(hospital => ({
+                ...hospital,
+                ...describeCapacity(hospital, now)
+            }))
         });
     } catch (error) {
         console.error('Get approved hospitals error:', error);
@@ -0,0 +1,141 @@
+const mongoose = require('mongoose');
+const { loadQueuePage, claimReferral: claim, assignReferral: assign, OPEN_STATUSES } = require('../services/intakeQueue');
+const { getSlaHours } = require('../services/jobs/referralSla');
+const { REFERRAL_STATUSES } = require('../services/referralWorkflow');
+const Referral = require('../models/Referral');
+
+// Conditions for pending referrals past their SLA
+const overdueConditions = (now) => Object.entries(getSlaHours()).map(([priority, hours]) => ({
+    status: 'pending',
+    priority,
+    createdAt: { $lte: new Date(now.getTime() - hours * 60 * 60 * 1000) }
+}));
+
+/**
+ * Intake queue of the receiving hospital: incoming referrals only, most urgent and oldest first
+ */
+const getIntakeQueue = async (req, res) => {
+    try {
+        const user = req.user;
+        const { status = 'pending', priority, department, assigned, hospitalId, page = 1, limit = 20 } = req.query;
+
+        let receivingHospital;
+        if (user.role === 'super_admin') {
+            if (!hospitalId || !mongoose.isValidObjectId(hospitalId)) {
+                return res.status(400).json({ success: false, message: 'hospitalId is required' });
+            }
+            receivingHospital = hospitalId;
+        } else if (['hospital', 'doctor'].includes(user.role) && user.hospitalId) {
+            receivingHospital = user.hospitalId;
+        } else {
+            return res.status(403).json({ success: false, message: 'Only receiving hospital staff have an intake queue' });
+        }
+
+        if (status !== 'open' && !REFERRAL_STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, message: `Status must be "open" or one of: ${REFERRAL_STATUSES.join(', ')}` });
+        }
+
+        const match = {
+            receivingHospital: new mongoose.Types.ObjectId(receivingHospital),
+            status: status === 'open' ? { $in: OPEN_STATUSES } : status
+        };
+        if (priority) match.priority = priority;
+        if (department && department !== 'none' && !mongoose.isValidObjectId(department)) {
+            return res.status(400).json({ success: false, message: 'Invalid department ID' });
+        }
+        if (department) {
+            match.receivingDepartment = department === 'none' ? null : new mongoose.Types.ObjectId(department);
+        }
+
+        // Doctors see what is still up for grabs plus their own
+        const me = new mongoose.Types.ObjectId(user._id);
+        if (user.role === 'doctor') {
+            match.receivingDoctor = assigned === 'unassigned' ? null : assigned === 'me' ? me : { $in: [null, me] };
+        } else if (assigned === 'unassigned') {
+            match.receivingDoctor = null;
+        } else if (assigned === 'me') {
+            match.receivingDoctor = me;
+        } else if (assigned === 'assigned') {
+            match.receivingDoctor = { $ne: null };
+        }
+
+        const now = new Date();
+        const { items, total } = await loadQueuePage(match, { page, limit, now });
+
+        const hospitalQueue = { receivingHospital: match.receivingHospital, status: { $in: OPEN_STATUSES } };
+        const [unassigned, overdue] = await Promise.all([
+            Referral.countDocuments({ ...hospitalQueue, receivingDoctor: null }),
+            Referral.countDocuments({ receivingHospital: match.receivingHospital, $or: overdueConditions(now) })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                referrals: items,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                },
+                summary: { unassigned, overdue }
+            }
+        });
+    } catch (error) {
+        console.error('Get intake queue error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching intake queue', error: error.message });
+    }
+};
+
+/**
+ * Claim a referral from the intake queue (doctors of the receiving hospital)
+ */
+const claimReferral = async (req, res) => {
+    try {
+        const result = await claim(req.params.id, req.user);
+        if (!result.ok) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message,
+                receivingDoctor: result.receivingDoctor
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Referral claimed successfully',
+            data: result.referral
+        });
+    } catch (error) {
+        console.error('Claim referral error:', error);
+        res.status(500).json({ success: false, message: 'Error claiming referral', error: error.message });
+    }
+};
+
+/**
+ * Assign a referral to a doctor and/or department (hospital admins, department intake coordinators)
+ */
+const assignReferral = async (req, res) => {
+    try {
+        const { doctorId, departmentId, note } = req.body;
+
+        const result = await assign(req.params.id, req.user, { doctorId, departmentId, note });
+        if (!result.ok) {
+            return res.status(result.statusCode).json({ success: false, message: result.message });
+        }
+
+        res.json({
+            success: true,
+            message: 'Referral assigned successfully',
+            data: result.referral
+        });
+    } catch (error) {
+        console.error('Assign referral error:', error);
+        res.status(500).json({ success: false, message: 'Error assigning referral', error: error.message });
+    }
+};
+
+module.exports = {
+    getIntakeQueue,
+    claimReferral,
+    assignReferral
+};
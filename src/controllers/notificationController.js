@@ -0,0 +1,140 @@
+const Notification = require('../models/Notification');
+
+// @desc    List the current user's notifications
+// @route   GET /api/notifications?unread=true&type=
+// @access  Private
+const getNotifications = async (req, res) => {
+    try {
+        const { unread, type, page = 1, limit = 20 } = req.query;
+
+        const filter = { recipient: req.user._id };
+        if (unread === 'true') filter.isRead = false;
+        if (type) filter.type = type;
+
+        const notifications = await Notification.find(filter)
+            .populate('actor', 'firstName lastName role')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const [total, unreadCount] = await Promise.all([
+            Notification.countDocuments(filter),
+            Notification.countDocuments({ recipient: req.user._id, isRead: false })
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                notifications,
+                unreadCount,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get notifications error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching notifications', error: error.message });
+    }
+};
+
+// @desc    Number of unread notifications (for the bell icon)
+// @route   GET /api/notifications/unread-count
+// @access  Private
+const getUnreadCount = async (req, res) => {
+    try {
+        const unreadCount = await Notification.countDocuments({ recipient: req.user._id, isRead: false });
+
+        res.json({
+            success: true,
+            data: { unreadCount }
+        });
+    } catch (error) {
+        console.error('Get unread notification count error:', error);
+        res.status(500).json({ success: false, message: 'Error counting notifications', error: error.message });
+    }
+};
+
+// @desc    Mark one notification as read
+// @route   PATCH /api/notifications/:id/read
+// @access  Private
+const markNotificationRead = async (req, res) => {
+    try {
+        const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+        if (!notification) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        if (!notification.isRead) {
+            notification.isRead = true;
+            notification.readAt = new Date();
+            await notification.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification marked as read',
+            data: { notification }
+        });
+    } catch (error) {
+        console.error('Mark notification read error:', error);
+        res.status(500).json({ success: false, message: 'Error updating notification', error: error.message });
+    }
+};
+
+// @desc    Mark all of the current user's notifications as read
+// @route   PATCH /api/notifications/read-all
+// @access  Private
+const markAllNotificationsRead = async (req, res) => {
+    try {
+        const result = await Notification.updateMany(
+            { recipient: req.user._id, isRead: false },
+            { $set: { isRead: true, readAt: new Date() } }
+        );
+
+        res.json({
+            success: true,
+            message: 'All notifications marked as read',
+            data: { updated: result.modifiedCount }
+        });
+    } catch (error) {
+        console.error('Mark all notifications read error:', error);
+        res.status(500).json({ success: false, message: 'Error updating notifications', error: error.message });
+    }
+};
+
+// @desc    Delete a notification
+// @route   DELETE /api/notifications/:id
+// @access  Private
+const deleteNotification = async (req, res) => {
+    try {
+        const result = await Notification.deleteOne({ _id: req.params.id, recipient: req.user._id });
+        if (result.deletedCount === 0) {
+            return res.status(404).json({
+                success: false,
+                message: 'Notification not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Notification deleted'
+        });
+    } catch (error) {
+        console.error('Delete notification error:', error);
+        res.status(500).json({ success: false, message: 'Error deleting notification', error: error.message });
+    }
+};
+
+module.exports = {
+    getNotifications,
+    getUnreadCount,
+    markNotificationRead,
+    markAllNotificationsRead,
+    deleteNotification
+};
@@ -1,6 +1,8 @@
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
 const crypto = require('crypto');
+const { validateNewPassword } = require('../services/passwordPolicy');
+const { sendVerificationEmail } = require('../services/emailVerification');
 
 // @desc    Get all patients
 // @route   GET /api/patients
@@ -165,6 +167,18 @@ const createPatient = async (req, res) => {
             });
         }
 
+        // A password chosen by staff must meet the policy; without one the patient gets a random one
+        if (password) {
+            const passwordCheck = validateNewPassword(password, { firstName, lastName, email });
+            if (!passwordCheck.ok) {
+                return res.status(passwordCheck.statusCode).json({
+                    success: false,
+                    message: passwordCheck.message,
+                    errors: passwordCheck.errors
+                });
+            }
+        }
+
         // Validate gender if provided (must be valid enum or undefined)
         if (gender && gender !== '' && !['male', 'female', 'other'].includes(gender)) {
             return res.status(400).json({
@@ -232,6 +246,9 @@ const createPatient = async (req, res) => {
         const patient = new User(patientData);
         await patient.save();
 
+        // The patient confirms the address staff entered before clinical data is shown to them
+        await sendVerificationEmail(patient);
+
         const createdPatient = await User.findById(patient._id)
             .populate('hospitalId', 'name address')
             .select('-password');
@@ -1,6 +1,20 @@
+const mongoose = require('mongoose');
 const MedicalRecord = require('../models/MedicalRecord');
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
+const { emitEvent } = require('../services/eventBus');
+const { storeUploadedFiles, removeStoredFile } = require('../services/storage');
+const { fileDownloadPath } = require('../services/fileLinks');
+const { ATTACHMENT_TYPES } = require('../middleware/upload');
+const { isRecordInScope, getRecordScopeConditions } = require('../services/referralScope');
+const { renderRecordSummary, renderPatientChart } = require('../services/pdf/medicalRecord');
+
+const sendPdf = (res, fileName, buffer) => {
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.send(buffer);
+};
 
 // @desc    Get all medical records for a patient
 // @route   GET /api/records
@@ -151,6 +165,8 @@ const createRecord = async (req, res) => {
 
         const record = await MedicalRecord.create(recordData);
 
+        emitEvent('record.created', { record, actor: req.user });
+
         const populatedRecord = await MedicalRecord.findById(record._id)
             .populate('patient', 'firstName lastName email phone')
             .populate('doctor', 'firstName lastName specialization')
@@ -222,12 +238,12 @@ const updateRecord = async (req, res) => {
     }
 };
 
-// @desc    Upload files to medical record
-// @route   POST /api/records/:id/files
-// @access  Private (Doctor only)
-const uploadRecordFiles = async (req, res) => {
+// Load the record an upload targets and check the user may add files to it.
+// Runs before clinicalFiles, so a refused request is answered without reading
+// its body; uploadRecordFiles uses req.record.
+const authorizeRecordUpload = async (req, res, next) => {
     try {
-        const record = await MedicalRecord.findById(req.params.id);
+        const record = mongoose.isValidObjectId(req.params.id) ? await MedicalRecord.findById(req.params.id) : null;
 
         if (!record) {
             return res.status(404).json({
@@ -244,26 +260,51 @@ const uploadRecordFiles = async (req, res) => {
             });
         }
 
-        // This would integrate with Cloudinary
-        // For now, just add the file info from request body
-        const { files } = req.body;
+        req.record = record;
+        next();
+    } catch (error) {
+        console.error('Authorize record upload error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// @desc    Upload files to medical record (multipart field "files")
+// @route   POST /api/records/:id/files
+// @access  Private (Doctor only)
+const uploadRecordFiles = async (req, res) => {
+    try {
+        const { record } = req;
 
-        if (!files || !Array.isArray(files)) {
+        const type = req.body.type || 'other';
+        if (!ATTACHMENT_TYPES.includes(type)) {
             return res.status(400).json({
                 success: false,
-                message: 'Files array is required'
+                message: `File type must be one of: ${ATTACHMENT_TYPES.join(', ')}`
             });
         }
 
-        files.forEach(file => {
+        const stored = await storeUploadedFiles(req.files, `records/${record._id}`);
+        stored.forEach(entry => {
             record.attachments.push({
-                ...file,
+                ...entry,
+                type,
                 uploadedBy: req.user._id,
                 uploadedAt: new Date()
             });
+            const attachment = record.attachments[record.attachments.length - 1];
+            attachment.url = fileDownloadPath('record', record._id, attachment._id);
         });
 
-        await record.save();
+        try {
+            await record.save();
+        } catch (saveError) {
+            await Promise.all(stored.map(entry => removeStoredFile(entry.storage).catch(() => { })));
+            throw saveError;
+        }
 
         res.status(200).json({
             success: true,
@@ -280,6 +321,59 @@ const uploadRecordFiles = async (req, res) => {
     }
 };
 
+// @desc    Delete a file from medical record
+// @route   DELETE /api/records/:id/files/:fileId
+// @access  Private (Doctor only)
+const deleteRecordFile = async (req, res) => {
+    try {
+        const record = await MedicalRecord.findById(req.params.id);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Medical record not found'
+            });
+        }
+
+        if (record.doctor.toString() !== req.user._id.toString() && req.user.role !== 'super_admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to delete files from this record'
+            });
+        }
+
+        const attachment = record.attachments.id(req.params.fileId);
+        if (!attachment) {
+            return res.status(404).json({
+                success: false,
+                message: 'File not found'
+            });
+        }
+
+        const removed = attachment.toObject();
+        attachment.deleteOne();
+        await record.save();
+
+        try {
+            await removeStoredFile(removed.storage);
+        } catch (storageError) {
+            console.error('File cleanup error:', storageError.message);
+        }
+
+        res.status(200).json({
+            success: true,
+            message: 'File deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete file error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
 // @desc    Get files from medical record
 // @route   GET /api/records/:id/files
 // @access  Private
@@ -324,11 +418,122 @@ const getRecordFiles = async (req, res) => {
     }
 };
 
+// @desc    Download a medical record as PDF
+// @route   GET /api/records/:id/pdf
+// @access  Private (same access as GET /api/records/:id)
+const getRecordPdf = async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Medical record not found'
+            });
+        }
+
+        const record = await MedicalRecord.findById(req.params.id)
+            .select('-attachments -billing')
+            .populate('patient', 'firstName lastName email phone dateOfBirth gender address')
+            .populate('doctor', 'firstName lastName specialization licenseNumber')
+            .populate('hospital', 'name address phone email')
+            .lean();
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Medical record not found'
+            });
+        }
+
+        if (!isRecordInScope(record, req.user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access this record'
+            });
+        }
+
+        const buffer = await renderRecordSummary(record);
+        sendPdf(res, `medical-record-${record.recordId}.pdf`, buffer);
+    } catch (error) {
+        console.error('Get record PDF error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
+// @desc    Export a patient's chart (all visible records in a date range) as PDF
+// @route   GET /api/records/chart/:patientId/pdf?startDate=&endDate=
+// @access  Private (includes only records the user may open individually)
+const getPatientChartPdf = async (req, res) => {
+    try {
+        const { patientId } = req.params;
+        const { startDate, endDate } = req.query;
+        const user = req.user;
+
+        const range = {};
+        if (startDate) range.$gte = new Date(startDate);
+        if (endDate) range.$lte = new Date(endDate);
+        if (Object.values(range).some(date => Number.isNaN(date.getTime()))) {
+            return res.status(400).json({
+                success: false,
+                message: 'startDate and endDate must be valid dates'
+            });
+        }
+
+        const patient = mongoose.isValidObjectId(patientId) && await User.findById(patientId)
+            .select('firstName lastName email phone dateOfBirth gender address role')
+            .lean();
+        if (!patient || patient.role !== 'patient') {
+            return res.status(404).json({
+                success: false,
+                message: 'Patient not found'
+            });
+        }
+
+        const filter = { patient: patient._id };
+        if (startDate || endDate) filter.visitDate = range;
+        const scopeConditions = getRecordScopeConditions(user);
+        if (scopeConditions) filter.$or = scopeConditions;
+
+        const records = await MedicalRecord.find(filter)
+            .select('-attachments -billing')
+            .populate('doctor', 'firstName lastName specialization licenseNumber')
+            .populate('hospital', 'name address phone email')
+            .sort({ visitDate: -1 })
+            .lean();
+
+        // Without any visible record only the patient and super admins may export (an empty) chart
+        const isSelf = patient._id.toString() === user._id.toString();
+        if (records.length === 0 && !isSelf && user.role !== 'super_admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to access records for this patient'
+            });
+        }
+
+        const buffer = await renderPatientChart(patient, records, { startDate, endDate });
+        sendPdf(res, `patient-chart-${patient._id}.pdf`, buffer);
+    } catch (error) {
+        console.error('Get patient chart PDF error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error',
+            error: process.env.NODE_ENV === 'development' ? error.message : undefined
+        });
+    }
+};
+
 module.exports = {
     getRecords,
     getRecordById,
     createRecord,
     updateRecord,
+    authorizeRecordUpload,
     uploadRecordFiles,
-    getRecordFiles
+    deleteRecordFile,
+    getRecordFiles,
+    getRecordPdf,
+    getPatientChartPdf
 };
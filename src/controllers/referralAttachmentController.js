@@ -0,0 +1,194 @@
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const { getActorParties, PARTIES } = require('../services/referralWorkflow');
+const { storeUploadedFiles, removeStoredFile } = require('../services/storage');
+const { fileDownloadPath } = require('../services/fileLinks');
+const { ATTACHMENT_TYPES } = require('../middleware/upload');
+
+// The clinical sides of the referral (and super admins) manage its files
+const canManageFiles = (referral, user) => getActorParties(referral, user)
+    .some(party => [PARTIES.REFERRING, PARTIES.RECEIVING, PARTIES.SUPER_ADMIN].includes(party));
+
+// Remove stored files whose database write did not go through
+const discardStored = (entries) => Promise.all(
+    entries.map(entry => removeStoredFile(entry.storage).catch(err => console.error('File cleanup error:', err.message)))
+);
+
+/**
+ * Load the referral (and investigation) an upload targets and check the user
+ * may add files to it. Runs before clinicalFiles, so a refused request is
+ * answered without reading its body; the upload handlers use req.referral.
+ */
+const authorizeReferralUpload = async (req, res, next) => {
+    try {
+        const { id, investigationId } = req.params;
+
+        const referral = mongoose.isValidObjectId(id) ? await Referral.findById(id) : null;
+        if (!referral) {
+            return res.status(404).json({ success: false, message: 'Referral not found' });
+        }
+
+        if (!canManageFiles(referral, req.user)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to upload files to this referral' });
+        }
+
+        if (investigationId !== undefined && !referral.investigations.id(investigationId)) {
+            return res.status(404).json({ success: false, message: 'Investigation not found' });
+        }
+
+        req.referral = referral;
+        next();
+    } catch (error) {
+        console.error('Authorize referral upload error:', error);
+        res.status(500).json({ success: false, message: 'Error uploading files', error: error.message });
+    }
+};
+
+/**
+ * Upload attachments to a referral (multipart field "files")
+ */
+const uploadReferralAttachments = async (req, res) => {
+    try {
+        const { user, referral } = req;
+        const type = req.body.type || 'other';
+
+        if (!ATTACHMENT_TYPES.includes(type)) {
+            return res.status(400).json({ success: false, message: `Attachment type must be one of: ${ATTACHMENT_TYPES.join(', ')}` });
+        }
+
+        const stored = await storeUploadedFiles(req.files, `referrals/${referral._id}`);
+        stored.forEach(entry => {
+            referral.attachments.push({ ...entry, type, uploadedBy: user._id, uploadedAt: new Date() });
+            const attachment = referral.attachments[referral.attachments.length - 1];
+            attachment.url = fileDownloadPath('referral', referral._id, attachment._id);
+        });
+
+        referral.recordEvent('attachment_added', user, {
+            changes: stored.map(entry => ({ field: 'attachments', from: null, to: entry.name })),
+            notes: `${stored.length} file(s) attached`
+        });
+
+        try {
+            await referral.save();
+        } catch (saveError) {
+            await discardStored(stored);
+            throw saveError;
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Files uploaded successfully',
+            data: referral.attachments.slice(-stored.length)
+        });
+    } catch (error) {
+        console.error('Upload referral attachments error:', error);
+        res.status(500).json({ success: false, message: 'Error uploading files', error: error.message });
+    }
+};
+
+/**
+ * Attach the result file of one investigation (multipart field "file")
+ */
+const uploadInvestigationFile = async (req, res) => {
+    try {
+        const { user, referral } = req;
+        const { investigationId } = req.params;
+        const investigation = referral.investigations.id(investigationId);
+
+        const [entry] = await storeUploadedFiles(req.files, `referrals/${referral._id}`);
+        referral.attachments.push({ ...entry, type: 'lab_report', uploadedBy: user._id, uploadedAt: new Date() });
+        const attachment = referral.attachments[referral.attachments.length - 1];
+        attachment.url = fileDownloadPath('referral', referral._id, attachment._id);
+
+        // A new result file replaces the previous one
+        const previousAttachment = investigation.attachment ? referral.attachments.id(investigation.attachment) : null;
+        const previous = previousAttachment ? previousAttachment.toObject() : null;
+        const previousFile = investigation.file || null;
+        investigation.file = attachment.url;
+        investigation.attachment = attachment._id;
+        if (previousAttachment) {
+            previousAttachment.deleteOne();
+        }
+
+        referral.recordEvent('attachment_added', user, {
+            changes: [{ field: `investigations.${investigationId}.file`, from: previousFile, to: entry.name }],
+            notes: `Result file attached to ${investigation.type || 'investigation'}`
+        });
+
+        try {
+            await referral.save();
+        } catch (saveError) {
+            await discardStored([entry]);
+            throw saveError;
+        }
+
+        if (previous) {
+            await discardStored([previous]);
+        }
+
+        res.status(201).json({
+            success: true,
+            message: 'Investigation file uploaded successfully',
+            data: investigation
+        });
+    } catch (error) {
+        console.error('Upload investigation file error:', error);
+        res.status(500).json({ success: false, message: 'Error uploading file', error: error.message });
+    }
+};
+
+/**
+ * Delete a referral attachment (uploader or super admin)
+ */
+const deleteReferralAttachment = async (req, res) => {
+    try {
+        const user = req.user;
+        const { id, attachmentId } = req.params;
+
+        const referral = await Referral.findById(id);
+        if (!referral) {
+            return res.status(404).json({ success: false, message: 'Referral not found' });
+        }
+
+        const attachment = referral.attachments.id(attachmentId);
+        if (!attachment) {
+            return res.status(404).json({ success: false, message: 'Attachment not found' });
+        }
+
+        const isUploader = attachment.uploadedBy?.toString() === user._id.toString();
+        if (!(isUploader && canManageFiles(referral, user)) && user.role !== 'super_admin') {
+            return res.status(403).json({ success: false, message: 'Not authorized to delete this attachment' });
+        }
+
+        // Clear investigations that pointed at this file
+        referral.investigations.forEach(investigation => {
+            if (investigation.attachment?.toString() === attachment._id.toString()) {
+                investigation.file = undefined;
+                investigation.attachment = undefined;
+            }
+        });
+
+        const removed = attachment.toObject();
+        attachment.deleteOne();
+
+        referral.recordEvent('attachment_removed', user, {
+            changes: [{ field: 'attachments', from: removed.name, to: null }],
+            notes: 'Attachment removed'
+        });
+
+        await referral.save();
+        await discardStored([removed]);
+
+        res.json({ success: true, message: 'Attachment deleted successfully' });
+    } catch (error) {
+        console.error('Delete referral attachment error:', error);
+        res.status(500).json({ success: false, message: 'Error deleting attachment', error: error.message });
+    }
+};
+
+module.exports = {
+    authorizeReferralUpload,
+    uploadReferralAttachments,
+    uploadInvestigationFile,
+    deleteReferralAttachment
+};
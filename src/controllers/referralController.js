@@ -1,6 +1,49 @@
+const mongoose = require('mongoose');
 const Referral = require('../models/Referral');
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
+const { validateTransition, getAllowedTransitions, canViewReferral } = require('../services/referralWorkflow');
+const { snapshot, diffSnapshots } = require('../services/referralTimeline');
+const { getReferralScopeConditions } = require('../services/referralScope');
+const { emitEvent } = require('../services/eventBus');
+const { getReferralLetter } = require('../services/referralLetters');
+const { suggestDestinations: rankDestinations } = require('../services/destinationMatching');
+const { routeToDepartment, getUserDepartmentIds } = require('../services/departmentRouting');
+const Department = require('../models/Department');
+const { forwardReferral: forward, FORWARDING_POPULATE } = require('../services/referralForwarding');
+const { sameId } = require('../utils/ids');
+
+// Fields whose changes are recorded as a reassignment rather than a plain update
+const REASSIGNMENT_FIELDS = ['receivingHospital', 'receivingDoctor', 'receivingDepartment'];
+
+// Counters returned with the referral list
+const STAT_STATUSES = ['pending', 'accepted', 'completed', 'cancelled', 'expired', 'forwarded'];
+const STAT_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+/**
+ * Count the referrals matching `query`, per status and per priority, in one
+ * aggregation. $match does not cast, so the filter is cast by a query first.
+ */
+const countReferralStats = async (query) => {
+    const countWhere = (field, value) => ({ $sum: { $cond: [{ $eq: [`$${field}`, value] }, 1, 0] } });
+    const [counts = {}] = await Referral.aggregate([
+        { $match: Referral.where(query).cast() },
+        {
+            $group: {
+                _id: null,
+                total: { $sum: 1 },
+                ...Object.fromEntries(STAT_STATUSES.map(status => [status, countWhere('status', status)])),
+                ...Object.fromEntries(STAT_PRIORITIES.map(priority => [`priority_${priority}`, countWhere('priority', priority)]))
+            }
+        }
+    ]);
+
+    return {
+        total: counts.total || 0,
+        ...Object.fromEntries(STAT_STATUSES.map(status => [status, counts[status] || 0])),
+        byPriority: Object.fromEntries(STAT_PRIORITIES.map(priority => [priority, counts[`priority_${priority}`] || 0]))
+    };
+};
 
 /**
  * Get all referrals with filtering, searching, and pagination
@@ -17,29 +60,18 @@ const getReferrals = async (req, res) => {
             limit = 10,
             hospitalId,
             patientId,
-            doctorId
+            doctorId,
+            department
         } = req.query;
 
         const query = {};
         const orConditions = [];
 
         // Role-based filtering
-        if (user.role === 'hospital' && user.hospitalId) {
-            orConditions.push(
-                { referringHospital: user.hospitalId },
-                { receivingHospital: user.hospitalId }
-            );
-        } else if (user.role === 'doctor') {
-            orConditions.push(
-                { referringDoctor: user._id },
-                { receivingDoctor: user._id }
-            );
-            // Also include referrals where the doctor's clinic is the referring entity
-            if (user.practiceType === 'own_clinic' && user.clinicId) {
-                orConditions.push({ referringClinic: user.clinicId });
-            }
-        } else if (user.role === 'patient') {
-            query.patient = user._id;
+        const departmentIds = user.role === 'doctor' ? await getUserDepartmentIds(user) : [];
+        const scopeConditions = getReferralScopeConditions(user, { departmentIds });
+        if (scopeConditions) {
+            orConditions.push(...scopeConditions);
         }
 
         // Additional filters
@@ -52,6 +84,13 @@ const getReferrals = async (req, res) => {
         if (specialty) {
             query.specialty = specialty;
         }
+        // Department queue; "none" is the receiving hospital's general queue
+        if (department) {
+            if (department !== 'none' && !mongoose.isValidObjectId(department)) {
+                return res.status(400).json({ success: false, message: 'Invalid department ID' });
+            }
+            query.receivingDepartment = department === 'none' ? null : department;
+        }
 
         // Handle hospitalId filter (only for super_admin)
         if (hospitalId && user.role === 'super_admin') {
@@ -105,27 +144,14 @@ const getReferrals = async (req, res) => {
             .populate('referringClinic', 'name address')
             .populate('receivingDoctor', 'firstName lastName email specialization')
             .populate('receivingHospital', 'name address')
+            .populate('receivingDepartment', 'name specialtyCode')
             .sort({ createdAt: -1 })
             .skip(skip)
             .limit(parseInt(limit))
             .lean();
 
-        const total = await Referral.countDocuments(query);
-
-        // Calculate stats
-        const stats = {
-            total: await Referral.countDocuments(query),
-            pending: await Referral.countDocuments({ ...query, status: 'pending' }),
-            accepted: await Referral.countDocuments({ ...query, status: 'accepted' }),
-            completed: await Referral.countDocuments({ ...query, status: 'completed' }),
-            cancelled: await Referral.countDocuments({ ...query, status: 'cancelled' }),
-            byPriority: {
-                low: await Referral.countDocuments({ ...query, priority: 'low' }),
-                medium: await Referral.countDocuments({ ...query, priority: 'medium' }),
-                high: await Referral.countDocuments({ ...query, priority: 'high' }),
-                urgent: await Referral.countDocuments({ ...query, priority: 'urgent' })
-            }
-        };
+        const stats = await countReferralStats(query);
+        const { total } = stats;
 
         res.json({
             success: true,
@@ -161,6 +187,8 @@ const getReferralById = async (req, res) => {
             .populate('referringClinic', 'name address phone email')
             .populate('receivingDoctor', 'firstName lastName email specialization')
             .populate('receivingHospital', 'name address phone email')
+            .populate('receivingDepartment', 'name specialtyCode')
+            .populate(FORWARDING_POPULATE)
             .lean();
 
         if (!referral) {
@@ -168,23 +196,17 @@ const getReferralById = async (req, res) => {
         }
 
         // Check access permissions
-        if (user.role === 'hospital' && user.hospitalId) {
-            if (referral.referringHospital?._id?.toString() !== user.hospitalId.toString() &&
-                referral.receivingHospital?._id?.toString() !== user.hospitalId.toString()) {
-                return res.status(403).json({ success: false, message: 'Access denied' });
-            }
-        } else if (user.role === 'doctor') {
-            if (referral.referringDoctor?._id?.toString() !== user._id.toString() &&
-                referral.receivingDoctor?._id?.toString() !== user._id.toString()) {
-                return res.status(403).json({ success: false, message: 'Access denied' });
-            }
-        } else if (user.role === 'patient') {
-            if (referral.patient?._id?.toString() !== user._id.toString()) {
-                return res.status(403).json({ success: false, message: 'Access denied' });
-            }
+        if (!canViewReferral(referral, user, { departmentIds: await getUserDepartmentIds(user) })) {
+            return res.status(403).json({ success: false, message: 'Access denied' });
         }
 
-        res.json({ success: true, data: referral });
+        res.json({
+            success: true,
+            data: {
+                ...referral,
+                allowedTransitions: getAllowedTransitions(referral, user)
+            }
+        });
     } catch (error) {
         console.error('Get referral by ID error:', error);
         res.status(500).json({ success: false, message: 'Error fetching referral', error: error.message });
@@ -201,6 +223,7 @@ const createReferral = async (req, res) => {
             patientId,
             receivingHospitalId,
             receivingDoctorId,
+            receivingDepartmentId,
             referringDoctorId,
             reason,
             priority,
@@ -234,6 +257,17 @@ const createReferral = async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid receiving hospital ID' });
         }
 
+        // Route to the department queue matching the specialty unless the referrer picked one
+        let receivingDepartment = null;
+        if (receivingDepartmentId) {
+            receivingDepartment = await Department.findOne({ _id: receivingDepartmentId, hospital: receivingHospital._id, isActive: true });
+            if (!receivingDepartment) {
+                return res.status(400).json({ success: false, message: 'Invalid receiving department ID' });
+            }
+        } else {
+            receivingDepartment = await routeToDepartment(receivingHospital._id, specialty);
+        }
+
         // Determine referring doctor and hospital
         let referringDoctor = null;
         let referringHospital = null;
@@ -329,6 +363,7 @@ const createReferral = async (req, res) => {
             referringClinic: (user.role === 'doctor' && user.practiceType === 'own_clinic') ? user.clinicId : null,
             receivingHospital: receivingHospitalId,
             receivingDoctor: receivingDoctorId || null,
+            receivingDepartment: receivingDepartment?._id || null,
             reason,
             priority: priority || 'medium',
             specialty,
@@ -343,8 +378,11 @@ const createReferral = async (req, res) => {
         };
 
         const referral = new Referral(referralData);
+        referral.recordEvent('created', user, { notes: 'Referral created' });
         await referral.save();
 
+        emitEvent('referral.created', { referral, actor: user });
+
         const createdReferral = await Referral.findById(referral._id)
             .populate('patient', 'firstName lastName email phone')
             .populate('referringDoctor', 'firstName lastName email specialization')
@@ -352,6 +390,7 @@ const createReferral = async (req, res) => {
             .populate('referringClinic', 'name address')
             .populate('receivingDoctor', 'firstName lastName email specialization')
             .populate('receivingHospital', 'name address')
+            .populate('receivingDepartment', 'name specialtyCode')
             .lean();
 
         res.status(201).json({
@@ -393,6 +432,8 @@ const updateReferral = async (req, res) => {
             'historyOfPresentIllness', 'physicalExamination', 'vitalSigns',
             'treatmentPlan', 'notes'
         ];
+        const trackedFields = [...allowedFields, 'diagnosis'];
+        const before = snapshot(referral, [...trackedFields, ...REASSIGNMENT_FIELDS]);
 
         // Handle receivingHospitalId (frontend sends this, but we store as receivingHospital)
         if (updateData.receivingHospitalId !== undefined) {
@@ -456,6 +497,25 @@ const updateReferral = async (req, res) => {
             }
         }
 
+        // Keep the department queue in line with the receiving hospital and specialty,
+        // unless a department is given explicitly (null moves it to the general queue)
+        const receivingDepartmentId = updateData.receivingDepartmentId !== undefined
+            ? updateData.receivingDepartmentId
+            : updateData.receivingDepartment;
+        if (receivingDepartmentId !== undefined) {
+            let receivingDepartment = null;
+            if (receivingDepartmentId) {
+                receivingDepartment = await Department.findOne({ _id: receivingDepartmentId, hospital: referral.receivingHospital, isActive: true });
+                if (!receivingDepartment) {
+                    return res.status(400).json({ success: false, message: 'Invalid receiving department ID' });
+                }
+            }
+            referral.receivingDepartment = receivingDepartment?._id || null;
+        } else if (before.receivingHospital !== String(referral.receivingHospital) || before.specialty !== referral.specialty) {
+            const receivingDepartment = await routeToDepartment(referral.receivingHospital, referral.specialty);
+            referral.receivingDepartment = receivingDepartment?._id || null;
+        }
+
         // Handle diagnosis field specially - it's an object with primary and secondary
         if (updateData.diagnosis !== undefined) {
             if (typeof updateData.diagnosis === 'string') {
@@ -479,6 +539,18 @@ const updateReferral = async (req, res) => {
             }
         }
 
+        // Record what changed on the timeline
+        const changes = diffSnapshots(before, snapshot(referral, [...trackedFields, ...REASSIGNMENT_FIELDS]));
+        const reassignments = changes.filter(change => REASSIGNMENT_FIELDS.includes(change.field));
+        const updates = changes.filter(change => !REASSIGNMENT_FIELDS.includes(change.field));
+
+        if (reassignments.length > 0) {
+            referral.recordEvent('reassigned', user, { changes: reassignments, notes: 'Receiving side changed' });
+        }
+        if (updates.length > 0) {
+            referral.recordEvent('updated', user, { changes: updates, notes: 'Referral details updated' });
+        }
+
         await referral.save();
 
         const updatedReferral = await Referral.findById(referral._id)
@@ -488,6 +560,7 @@ const updateReferral = async (req, res) => {
             .populate('referringClinic', 'name address')
             .populate('receivingDoctor', 'firstName lastName email specialization')
             .populate('receivingHospital', 'name address')
+            .populate('receivingDepartment', 'name specialtyCode')
             .lean();
 
         res.json({
@@ -508,15 +581,15 @@ const updateReferralStatus = async (req, res) => {
     try {
         const user = req.user;
         const { id } = req.params;
-        const { status, notes } = req.body;
+        const { status, notes, reason } = req.body;
 
         if (!status) {
             return res.status(400).json({ success: false, message: 'Status is required' });
         }
 
-        const validStatuses = ['pending', 'accepted', 'in_progress', 'completed', 'cancelled', 'rejected'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({ success: false, message: 'Invalid status' });
+        // Forwarding also creates the child referral, so it has its own endpoint
+        if (status === 'forwarded') {
+            return res.status(400).json({ success: false, message: 'Use POST /api/referrals/:id/forward to forward a referral' });
         }
 
         const referral = await Referral.findById(id);
@@ -524,11 +597,15 @@ const updateReferralStatus = async (req, res) => {
             return res.status(404).json({ success: false, message: 'Referral not found' });
         }
 
-        // Check permissions
-        if (user.role === 'hospital' && user.hospitalId) {
-            if (referral.receivingHospital?.toString() !== user.hospitalId.toString()) {
-                return res.status(403).json({ success: false, message: 'Only receiving hospital can update status' });
-            }
+        const previousStatus = referral.status;
+        const check = validateTransition(referral, user, status, req.body);
+        if (!check.ok) {
+            return res.status(check.statusCode).json({
+                success: false,
+                message: check.message,
+                currentStatus: previousStatus,
+                allowedTransitions: check.allowedTransitions
+            });
         }
 
         referral.status = status;
@@ -536,20 +613,29 @@ const updateReferralStatus = async (req, res) => {
             referral.notes = notes;
         }
 
-        // Add timeline entry
-        referral.timeline.push({
-            status,
-            updatedBy: user._id,
-            notes: notes || `Status changed to ${status}`,
-            timestamp: new Date()
+        // Record the receiving side's decision
+        if (status === 'accepted' || status === 'rejected') {
+            referral.response = {
+                notes: reason || notes || '',
+                responseDate: new Date(),
+                responseBy: user._id
+            };
+        }
+
+        referral.recordEvent('status_changed', user, {
+            changes: [{ field: 'status', from: previousStatus, to: status }],
+            notes: reason || notes || `Status changed to ${status}`
         });
 
         await referral.save();
 
+        emitEvent('referral.status_changed', { referral, actor: user, previousStatus });
+
         res.json({
             success: true,
             message: 'Referral status updated successfully',
-            data: referral
+            data: referral,
+            allowedTransitions: getAllowedTransitions(referral, user)
         });
     } catch (error) {
         console.error('Update referral status error:', error);
@@ -557,11 +643,196 @@ const updateReferralStatus = async (req, res) => {
     }
 };
 
+/**
+ * Get referral timeline (read-only audit trail)
+ */
+const getReferralTimeline = async (req, res) => {
+    try {
+        const user = req.user;
+        const { id } = req.params;
+
+        const referral = await Referral.findById(id)
+            .select('referralId status patient referringDoctor referringHospital referringClinic receivingDoctor receivingHospital receivingDepartment timeline')
+            .populate('timeline.performedBy', 'firstName lastName role')
+            .lean();
+
+        if (!referral) {
+            return res.status(404).json({ success: false, message: 'Referral not found' });
+        }
+
+        if (!canViewReferral(referral, user, { departmentIds: await getUserDepartmentIds(user) })) {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        const timeline = [...referral.timeline].sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+        res.json({
+            success: true,
+            data: {
+                referralId: referral.referralId,
+                status: referral.status,
+                timeline
+            }
+        });
+    } catch (error) {
+        console.error('Get referral timeline error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching referral timeline', error: error.message });
+    }
+};
+
+/**
+ * Download the referral letter as PDF (cached, regenerated when its contents change)
+ */
+const getReferralPdf = async (req, res) => {
+    try {
+        const user = req.user;
+        const { id } = req.params;
+
+        const referral = await Referral.findById(id)
+            .select('-timeline -messages -attachments')
+            .populate('patient', 'firstName lastName email phone dateOfBirth gender bloodType')
+            .populate('referringDoctor', 'firstName lastName email specialization licenseNumber qualification')
+            .populate('referringHospital', 'name address phone email')
+            .populate('referringClinic', 'name address phone email')
+            .populate('receivingDoctor', 'firstName lastName specialization')
+            .populate('receivingHospital', 'name address phone email')
+            .lean();
+
+        if (!referral) {
+            return res.status(404).json({ success: false, message: 'Referral not found' });
+        }
+
+        if (!canViewReferral(referral, user, { departmentIds: await getUserDepartmentIds(user) })) {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        // Letters are small: read in full, so a cached copy missing from storage can still be rendered again
+        const buffer = await getReferralLetter(referral);
+        const fileName = `referral-${referral.referralId}.pdf`;
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.send(buffer);
+    } catch (error) {
+        console.error('Get referral PDF error:', error);
+        res.status(500).json({ success: false, message: 'Error generating referral PDF', error: error.message });
+    }
+};
+
+// A patient the caller may refer: registered at their hospital, or on a referral they can see
+const isPatientInScope = async (patient, user) => {
+    if (user.role === 'super_admin') return true;
+    if (user.hospitalId && sameId(patient.hospitalId, user.hospitalId)) return true;
+
+    const departmentIds = user.role === 'doctor' ? await getUserDepartmentIds(user) : [];
+    const scopeConditions = getReferralScopeConditions(user, { departmentIds });
+    return Boolean(await Referral.exists({ patient: patient._id, $or: scopeConditions }));
+};
+
+/**
+ * Suggest receiving hospitals for a new referral, best match first, with the reasons behind each score
+ */
+const suggestDestinations = async (req, res) => {
+    try {
+        const user = req.user;
+        const { specialty, priority = 'medium', patientId, limit = 10 } = req.query;
+
+        if (!['doctor', 'hospital', 'super_admin'].includes(user.role)) {
+            return res.status(403).json({ success: false, message: 'Access denied' });
+        }
+
+        if (typeof specialty !== 'string' || !specialty.trim()) {
+            return res.status(400).json({ success: false, message: 'Specialty is required' });
+        }
+
+        if (!['low', 'medium', 'high', 'urgent'].includes(priority)) {
+            return res.status(400).json({ success: false, message: 'Priority must be one of low, medium, high, urgent' });
+        }
+
+        let patient = null;
+        if (patientId) {
+            patient = mongoose.isValidObjectId(patientId)
+                ? await User.findById(patientId).select('role hospitalId address location').lean()
+                : null;
+            // Out-of-scope patients get the same answer as unknown ones, so their location stays private
+            if (!patient || patient.role !== 'patient' || !(await isPatientInScope(patient, user))) {
+                return res.status(400).json({ success: false, message: 'Invalid patient ID' });
+            }
+        }
+
+        const suggestions = await rankDestinations({
+            specialty: specialty.trim(),
+            priority,
+            patient,
+            // Referrals go to another hospital, so the requester's own is not suggested
+            excludeIds: [user.hospitalId],
+            limit: Math.min(Math.max(parseInt(limit) || 10, 1), 50)
+        });
+
+        res.json({
+            success: true,
+            data: {
+                specialty: specialty.trim(),
+                priority,
+                suggestions
+            }
+        });
+    } catch (error) {
+        console.error('Suggest destinations error:', error);
+        res.status(500).json({ success: false, message: 'Error suggesting destinations', error: error.message });
+    }
+};
+
+/**
+ * Forward a referral to another hospital as a linked child referral
+ */
+const forwardReferral = async (req, res) => {
+    try {
+        const { receivingHospitalId, receivingDepartmentId, receivingDoctorId, reason } = req.body;
+
+        const result = await forward(req.params.id, req.user, { receivingHospitalId, receivingDepartmentId, receivingDoctorId, reason });
+        if (!result.ok) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message,
+                allowedTransitions: result.allowedTransitions
+            });
+        }
+
+        const child = await Referral.findById(result.child._id)
+            .populate('patient', 'firstName lastName email phone')
+            .populate('referringDoctor', 'firstName lastName email specialization')
+            .populate('referringHospital', 'name address')
+            .populate('receivingDoctor', 'firstName lastName email specialization')
+            .populate('receivingHospital', 'name address')
+            .populate('receivingDepartment', 'name specialtyCode')
+            .populate(FORWARDING_POPULATE)
+            .lean();
+
+        res.status(201).json({
+            success: true,
+            message: 'Referral forwarded successfully',
+            data: {
+                referral: result.referral,
+                forwardedReferral: child
+            }
+        });
+    } catch (error) {
+        console.error('Forward referral error:', error);
+        res.status(500).json({ success: false, message: 'Error forwarding referral', error: error.message });
+    }
+};
+
 module.exports = {
     getReferrals,
     getReferralById,
     createReferral,
     updateReferral,
-    updateReferralStatus
+    updateReferralStatus,
+    getReferralTimeline,
+    getReferralPdf,
+    suggestDestinations,
+    forwardReferral
 };
 
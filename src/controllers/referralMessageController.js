@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const { canMessageOnReferral } = require('../services/referralWorkflow');
+const { getUserDepartmentIds } = require('../services/departmentRouting');
+const { emitEvent } = require('../services/eventBus');
+
+const PARTICIPANT_FIELDS = 'patient referringDoctor referringHospital referringClinic receivingDoctor receivingHospital receivingDepartment';
+
+// Load a referral and check the user takes part in its thread
+const loadThread = async (req, res, select = '') => {
+    const referral = await Referral.findById(req.params.id)
+        .select(`${PARTICIPANT_FIELDS} referralId messages ${select}`.trim());
+
+    if (!referral) {
+        res.status(404).json({ success: false, message: 'Referral not found' });
+        return null;
+    }
+
+    if (!canMessageOnReferral(referral, req.user, { departmentIds: await getUserDepartmentIds(req.user) })) {
+        res.status(403).json({ success: false, message: 'Access denied' });
+        return null;
+    }
+
+    return referral;
+};
+
+// Shape a message for the current user
+const formatMessage = (referral, msg, userId) => ({
+    _id: msg._id,
+    sender: msg.sender,
+    message: msg.message,
+    timestamp: msg.timestamp,
+    readBy: msg.readBy,
+    isRead: referral.isMessageReadBy(msg, userId)
+});
+
+/**
+ * List referral messages, newest page first (cursor = id of the oldest message already seen)
+ */
+const getMessages = async (req, res) => {
+    try {
+        const user = req.user;
+        const { cursor } = req.query;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+
+        const referral = await loadThread(req, res);
+        if (!referral) return;
+
+        await referral.populate('messages.sender', 'firstName lastName role profileImage');
+
+        let end = referral.messages.length;
+        if (cursor) {
+            end = referral.messages.findIndex(msg => msg._id.toString() === cursor);
+            if (end === -1) {
+                return res.status(400).json({ success: false, message: 'Invalid cursor' });
+            }
+        }
+
+        const start = Math.max(end - limit, 0);
+        const page = referral.messages.slice(start, end);
+
+        res.json({
+            success: true,
+            data: {
+                messages: page.map(msg => formatMessage(referral, msg, user._id)),
+                pagination: {
+                    limit,
+                    hasMore: start > 0,
+                    nextCursor: start > 0 ? page[0]._id : null
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get referral messages error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching messages', error: error.message });
+    }
+};
+
+/**
+ * Post a message to the referral thread
+ */
+const postMessage = async (req, res) => {
+    try {
+        const user = req.user;
+        const text = typeof req.body.message === 'string' ? req.body.message.trim() : '';
+
+        if (!text) {
+            return res.status(400).json({ success: false, message: 'Message is required' });
+        }
+        if (text.length > 1000) {
+            return res.status(400).json({ success: false, message: 'Message cannot exceed 1000 characters' });
+        }
+
+        const referral = await loadThread(req, res, 'referralId status timeline');
+        if (!referral) return;
+
+        referral.recordEvent('message_posted', user, { notes: 'Message posted' });
+        await referral.addMessage(user._id, text);
+
+        const created = referral.messages[referral.messages.length - 1];
+
+        emitEvent('referral.message', { referral, message: created, actor: user });
+
+        res.status(201).json({
+            success: true,
+            message: 'Message sent successfully',
+            data: formatMessage(referral, created, user._id)
+        });
+    } catch (error) {
+        console.error('Post referral message error:', error);
+        res.status(500).json({ success: false, message: 'Error sending message', error: error.message });
+    }
+};
+
+/**
+ * Mark messages as read for the current user (all messages when no ids are given)
+ */
+const markMessagesRead = async (req, res) => {
+    try {
+        const user = req.user;
+        const { messageIds } = req.body;
+
+        if (messageIds !== undefined &&
+            (!Array.isArray(messageIds) || !messageIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+            return res.status(400).json({ success: false, message: 'messageIds must be an array of message IDs' });
+        }
+
+        const referral = await loadThread(req, res);
+        if (!referral) return;
+
+        const marked = referral.markMessagesRead(user._id, messageIds);
+        if (marked > 0) {
+            await referral.save();
+        }
+
+        res.json({
+            success: true,
+            message: 'Messages marked as read',
+            data: {
+                marked,
+                unreadCount: referral.getUnreadMessagesCount(user._id)
+            }
+        });
+    } catch (error) {
+        console.error('Mark referral messages read error:', error);
+        res.status(500).json({ success: false, message: 'Error marking messages as read', error: error.message });
+    }
+};
+
+/**
+ * Get the number of unread messages for the current user
+ */
+const getUnreadCount = async (req, res) => {
+    try {
+        const referral = await loadThread(req, res);
+        if (!referral) return;
+
+        res.json({
+            success: true,
+            data: {
+                unreadCount: referral.getUnreadMessagesCount(req.user._id)
+            }
+        });
+    } catch (error) {
+        console.error('Get unread message count error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching unread count', error: error.message });
+    }
+};
+
+module.exports = {
+    getMessages,
+    postMessage,
+    markMessagesRead,
+    getUnreadCount
+};
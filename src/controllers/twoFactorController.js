@@ -0,0 +1,198 @@
+const User = require('../models/User');
+const {
+    TWO_FACTOR_ROLES,
+    TWO_FACTOR_FIELDS,
+    getRequiredRoles,
+    setRequiredRoles,
+    startSetup,
+    enable,
+    disable,
+    regenerateRecoveryCodes,
+    describeTwoFactor
+} = require('../services/twoFactor');
+
+const loadUser = (req, fields = TWO_FACTOR_FIELDS) => User.findById(req.user._id).select(fields);
+
+const sendFailure = (res, result) => res.status(result.statusCode).json({
+    success: false,
+    message: result.message
+});
+
+// @desc    Two-factor authentication status of the current user
+// @route   GET /api/auth/2fa
+// @access  Private
+const getTwoFactorStatus = async (req, res) => {
+    try {
+        const user = await loadUser(req);
+
+        res.status(200).json({
+            success: true,
+            data: await describeTwoFactor(user)
+        });
+    } catch (error) {
+        console.error('Get two-factor status error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Start setup: a new secret and the otpauth:// URI to show as a QR code
+// @route   POST /api/auth/2fa/setup
+// @access  Private
+const setupTwoFactor = async (req, res) => {
+    try {
+        const result = await startSetup(await loadUser(req));
+        if (!result.ok) return sendFailure(res, result);
+
+        res.status(200).json({
+            success: true,
+            message: 'Scan the QR code with your authenticator app, then confirm with a code',
+            data: {
+                secret: result.secret,
+                otpauthUrl: result.otpauthUrl
+            }
+        });
+    } catch (error) {
+        console.error('Two-factor setup error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Finish setup with a code from the app; returns the recovery codes once
+// @route   POST /api/auth/2fa/enable
+// @access  Private
+const enableTwoFactor = async (req, res) => {
+    try {
+        const result = await enable(await loadUser(req), req.body.code);
+        if (!result.ok) return sendFailure(res, result);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store the recovery codes somewhere safe, they are not shown again',
+            data: {
+                recoveryCodes: result.recoveryCodes
+            }
+        });
+    } catch (error) {
+        console.error('Enable two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Turn two-factor authentication off (password and a code or recovery code)
+// @route   POST /api/auth/2fa/disable
+// @access  Private
+const disableTwoFactor = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const result = await disable(await loadUser(req, `+password ${TWO_FACTOR_FIELDS}`), { password, code, recoveryCode });
+        if (!result.ok) return sendFailure(res, result);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor authentication disabled'
+        });
+    } catch (error) {
+        console.error('Disable two-factor error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Replace the recovery codes (password and a code or recovery code)
+// @route   POST /api/auth/2fa/recovery-codes
+// @access  Private
+const replaceRecoveryCodes = async (req, res) => {
+    try {
+        const { password, code, recoveryCode } = req.body;
+        const result = await regenerateRecoveryCodes(await loadUser(req, `+password ${TWO_FACTOR_FIELDS}`), { password, code, recoveryCode });
+        if (!result.ok) return sendFailure(res, result);
+
+        res.status(200).json({
+            success: true,
+            message: 'New recovery codes generated; the old ones no longer work',
+            data: {
+                recoveryCodes: result.recoveryCodes
+            }
+        });
+    } catch (error) {
+        console.error('Regenerate recovery codes error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Roles that must use two-factor authentication
+// @route   GET /api/auth/2fa/policy
+// @access  Private (Super Admin)
+const getTwoFactorPolicy = async (req, res) => {
+    try {
+        res.status(200).json({
+            success: true,
+            data: {
+                requiredRoles: await getRequiredRoles(),
+                availableRoles: TWO_FACTOR_ROLES
+            }
+        });
+    } catch (error) {
+        console.error('Get two-factor policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+// @desc    Set the roles that must use two-factor authentication
+// @route   PUT /api/auth/2fa/policy
+// @access  Private (Super Admin)
+const updateTwoFactorPolicy = async (req, res) => {
+    try {
+        const { requiredRoles } = req.body;
+        if (!Array.isArray(requiredRoles) || requiredRoles.some(role => !TWO_FACTOR_ROLES.includes(role))) {
+            return res.status(400).json({
+                success: false,
+                message: `requiredRoles must be a list of: ${TWO_FACTOR_ROLES.join(', ')}`
+            });
+        }
+
+        const policy = await setRequiredRoles([...new Set(requiredRoles)], req.user);
+
+        res.status(200).json({
+            success: true,
+            message: 'Two-factor policy updated',
+            data: {
+                requiredRoles: policy.twoFactorRequiredRoles,
+                availableRoles: TWO_FACTOR_ROLES
+            }
+        });
+    } catch (error) {
+        console.error('Update two-factor policy error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Server error'
+        });
+    }
+};
+
+module.exports = {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    replaceRecoveryCodes,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy
+};
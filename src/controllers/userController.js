@@ -1,6 +1,9 @@
 const User = require('../models/User');
 const Hospital = require('../models/Hospital');
 const Clinic = require('../models/Clinic');
+const SecurityEvent = require('../models/SecurityEvent');
+const { revokeUserSessions } = require('../services/sessions');
+const { unlockAccount } = require('../services/loginProtection');
 
 // Get all users (super admin)
 const getUsers = async (req, res) => {
@@ -206,6 +209,11 @@ const toggleUserStatus = async (req, res) => {
         user.isActive = !user.isActive;
         await user.save();
 
+        // A deactivated user is signed out everywhere at once
+        if (!user.isActive) {
+            await revokeUserSessions(user._id, 'deactivated');
+        }
+
         const updatedUser = await User.findById(id)
             .populate('hospitalId', 'name address')
             .populate('clinicId', 'name address')
@@ -226,6 +234,73 @@ const toggleUserStatus = async (req, res) => {
     }
 };
 
+// Unlock an account locked after failed logins (super admin)
+const unlockUser = async (req, res) => {
+    try {
+        const result = await unlockAccount(req.params.id, req.user, req);
+
+        if (!result.ok) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.wasLocked ? 'Account unlocked successfully' : 'Account was not locked; failed login attempts cleared'
+        });
+    } catch (error) {
+        console.error('Unlock user error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error unlocking user',
+            error: error.message
+        });
+    }
+};
+
+// Get the security event log: failed and throttled logins, lockouts, unlocks (super admin)
+const getSecurityEvents = async (req, res) => {
+    try {
+        const { user, type, email, ip, page = 1, limit = 20 } = req.query;
+
+        const filter = {};
+        if (user) filter.user = user;
+        if (type) filter.type = type;
+        if (email) filter.email = String(email).toLowerCase();
+        if (ip) filter.ip = ip;
+
+        const events = await SecurityEvent.find(filter)
+            .populate('user', 'firstName lastName email role')
+            .populate('actor', 'firstName lastName email')
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await SecurityEvent.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                events,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get security events error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Error fetching security events',
+            error: error.message
+        });
+    }
+};
+
 // Get user statistics
 const getUserStats = async (req, res) => {
     try {
@@ -277,6 +352,8 @@ module.exports = {
     updateUser,
     deleteUser,
     toggleUserStatus,
+    unlockUser,
+    getSecurityEvents,
     getUserStats
 };
 
@@ -0,0 +1,298 @@
+const Hospital = require('../models/Hospital');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const {
+    WEBHOOK_EVENTS,
+    generateSecret,
+    isValidWebhookUrl,
+    isPublicWebhookHost,
+    sendTestEvent,
+    redeliver
+} = require('../services/webhooks');
+const { sameId } = require('../utils/ids');
+
+// Hospital admins manage their own hospital's webhooks; super admins any hospital's
+const canManageWebhooks = (user, hospitalId) =>
+    user.role === 'super_admin' || (user.role === 'hospital' && sameId(user.hospitalId, hospitalId));
+
+// Validate url/events from the body; returns an error message or null
+const validateSubscription = async ({ url, events }, partial = false) => {
+    if (!partial || url !== undefined) {
+        if (!isValidWebhookUrl(url)) {
+            return 'A valid https URL is required';
+        }
+        if (!(await isPublicWebhookHost(url))) {
+            return 'Webhook URL must resolve to a public address';
+        }
+    }
+    if (!partial || events !== undefined) {
+        if (!Array.isArray(events) || events.length === 0) {
+            return `Subscribe to at least one of: ${WEBHOOK_EVENTS.join(', ')}`;
+        }
+        const unknown = events.filter(event => !WEBHOOK_EVENTS.includes(event));
+        if (unknown.length > 0) {
+            return `Unknown webhook events: ${unknown.join(', ')}`;
+        }
+    }
+    return null;
+};
+
+// Load the subscription for :id/:webhookId after the access check; sends the error response itself
+const loadSubscription = async (req, res, select = '') => {
+    const { id, webhookId } = req.params;
+
+    if (!canManageWebhooks(req.user, id)) {
+        res.status(403).json({ success: false, message: 'Not authorized to manage webhooks for this hospital' });
+        return null;
+    }
+
+    const subscription = await WebhookSubscription.findOne({ _id: webhookId, hospital: id }).select(select);
+    if (!subscription) {
+        res.status(404).json({ success: false, message: 'Webhook not found' });
+        return null;
+    }
+    return subscription;
+};
+
+// @desc    List a hospital's webhooks
+// @route   GET /api/hospitals/:id/webhooks
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const getWebhooks = async (req, res) => {
+    try {
+        if (!canManageWebhooks(req.user, req.params.id)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to manage webhooks for this hospital' });
+        }
+
+        const webhooks = await WebhookSubscription.find({ hospital: req.params.id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: { webhooks, availableEvents: WEBHOOK_EVENTS }
+        });
+    } catch (error) {
+        console.error('Get webhooks error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching webhooks', error: error.message });
+    }
+};
+
+// @desc    Create a webhook; the signing secret is only shown in this response
+// @route   POST /api/hospitals/:id/webhooks
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const createWebhook = async (req, res) => {
+    try {
+        const { id } = req.params;
+        const { url, events, description } = req.body;
+
+        if (!canManageWebhooks(req.user, id)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to manage webhooks for this hospital' });
+        }
+
+        const validationError = await validateSubscription({ url, events });
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        const hospital = await Hospital.findById(id).select('_id');
+        if (!hospital) {
+            return res.status(404).json({ success: false, message: 'Hospital not found' });
+        }
+
+        const secret = generateSecret();
+        const webhook = await WebhookSubscription.create({
+            hospital: id,
+            url,
+            events: [...new Set(events)],
+            description,
+            secret,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created. Store the secret now; it will not be shown again.',
+            data: { webhook, secret }
+        });
+    } catch (error) {
+        console.error('Create webhook error:', error);
+        res.status(500).json({ success: false, message: 'Error creating webhook', error: error.message });
+    }
+};
+
+// @desc    Update a webhook's URL, events, description or active flag
+// @route   PUT /api/hospitals/:id/webhooks/:webhookId
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const updateWebhook = async (req, res) => {
+    try {
+        const { url, events, description, isActive } = req.body;
+
+        const webhook = await loadSubscription(req, res);
+        if (!webhook) return;
+
+        const validationError = await validateSubscription({ url, events }, true);
+        if (validationError) {
+            return res.status(400).json({ success: false, message: validationError });
+        }
+
+        if (url !== undefined) webhook.url = url;
+        if (events !== undefined) webhook.events = [...new Set(events)];
+        if (description !== undefined) webhook.description = description;
+        if (isActive !== undefined) {
+            webhook.isActive = Boolean(isActive);
+            // Re-enabling starts a fresh failure count
+            if (webhook.isActive) webhook.consecutiveFailures = 0;
+        }
+        await webhook.save();
+
+        res.json({
+            success: true,
+            message: 'Webhook updated successfully',
+            data: { webhook }
+        });
+    } catch (error) {
+        console.error('Update webhook error:', error);
+        res.status(500).json({ success: false, message: 'Error updating webhook', error: error.message });
+    }
+};
+
+// @desc    Replace the signing secret
+// @route   POST /api/hospitals/:id/webhooks/:webhookId/rotate-secret
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const rotateWebhookSecret = async (req, res) => {
+    try {
+        const webhook = await loadSubscription(req, res, '+secret');
+        if (!webhook) return;
+
+        const secret = generateSecret();
+        webhook.secret = secret;
+        await webhook.save();
+
+        res.json({
+            success: true,
+            message: 'Secret rotated. Deliveries are signed with the new secret from now on.',
+            data: { secret }
+        });
+    } catch (error) {
+        console.error('Rotate webhook secret error:', error);
+        res.status(500).json({ success: false, message: 'Error rotating webhook secret', error: error.message });
+    }
+};
+
+// @desc    Delete a webhook and its delivery log
+// @route   DELETE /api/hospitals/:id/webhooks/:webhookId
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const deleteWebhook = async (req, res) => {
+    try {
+        const webhook = await loadSubscription(req, res);
+        if (!webhook) return;
+
+        await WebhookSubscription.deleteOne({ _id: webhook._id });
+        await WebhookDelivery.deleteMany({ subscription: webhook._id });
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted successfully'
+        });
+    } catch (error) {
+        console.error('Delete webhook error:', error);
+        res.status(500).json({ success: false, message: 'Error deleting webhook', error: error.message });
+    }
+};
+
+// @desc    Send a signed test event now and return the logged attempt
+// @route   POST /api/hospitals/:id/webhooks/:webhookId/test
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const testWebhook = async (req, res) => {
+    try {
+        const webhook = await loadSubscription(req, res);
+        if (!webhook) return;
+
+        const { outcome, delivery } = await sendTestEvent(webhook, req.user);
+
+        res.json({
+            success: true,
+            message: outcome === 'delivered' ? 'Test event delivered' : 'Test event could not be delivered',
+            data: { delivery }
+        });
+    } catch (error) {
+        console.error('Test webhook error:', error);
+        res.status(500).json({ success: false, message: 'Error sending test event', error: error.message });
+    }
+};
+
+// @desc    Delivery log of a webhook, newest first
+// @route   GET /api/hospitals/:id/webhooks/:webhookId/deliveries?status=&event=
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const getWebhookDeliveries = async (req, res) => {
+    try {
+        const { status, event, page = 1, limit = 20 } = req.query;
+
+        const webhook = await loadSubscription(req, res);
+        if (!webhook) return;
+
+        const filter = { subscription: webhook._id };
+        if (status) filter.status = status;
+        if (event) filter.event = event;
+
+        const deliveries = await WebhookDelivery.find(filter)
+            .sort({ createdAt: -1 })
+            .limit(limit * 1)
+            .skip((page - 1) * limit);
+
+        const total = await WebhookDelivery.countDocuments(filter);
+
+        res.json({
+            success: true,
+            data: {
+                deliveries,
+                pagination: {
+                    current: parseInt(page),
+                    pages: Math.ceil(total / limit),
+                    total
+                }
+            }
+        });
+    } catch (error) {
+        console.error('Get webhook deliveries error:', error);
+        res.status(500).json({ success: false, message: 'Error fetching webhook deliveries', error: error.message });
+    }
+};
+
+// @desc    Queue a delivered or failed delivery again
+// @route   POST /api/hospitals/:id/webhooks/:webhookId/deliveries/:deliveryId/redeliver
+// @access  Private (Hospital Admin of that hospital, Super Admin)
+const redeliverWebhook = async (req, res) => {
+    try {
+        const webhook = await loadSubscription(req, res);
+        if (!webhook) return;
+
+        const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryId, subscription: webhook._id });
+        if (!delivery) {
+            return res.status(404).json({ success: false, message: 'Delivery not found' });
+        }
+
+        const queued = await redeliver(delivery);
+        if (!queued) {
+            return res.status(409).json({ success: false, message: 'Delivery is still in progress' });
+        }
+
+        res.json({
+            success: true,
+            message: 'Delivery queued',
+            data: { delivery: queued }
+        });
+    } catch (error) {
+        console.error('Redeliver webhook error:', error);
+        res.status(500).json({ success: false, message: 'Error queuing delivery', error: error.message });
+    }
+};
+
+module.exports = {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    rotateWebhookSecret,
+    deleteWebhook,
+    testWebhook,
+    getWebhookDeliveries,
+    redeliverWebhook
+};
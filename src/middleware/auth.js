@@ -1,6 +1,25 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { checkApprovalStatus } = require('./approval');
+const { isAccessTokenSessionActive } = require('../services/sessions');
+const { mustEnrollTwoFactor } = require('../services/twoFactor');
+const { isPasswordExpired } = require('../services/passwordPolicy');
+
+// Reachable by users who still have to set up required two-factor authentication
+const TWO_FACTOR_SETUP_PATHS = [
+    '/api/auth/me',
+    '/api/auth/logout',
+    '/api/auth/2fa',
+    '/api/auth/2fa/setup',
+    '/api/auth/2fa/enable'
+];
+
+// Reachable with an expired password
+const PASSWORD_CHANGE_PATHS = [
+    '/api/auth/me',
+    '/api/auth/logout',
+    '/api/auth/change-password'
+];
 
 // Protect routes - verify JWT token
 const protect = async (req, res, next) => {
@@ -27,6 +46,14 @@ const protect = async (req, res, next) => {
         // Verify token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+        // Access tokens die with their session (logout, revocation, password change)
+        if (!(await isAccessTokenSessionActive(decoded))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has ended, please log in again'
+            });
+        }
+
         // Get user from token
         const user = await User.findById(decoded.userId);
 
@@ -44,9 +71,36 @@ const protect = async (req, res, next) => {
             });
         }
 
+        // Roles that must use two-factor authentication only get as far as setting it up
+        const path = req.originalUrl.split('?')[0];
+        if (!TWO_FACTOR_SETUP_PATHS.includes(path) && await mustEnrollTwoFactor(user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is required for your role. Set it up at /api/auth/2fa/setup',
+                twoFactorSetupRequired: true
+            });
+        }
+
+        // With PASSWORD_MAX_AGE_DAYS set, an expired password has to be changed first
+        if (!PASSWORD_CHANGE_PATHS.includes(path) && isPasswordExpired(user)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Your password has expired. Change it at /api/auth/change-password',
+                passwordChangeRequired: true
+            });
+        }
+
         req.user = user;
+        req.sessionId = decoded.sid;
         next();
     } catch (error) {
+        // Routine for short-lived access tokens: the client should call /api/auth/refresh
+        if (error.name === 'TokenExpiredError') {
+            return res.status(401).json({
+                success: false,
+                message: 'Access token has expired'
+            });
+        }
         console.error('Auth middleware error:', error);
         return res.status(401).json({
             success: false,
@@ -76,12 +130,13 @@ const authorize = (...roles) => {
     };
 };
 
-// Check if user is verified
+// Check if user is verified; mount after protect on routes that handle clinical data
 const requireEmailVerification = (req, res, next) => {
     if (!req.user.isEmailVerified) {
         return res.status(403).json({
             success: false,
-            message: 'Please verify your email address to access this feature'
+            message: 'Please verify your email address to access this feature. A new link can be sent from /api/auth/resend-verification',
+            emailVerificationRequired: true
         });
     }
     next();
@@ -100,10 +155,11 @@ const optionalAuth = async (req, res, next) => {
     if (token) {
         try {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await User.findById(decoded.userId);
+            const user = await isAccessTokenSessionActive(decoded) ? await User.findById(decoded.userId) : null;
 
             if (user && user.isActive) {
                 req.user = user;
+                req.sessionId = decoded.sid;
             }
         } catch (error) {
             // Ignore token errors for optional auth
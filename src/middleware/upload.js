@@ -1,6 +1,9 @@
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { detectFileTypeOfFile } = require('../utils/fileType');
 
 // Ensure upload directory exists
 const ensureDir = (dirPath) => {
@@ -41,6 +44,127 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB
 });
 
-module.exports = { upload };
+// Clinical documents (referral and record attachments) are spooled to a temp
+// directory rather than held in memory; their real type is sniffed from the
+// first bytes before anything is stored, and the temp files are removed once
+// the response is sent
+const MB = 1024 * 1024;
+const CLINICAL_FILE_LIMITS = {
+    'application/pdf': 20 * MB,
+    'image/jpeg': 10 * MB,
+    'image/png': 10 * MB,
+    'application/dicom': 50 * MB
+};
+
+// Cap on a whole clinical upload request, whatever the number of files
+const MAX_CLINICAL_UPLOAD_BYTES = 100 * MB;
+
+// Categories a clinical attachment can be filed under
+const ATTACHMENT_TYPES = ['lab_report', 'imaging', 'prescription', 'discharge_summary', 'other'];
+
+const clinicalTempDir = path.join(os.tmpdir(), 'clinical-uploads');
+ensureDir(clinicalTempDir);
+
+const clinicalUpload = multer({
+    storage: multer.diskStorage({
+        destination: function (req, file, cb) {
+            cb(null, clinicalTempDir);
+        },
+        filename: function (req, file, cb) {
+            cb(null, crypto.randomBytes(16).toString('hex'));
+        }
+    }),
+    limits: {
+        fileSize: Math.max(...Object.values(CLINICAL_FILE_LIMITS)),
+        files: 10
+    }
+});
+
+// Refuse oversized requests before reading the body
+const limitClinicalUploadSize = (req, res, next) => {
+    const length = parseInt(req.headers['content-length'], 10);
+
+    if (!length) {
+        return res.status(411).json({ success: false, message: 'Uploads must declare a Content-Length' });
+    }
+    if (length > MAX_CLINICAL_UPLOAD_BYTES) {
+        return res.status(413).json({
+            success: false,
+            message: `Uploads are limited to ${MAX_CLINICAL_UPLOAD_BYTES / MB}MB per request`
+        });
+    }
+
+    next();
+};
+
+// Remove the request's temp files once the response has been sent (or the client went away)
+const removeTempFilesAfterResponse = (req, res, next) => {
+    res.on('close', () => {
+        (req.files || []).forEach(file => {
+            fs.promises.unlink(file.path).catch(() => { });
+        });
+    });
+    next();
+};
+
+// Turn multer errors into 4xx responses instead of falling through to the 500 handler
+const handleUploadErrors = (handler) => (req, res, next) => {
+    handler(req, res, (err) => {
+        if (!err) return next();
+
+        if (err instanceof multer.MulterError) {
+            const status = err.code === 'LIMIT_FILE_SIZE' ? 413 : 400;
+            return res.status(status).json({ success: false, message: err.message });
+        }
+
+        return res.status(400).json({ success: false, message: err.message || 'File upload failed' });
+    });
+};
+
+// Check every uploaded file by content and enforce the per-type size limit
+const verifyClinicalFiles = async (req, res, next) => {
+    const files = req.files || [];
+
+    if (files.length === 0) {
+        return res.status(400).json({ success: false, message: 'At least one file is required' });
+    }
+
+    try {
+        for (const file of files) {
+            const detected = await detectFileTypeOfFile(file.path);
+            if (!detected || !CLINICAL_FILE_LIMITS[detected.mimeType]) {
+                return res.status(415).json({
+                    success: false,
+                    message: `Unsupported file type for "${file.originalname}". Allowed: PDF, JPEG, PNG and DICOM`
+                });
+            }
+
+            const limit = CLINICAL_FILE_LIMITS[detected.mimeType];
+            if (file.size > limit) {
+                return res.status(413).json({
+                    success: false,
+                    message: `"${file.originalname}" exceeds the ${limit / MB}MB limit for ${detected.mimeType}`
+                });
+            }
+
+            file.detectedType = detected;
+        }
+    } catch (error) {
+        return next(error);
+    }
+
+    next();
+};
+
+// Accept up to `maxCount` clinical files from a multipart field. Mount it after
+// the route's access check: files are written to disk as they arrive.
+const clinicalFiles = (fieldName = 'files', maxCount = 10) => [
+    limitClinicalUploadSize,
+    removeTempFilesAfterResponse,
+    handleUploadErrors(clinicalUpload.array(fieldName, maxCount)),
+    verifyClinicalFiles
+];
+
+module.exports = { upload, clinicalFiles, CLINICAL_FILE_LIMITS, MAX_CLINICAL_UPLOAD_BYTES, ATTACHMENT_TYPES };
 
 
@@ -1,4 +1,6 @@
 const { body, validationResult } = require('express-validator');
+const { WARD_TYPES } = require('../models/Hospital');
+const { checkPasswordPolicy } = require('../services/passwordPolicy');
 
 // Handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -16,6 +18,16 @@ const handleValidationErrors = (req, res, next) => {
     next();
 };
 
+// Password rules come from the configurable policy; `context` gives the name and email it may not contain
+const passwordPolicyRule = (field, context) => body(field)
+    .custom((value, { req }) => {
+        const errors = checkPasswordPolicy(value, context(req));
+        if (errors.length) {
+            throw new Error(errors.join('. '));
+        }
+        return true;
+    });
+
 // Register validation rules
 const validateRegister = [
     body('firstName')
@@ -37,11 +49,7 @@ const validateRegister = [
         .withMessage('Please provide a valid email address')
         .normalizeEmail({ gmail_remove_dots: false }),
 
-    body('password')
-        .isLength({ min: 6 })
-        .withMessage('Password must be at least 6 characters long')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-        .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    passwordPolicyRule('password', req => req.body),
 
     body('confirmPassword')
         .custom((value, { req }) => {
@@ -264,11 +272,8 @@ const validateForgotPassword = [
 
 // Reset password validation rules
 const validateResetPassword = [
-    body('password')
-        .isLength({ min: 6 })
-        .withMessage('Password must be at least 6 characters long')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-        .withMessage('Password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    // The user is only known from the token, so their name and email are checked in the controller
+    passwordPolicyRule('password', () => ({})),
 
     body('confirmPassword')
         .custom((value, { req }) => {
@@ -287,11 +292,7 @@ const validateChangePassword = [
         .notEmpty()
         .withMessage('Current password is required'),
 
-    body('newPassword')
-        .isLength({ min: 6 })
-        .withMessage('New password must be at least 6 characters long')
-        .matches(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/)
-        .withMessage('New password must contain at least one uppercase letter, one lowercase letter, and one number'),
+    passwordPolicyRule('newPassword', req => req.user),
 
     body('confirmPassword')
         .custom((value, { req }) => {
@@ -306,6 +307,12 @@ const validateChangePassword = [
 
 // Update profile validation rules
 const validateUpdateProfile = [
+    body('email')
+        .optional()
+        .isEmail()
+        .withMessage('Please provide a valid email address')
+        .normalizeEmail({ gmail_remove_dots: false }),
+
     body('firstName')
         .optional()
         .trim()
@@ -538,6 +545,16 @@ const validateHospitalUpdate = [
         .isInt({ min: 0 })
         .withMessage('Emergency bed capacity cannot be negative'),
 
+    body('location.latitude')
+        .optional()
+        .isFloat({ min: -90, max: 90 })
+        .withMessage('Latitude must be between -90 and 90'),
+
+    body('location.longitude')
+        .optional()
+        .isFloat({ min: -180, max: 180 })
+        .withMessage('Longitude must be between -180 and 180'),
+
     body('website')
         .optional({ checkFalsy: true })
         .isURL()
@@ -562,6 +579,55 @@ const validateHospitalUpdate = [
     }
 ];
 
+// Ward capacity validation (PUT /api/hospitals/:id/capacity takes a list, PATCH a single ward)
+const wardRules = (prefix, partial) => [
+    body(`${prefix}name`)
+        .if(value => !partial || value !== undefined)
+        .trim()
+        .notEmpty()
+        .withMessage('Ward name is required')
+        .isLength({ max: 100 })
+        .withMessage('Ward name cannot exceed 100 characters'),
+
+    body(`${prefix}type`)
+        .optional()
+        .isIn(WARD_TYPES)
+        .withMessage(`Ward type must be one of ${WARD_TYPES.join(', ')}`),
+
+    body(`${prefix}totalBeds`)
+        .optional()
+        .isInt({ min: 0 })
+        .withMessage('Total beds cannot be negative'),
+
+    body(`${prefix}availableBeds`)
+        .if(value => !partial || value !== undefined)
+        .isInt({ min: 0 })
+        .withMessage('Available beds must be a whole number of at least 0')
+];
+
+const validateCapacityUpdate = [
+    body('wards')
+        .isArray({ min: 1, max: 100 })
+        .withMessage('Wards must be a list of 1 to 100 wards'),
+    ...wardRules('wards.*.', false),
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters'),
+    handleValidationErrors
+];
+
+const validateWardUpdate = [
+    ...wardRules('', true),
+    body('note')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Note cannot exceed 500 characters'),
+    handleValidationErrors
+];
+
 // User update validation
 const validateUserUpdate = [
     body('firstName').optional().trim().notEmpty().withMessage('First name cannot be empty').isLength({ max: 50 }).withMessage('First name cannot exceed 50 characters'),
@@ -584,6 +650,8 @@ module.exports = {
     validateUpdateProfile,
     validateHospital,
     validateHospitalUpdate,
+    validateCapacityUpdate,
+    validateWardUpdate,
     validateUserUpdate,
     handleValidationErrors
 };
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+const appointmentSchema = new mongoose.Schema({
+    // Appointment Information
+    appointmentId: {
+        type: String,
+        unique: true,
+        required: true
+    },
+    referral: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Referral',
+        required: [true, 'Referral is required']
+    },
+    patient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Patient is required']
+    },
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor is required']
+    },
+    hospital: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: [true, 'Hospital is required']
+    },
+
+    // Booked slot and its time window (copied so history survives slot changes)
+    slot: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'AvailabilitySlot',
+        required: [true, 'Slot is required']
+    },
+    scheduledStart: {
+        type: Date,
+        required: true
+    },
+    scheduledEnd: {
+        type: Date,
+        required: true
+    },
+    location: String,
+
+    type: {
+        type: String,
+        enum: ['consultation', 'follow-up', 'procedure', 'test', 'other'],
+        default: 'consultation'
+    },
+    status: {
+        type: String,
+        enum: ['scheduled', 'completed', 'cancelled', 'no_show'],
+        default: 'scheduled'
+    },
+    notes: {
+        type: String,
+        maxlength: [1000, 'Notes cannot exceed 1000 characters']
+    },
+
+    // Earlier times this appointment was moved from
+    rescheduleHistory: [{
+        _id: false,
+        from: {
+            start: Date,
+            end: Date,
+            slot: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'AvailabilitySlot'
+            }
+        },
+        reason: String,
+        rescheduledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        rescheduledAt: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+
+    // Cancellation / outcome
+    cancellation: {
+        reason: String,
+        cancelledBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        cancelledAt: Date
+    },
+    outcome: {
+        markedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        markedAt: Date,
+        notes: String
+    },
+
+    bookedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+// A referral has at most one scheduled appointment at a time
+appointmentSchema.index({ referral: 1 }, { unique: true, partialFilterExpression: { status: 'scheduled' } });
+appointmentSchema.index({ doctor: 1, scheduledStart: 1 });
+appointmentSchema.index({ hospital: 1, scheduledStart: 1 });
+appointmentSchema.index({ patient: 1, scheduledStart: 1 });
+
+// Method to generate appointment ID
+appointmentSchema.statics.generateAppointmentId = function () {
+    const prefix = 'APT';
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.floor(Math.random() * 10000).toString().padStart(4, '0');
+    return `${prefix}${timestamp}${random}`;
+};
+
+// Pre-validate middleware to generate appointment ID
+appointmentSchema.pre('validate', function (next) {
+    if (!this.appointmentId) {
+        this.appointmentId = this.constructor.generateAppointmentId();
+    }
+    next();
+});
+
+module.exports = mongoose.model('Appointment', appointmentSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+const availabilitySlotSchema = new mongoose.Schema({
+    // Doctor offering the slot
+    doctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: [true, 'Doctor is required']
+    },
+    hospital: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: [true, 'Hospital is required']
+    },
+
+    // Time window
+    startTime: {
+        type: Date,
+        required: [true, 'Start time is required']
+    },
+    endTime: {
+        type: Date,
+        required: [true, 'End time is required']
+    },
+    location: {
+        type: String,
+        maxlength: [200, 'Location cannot exceed 200 characters']
+    },
+
+    // Appointment holding the slot; set and cleared atomically so a slot is never double-booked
+    appointment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Appointment',
+        default: null
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+availabilitySlotSchema.index({ doctor: 1, startTime: 1 });
+availabilitySlotSchema.index({ hospital: 1, startTime: 1 });
+availabilitySlotSchema.index({ appointment: 1 });
+
+// Pre-save middleware to validate the time window
+availabilitySlotSchema.pre('save', function (next) {
+    if (this.endTime <= this.startTime) {
+        return next(new Error('Slot end time must be after its start time'));
+    }
+    next();
+});
+
+module.exports = mongoose.model('AvailabilitySlot', availabilitySlotSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const bedCountsSchema = new mongoose.Schema({
+    totalBeds: Number,
+    availableBeds: Number
+}, { _id: false });
+
+// One change to a ward's published bed counts
+const capacityChangeSchema = new mongoose.Schema({
+    hospital: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    ward: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    // Kept so the history still reads correctly after a ward is renamed or removed
+    wardName: {
+        type: String,
+        required: true
+    },
+    wardType: String,
+
+    action: {
+        type: String,
+        enum: ['created', 'updated', 'removed'],
+        required: true
+    },
+    previous: bedCountsSchema,
+    current: bedCountsSchema,
+    note: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Note cannot exceed 500 characters']
+    },
+    changedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes for better query performance
+capacityChangeSchema.index({ hospital: 1, createdAt: -1 });
+capacityChangeSchema.index({ hospital: 1, ward: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CapacityChange', capacityChangeSchema);
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+
+// Clinical department of a hospital; incoming referrals are routed to the
+// department whose specialty code matches (see services/departmentRouting.js)
+const departmentSchema = new mongoose.Schema({
+    hospital: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    name: {
+        type: String,
+        required: [true, 'Department name is required'],
+        trim: true,
+        maxlength: [100, 'Department name cannot exceed 100 characters']
+    },
+    // Normalised specialty this department takes referrals for, e.g. "cardiology"
+    specialtyCode: {
+        type: String,
+        required: [true, 'Specialty code is required'],
+        trim: true,
+        lowercase: true,
+        match: [/^[a-z0-9_]+$/, 'Specialty code may only contain letters, digits and underscores'],
+        maxlength: [50, 'Specialty code cannot exceed 50 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [500, 'Description cannot exceed 500 characters']
+    },
+
+    // Staff; all must belong to the department's hospital
+    headDoctor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    members: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }],
+    // Triages the department's incoming referrals (a doctor or hospital admin)
+    intakeCoordinator: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+departmentSchema.index({ hospital: 1, specialtyCode: 1 }, { unique: true });
+departmentSchema.index({ members: 1 });
+departmentSchema.index({ headDoctor: 1 });
+departmentSchema.index({ intakeCoordinator: 1 });
+
+module.exports = mongoose.model('Department', departmentSchema);
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+const emailOutboxSchema = new mongoose.Schema({
+    // Message
+    to: {
+        type: String,
+        required: [true, 'Recipient is required'],
+        lowercase: true,
+        trim: true
+    },
+    from: String,
+    subject: {
+        type: String,
+        required: [true, 'Subject is required']
+    },
+    html: String,
+    text: String,
+    attachments: [mongoose.Schema.Types.Mixed],
+    // Template the message was rendered from, when it came from one
+    template: {
+        name: String,
+        locale: String,
+        version: Number
+    },
+
+    // Callers pass a key per logical email so retried requests do not send twice
+    idempotencyKey: {
+        type: String,
+        unique: true,
+        sparse: true
+    },
+
+    // Delivery state
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'sent', 'dead'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 6
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+    lastError: String,
+    transport: String,
+    messageId: String,
+    sentAt: Date,
+    deadLetteredAt: Date,
+    // Dead letters keep their body for a manual retry until then; MongoDB deletes the row afterwards
+    purgeAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+emailOutboxSchema.index({ status: 1, nextAttemptAt: 1 });
+emailOutboxSchema.index({ status: 1, lockedAt: 1 });
+emailOutboxSchema.index({ to: 1, createdAt: -1 });
+emailOutboxSchema.index({ purgeAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailOutbox', emailOutboxSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const fileAccessLogSchema = new mongoose.Schema({
+    // Who downloaded the file
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // Which file
+    kind: {
+        type: String,
+        enum: ['referral', 'record', 'user'],
+        required: true
+    },
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    fileId: {
+        type: String,
+        required: true
+    },
+    fileName: String,
+
+    // How it was requested
+    via: {
+        type: String,
+        enum: ['direct', 'signed_link'],
+        required: true
+    },
+    ip: String,
+    userAgent: String
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+fileAccessLogSchema.index({ user: 1, createdAt: -1 });
+fileAccessLogSchema.index({ kind: 1, owner: 1, createdAt: -1 });
+fileAccessLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('FileAccessLog', fileAccessLogSchema);
@@ -1,5 +1,40 @@
 const mongoose = require('mongoose');
 
+const WARD_TYPES = ['general', 'icu', 'emergency', 'maternity', 'pediatric', 'surgical', 'other'];
+
+// Current bed availability of one ward, published by the hospital's admins
+const wardSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Ward name is required'],
+        trim: true,
+        maxlength: [100, 'Ward name cannot exceed 100 characters']
+    },
+    type: {
+        type: String,
+        enum: WARD_TYPES,
+        default: 'general'
+    },
+    totalBeds: {
+        type: Number,
+        min: [0, 'Total beds cannot be negative'],
+        default: 0
+    },
+    availableBeds: {
+        type: Number,
+        min: [0, 'Available beds cannot be negative'],
+        default: 0
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+});
+
 const hospitalSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -83,6 +118,37 @@ const hospitalSchema = new mongoose.Schema({
         type: String,
         trim: true
     }],
+    wards: [wardSchema],
+    // Beds currently free across all wards, kept in sync with `wards` (see services/hospitalCapacity.js)
+    availability: {
+        beds: {
+            type: Number,
+            min: [0, 'Available beds cannot be negative']
+        },
+        icuBeds: {
+            type: Number,
+            min: [0, 'Available ICU beds cannot be negative']
+        },
+        emergencyBeds: {
+            type: Number,
+            min: [0, 'Available emergency beds cannot be negative']
+        },
+        // When the least recently updated ward was updated
+        updatedAt: Date
+    },
+    // Used to rank destinations by distance from the patient
+    location: {
+        latitude: {
+            type: Number,
+            min: [-90, 'Latitude must be between -90 and 90'],
+            max: [90, 'Latitude must be between -90 and 90']
+        },
+        longitude: {
+            type: Number,
+            min: [-180, 'Longitude must be between -180 and 180'],
+            max: [180, 'Longitude must be between -180 and 180']
+        }
+    },
     accreditation: {
         jcaho: {
             type: Boolean,
@@ -154,6 +220,7 @@ hospitalSchema.index({ status: 1 });
 hospitalSchema.index({ 'address.city': 1 });
 hospitalSchema.index({ 'address.state': 1 });
 hospitalSchema.index({ specialties: 1 });
+hospitalSchema.index({ 'availability.beds': 1 });
 
 // Virtual for full address
 hospitalSchema.virtual('fullAddress').get(function () {
@@ -198,4 +265,5 @@ hospitalSchema.statics.getApproved = function () {
     return this.find({ status: 'approved', isActive: true }).select('name address specialties capacity');
 };
 
-module.exports = mongoose.model('Hospital', hospitalSchema);
\ No newline at end of file
+module.exports = mongoose.model('Hospital', hospitalSchema);
+module.exports.WARD_TYPES = WARD_TYPES;
\ No newline at end of file
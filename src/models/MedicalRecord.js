@@ -121,7 +121,7 @@ const medicalRecordSchema = new mongoose.Schema({
 
     // Imaging/Investigations
     investigations: [{
-        type: String,
+        type: { type: String },
         result: String,
         date: Date,
         notes: String
@@ -130,11 +130,21 @@ const medicalRecordSchema = new mongoose.Schema({
     // Attachments
     attachments: [{
         name: String,
-        url: String, // Cloudinary URL
+        url: String, // Authenticated download path (/api/files/...)
         type: {
             type: String,
             enum: ['lab_report', 'imaging', 'prescription', 'discharge_summary', 'other']
         },
+        mimeType: String,
+        size: Number,
+        storage: {
+            provider: String,
+            key: String,
+            resourceType: String,
+            format: String,
+            deliveryType: String, // Cloudinary delivery type ('authenticated' for clinical files)
+            url: String // Provider URL (Cloudinary, not publicly readable); clients download through `url`
+        },
         uploadedAt: {
             type: Date,
             default: Date.now
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+const notificationSchema = new mongoose.Schema({
+    recipient: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // What happened
+    type: {
+        type: String,
+        enum: [
+            'account_approved',
+            'account_rejected',
+            'hospital_approved',
+            'referral_received',
+            'referral_status_changed',
+            'referral_assigned',
+            'referral_message',
+            'referral_escalated',
+            'appointment_scheduled',
+            'appointment_rescheduled',
+            'appointment_cancelled',
+            'record_created'
+        ],
+        required: true
+    },
+    title: {
+        type: String,
+        required: true,
+        maxlength: [200, 'Title cannot exceed 200 characters']
+    },
+    message: {
+        type: String,
+        maxlength: [1000, 'Message cannot exceed 1000 characters']
+    },
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Entity the notification is about, with the frontend route for deep links
+    link: {
+        entityType: {
+            type: String,
+            enum: ['referral', 'record', 'appointment', 'user', 'hospital']
+        },
+        entityId: mongoose.Schema.Types.ObjectId,
+        path: String
+    },
+
+    // One notification per recipient and event occurrence
+    key: String,
+
+    isRead: {
+        type: Boolean,
+        default: false
+    },
+    readAt: Date
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, isRead: 1 });
+notificationSchema.index(
+    { recipient: 1, key: 1 },
+    { unique: true, partialFilterExpression: { key: { $type: 'string' } } }
+);
+
+module.exports = mongoose.model('Notification', notificationSchema);
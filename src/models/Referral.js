@@ -40,6 +40,42 @@ const referralSchema = new mongoose.Schema({
         ref: 'Hospital',
         required: [true, 'Receiving hospital is required']
     },
+    // Department queue the referral was routed to; unset means the hospital's general queue
+    receivingDepartment: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Department'
+    },
+    // How the current receiving doctor got the referral (see services/intakeQueue.js)
+    assignment: {
+        method: {
+            type: String,
+            enum: ['claimed', 'assigned']
+        },
+        assignedAt: Date,
+        assignedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+
+    // Forwarding chain: a forwarded referral points to the copy sent on to the next
+    // hospital, and that copy points back to it (see services/referralForwarding.js)
+    parentReferral: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Referral'
+    },
+    forwarding: {
+        forwardedTo: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Referral'
+        },
+        forwardedAt: Date,
+        forwardedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        reason: String
+    },
 
     // Referral Details
     reason: {
@@ -97,16 +133,17 @@ const referralSchema = new mongoose.Schema({
 
     // Investigation Results
     investigations: [{
-        type: String,
+        type: { type: String },
         result: String,
         date: Date,
-        file: String // Cloudinary URL
+        file: String, // Stored file URL
+        attachment: mongoose.Schema.Types.ObjectId // Entry in attachments holding the file
     }],
 
     // Referral Status
     status: {
         type: String,
-        enum: ['pending', 'accepted', 'rejected', 'completed', 'cancelled'],
+        enum: ['pending', 'accepted', 'rejected', 'in_progress', 'completed', 'cancelled', 'expired', 'forwarded'],
         default: 'pending'
     },
 
@@ -141,25 +178,60 @@ const referralSchema = new mongoose.Schema({
     // Files and Attachments
     attachments: [{
         name: String,
-        url: String, // Cloudinary URL
-        type: String,
+        url: String, // Authenticated download path (/api/files/...)
+        type: {
+            type: String,
+            enum: ['lab_report', 'imaging', 'prescription', 'discharge_summary', 'other'],
+            default: 'other'
+        },
+        mimeType: String,
+        size: Number,
+        storage: {
+            provider: String,
+            key: String,
+            resourceType: String,
+            format: String,
+            deliveryType: String, // Cloudinary delivery type ('authenticated' for clinical files)
+            url: String // Provider URL (Cloudinary, not publicly readable); clients download through `url`
+        },
         uploadedAt: {
             type: Date,
             default: Date.now
+        },
+        uploadedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
         }
     }],
 
     // PDF Report
     pdfReport: {
-        url: String, // Cloudinary URL
-        generatedAt: Date
+        url: String, // Download route (/api/referrals/:id/pdf)
+        generatedAt: Date,
+        sourceHash: String, // Fingerprint of the letter contents; a mismatch means the cached copy is stale
+        storage: {
+            provider: String,
+            key: String,
+            resourceType: String,
+            format: String,
+            deliveryType: String,
+            url: String
+        }
     },
 
-    // Timeline
+    // Timeline (append-only audit trail)
     timeline: [{
         action: {
             type: String,
-            enum: ['created', 'sent', 'received', 'accepted', 'rejected', 'completed', 'cancelled']
+            enum: [
+                'created', 'updated', 'status_changed', 'reassigned', 'claimed', 'forwarded',
+                'attachment_added', 'attachment_removed', 'message_posted',
+                'appointment_scheduled', 'appointment_rescheduled', 'appointment_cancelled',
+                'appointment_completed', 'appointment_no_show',
+                'escalated',
+                // Legacy actions kept for entries written before typed events
+                'sent', 'received', 'accepted', 'rejected', 'completed', 'cancelled'
+            ]
         },
         timestamp: {
             type: Date,
@@ -169,6 +241,13 @@ const referralSchema = new mongoose.Schema({
             type: mongoose.Schema.Types.ObjectId,
             ref: 'User'
         },
+        performedByRole: String,
+        changes: [{
+            _id: false,
+            field: String,
+            from: mongoose.Schema.Types.Mixed,
+            to: mongoose.Schema.Types.Mixed
+        }],
         notes: String
     }],
 
@@ -188,12 +267,30 @@ const referralSchema = new mongoose.Schema({
             type: Date,
             default: Date.now
         },
+        // Legacy single flag, superseded by per-participant readBy receipts
         isRead: {
             type: Boolean,
             default: false
-        }
+        },
+        readBy: [{
+            _id: false,
+            user: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            },
+            readAt: {
+                type: Date,
+                default: Date.now
+            }
+        }]
     }],
 
+    // SLA escalation (set once by the escalation job when no response arrives in time)
+    escalation: {
+        escalatedAt: Date,
+        slaHours: Number
+    },
+
     // Expiry
     expiresAt: {
         type: Date,
@@ -211,10 +308,14 @@ referralSchema.index({ patient: 1 });
 referralSchema.index({ referringDoctor: 1 });
 referralSchema.index({ referringHospital: 1 });
 referralSchema.index({ receivingHospital: 1 });
+referralSchema.index({ receivingDepartment: 1, status: 1 });
+referralSchema.index({ parentReferral: 1 });
+referralSchema.index({ receivingHospital: 1, status: 1, priority: 1, createdAt: 1 });
 referralSchema.index({ status: 1 });
 referralSchema.index({ priority: 1 });
 referralSchema.index({ specialty: 1 });
 referralSchema.index({ createdAt: -1 });
+referralSchema.index({ status: 1, expiresAt: 1 });
 
 // Method to generate referral ID
 referralSchema.statics.generateReferralId = function () {
@@ -224,6 +325,16 @@ referralSchema.statics.generateReferralId = function () {
     return `${prefix}${timestamp}${random}`;
 };
 
+// Snapshot of a timeline entry, to detect edits in place
+const timelineEntrySnapshot = (entry) => JSON.stringify(entry.toObject ? entry.toObject() : entry);
+
+// Remember the timeline entries that were loaded so saves can only append
+// (nothing to guard when the query's projection left the timeline out)
+referralSchema.post('init', function () {
+    if (!this.isSelected('timeline') || !this.timeline) return;
+    this.$locals.timelineSnapshots = this.timeline.map(timelineEntrySnapshot);
+});
+
 // Pre-save middleware to generate referral ID
 referralSchema.pre('save', function (next) {
     if (!this.referralId) {
@@ -236,9 +347,33 @@ referralSchema.pre('save', function (next) {
         return next(err);
     }
 
+    // The timeline is append-only: existing entries may not be removed, reordered or edited
+    const loaded = this.$locals.timelineSnapshots;
+    if (loaded && this.isModified('timeline')) {
+        const tampered = loaded.some((snapshot, index) =>
+            !this.timeline[index] || timelineEntrySnapshot(this.timeline[index]) !== snapshot
+        );
+        if (tampered) {
+            return next(new Error('Referral timeline entries cannot be modified or removed'));
+        }
+    }
+
     next();
 });
 
+// Method to record a typed timeline event (caller is responsible for saving)
+referralSchema.methods.recordEvent = function (action, actor, { changes = [], notes = '' } = {}) {
+    this.timeline.push({
+        action,
+        performedBy: actor?._id,
+        performedByRole: actor?.role,
+        changes,
+        notes,
+        timestamp: new Date()
+    });
+    return this;
+};
+
 // Method to add timeline entry
 referralSchema.methods.addTimelineEntry = function (action, performedBy, notes = '') {
     this.timeline.push({
@@ -252,14 +387,38 @@ referralSchema.methods.addTimelineEntry = function (action, performedBy, notes =
 
 // Method to add message
 referralSchema.methods.addMessage = function (sender, message) {
+    const now = new Date();
     this.messages.push({
         sender,
         message,
-        timestamp: new Date()
+        timestamp: now,
+        readBy: [{ user: sender, readAt: now }]
     });
     return this.save();
 };
 
+// Method to check whether a user has read a message
+referralSchema.methods.isMessageReadBy = function (msg, userId) {
+    const senderId = (msg.sender._id || msg.sender).toString();
+    return senderId === userId.toString() ||
+        (msg.readBy || []).some(receipt => receipt.user.toString() === userId.toString());
+};
+
+// Method to mark messages as read for a user; returns the number newly marked
+referralSchema.methods.markMessagesRead = function (userId, messageIds = null) {
+    const wanted = messageIds ? messageIds.map(id => id.toString()) : null;
+    let marked = 0;
+
+    this.messages.forEach(msg => {
+        if (wanted && !wanted.includes(msg._id.toString())) return;
+        if (this.isMessageReadBy(msg, userId)) return;
+        msg.readBy.push({ user: userId, readAt: new Date() });
+        marked++;
+    });
+
+    return marked;
+};
+
 // Method to check if referral is expired
 referralSchema.methods.isExpired = function () {
     return new Date() > this.expiresAt;
@@ -267,9 +426,7 @@ referralSchema.methods.isExpired = function () {
 
 // Method to get unread messages count
 referralSchema.methods.getUnreadMessagesCount = function (userId) {
-    return this.messages.filter(msg =>
-        msg.sender.toString() !== userId.toString() && !msg.isRead
-    ).length;
+    return this.messages.filter(msg => !this.isMessageReadBy(msg, userId)).length;
 };
 
 // Virtual for referral age in days
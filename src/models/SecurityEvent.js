@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// Authentication events worth auditing: failed and throttled logins, lockouts and unlocks
+const securityEventSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['login_failed', 'login_throttled', 'account_locked', 'account_unlocked'],
+        required: true
+    },
+
+    // The account concerned; unset when a login named an unknown email
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+
+    // Who did it, for actions taken on someone else's account (an admin unlock)
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Event specifics, e.g. { reason: 'bad_password', failedAttempts: 4 } or { lockedUntil }
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    ip: String,
+    userAgent: String
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+securityEventSchema.index({ user: 1, createdAt: -1 });
+securityEventSchema.index({ type: 1, createdAt: -1 });
+securityEventSchema.index({ ip: 1, createdAt: -1 });
+securityEventSchema.index({ email: 1, createdAt: -1 });
+securityEventSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('SecurityEvent', securityEventSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Platform-wide security settings managed by super admins; a single document (key 'global')
+const securityPolicySchema = new mongoose.Schema({
+    key: {
+        type: String,
+        default: 'global',
+        unique: true
+    },
+
+    // Roles whose users must have two-factor authentication enabled
+    twoFactorRequiredRoles: {
+        type: [{
+            type: String,
+            enum: ['super_admin', 'hospital', 'doctor']
+        }],
+        default: []
+    },
+
+    updatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('SecurityPolicy', securityPolicySchema);
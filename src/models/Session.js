@@ -0,0 +1,52 @@
+const mongoose = require('mongoose');
+
+// A signed-in device. Only hashes of its refresh tokens are stored; the refresh
+// token rotates on every use (see services/sessions.js).
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    // SHA-256 of the current refresh token
+    tokenHash: {
+        type: String,
+        required: true,
+        select: false
+    },
+    // Hashes of refresh tokens already rotated out; presenting one again means it was stolen
+    previousTokenHashes: {
+        type: [String],
+        select: false
+    },
+
+    // Device information shown in the session list
+    userAgent: String,
+    ip: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+
+    // The refresh token must be used before this; every rotation pushes it back
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+
+    revokedAt: Date,
+    revokedReason: {
+        type: String,
+        enum: ['logout', 'revoked', 'logout_all', 'password_changed', 'password_reset', 'deactivated', 'reuse_detected']
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+sessionSchema.index({ user: 1, revokedAt: 1, expiresAt: 1 });
+// Expired sessions are removed by MongoDB a day after they lapse
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -26,6 +26,13 @@ const userSchema = new mongoose.Schema({
         required: [true, 'Password is required'],
         minlength: [6, 'Password must be at least 6 characters']
     },
+    // Set whenever the password changes; drives PASSWORD_MAX_AGE_DAYS (see services/passwordPolicy.js)
+    passwordChangedAt: Date,
+    // Hashes of earlier passwords, which may not be chosen again
+    passwordHistory: {
+        type: [String],
+        select: false
+    },
     role: {
         type: String,
         enum: ['super_admin', 'hospital', 'doctor', 'patient'],
@@ -50,6 +57,19 @@ const userSchema = new mongoose.Schema({
         zipCode: String,
         country: String
     },
+    // Optional coordinates of the address (patients), for distance-based suggestions
+    location: {
+        latitude: {
+            type: Number,
+            min: [-90, 'Latitude must be between -90 and 90'],
+            max: [90, 'Latitude must be between -90 and 90']
+        },
+        longitude: {
+            type: Number,
+            min: [-180, 'Longitude must be between -180 and 180'],
+            max: [180, 'Longitude must be between -180 and 180']
+        }
+    },
     profileImage: {
         type: String, // Cloudinary URL
         default: null
@@ -62,10 +82,78 @@ const userSchema = new mongoose.Schema({
         type: Boolean,
         default: false
     },
+    // SHA-256 of the token in the latest verification link (see services/emailVerification.js)
     emailVerificationToken: String,
+    emailVerificationExpires: Date,
+    emailVerificationSentAt: Date,
+    emailVerifiedAt: Date,
     passwordResetToken: String,
     passwordResetExpires: Date,
+    // TOTP two-factor authentication (see services/twoFactor.js); secrets are encrypted,
+    // recovery codes hashed, and none of it is loaded unless selected explicitly
+    twoFactor: {
+        enabled: {
+            type: Boolean,
+            default: false
+        },
+        enabledAt: Date,
+        secret: {
+            type: String,
+            select: false
+        },
+        // Secret generated at setup, until the first code confirms it
+        pendingSecret: {
+            type: String,
+            select: false
+        },
+        // Last time step accepted, so a code cannot be used twice
+        lastUsedStep: {
+            type: Number,
+            select: false
+        },
+        recoveryCodes: {
+            type: [{
+                _id: false,
+                hash: String,
+                usedAt: Date
+            }],
+            select: false
+        }
+    },
     lastLogin: Date,
+    // Failed login tracking for progressive delays and temporary lockout (see services/loginProtection.js)
+    loginSecurity: {
+        // Consecutive failures since the last successful login or lockout
+        failedAttempts: {
+            type: Number,
+            default: 0
+        },
+        lastFailedAt: Date,
+        lockedUntil: Date,
+        // Lockouts since the last successful login; each one lasts twice as long as the previous
+        lockouts: {
+            type: Number,
+            default: 0
+        }
+    },
+    // Language for emails (a locale under src/templates/email); patients without one
+    // fall back to Patient.preferredLanguage, everyone else to English
+    locale: {
+        type: String,
+        enum: ['en', 'es']
+    },
+    // Email notification opt-outs, one switch per event type (see services/notificationPreferences)
+    notificationPreferences: {
+        email: {
+            referralReceived: { type: Boolean, default: true },
+            referralDecision: { type: Boolean, default: true },
+            referralCompleted: { type: Boolean, default: true },
+            referralMessage: { type: Boolean, default: true },
+            referralEscalated: { type: Boolean, default: true },
+            referralUpdates: { type: Boolean, default: true },
+            appointments: { type: Boolean, default: true }
+        }
+    },
     // Approval status
     approvalStatus: {
         type: String,
@@ -178,12 +266,14 @@ userSchema.index({ role: 1 });
 userSchema.index({ hospitalId: 1 });
 userSchema.index({ clinicId: 1 });
 userSchema.index({ practiceType: 1 });
+userSchema.index({ emailVerificationToken: 1 }, { sparse: true });
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
     if (!this.isModified('password')) return next();
 
     try {
+        this.passwordChangedAt = new Date();
         const salt = await bcrypt.genSalt(12);
         this.password = await bcrypt.hash(this.password, salt);
         next();
@@ -234,8 +324,15 @@ userSchema.methods.toJSON = function () {
     const userObject = this.toObject();
     delete userObject.password;
     delete userObject.emailVerificationToken;
+    delete userObject.emailVerificationExpires;
+    delete userObject.emailVerificationSentAt;
     delete userObject.passwordResetToken;
     delete userObject.passwordResetExpires;
+    delete userObject.passwordHistory;
+    delete userObject.loginSecurity;
+    if (userObject.twoFactor) {
+        userObject.twoFactor = { enabled: userObject.twoFactor.enabled, enabledAt: userObject.twoFactor.enabledAt };
+    }
     return userObject;
 };
 
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// One event sent (or to be sent) to one webhook subscription, with every attempt logged
+const webhookDeliverySchema = new mongoose.Schema({
+    subscription: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'WebhookSubscription',
+        required: true
+    },
+    hospital: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    event: {
+        type: String,
+        required: true
+    },
+    // Exactly the JSON body that is signed and posted
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+
+    status: {
+        type: String,
+        enum: ['pending', 'sending', 'delivered', 'failed'],
+        default: 'pending'
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    maxAttempts: {
+        type: Number,
+        default: 8
+    },
+    nextAttemptAt: {
+        type: Date,
+        default: Date.now
+    },
+    lockedAt: Date,
+    deliveredAt: Date,
+    lastError: String,
+
+    attemptLog: [{
+        attemptedAt: Date,
+        statusCode: Number,
+        durationMs: Number,
+        error: String,
+        responseBody: String
+    }]
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ status: 1, lockedAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
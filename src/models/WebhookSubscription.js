@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const webhookSubscriptionSchema = new mongoose.Schema({
+    hospital: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Hospital',
+        required: true
+    },
+    url: {
+        type: String,
+        required: [true, 'Webhook URL is required'],
+        trim: true,
+        maxlength: [2000, 'Webhook URL cannot exceed 2000 characters']
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: [200, 'Description cannot exceed 200 characters']
+    },
+    events: {
+        type: [{
+            type: String,
+            enum: ['referral.created', 'referral.status_changed', 'referral.escalated', 'record.created']
+        }],
+        validate: {
+            validator: (events) => events.length > 0,
+            message: 'Subscribe to at least one event'
+        }
+    },
+    // Shared secret for the HMAC-SHA256 signature; only returned when created or rotated
+    secret: {
+        type: String,
+        required: true,
+        select: false
+    },
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+
+    // Delivery health
+    lastDeliveryAt: Date,
+    lastSuccessAt: Date,
+    consecutiveFailures: {
+        type: Number,
+        default: 0
+    }
+}, {
+    timestamps: true
+});
+
+// Indexes for better query performance
+webhookSubscriptionSchema.index({ hospital: 1 });
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+module.exports = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
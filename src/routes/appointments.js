@@ -0,0 +1,309 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const {
+    getSlots,
+    createSlots,
+    deleteSlot,
+    getAppointments,
+    getAppointmentById,
+    bookAppointment,
+    rescheduleAppointment,
+    cancelAppointment,
+    completeAppointment,
+    markNoShow
+} = require('../controllers/appointmentController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Appointments
+ *   description: Doctor availability and referral appointment booking
+ */
+
+// All routes require authentication
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/appointments/slots:
+ *   get:
+ *     summary: List availability slots
+ *     description: "Approved doctors and super admins see every hospital's slots; hospital admins and patients only their own hospital's."
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: doctorId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: hospitalId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: available
+ *         description: Only free slots in the future
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Slots with pagination
+ *   post:
+ *     summary: Create availability slots for the current doctor
+ *     description: "Accepts a single slot or { slots: [...] }. Slots may not overlap the doctor's existing slots."
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               slots:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [startTime, endTime]
+ *                   properties:
+ *                     startTime:
+ *                       type: string
+ *                       format: date-time
+ *                     endTime:
+ *                       type: string
+ *                       format: date-time
+ *                     location:
+ *                       type: string
+ *     responses:
+ *       201:
+ *         description: Slots created
+ *       400:
+ *         description: Invalid slot times
+ *       409:
+ *         description: Slots overlap
+ */
+router.get('/slots', getSlots);
+router.post('/slots', authorize('doctor'), createSlots);
+
+/**
+ * @swagger
+ * /api/appointments/slots/{id}:
+ *   delete:
+ *     summary: Delete an unbooked slot
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Slot deleted
+ *       409:
+ *         description: Slot is booked
+ */
+router.delete('/slots/:id', authorize('doctor', 'super_admin'), deleteSlot);
+
+/**
+ * @swagger
+ * /api/appointments:
+ *   get:
+ *     summary: List appointments visible to the current user
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [scheduled, completed, cancelled, no_show]
+ *       - in: query
+ *         name: referralId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Appointments with pagination
+ *   post:
+ *     summary: Book an accepted referral into a slot
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [referralId, slotId]
+ *             properties:
+ *               referralId:
+ *                 type: string
+ *               slotId:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *                 enum: [consultation, follow-up, procedure, test, other]
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Appointment booked
+ *       409:
+ *         description: Slot taken, referral not bookable or already booked
+ */
+router.get('/', getAppointments);
+router.post('/', bookAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}:
+ *   get:
+ *     summary: Get an appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment
+ *       404:
+ *         description: Not found
+ */
+router.get('/:id', getAppointmentById);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/reschedule:
+ *   patch:
+ *     summary: Move a scheduled appointment to another free slot
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [slotId]
+ *             properties:
+ *               slotId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment rescheduled
+ *       409:
+ *         description: Slot taken or appointment not scheduled
+ */
+router.patch('/:id/reschedule', rescheduleAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/cancel:
+ *   patch:
+ *     summary: Cancel a scheduled appointment
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [reason]
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Appointment cancelled and slot released
+ */
+router.patch('/:id/cancel', cancelAppointment);
+
+/**
+ * @swagger
+ * /api/appointments/{id}/complete:
+ *   patch:
+ *     summary: Mark an appointment as attended
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment completed
+ * /api/appointments/{id}/no-show:
+ *   patch:
+ *     summary: Mark an appointment as a no-show
+ *     tags: [Appointments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Appointment marked as no-show
+ *       409:
+ *         description: Appointment has not started yet or is not scheduled
+ */
+router.patch('/:id/complete', completeAppointment);
+router.patch('/:id/no-show', markNoShow);
+
+module.exports = router;
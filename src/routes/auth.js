@@ -1,18 +1,36 @@
 const express = require('express');
+const fs = require('fs');
 const router = express.Router();
 
 // Import controllers and middleware
 const {
     register,
     login,
+    loginTwoFactor,
     logout,
+    refreshToken,
+    getSessions,
+    revokeOneSession,
+    revokeAllSessions,
     getMe,
     forgotPassword,
     resetPassword,
     verifyEmail,
+    resendVerification,
     updateProfile,
-    changePassword
+    changePassword,
+    getNotificationPreferences,
+    updateNotificationPreferences
 } = require('../controllers/authController');
+const {
+    getTwoFactorStatus,
+    setupTwoFactor,
+    enableTwoFactor,
+    disableTwoFactor,
+    replaceRecoveryCodes,
+    getTwoFactorPolicy,
+    updateTwoFactorPolicy
+} = require('../controllers/twoFactorController');
 
 const { protect, authorize } = require('../middleware/auth');
 const { upload } = require('../middleware/upload');
@@ -81,7 +99,9 @@ router.post('/register', validateRegister, register);
  *             $ref: '#/components/schemas/LoginCredentials'
  *     responses:
  *       200:
- *         description: Login successful
+ *         description: >
+ *           Login successful. With two-factor authentication on, the body is instead
+ *           { twoFactorRequired: true, challengeToken } for POST /api/auth/login/2fa.
  *         content:
  *           application/json:
  *             schema:
@@ -95,6 +115,42 @@ router.post('/register', validateRegister, register);
  */
 router.post('/login', validateLogin, login);
 
+/**
+ * @swagger
+ * /api/auth/login/2fa:
+ *   post:
+ *     summary: Second login step for users with two-factor authentication
+ *     tags: [Authentication]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *                 description: From the login response, valid for 5 minutes
+ *               code:
+ *                 type: string
+ *                 description: 6-digit code from the authenticator app
+ *               recoveryCode:
+ *                 type: string
+ *                 description: One of the recovery codes, instead of a code
+ *     responses:
+ *       200:
+ *         description: Login successful
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/AuthResponse'
+ *       401:
+ *         description: Invalid or expired challenge, or invalid code
+ */
+router.post('/login/2fa', loginTwoFactor);
+
 /**
  * @swagger
  * /api/auth/forgot-password:
@@ -162,11 +218,12 @@ router.post('/forgot-password', validateForgotPassword, forgotPassword);
  *             properties:
  *               password:
  *                 type: string
- *                 minLength: 6
- *                 example: newpassword123
+ *                 minLength: 10
+ *                 description: Must meet the password policy and differ from recent passwords
+ *                 example: Harbor-Lantern-42
  *               confirmPassword:
  *                 type: string
- *                 example: newpassword123
+ *                 example: Harbor-Lantern-42
  *     responses:
  *       200:
  *         description: Password reset successful
@@ -188,6 +245,7 @@ router.post('/reset-password/:token', validateResetPassword, resetPassword);
  * /api/auth/verify-email/{token}:
  *   get:
  *     summary: Verify email address
+ *     description: Tokens come from the emailed link, expire after 24 hours and work once
  *     tags: [Authentication]
  *     parameters:
  *       - in: path
@@ -219,6 +277,25 @@ router.post('/reset-password/:token', validateResetPassword, resetPassword);
  */
 router.get('/verify-email/:token', verifyEmail);
 
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     description: The new link replaces earlier ones. At most one email per minute.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email address is already verified
+ *       429:
+ *         description: A link was sent less than a minute ago
+ */
+router.post('/resend-verification', protect, resendVerification);
+
 /**
  * @swagger
  * /api/auth/logout:
@@ -250,6 +327,225 @@ router.get('/verify-email/:token', verifyEmail);
  */
 router.post('/logout', protect, logout);
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Exchange a refresh token for new access and refresh tokens
+ *     description: >
+ *       Refresh tokens rotate: each one can be used once. Presenting a refresh token that was
+ *       already exchanged ends its session.
+ *     tags: [Authentication]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 description: Only needed when the refreshToken cookie is not sent
+ *     responses:
+ *       200:
+ *         description: New tokens (same body as login)
+ *       401:
+ *         description: Missing, invalid, expired, revoked or reused refresh token
+ */
+router.post('/refresh', refreshToken);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the current user's active sessions (signed-in devices)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions, most recently used first; the one making the request has current true
+ *   delete:
+ *     summary: Sign out of all sessions
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: exceptCurrent
+ *         schema:
+ *           type: boolean
+ *         description: Keep the session making the request
+ *     responses:
+ *       200:
+ *         description: Number of sessions revoked
+ * /api/auth/sessions/{sessionId}:
+ *   delete:
+ *     summary: Sign out of one session
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: No active session with that ID
+ */
+router.get('/sessions', protect, getSessions);
+router.delete('/sessions', protect, revokeAllSessions);
+router.delete('/sessions/:sessionId', protect, revokeOneSession);
+
+/**
+ * @swagger
+ * /api/auth/2fa:
+ *   get:
+ *     summary: Two-factor authentication status of the current user
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Whether 2FA is enabled or required, and how many recovery codes are unused
+ * /api/auth/2fa/setup:
+ *   post:
+ *     summary: Start two-factor setup
+ *     description: >
+ *       Returns a new secret and its otpauth:// URI, to be shown as a QR code for the
+ *       authenticator app. Setup finishes with POST /api/auth/2fa/enable.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Secret and provisioning URI
+ *       409:
+ *         description: Two-factor authentication is already enabled
+ * /api/auth/2fa/enable:
+ *   post:
+ *     summary: Finish two-factor setup with a code from the app
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enabled; the recovery codes are returned only this once
+ *       400:
+ *         description: Invalid code, or setup not started
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Turn two-factor authentication off
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Disabled
+ *       401:
+ *         description: Wrong password or code
+ *       403:
+ *         description: Two-factor authentication is required for the user's role
+ * /api/auth/2fa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               recoveryCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New recovery codes, returned only this once
+ *       401:
+ *         description: Wrong password or code
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Roles that must use two-factor authentication
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Required roles and the roles 2FA can be required for
+ *   put:
+ *     summary: Set the roles that must use two-factor authentication
+ *     description: >
+ *       Users of a required role who have not set up 2FA can only reach the 2FA setup
+ *       endpoints, /api/auth/me and /api/auth/logout until they do.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requiredRoles
+ *             properties:
+ *               requiredRoles:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [super_admin, hospital, doctor]
+ *     responses:
+ *       200:
+ *         description: Policy updated
+ *       400:
+ *         description: Unknown role
+ */
+router.get('/2fa', protect, getTwoFactorStatus);
+router.post('/2fa/setup', protect, setupTwoFactor);
+router.post('/2fa/enable', protect, enableTwoFactor);
+router.post('/2fa/disable', protect, disableTwoFactor);
+router.post('/2fa/recovery-codes', protect, replaceRecoveryCodes);
+router.get('/2fa/policy', protect, authorize('super_admin'), getTwoFactorPolicy);
+router.put('/2fa/policy', protect, authorize('super_admin'), updateTwoFactorPolicy);
+
 /**
  * @swagger
  * /api/auth/me:
@@ -301,6 +597,15 @@ router.get('/me', protect, getMe);
  *               lastName:
  *                 type: string
  *                 example: Doe
+ *               email:
+ *                 type: string
+ *                 format: email
+ *                 description: >
+ *                   New email address; needs currentPassword and must be verified again
+ *                   through the link sent to it. Not available to hospital admins.
+ *               currentPassword:
+ *                 type: string
+ *                 description: Required when changing the email address
  *               phone:
  *                 type: string
  *                 example: +1234567890
@@ -320,6 +625,10 @@ router.get('/me', protect, getMe);
  *                   state: { type: string, example: "NY" }
  *                   zipCode: { type: string, example: "10001" }
  *                   country: { type: string, example: "USA" }
+ *               locale:
+ *                 type: string
+ *                 enum: [en, es]
+ *                 description: Language for emails
  *     responses:
  *       200:
  *         description: Profile updated successfully
@@ -392,6 +701,11 @@ router.post('/profile/image', protect, upload.single('image'), async (req, res)
         return res.json({ success: true, url: result.secure_url, public_id: result.public_id });
     } catch (err) {
         return res.status(500).json({ success: false, message: 'Upload failed' });
+    } finally {
+        // The local copy is only a staging file for Cloudinary
+        if (req.file) {
+            fs.promises.unlink(req.file.path).catch(() => { });
+        }
     }
 });
 
@@ -421,11 +735,12 @@ router.put('/profile', protect, validateUpdateProfile, updateProfile);
  *                 example: oldpassword123
  *               newPassword:
  *                 type: string
- *                 minLength: 6
- *                 example: newpassword123
+ *                 minLength: 10
+ *                 description: Must meet the password policy and differ from recent passwords
+ *                 example: Harbor-Lantern-42
  *               confirmPassword:
  *                 type: string
- *                 example: newpassword123
+ *                 example: Harbor-Lantern-42
  *     responses:
  *       200:
  *         description: Password changed successfully
@@ -455,4 +770,45 @@ router.put('/profile', protect, validateUpdateProfile, updateProfile);
  */
 router.put('/change-password', protect, validateChangePassword, changePassword);
 
+/**
+ * @swagger
+ * /api/auth/notification-preferences:
+ *   get:
+ *     summary: Get email notification preferences
+ *     description: Returns one on/off switch per notification event type, with descriptions.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current preferences
+ *       401:
+ *         description: Unauthorized
+ *   put:
+ *     summary: Opt in or out of email notifications per event type
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               email:
+ *                 type: object
+ *                 additionalProperties:
+ *                   type: boolean
+ *                 example:
+ *                   referralMessage: false
+ *     responses:
+ *       200:
+ *         description: Preferences updated
+ *       400:
+ *         description: Unknown event type or non-boolean value
+ */
+router.get('/notification-preferences', protect, getNotificationPreferences);
+router.put('/notification-preferences', protect, updateNotificationPreferences);
+
 module.exports = router;
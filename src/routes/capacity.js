@@ -0,0 +1,204 @@
+const express = require('express');
+// Mounted under /api/hospitals/:id/capacity
+const router = express.Router({ mergeParams: true });
+const { protectWithApproval, authorize } = require('../middleware/auth');
+const { validateCapacityUpdate, validateWardUpdate } = require('../middleware/validation');
+const {
+    getCapacity,
+    updateCapacity,
+    updateWard,
+    deleteWard,
+    getCapacityHistory
+} = require('../controllers/capacityController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Capacity
+ *   description: |
+ *     Live bed availability per ward. Every update is timestamped and kept in the
+ *     capacity history; wards not updated for CAPACITY_STALE_HOURS (default 12)
+ *     are flagged with `isStale`.
+ */
+
+router.use(protectWithApproval);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/capacity:
+ *   get:
+ *     summary: Current availability per ward and for the whole hospital
+ *     tags: [Capacity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Wards and hospital totals, each with updatedAt and isStale
+ *       404:
+ *         description: Hospital not found
+ *   put:
+ *     summary: Publish availability for one or more wards
+ *     description: Wards are matched by `wardId`, else by name; a new name adds a ward.
+ *     tags: [Capacity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [wards]
+ *             properties:
+ *               wards:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [name, availableBeds]
+ *                   properties:
+ *                     wardId:
+ *                       type: string
+ *                     name:
+ *                       type: string
+ *                       example: ICU North
+ *                     type:
+ *                       type: string
+ *                       enum: [general, icu, emergency, maternity, pediatric, surgical, other]
+ *                     totalBeds:
+ *                       type: integer
+ *                     availableBeds:
+ *                       type: integer
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated availability
+ *       400:
+ *         description: Invalid bed counts
+ *       403:
+ *         description: Not an admin of this hospital
+ */
+router.get('/', getCapacity);
+router.put('/', authorize('super_admin', 'hospital'), validateCapacityUpdate, updateCapacity);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/capacity/history:
+ *   get:
+ *     summary: Capacity changes, newest first
+ *     tags: [Capacity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ward
+ *         schema:
+ *           type: string
+ *         description: Only changes to this ward
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Changes with previous and current bed counts
+ */
+router.get('/history', authorize('super_admin', 'hospital'), getCapacityHistory);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/capacity/wards/{wardId}:
+ *   patch:
+ *     summary: Update one ward
+ *     tags: [Capacity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: wardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               type:
+ *                 type: string
+ *               totalBeds:
+ *                 type: integer
+ *               availableBeds:
+ *                 type: integer
+ *               note:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Updated availability
+ *       404:
+ *         description: Ward not found
+ *   delete:
+ *     summary: Remove a ward
+ *     tags: [Capacity]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: wardId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Updated availability
+ */
+router.patch('/wards/:wardId', authorize('super_admin', 'hospital'), validateWardUpdate, updateWard);
+router.delete('/wards/:wardId', authorize('super_admin', 'hospital'), deleteWard);
+
+module.exports = router;
@@ -0,0 +1,209 @@
+const express = require('express');
+// Mounted under /api/hospitals/:id/departments
+const router = express.Router({ mergeParams: true });
+const { protectWithApproval, authorize } = require('../middleware/auth');
+const {
+    getDepartments,
+    createDepartment,
+    updateDepartment,
+    deleteDepartment,
+    getDepartmentQueue
+} = require('../controllers/departmentController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Departments
+ *   description: |
+ *     Clinical departments of a hospital. New referrals are routed to the
+ *     department whose specialty code matches the referral's specialty
+ *     ("Ear, Nose & Throat" -> `ear_nose_throat`), falling back to the
+ *     department name; unmatched referrals stay in the hospital's general queue.
+ */
+
+router.use(protectWithApproval);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/departments:
+ *   get:
+ *     summary: List departments (with pending queue sizes for the hospital's staff)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Hospital admins only
+ *     responses:
+ *       200:
+ *         description: Departments with their staff
+ *   post:
+ *     summary: Create a department
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Cardiology
+ *               specialtyCode:
+ *                 type: string
+ *                 description: Defaults to the normalised name
+ *                 example: cardiology
+ *               description:
+ *                 type: string
+ *               headDoctor:
+ *                 type: string
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               intakeCoordinator:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Department created
+ *       400:
+ *         description: Staff do not belong to the hospital
+ *       409:
+ *         description: Specialty code already used by another department
+ */
+router.get('/', getDepartments);
+router.post('/', authorize('super_admin', 'hospital'), createDepartment);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/departments/{departmentId}:
+ *   put:
+ *     summary: Update a department
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: departmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               specialtyCode:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               headDoctor:
+ *                 type: string
+ *               members:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               intakeCoordinator:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Department updated
+ *   delete:
+ *     summary: Delete a department (its referrals return to the general queue)
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: departmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Department deleted
+ */
+router.put('/:departmentId', authorize('super_admin', 'hospital'), updateDepartment);
+router.delete('/:departmentId', authorize('super_admin', 'hospital'), deleteDepartment);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/departments/{departmentId}/referrals:
+ *   get:
+ *     summary: The department's referral queue, most urgent and oldest first
+ *     tags: [Departments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: departmentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           default: pending
+ *       - in: query
+ *         name: priority
+ *         schema:
+ *           type: string
+ *           enum: [low, medium, high, urgent]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Referrals in the queue
+ *       403:
+ *         description: Not staff of this department or hospital admin
+ */
+router.get('/:departmentId/referrals', getDepartmentQueue);
+
+module.exports = router;
@@ -0,0 +1,69 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { getOutbox, retryOutboxEmail } = require('../controllers/emailOutboxController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Email Outbox
+ *   description: Delivery state of transactional emails
+ */
+
+router.use(protect, authorize('super_admin'));
+
+/**
+ * @swagger
+ * /api/email-outbox:
+ *   get:
+ *     summary: List queued, sent and dead-lettered emails
+ *     tags: [Email Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, sent, dead]
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Outbox entries (without message bodies)
+ */
+router.get('/', getOutbox);
+
+/**
+ * @swagger
+ * /api/email-outbox/{id}/retry:
+ *   post:
+ *     summary: Retry a dead-lettered email
+ *     tags: [Email Outbox]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Email queued again
+ *       404:
+ *         description: No dead-lettered email with this id
+ */
+router.post('/:id/retry', retryOutboxEmail);
+
+module.exports = router;
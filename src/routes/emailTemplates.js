@@ -0,0 +1,90 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize } = require('../middleware/auth');
+const { getEmailTemplates, previewEmailTemplate } = require('../controllers/emailTemplateController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Email Templates
+ *   description: Localized email templates and previews
+ */
+
+router.use(protect, authorize('super_admin'));
+
+/**
+ * @swagger
+ * /api/email-templates:
+ *   get:
+ *     summary: List email templates with their versions and locales
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Templates and supported locales
+ */
+router.get('/', getEmailTemplates);
+
+/**
+ * @swagger
+ * /api/email-templates/{name}/preview:
+ *   get:
+ *     summary: Preview a template rendered with sample data
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *           example: es
+ *       - in: query
+ *         name: format
+ *         description: Return the raw HTML or text instead of JSON
+ *         schema:
+ *           type: string
+ *           enum: [html, text]
+ *     responses:
+ *       200:
+ *         description: Rendered subject, HTML and text
+ *       404:
+ *         description: Unknown template
+ *   post:
+ *     summary: Preview a template with custom data
+ *     tags: [Email Templates]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: locale
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               data:
+ *                 type: object
+ *                 description: Values merged over the sample data
+ *     responses:
+ *       200:
+ *         description: Rendered subject, HTML and text
+ */
+router.get('/:name/preview', previewEmailTemplate);
+router.post('/:name/preview', previewEmailTemplate);
+
+module.exports = router;
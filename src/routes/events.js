@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { protect } = require('../middleware/auth');
+const { streamEvents } = require('../controllers/eventController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Events
+ *   description: Real-time updates over Server-Sent Events
+ */
+
+/**
+ * @swagger
+ * /api/events/stream:
+ *   get:
+ *     summary: Subscribe to real-time referral and record events
+ *     description: |
+ *       Server-Sent Events stream. Authenticate with the same bearer token or
+ *       cookie used for the rest of the API. Event types are
+ *       referral.created, referral.status_changed, referral.assigned, referral.escalated,
+ *       referral.message, record.created and notification.created; each user only receives events for
+ *       entities in their scope, and only their own in-app notifications.
+ *     tags: [Events]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized
+ */
+router.get('/stream', protect, streamEvents);
+
+module.exports = router;
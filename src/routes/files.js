@@ -0,0 +1,126 @@
+const express = require('express');
+const router = express.Router();
+const { protect, authorize, requireEmailVerification } = require('../middleware/auth');
+const {
+    downloadFile,
+    createFileLink,
+    downloadSignedFile,
+    getFileAccessLog
+} = require('../controllers/fileController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Files
+ *   description: Access-controlled downloads for clinical files and profile images
+ */
+
+/**
+ * @swagger
+ * /api/files/signed/{token}:
+ *   get:
+ *     summary: Download a file through a signed, expiring link
+ *     tags: [Files]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       403:
+ *         description: Link is invalid or has expired
+ */
+router.get('/signed/:token', downloadSignedFile);
+
+/**
+ * @swagger
+ * /api/files/access-log:
+ *   get:
+ *     summary: List file downloads
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [referral, record, user]
+ *       - in: query
+ *         name: owner
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Access log entries
+ */
+router.get('/access-log', protect, authorize('super_admin'), getFileAccessLog);
+
+/**
+ * @swagger
+ * /api/files/{kind}/{ownerId}/{fileId}:
+ *   get:
+ *     summary: Download a file
+ *     description: kind is referral, record or user (fileId "profile-image"). Access follows the owning entity.
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: kind
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [referral, record, user]
+ *       - in: path
+ *         name: ownerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: fileId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: File contents
+ *       403:
+ *         description: Not authorized to access this file
+ *       404:
+ *         description: File not found
+ */
+router.get('/:kind/:ownerId/:fileId', protect, requireEmailVerification, downloadFile);
+
+/**
+ * @swagger
+ * /api/files/{kind}/{ownerId}/{fileId}/link:
+ *   post:
+ *     summary: Create a short-lived signed download link
+ *     tags: [Files]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresIn:
+ *                 type: integer
+ *                 description: Lifetime in seconds (default 900, max 86400)
+ *     responses:
+ *       201:
+ *         description: Signed URL and its expiry
+ */
+router.post('/:kind/:ownerId/:fileId/link', protect, requireEmailVerification, createFileLink);
+
+module.exports = router;
@@ -77,7 +77,37 @@ router.post('/', optionalAuth, validateHospital, (req, res, next) => {
  * /api/hospitals/approved:
  *   get:
  *     summary: Get all approved hospitals (Public)
+ *     description: Each hospital includes its wards and availability with `isStale` flags.
  *     tags: [Hospitals]
+ *     parameters:
+ *       - in: query
+ *         name: minBeds
+ *         schema:
+ *           type: integer
+ *         description: At least this many beds available across all wards
+ *       - in: query
+ *         name: minIcuBeds
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: minEmergencyBeds
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: wardType
+ *         schema:
+ *           type: string
+ *           enum: [general, icu, emergency, maternity, pediatric, surgical, other]
+ *         description: Has a ward of this type with a bed available
+ *       - in: query
+ *         name: excludeStale
+ *         schema:
+ *           type: boolean
+ *         description: Leave out hospitals whose availability is stale
+ *       - in: query
+ *         name: specialty
+ *         schema:
+ *           type: string
  *     responses:
  *       200:
  *         description: Approved hospitals retrieved successfully
@@ -280,4 +310,13 @@ router.put('/:id', protectWithApproval, authorize('super_admin', 'hospital'), va
  */
 router.delete('/:id', protect, authorize('super_admin'), deleteHospital);
 
+// Departments and their referral queues (see routes/departments.js)
+router.use('/:id/departments', require('./departments'));
+
+// Live bed availability (see routes/capacity.js)
+router.use('/:id/capacity', require('./capacity'));
+
+// Outbound webhooks (see routes/webhooks.js)
+router.use('/:id/webhooks', require('./webhooks'));
+
 module.exports = router;
\ No newline at end of file
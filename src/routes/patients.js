@@ -1,7 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const { getPatients, getPatientById, createPatient, getPatientProfile, getPatientReferrals, getPatientMedicalHistory } = require('../controllers/patientController');
-const { protect } = require('../middleware/auth');
+const { protect, requireEmailVerification } = require('../middleware/auth');
 
 /**
  * @swagger
@@ -206,6 +206,6 @@ router.get('/:id/referrals', protect, getPatientReferrals);
  *       404:
  *         description: Patient not found
  */
-router.get('/:id/medical-history', protect, getPatientMedicalHistory);
+router.get('/:id/medical-history', protect, requireEmailVerification, getPatientMedicalHistory);
 
 module.exports = router;
@@ -1,32 +1,46 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requireEmailVerification } = require('../middleware/auth');
+const { clinicalFiles } = require('../middleware/upload');
 const {
     getRecords,
     getRecordById,
     createRecord,
     updateRecord,
+    authorizeRecordUpload,
     uploadRecordFiles,
-    getRecordFiles
+    deleteRecordFile,
+    getRecordFiles,
+    getRecordPdf,
+    getPatientChartPdf
 } = require('../controllers/recordController');
 
-// All routes require authentication
-router.use(protect);
+// All routes require authentication and a verified email address
+router.use(protect, requireEmailVerification);
 
 // Get all records with filtering and pagination
 router.get('/', getRecords);
 
+// Export a patient's chart as PDF
+router.get('/chart/:patientId/pdf', getPatientChartPdf);
+
 // Get record by ID
 router.get('/:id', getRecordById);
 
+// Download record as PDF
+router.get('/:id/pdf', getRecordPdf);
+
 // Create new record (doctors only)
 router.post('/', createRecord);
 
 // Update record (doctors only)
 router.put('/:id', updateRecord);
 
-// Upload files to record
-router.post('/:id/files', uploadRecordFiles);
+// Upload files to record (access is checked before the upload is read)
+router.post('/:id/files', authorizeRecordUpload, clinicalFiles('files'), uploadRecordFiles);
+
+// Delete a record file
+router.delete('/:id/files/:fileId', deleteRecordFile);
 
 // Get record files
 router.get('/:id/files', getRecordFiles);
@@ -1,13 +1,35 @@
 const express = require('express');
 const router = express.Router();
-const { protect } = require('../middleware/auth');
+const { protect, requireEmailVerification } = require('../middleware/auth');
+const { clinicalFiles } = require('../middleware/upload');
 const {
     getReferrals,
     getReferralById,
     createReferral,
     updateReferral,
-    updateReferralStatus
+    updateReferralStatus,
+    getReferralTimeline,
+    getReferralPdf,
+    suggestDestinations,
+    forwardReferral
 } = require('../controllers/referralController');
+const {
+    getIntakeQueue,
+    claimReferral,
+    assignReferral
+} = require('../controllers/intakeController');
+const {
+    getMessages,
+    postMessage,
+    markMessagesRead,
+    getUnreadCount
+} = require('../controllers/referralMessageController');
+const {
+    authorizeReferralUpload,
+    uploadReferralAttachments,
+    uploadInvestigationFile,
+    deleteReferralAttachment
+} = require('../controllers/referralAttachmentController');
 
 // All routes require authentication
 router.use(protect);
@@ -15,16 +37,46 @@ router.use(protect);
 // Get all referrals with filtering and pagination
 router.get('/', getReferrals);
 
+// Suggest receiving hospitals for a new referral
+router.get('/suggest-destinations', suggestDestinations);
+
+// Receiving hospital's intake queue (priority, then age, with SLA countdowns)
+router.get('/intake', getIntakeQueue);
+
 // Get referral by ID
 router.get('/:id', getReferralById);
 
-// Create new referral
-router.post('/', createReferral);
+// Get referral timeline (read-only)
+router.get('/:id/timeline', getReferralTimeline);
+
+// Download referral letter as PDF
+router.get('/:id/pdf', getReferralPdf);
+
+// Referral message thread
+router.get('/:id/messages', getMessages);
+router.post('/:id/messages', postMessage);
+router.get('/:id/messages/unread-count', getUnreadCount);
+router.patch('/:id/messages/read', markMessagesRead);
+
+// Referral attachments (access is checked before the upload is read)
+router.post('/:id/attachments', authorizeReferralUpload, clinicalFiles('files'), uploadReferralAttachments);
+router.delete('/:id/attachments/:attachmentId', deleteReferralAttachment);
+router.post('/:id/investigations/:investigationId/file', authorizeReferralUpload, clinicalFiles('file', 1), uploadInvestigationFile);
+
+// Create new referral (verified email address required)
+router.post('/', requireEmailVerification, createReferral);
 
 // Update referral
 router.put('/:id', updateReferral);
 
+// Claim a referral from the intake queue / assign it to a doctor or department
+router.post('/:id/claim', claimReferral);
+router.post('/:id/assign', assignReferral);
+
 // Update referral status
 router.patch('/:id/status', updateReferralStatus);
 
+// Forward a referral to another hospital as a linked child referral
+router.post('/:id/forward', requireEmailVerification, forwardReferral);
+
 module.exports = router;
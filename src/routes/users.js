@@ -7,7 +7,9 @@ const {
     updateUser,
     deleteUser,
     toggleUserStatus,
-    getUserStats
+    getUserStats,
+    unlockUser,
+    getSecurityEvents
 } = require('../controllers/userController');
 
 const { protect, authorize } = require('../middleware/auth');
@@ -82,6 +84,48 @@ router.get('/', protect, authorize('super_admin'), getUsers);
  */
 router.get('/stats', protect, authorize('super_admin'), getUserStats);
 
+/**
+ * @swagger
+ * /api/users/security-events:
+ *   get:
+ *     summary: Get the security event log (Super Admin only)
+ *     description: Failed and throttled logins, account lockouts and unlocks, newest first
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [login_failed, login_throttled, account_locked, account_unlocked]
+ *       - in: query
+ *         name: user
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Security events retrieved successfully
+ */
+router.get('/security-events', protect, authorize('super_admin'), getSecurityEvents);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -153,6 +197,30 @@ router.put('/:id', protect, authorize('super_admin'), validateUserUpdate, update
  */
 router.patch('/:id/toggle-status', protect, authorize('super_admin'), toggleUserStatus);
 
+/**
+ * @swagger
+ * /api/users/{id}/unlock:
+ *   post:
+ *     summary: Unlock an account locked after failed logins (Super Admin only)
+ *     description: Also clears the failed login count; the user is emailed when the account was locked
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Account unlocked
+ *       404:
+ *         description: User not found
+ */
+router.post('/:id/unlock', protect, authorize('super_admin'), unlockUser);
+
 /**
  * @swagger
  * /api/users/{id}:
@@ -0,0 +1,262 @@
+const express = require('express');
+// Mounted under /api/hospitals/:id/webhooks
+const router = express.Router({ mergeParams: true });
+const { protectWithApproval, authorize } = require('../middleware/auth');
+const {
+    getWebhooks,
+    createWebhook,
+    updateWebhook,
+    rotateWebhookSecret,
+    deleteWebhook,
+    testWebhook,
+    getWebhookDeliveries,
+    redeliverWebhook
+} = require('../controllers/webhookController');
+
+/**
+ * @swagger
+ * tags:
+ *   name: Webhooks
+ *   description: |
+ *     Outbound webhooks for hospital systems. Each delivery is a JSON POST of
+ *     `{ id, type, occurredAt, data }` with headers X-Webhook-Event, X-Webhook-Id,
+ *     X-Webhook-Timestamp and X-Webhook-Signature (`sha256=` + hex HMAC-SHA256 of
+ *     `timestamp + "." + body` with the webhook secret). Non-2xx responses are retried
+ *     with exponential backoff.
+ */
+
+router.use(protectWithApproval, authorize('super_admin', 'hospital'));
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/webhooks:
+ *   get:
+ *     summary: List the hospital's webhooks
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhooks and the events that can be subscribed to
+ *   post:
+ *     summary: Create a webhook (the secret is only returned here)
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [url, events]
+ *             properties:
+ *               url:
+ *                 type: string
+ *                 example: https://his.example-hospital.org/hooks/referrals
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [referral.created, referral.status_changed, referral.escalated, record.created]
+ *               description:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Webhook and its signing secret
+ *       400:
+ *         description: Invalid URL or events
+ */
+router.get('/', getWebhooks);
+router.post('/', createWebhook);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/webhooks/{webhookId}:
+ *   put:
+ *     summary: Update a webhook
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               url:
+ *                 type: string
+ *               events:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               description:
+ *                 type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Webhook updated
+ *   delete:
+ *     summary: Delete a webhook and its delivery log
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Webhook deleted
+ */
+router.put('/:webhookId', updateWebhook);
+router.delete('/:webhookId', deleteWebhook);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/webhooks/{webhookId}/rotate-secret:
+ *   post:
+ *     summary: Replace the signing secret
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The new secret
+ */
+router.post('/:webhookId/rotate-secret', rotateWebhookSecret);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/webhooks/{webhookId}/test:
+ *   post:
+ *     summary: Send a signed webhook.test event immediately
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: The delivery with the receiver's status code and response
+ */
+router.post('/:webhookId/test', testWebhook);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Delivery log, newest first
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, sending, delivered, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Deliveries with every attempt
+ */
+router.get('/:webhookId/deliveries', getWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/hospitals/{id}/webhooks/{webhookId}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Queue a delivered or failed delivery again
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Delivery queued
+ *       409:
+ *         description: Delivery is still in progress
+ */
+router.post('/:webhookId/deliveries/:deliveryId/redeliver', redeliverWebhook);
+
+module.exports = router;
@@ -7,7 +7,6 @@ const cookieParser = require('cookie-parser');
 const rateLimit = require('express-rate-limit');
 const swaggerUi = require('swagger-ui-express');
 const swaggerSpecs = require('./config/swagger');
-const path = require('path');
 require('dotenv').config();
 
 const app = express();
@@ -45,7 +44,7 @@ app.use('/api/', limiter);
 // Specific rate limit for auth routes
 const authLimiter = rateLimit({
     windowMs: 60 * 60 * 1000, // 1 hour
-    max: 20, // limit each IP to 20 login/register attempts per hour
+    max: 20, // limit each IP to 20 register/forgot-password/resend attempts per hour
     standardHeaders: true,
     legacyHeaders: false,
     message: {
@@ -53,16 +52,27 @@ const authLimiter = rateLimit({
         message: 'Too many attempts, please try again after an hour'
     }
 });
-app.use('/api/auth/login', authLimiter);
 app.use('/api/auth/register', authLimiter);
 app.use('/api/auth/forgot-password', authLimiter);
+app.use('/api/auth/resend-verification', authLimiter);
+
+// Login gets a looser per-IP limit of its own: accounts are protected individually
+// (services/loginProtection.js), and whole hospitals log in from behind one NAT address
+const loginLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 login attempts per windowMs
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        success: false,
+        message: 'Too many login attempts from this network, please try again after 15 minutes'
+    }
+});
+app.use('/api/auth/login', loginLimiter);
 
 app.use(express.json({ limit: '1mb' }));
 app.use(express.urlencoded({ extended: true, limit: '1mb' }));
 
-// Static files for uploads
-app.use('/uploads', express.static(path.join(__dirname, '../uploads')));
-
 // Database connection
 const connectDB = async () => {
     try {
@@ -105,6 +115,19 @@ app.use('/api/patients', require('./routes/patients'));
 app.use('/api/referrals', require('./routes/referrals'));
 app.use('/api/records', require('./routes/records'));
 app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/events', require('./routes/events'));
+app.use('/api/files', require('./routes/files'));
+app.use('/api/appointments', require('./routes/appointments'));
+app.use('/api/email-outbox', require('./routes/emailOutbox'));
+app.use('/api/email-templates', require('./routes/emailTemplates'));
+app.use('/api/notifications', require('./routes/notifications'));
+
+// Email notifications for referral and appointment events
+require('./services/referralNotifications');
+// In-app notifications for referral, appointment and record events
+require('./services/notificationCenter');
+// Outbound webhooks for hospital systems
+require('./services/webhooks');
 
 // 404 handler
 app.use((req, res) => {
@@ -146,6 +169,13 @@ if (require.main === module) {
         console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
         console.log(`🌐 CORS Origin: ${process.env.CORS_ORIGIN || 'http://localhost:5173'}`);
     });
+
+    // Background jobs (referral expiry, SLA escalation)
+    if (process.env.SCHEDULER_ENABLED !== 'false') {
+        require('./services/jobs').registerJobs();
+        require('./services/scheduler').startScheduler();
+        console.log('⏱️  Background scheduler started');
+    }
 }
 
 module.exports = app;
@@ -0,0 +1,105 @@
+// Department queues for incoming referrals
+//
+// A referral's free-text specialty is normalised to a specialty code
+// ("Cardiology" -> "cardiology", "Ear, Nose & Throat" -> "ear_nose_throat") and
+// matched against the receiving hospital's active departments: by specialty
+// code first, then by department name. Unmatched referrals stay in the
+// hospital's general queue (no receivingDepartment).
+
+const Department = require('../models/Department');
+const User = require('../models/User');
+const { idOf, sameId } = require('../utils/ids');
+
+const toSpecialtyCode = (value) => String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_+|_+$/g, '');
+
+// Pick the department for a specialty from a hospital's departments
+const matchDepartment = (departments, specialty) => {
+    const code = toSpecialtyCode(specialty);
+    if (!code) return null;
+
+    const active = departments.filter(department => department.isActive !== false);
+    return active.find(department => department.specialtyCode === code) ||
+        active.find(department => toSpecialtyCode(department.name) === code) ||
+        null;
+};
+
+/**
+ * Department of `hospitalId` that should receive a referral for `specialty`, or null.
+ */
+const routeToDepartment = async (hospitalId, specialty) => {
+    if (!hospitalId) return null;
+    const departments = await Department.find({ hospital: idOf(hospitalId), isActive: true })
+        .select('name specialtyCode isActive')
+        .lean();
+    return matchDepartment(departments, specialty);
+};
+
+const isDepartmentStaff = (department, user) => !!department && !!user && (
+    sameId(department.headDoctor, user._id) ||
+    sameId(department.intakeCoordinator, user._id) ||
+    (department.members || []).some(member => sameId(member, user._id))
+);
+
+// Departments the user works in (as head, member or intake coordinator)
+const getUserDepartmentIds = async (user) => {
+    if (!user || !['doctor', 'hospital'].includes(user.role)) return [];
+    return Department.find({
+        isActive: true,
+        $or: [
+            { headDoctor: user._id },
+            { members: user._id },
+            { intakeCoordinator: user._id }
+        ]
+    }).distinct('_id');
+};
+
+// The people who pick up new referrals in a department: its intake coordinator, else its head
+const loadDepartmentContacts = async (departmentId, fields = '_id') => {
+    if (!departmentId) return [];
+    const department = await Department.findById(idOf(departmentId)).select('intakeCoordinator headDoctor isActive').lean();
+    const contactId = department?.isActive && (department.intakeCoordinator || department.headDoctor);
+    if (!contactId) return [];
+
+    const contact = await User.findOne({ _id: contactId, isActive: true }).select(fields).lean();
+    return contact ? [contact] : [];
+};
+
+/**
+ * Check that the staff given for a department belong to its hospital: the head
+ * and members must be its doctors, the intake coordinator one of its doctors or
+ * admins. Returns an error message or null.
+ */
+const validateDepartmentStaff = async (hospitalId, { headDoctor, members, intakeCoordinator }) => {
+    const doctorIds = [headDoctor, ...(members || [])].filter(Boolean).map(idOf);
+    const ids = [...new Set([...doctorIds, idOf(intakeCoordinator)].filter(Boolean))];
+    if (ids.length === 0) return null;
+
+    const users = await User.find({ _id: { $in: ids } }).select('role hospitalId').lean();
+    const byId = new Map(users.map(user => [idOf(user._id), user]));
+    const belongs = (id, roles) => {
+        const user = byId.get(id);
+        return !!user && roles.includes(user.role) && sameId(user.hospitalId, hospitalId);
+    };
+
+    if (!doctorIds.every(id => belongs(id, ['doctor']))) {
+        return 'The head doctor and members must be doctors of this hospital';
+    }
+    if (intakeCoordinator && !belongs(idOf(intakeCoordinator), ['doctor', 'hospital'])) {
+        return 'The intake coordinator must be a doctor or admin of this hospital';
+    }
+    return null;
+};
+
+module.exports = {
+    toSpecialtyCode,
+    matchDepartment,
+    routeToDepartment,
+    isDepartmentStaff,
+    getUserDepartmentIds,
+    loadDepartmentContacts,
+    validateDepartmentStaff
+};
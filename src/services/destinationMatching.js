@@ -0,0 +1,255 @@
+// Ranking of receiving hospitals for a new referral
+//
+// Every approved, active hospital gets a 0-100 score made of weighted factors,
+// each scored 0-1 with a sentence explaining why:
+//   specialty    - the specialty is in Hospital.specialties (or only in services)
+//   availability - beds (ICU beds for urgent referrals) published free, unless stale
+//   load         - referrals already waiting for the hospital's response
+//   acceptance   - share of decided referrals the hospital accepted (last 180 days)
+//   turnaround   - average time the hospital took to accept or reject
+//   distance     - from the patient: coordinates when both sides have them, else city/state
+// Urgent and high priority referrals weigh availability, turnaround and distance more.
+
+const Hospital = require('../models/Hospital');
+const Referral = require('../models/Referral');
+const { isStale } = require('./hospitalCapacity');
+
+const WEIGHTS = {
+    default: { specialty: 35, availability: 15, load: 15, acceptance: 15, turnaround: 5, distance: 15 },
+    high: { specialty: 30, availability: 20, load: 10, acceptance: 10, turnaround: 10, distance: 20 },
+    urgent: { specialty: 30, availability: 25, load: 5, acceptance: 10, turnaround: 10, distance: 20 }
+};
+
+const HISTORY_DAYS = 180;
+// Fewer decided referrals than this is not enough to judge a hospital on
+const MIN_HISTORY = 5;
+// Hours to respond that count as "as expected" (scores 0.5) per priority
+const TARGET_RESPONSE_HOURS = { urgent: 4, high: 24, medium: 72, low: 120 };
+const NEUTRAL = 0.5;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+const scoreSpecialty = (hospital, specialty) => {
+    const wanted = normalize(specialty);
+    const specialties = (hospital.specialties || []).map(normalize);
+    const services = hospital.services || [];
+
+    if (specialties.includes(wanted)) {
+        return { score: 1, explanation: `Lists ${specialty} among its specialties` };
+    }
+    const related = [...(hospital.specialties || []), ...services]
+        .find(item => normalize(item).includes(wanted) || wanted.includes(normalize(item)));
+    if (related) {
+        return { score: 0.6, explanation: `Offers the related service "${related}"` };
+    }
+    return { score: 0, explanation: `Does not list ${specialty}` };
+};
+
+const scoreAvailability = (hospital, priority, now) => {
+    const { availability = {}, capacity = {} } = hospital;
+    const useIcu = priority === 'urgent' && availability.icuBeds !== undefined && availability.icuBeds !== null;
+    const free = useIcu ? availability.icuBeds : availability.beds;
+    const total = useIcu ? capacity.icuBeds : capacity.beds;
+    const label = useIcu ? 'ICU bed' : 'bed';
+
+    if (free === undefined || free === null || !availability.updatedAt) {
+        return { score: NEUTRAL, explanation: 'No bed availability published' };
+    }
+    if (isStale(availability.updatedAt, now)) {
+        const ageHours = (now - new Date(availability.updatedAt)) / (60 * 60 * 1000);
+        return { score: NEUTRAL, explanation: `Bed availability was last updated ${Math.floor(ageHours)} hours ago and is treated as unknown` };
+    }
+    if (free === 0) {
+        return { score: 0, explanation: `No ${label}s available` };
+    }
+    // A fifth of the hospital's beds free (or 5 beds when no total is known) is full marks
+    const comfortable = total ? Math.max(total * 0.2, 1) : 5;
+    return {
+        score: Math.min(free / comfortable, 1),
+        explanation: `${plural(free, `${label}`)} available${total ? ` of ${total}` : ''}`
+    };
+};
+
+const scoreLoad = (pending = 0) => ({
+    score: 1 / (1 + pending / 5),
+    explanation: pending === 0
+        ? 'No referrals waiting for a response'
+        : `${plural(pending, 'referral')} waiting for a response`
+});
+
+const scoreAcceptance = (history) => {
+    const decided = history ? history.accepted + history.rejected + history.expired : 0;
+    if (decided < MIN_HISTORY) {
+        return { score: NEUTRAL, explanation: 'Not enough recent referrals to judge acceptance' };
+    }
+    const rate = history.accepted / decided;
+    return {
+        score: rate,
+        explanation: `Accepted ${Math.round(rate * 100)}% of ${decided} decided referrals in the last ${HISTORY_DAYS} days`
+    };
+};
+
+const scoreTurnaround = (history, priority) => {
+    if (!history || history.responded < MIN_HISTORY) {
+        return { score: NEUTRAL, explanation: 'Not enough recent responses to judge turnaround' };
+    }
+    const target = TARGET_RESPONSE_HOURS[priority] || TARGET_RESPONSE_HOURS.medium;
+    const hours = history.avgResponseHours;
+    return {
+        score: target / (target + hours),
+        explanation: `Responds in ${hours < 1 ? 'under an hour' : `${Math.round(hours)} hours`} on average`
+    };
+};
+
+// Great-circle distance in km
+const haversineKm = (from, to) => {
+    const toRad = (deg) => (deg * Math.PI) / 180;
+    const dLat = toRad(to.latitude - from.latitude);
+    const dLon = toRad(to.longitude - from.longitude);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(from.latitude)) * Math.cos(toRad(to.latitude)) * Math.sin(dLon / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+const hasCoordinates = (location) => Number.isFinite(location?.latitude) && Number.isFinite(location?.longitude);
+
+const scoreDistance = (hospital, patient) => {
+    if (!patient) {
+        return { score: NEUTRAL, explanation: 'No patient given, distance not considered' };
+    }
+    if (hasCoordinates(patient.location) && hasCoordinates(hospital.location)) {
+        const km = haversineKm(patient.location, hospital.location);
+        return { score: 1 / (1 + km / 25), explanation: `${Math.round(km)} km from the patient` };
+    }
+
+    const from = patient.address || {};
+    const to = hospital.address || {};
+    if (!from.city && !from.state) {
+        return { score: NEUTRAL, explanation: "The patient's address is not known" };
+    }
+    if (from.city && normalize(from.city) === normalize(to.city)) {
+        return { score: 1, explanation: `In the patient's city (${to.city})` };
+    }
+    if (from.state && normalize(from.state) === normalize(to.state)) {
+        return { score: 0.6, explanation: `In the patient's state (${to.state})` };
+    }
+    if (from.country && normalize(from.country) === normalize(to.country)) {
+        return { score: 0.3, explanation: `In ${to.city}, ${to.state}, outside the patient's state` };
+    }
+    return { score: 0, explanation: `In ${to.city}, far from the patient` };
+};
+
+// Pending referrals per receiving hospital
+const loadPendingCounts = async (hospitalIds) => {
+    const rows = await Referral.aggregate([
+        { $match: { receivingHospital: { $in: hospitalIds }, status: 'pending' } },
+        { $group: { _id: '$receivingHospital', count: { $sum: 1 } } }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), row.count]));
+};
+
+// Decisions and response times per receiving hospital over the history window
+const loadHistory = async (hospitalIds, now) => {
+    const since = new Date(now.getTime() - HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const rows = await Referral.aggregate([
+        { $match: { receivingHospital: { $in: hospitalIds }, createdAt: { $gte: since } } },
+        {
+            $group: {
+                _id: '$receivingHospital',
+                // Referrals that went on to be worked on were accepted first
+                accepted: { $sum: { $cond: [{ $in: ['$status', ['accepted', 'in_progress', 'completed']] }, 1, 0] } },
+                rejected: { $sum: { $cond: [{ $eq: ['$status', 'rejected'] }, 1, 0] } },
+                expired: { $sum: { $cond: [{ $eq: ['$status', 'expired'] }, 1, 0] } },
+                responded: { $sum: { $cond: [{ $ifNull: ['$response.responseDate', false] }, 1, 0] } },
+                avgResponseMs: { $avg: { $subtract: ['$response.responseDate', '$createdAt'] } }
+            }
+        }
+    ]);
+    return new Map(rows.map(row => [row._id.toString(), {
+        ...row,
+        avgResponseHours: (row.avgResponseMs || 0) / (60 * 60 * 1000)
+    }]));
+};
+
+/**
+ * Score one hospital against the referral, using the metrics loaded for it.
+ */
+const scoreHospital = (hospital, { specialty, priority, patient, pendingCount, history, now }) => {
+    const weights = WEIGHTS[priority] || WEIGHTS.default;
+    const results = {
+        specialty: scoreSpecialty(hospital, specialty),
+        availability: scoreAvailability(hospital, priority, now),
+        load: scoreLoad(pendingCount),
+        acceptance: scoreAcceptance(history),
+        turnaround: scoreTurnaround(history, priority),
+        distance: scoreDistance(hospital, patient)
+    };
+
+    const factors = Object.entries(results).map(([factor, { score, explanation }]) => ({
+        factor,
+        weight: weights[factor],
+        score: Math.round(score * 100) / 100,
+        points: Math.round(score * weights[factor] * 10) / 10,
+        explanation
+    }));
+    const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+
+    return {
+        score: Math.round(total),
+        factors,
+        // The strongest reasons first, as a one-line summary
+        explanation: [...factors]
+            .sort((a, b) => b.points - a.points)
+            .slice(0, 3)
+            .map(factor => factor.explanation)
+            .join('; ')
+    };
+};
+
+/**
+ * Rank approved, active hospitals for a referral. Hospitals in `excludeIds`
+ * (e.g. the referring hospital) are left out.
+ */
+const suggestDestinations = async ({ specialty, priority = 'medium', patient = null, excludeIds = [], limit = 10, now = new Date() }) => {
+    const hospitals = await Hospital.find({
+        status: 'approved',
+        isActive: true,
+        _id: { $nin: excludeIds.filter(Boolean) }
+    })
+        .select('name address type specialties services capacity availability location phone email')
+        .lean();
+    if (hospitals.length === 0) return [];
+
+    const hospitalIds = hospitals.map(hospital => hospital._id);
+    const [pendingCounts, histories] = await Promise.all([
+        loadPendingCounts(hospitalIds),
+        loadHistory(hospitalIds, now)
+    ]);
+
+    return hospitals
+        .map(hospital => {
+            const id = hospital._id.toString();
+            return {
+                hospital,
+                ...scoreHospital(hospital, {
+                    specialty,
+                    priority,
+                    patient,
+                    pendingCount: pendingCounts.get(id) || 0,
+                    history: histories.get(id),
+                    now
+                })
+            };
+        })
+        .sort((a, b) => b.score - a.score || a.hospital.name.localeCompare(b.hospital.name))
+        .slice(0, limit);
+};
+
+module.exports = {
+    WEIGHTS,
+    haversineKm,
+    scoreHospital,
+    suggestDestinations
+};
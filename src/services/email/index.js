@@ -0,0 +1,149 @@
+// Transactional email outbox
+//
+// queueEmail() persists a message and returns immediately; the outbox worker
+// (a scheduled job) delivers pending messages through the configured transport.
+// Failed sends are retried with exponential backoff and dead-lettered after
+// `maxAttempts`. An idempotency key makes queueing the same email twice a no-op.
+// Message bodies carry verification and reset links and referral details, so
+// they are dropped once a message is sent, and dead letters are deleted after
+// DEAD_LETTER_RETENTION_MS unless retried.
+
+const EmailOutbox = require('../../models/EmailOutbox');
+const { getTransport } = require('./transports');
+const { triggerJob } = require('../scheduler');
+
+const OUTBOX_JOB = 'email-outbox';
+const BATCH_SIZE = 25;
+const BASE_RETRY_DELAY_MS = 30 * 1000;
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000;
+// A message left in 'sending' this long belongs to a worker that died mid-send
+const STALE_LOCK_MS = 10 * 60 * 1000;
+const DEAD_LETTER_RETENTION_MS = 14 * 24 * 60 * 60 * 1000;
+// Message bodies stay out of API responses
+const BODY_PROJECTION = { html: 0, text: 0, attachments: 0 };
+
+// Delay before attempt n + 1, after n failed attempts: 30s, 1m, 2m, 4m, ... capped at 6h
+const retryDelayMs = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+/**
+ * Queue an email. Returns the outbox entry (the existing one when the
+ * idempotency key was already used).
+ */
+const queueEmail = async ({ to, subject, html, text, attachments, template, idempotencyKey, maxAttempts }) => {
+    if (!to || !subject) {
+        throw new Error('Email recipient and subject are required');
+    }
+
+    let entry;
+    try {
+        entry = await EmailOutbox.create({
+            to,
+            from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+            subject,
+            html,
+            text,
+            attachments,
+            template,
+            idempotencyKey,
+            maxAttempts
+        });
+    } catch (error) {
+        if (error.code === 11000 && idempotencyKey) {
+            return EmailOutbox.findOne({ idempotencyKey });
+        }
+        throw error;
+    }
+
+    triggerJob(OUTBOX_JOB);
+    return entry;
+};
+
+// Deliver one claimed message and record the outcome
+const deliver = async (entry, now) => {
+    let transport;
+
+    // A misconfigured transport fails like any other delivery, so the entry is retried or dead-lettered
+    try {
+        transport = getTransport();
+        const { messageId } = await transport.send({
+            from: entry.from,
+            to: entry.to,
+            subject: entry.subject,
+            html: entry.html,
+            text: entry.text,
+            attachments: entry.attachments
+        });
+
+        await EmailOutbox.updateOne({ _id: entry._id }, {
+            $set: { status: 'sent', sentAt: new Date(), messageId, transport: transport.name, lastError: null },
+            $unset: { lockedAt: 1, html: 1, text: 1, attachments: 1 }
+        });
+        return 'sent';
+    } catch (error) {
+        const dead = entry.attempts >= entry.maxAttempts;
+        const transportName = transport?.name || process.env.EMAIL_TRANSPORT || null;
+        const failedAt = new Date();
+        await EmailOutbox.updateOne({ _id: entry._id }, {
+            $set: dead
+                ? {
+                    status: 'dead',
+                    deadLetteredAt: failedAt,
+                    purgeAt: new Date(failedAt.getTime() + DEAD_LETTER_RETENTION_MS),
+                    lastError: error.message,
+                    transport: transportName
+                }
+                : {
+                    status: 'pending',
+                    nextAttemptAt: new Date(now.getTime() + retryDelayMs(entry.attempts)),
+                    lastError: error.message,
+                    transport: transportName
+                },
+            $unset: { lockedAt: 1 }
+        });
+        console.error(`Email to ${entry.to} failed (attempt ${entry.attempts}/${entry.maxAttempts}):`, error.message);
+        return dead ? 'dead' : 'retry';
+    }
+};
+
+/**
+ * Worker run: release stale locks, then claim and deliver due messages one at a time.
+ */
+const processOutbox = async (now = new Date()) => {
+    await EmailOutbox.updateMany(
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+        { $set: { status: 'pending', nextAttemptAt: now }, $unset: { lockedAt: 1 } }
+    );
+
+    const results = { sent: 0, retry: 0, dead: 0 };
+    for (let i = 0; i < BATCH_SIZE; i++) {
+        // Claiming atomically lets several API processes share the outbox
+        const entry = await EmailOutbox.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!entry) break;
+
+        results[await deliver(entry, now)]++;
+    }
+    return results;
+};
+
+// Put a dead-lettered message back in the queue; resolves to the entry without its body
+const retryDeadEmail = (id) => EmailOutbox.findOneAndUpdate(
+    { _id: id, status: 'dead' },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() }, $unset: { deadLetteredAt: 1, purgeAt: 1 } },
+    { new: true, projection: BODY_PROJECTION }
+).then(entry => {
+    if (entry) triggerJob(OUTBOX_JOB);
+    return entry;
+});
+
+module.exports = {
+    OUTBOX_JOB,
+    BODY_PROJECTION,
+    retryDelayMs,
+    queueEmail,
+    processOutbox,
+    retryDeadEmail
+};
@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const Patient = require('../../models/Patient');
+
+// File-based email templates
+//
+// templates/email/
+//   layout.html, layout.txt      shared layout; the rendered body is inserted as {{{body}}}
+//   samples.json                 example data per template (used by the preview endpoint)
+//   <locale>/manifest.json       { strings, templates: { <name>: { version, subject, optOut } } }
+//   <locale>/<name>.html|.txt    body of each template
+//
+// Syntax is a small Mustache subset:
+//   {{value}}          HTML-escaped in .html files, verbatim in .txt files and subjects
+//   {{{value}}}        never escaped
+//   {{#key}}..{{/key}} rendered when `key` is truthy; {{^key}}..{{/key}} when it is not
+// Dotted paths (`strings.signOff`) reach into nested values. A locale without a
+// given template falls back to the default locale's version of it.
+
+const TEMPLATE_DIR = path.resolve(__dirname, '../../templates/email');
+const DEFAULT_LOCALE = 'en';
+
+// Language names used by Patient.preferredLanguage, mapped to template locales
+const LANGUAGE_LOCALES = {
+    english: 'en',
+    spanish: 'es',
+    español: 'es',
+    espanol: 'es'
+};
+
+const escapeHtml = (value) => String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+
+const lookup = (view, key) => key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), view);
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+// One pass over the template: inserted values (user data, the rendered body in the
+// layout) are never scanned again, so tags typed into them stay literal
+const TAG_PATTERN = /\{\{([#^])\s*([\w.]+)\s*\}\}([\s\S]*?)\{\{\/\s*\2\s*\}\}|\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([\w.]+)\s*\}\}/g;
+
+const renderString = (source, view, escape) => source.replace(TAG_PATTERN,
+    (match, type, sectionKey, inner, rawKey, key) => {
+        if (type) {
+            return (type === '#') === isTruthy(lookup(view, sectionKey)) ? renderString(inner, view, escape) : '';
+        }
+        if (rawKey) return String(lookup(view, rawKey) ?? '');
+        return escape(lookup(view, key) ?? '');
+    });
+
+const verbatim = (value) => String(value);
+
+// Sections leave blank lines behind in plain text; keep at most one
+const tidyText = (text) => text.replace(/[ \t]+\n/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+
+// Template files are read once per process (on every render in development)
+const cache = new Map();
+
+const readFile = (relativePath) => {
+    if (process.env.NODE_ENV !== 'development' && cache.has(relativePath)) {
+        return cache.get(relativePath);
+    }
+    const fullPath = path.join(TEMPLATE_DIR, relativePath);
+    const content = fs.existsSync(fullPath) ? fs.readFileSync(fullPath, 'utf8') : null;
+    cache.set(relativePath, content);
+    return content;
+};
+
+const readManifest = (locale) => {
+    const content = readFile(path.join(locale, 'manifest.json'));
+    return content ? JSON.parse(content) : null;
+};
+
+const getSupportedLocales = () => fs.readdirSync(TEMPLATE_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && fs.existsSync(path.join(TEMPLATE_DIR, entry.name, 'manifest.json')))
+    .map(entry => entry.name);
+
+// Map a locale code or language name ('es', 'es-MX', 'Spanish') to a supported locale
+const normalizeLocale = (value) => {
+    if (!value) return null;
+    const lower = String(value).trim().toLowerCase();
+    const code = LANGUAGE_LOCALES[lower] || lower.split(/[-_]/)[0];
+    // Codes become directory names, so only plain language codes are looked up
+    return /^[a-z]{2,3}$/.test(code) && readManifest(code) ? code : null;
+};
+
+// Pick the locale for a user: their own setting, else the language on their patient record
+const resolveLocale = async (user) => {
+    const own = normalizeLocale(user?.locale);
+    if (own) return own;
+
+    if (user?.role === 'patient' && user.email) {
+        const patient = await Patient.findOne({ email: user.email }).select('preferredLanguage').lean();
+        const preferred = normalizeLocale(patient?.preferredLanguage);
+        if (preferred) return preferred;
+    }
+    return DEFAULT_LOCALE;
+};
+
+// Locale that actually has the template, with its manifest entry
+const findTemplate = (name, locale) => {
+    for (const candidate of [normalizeLocale(locale), DEFAULT_LOCALE]) {
+        const manifest = candidate && readManifest(candidate);
+        if (manifest?.templates?.[name]) {
+            return { locale: candidate, manifest, entry: manifest.templates[name] };
+        }
+    }
+    return null;
+};
+
+/**
+ * Render a template into { subject, html, text, template: { name, locale, version } }.
+ */
+const renderTemplate = (name, data = {}, locale = DEFAULT_LOCALE) => {
+    const found = findTemplate(name, locale);
+    if (!found) {
+        throw new Error(`Unknown email template: ${name}`);
+    }
+
+    const { entry, manifest } = found;
+    const view = {
+        ...data,
+        strings: manifest.strings,
+        preferencesFooter: Boolean(entry.optOut),
+        frontendUrl: process.env.FRONTEND_URL || 'http://localhost:5173'
+    };
+
+    const subject = renderString(entry.subject, view, verbatim).trim();
+    const htmlBody = renderString(readFile(path.join(found.locale, `${name}.html`)) || '', view, escapeHtml);
+    const textBody = renderString(readFile(path.join(found.locale, `${name}.txt`)) || '', view, verbatim);
+
+    return {
+        subject,
+        html: renderString(readFile('layout.html'), { ...view, subject, body: htmlBody }, escapeHtml),
+        text: tidyText(renderString(readFile('layout.txt'), { ...view, subject, body: textBody }, verbatim)),
+        template: { name, locale: found.locale, version: entry.version }
+    };
+};
+
+// Templates of the default locale with the locales that translate each one
+const listTemplates = () => {
+    const locales = getSupportedLocales();
+    const manifests = Object.fromEntries(locales.map(locale => [locale, readManifest(locale)]));
+    return Object.entries(manifests[DEFAULT_LOCALE].templates).map(([name, { version }]) => ({
+        name,
+        version,
+        locales: locales.filter(locale => manifests[locale].templates?.[name])
+    }));
+};
+
+const getSampleData = (name) => JSON.parse(readFile('samples.json'))[name] || {};
+
+module.exports = {
+    DEFAULT_LOCALE,
+    escapeHtml,
+    renderString,
+    normalizeLocale,
+    resolveLocale,
+    renderTemplate,
+    listTemplates,
+    getSupportedLocales,
+    getSampleData
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Pluggable email transports
+//
+// Every transport exposes `send(message) -> { messageId }` where message is a
+// nodemailer message ({ from, to, subject, html, text, attachments }).
+// The transport is chosen with EMAIL_TRANSPORT:
+//   smtp    - SMTP_HOST / SMTP_PORT / SMTP_SECURE / SMTP_USER / SMTP_PASS
+//   gmail   - EMAIL_USER / EMAIL_PASS (app password)
+//   file    - appends each message as a JSON line to EMAIL_FILE_PATH (development, tests)
+//   console - logs a one-line summary (development)
+// Without EMAIL_TRANSPORT, gmail is used when EMAIL_USER is set and console otherwise.
+
+const defaultFilePath = path.resolve(__dirname, '../../../logs/emails.jsonl');
+
+// nodemailer transport wrapped to the common interface
+const fromNodemailer = (name, options) => {
+    const transporter = nodemailer.createTransport(options);
+    return {
+        name,
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        }
+    };
+};
+
+const drivers = {
+    smtp: () => fromNodemailer('smtp', {
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined
+    }),
+
+    gmail: () => fromNodemailer('gmail', {
+        service: 'gmail',
+        auth: {
+            user: process.env.EMAIL_USER,
+            pass: process.env.EMAIL_PASS
+        }
+    }),
+
+    file: () => {
+        const transporter = nodemailer.createTransport({ jsonTransport: true });
+        const filePath = process.env.EMAIL_FILE_PATH || defaultFilePath;
+        return {
+            name: 'file',
+            send: async (message) => {
+                const info = await transporter.sendMail(message);
+                await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+                await fs.promises.appendFile(filePath, `${info.message}\n`);
+                return { messageId: info.messageId };
+            }
+        };
+    },
+
+    console: () => {
+        const transporter = nodemailer.createTransport({ jsonTransport: true });
+        return {
+            name: 'console',
+            send: async (message) => {
+                const info = await transporter.sendMail(message);
+                console.log(`📧 [console transport] to=${message.to} subject="${message.subject}"`);
+                return { messageId: info.messageId };
+            }
+        };
+    }
+};
+
+const configuredTransportName = () => process.env.EMAIL_TRANSPORT || (process.env.EMAIL_USER ? 'gmail' : 'console');
+
+// Transports are created once per process and reused
+const cache = new Map();
+
+const getTransport = (name = configuredTransportName()) => {
+    if (!drivers[name]) {
+        throw new Error(`Unknown email transport: ${name}`);
+    }
+    if (!cache.has(name)) {
+        cache.set(name, drivers[name]());
+    }
+    return cache.get(name);
+};
+
+module.exports = {
+    getTransport
+};
@@ -0,0 +1,110 @@
+// Email address verification
+//
+// A verification link carries a random token; only its SHA-256 hash is stored,
+// with an expiry, so a leaked database cannot verify anyone. A new link replaces
+// the previous one, and links can be re-sent at most once per RESEND_INTERVAL.
+// Changing the email address makes it unverified until the new address is confirmed.
+
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendEmail, emailTemplates } = require('../config/email');
+const { resolveLocale } = require('./email/templates');
+
+const TOKEN_TTL_HOURS = 24;
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Issue a new verification token for the user's current address, save it and send the link.
+ * Returns the expiry. Email failures are logged, not thrown: the user can ask for another link.
+ */
+const sendVerificationEmail = async (user, now = new Date()) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(now.getTime() + TOKEN_TTL_HOURS * 60 * 60 * 1000);
+
+    await User.updateOne({ _id: user._id }, {
+        $set: {
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: expiresAt,
+            emailVerificationSentAt: now
+        }
+    });
+
+    try {
+        const verificationLink = `${process.env.FRONTEND_URL || 'http://localhost:5173'}/verify-email/${token}`;
+        await sendEmail({
+            email: user.email,
+            ...emailTemplates.emailVerification(
+                { name: user.firstName, verificationLink, expiresInHours: TOKEN_TTL_HOURS },
+                await resolveLocale(user)
+            )
+        });
+    } catch (error) {
+        console.error('Email sending failed:', error);
+    }
+
+    return expiresAt;
+};
+
+/**
+ * Send a fresh link on the user's request.
+ * Returns { ok, expiresAt } or { ok: false, statusCode, message, retryAfter }.
+ */
+const resendVerificationEmail = async (user, now = new Date()) => {
+    if (user.isEmailVerified) {
+        return { ok: false, statusCode: 400, message: 'Email address is already verified' };
+    }
+
+    const sentAt = user.emailVerificationSentAt;
+    if (sentAt && now - sentAt < RESEND_INTERVAL_MS) {
+        const retryAfter = Math.ceil((RESEND_INTERVAL_MS - (now - sentAt)) / 1000);
+        return {
+            ok: false,
+            statusCode: 429,
+            message: `A verification email was just sent, please wait ${retryAfter} seconds before asking again`,
+            retryAfter
+        };
+    }
+
+    return { ok: true, expiresAt: await sendVerificationEmail(user, now) };
+};
+
+/**
+ * One-off backfill (see backfill-email-verification.js) for accounts created before
+ * verification was enforced. They never got a working link, so they have no
+ * emailVerificationSentAt; they are marked verified rather than locked out of their
+ * records. Returns the number of accounts updated.
+ */
+const markLegacyAccountsVerified = async (now = new Date()) => {
+    const result = await User.updateMany(
+        { isEmailVerified: { $ne: true }, emailVerificationSentAt: null },
+        {
+            $set: { isEmailVerified: true, emailVerifiedAt: now },
+            $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+        }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * Mark the address behind a valid, unexpired token as verified; each token works once.
+ * Returns the user, or null for an unknown or expired token.
+ */
+const verifyEmailToken = (token, now = new Date()) => User.findOneAndUpdate(
+    { emailVerificationToken: hashToken(token), emailVerificationExpires: { $gt: now } },
+    {
+        $set: { isEmailVerified: true, emailVerifiedAt: now },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 }
+    },
+    { new: true }
+);
+
+module.exports = {
+    TOKEN_TTL_HOURS,
+    hashToken,
+    sendVerificationEmail,
+    resendVerificationEmail,
+    markLegacyAccountsVerified,
+    verifyEmailToken
+};
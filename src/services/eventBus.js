@@ -0,0 +1,27 @@
+const { EventEmitter } = require('events');
+
+// In-process bus for domain events (referral.created, record.created, ...).
+// Controllers emit after their write succeeds; listeners such as the realtime
+// stream subscribe with onEvent. A failing listener never affects the request.
+
+const bus = new EventEmitter();
+bus.setMaxListeners(50);
+
+const emitEvent = (type, payload = {}) => {
+    bus.emit(type, { type, occurredAt: new Date(), ...payload });
+};
+
+const onEvent = (type, handler) => {
+    bus.on(type, async (event) => {
+        try {
+            await handler(event);
+        } catch (error) {
+            console.error(`Event handler error (${type}):`, error);
+        }
+    });
+};
+
+module.exports = {
+    emitEvent,
+    onEvent
+};
@@ -0,0 +1,124 @@
+// Look up stored files by owner and decide who may download them
+
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const MedicalRecord = require('../models/MedicalRecord');
+const User = require('../models/User');
+const FileAccessLog = require('../models/FileAccessLog');
+const { canViewReferral } = require('./referralWorkflow');
+const { isRecordInScope } = require('./referralScope');
+const { getUserDepartmentIds } = require('./departmentRouting');
+const { getStorage } = require('./storage');
+
+const FILE_KINDS = ['referral', 'record', 'user'];
+
+// The only file kept for a user is their profile image
+const PROFILE_IMAGE_ID = 'profile-image';
+
+const canViewUserFiles = (owner, user) => {
+    if (user.role === 'super_admin' || owner._id.toString() === user._id.toString()) {
+        return true;
+    }
+    // Professional profiles are shown across the platform; patient images only to clinical staff
+    if (owner.role !== 'patient') {
+        return true;
+    }
+    return user.role === 'doctor' || user.role === 'hospital';
+};
+
+/**
+ * Find a file and its owning entity.
+ * Returns `{ owner, file, canAccess(user) }` (canAccess resolves to a boolean) or null when either does not exist.
+ */
+const resolveFile = async (kind, ownerId, fileId) => {
+    if (!FILE_KINDS.includes(kind) || !mongoose.Types.ObjectId.isValid(ownerId)) {
+        return null;
+    }
+
+    if (kind === 'referral') {
+        const referral = await Referral.findById(ownerId)
+            .select('patient referringDoctor referringHospital referringClinic receivingDoctor receivingHospital receivingDepartment attachments');
+        const file = referral?.attachments.id(fileId);
+        if (!file) return null;
+        return {
+            owner: referral,
+            file,
+            canAccess: async user => canViewReferral(referral, user, { departmentIds: await getUserDepartmentIds(user) })
+        };
+    }
+
+    if (kind === 'record') {
+        const record = await MedicalRecord.findById(ownerId).select('patient doctor hospital attachments');
+        const file = record?.attachments.id(fileId);
+        if (!file) return null;
+        return { owner: record, file, canAccess: async user => isRecordInScope(record, user) };
+    }
+
+    const owner = await User.findById(ownerId).select('role hospitalId profileImage');
+    if (!owner || fileId !== PROFILE_IMAGE_ID || !owner.profileImage) return null;
+    return {
+        owner,
+        file: { _id: PROFILE_IMAGE_ID, name: 'profile-image', url: owner.profileImage },
+        canAccess: async user => canViewUserFiles(owner, user)
+    };
+};
+
+// Stream a stored file through the API, whatever the backend: provider URLs are
+// never handed out, so every download goes through the access checks above.
+// Only profile images, which are public assets kept by URL alone, are redirected.
+const sendStoredFile = async (res, file) => {
+    const storage = file.storage || {};
+
+    if (!storage.key) {
+        if (file.url && /^https?:\/\//.test(file.url)) {
+            return res.redirect(file.url);
+        }
+        return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    let stream;
+    try {
+        stream = await getStorage(storage.provider).openReadStream(storage);
+    } catch (error) {
+        console.error('Stored file read error:', error.message);
+        return res.status(404).json({ success: false, message: 'File not found' });
+    }
+
+    const fileName = (file.name || 'file').replace(/[^\w.\- ]+/g, '_');
+    res.setHeader('Content-Type', file.mimeType || 'application/octet-stream');
+    res.setHeader('Content-Disposition', `inline; filename="${fileName}"`);
+    res.setHeader('Cache-Control', 'private, no-store');
+
+    stream.on('error', () => {
+        if (!res.headersSent) {
+            res.removeHeader('Content-Type');
+            res.removeHeader('Content-Disposition');
+            res.status(404).json({ success: false, message: 'File not found' });
+        } else {
+            res.end();
+        }
+    });
+    return stream.pipe(res);
+};
+
+// Record who downloaded which file; never blocks the download
+const logFileAccess = (req, user, kind, ownerId, file, via) => {
+    FileAccessLog.create({
+        user: user._id,
+        kind,
+        owner: ownerId,
+        fileId: file._id.toString(),
+        fileName: file.name,
+        via,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+    }).catch(error => console.error('File access log error:', error.message));
+};
+
+module.exports = {
+    FILE_KINDS,
+    PROFILE_IMAGE_ID,
+    resolveFile,
+    sendStoredFile,
+    logFileAccess
+};
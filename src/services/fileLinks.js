@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+
+// Short-lived signed download links
+//
+// A link token is `<base64url payload>.<base64url HMAC-SHA256>`; the payload
+// names the file, the user it was issued to and an expiry (unix seconds).
+
+const DEFAULT_TTL_SECONDS = 15 * 60;
+const MAX_TTL_SECONDS = 24 * 60 * 60;
+
+const getSecret = () => process.env.FILE_LINK_SECRET || process.env.JWT_SECRET;
+
+const sign = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('base64url');
+
+// Path of the authenticated download route for a stored file
+const fileDownloadPath = (kind, ownerId, fileId) => `/api/files/${kind}/${ownerId}/${fileId}`;
+
+/**
+ * Create a signed token for a file, valid for `ttlSeconds` (clamped to 24 hours).
+ */
+const createFileLinkToken = ({ kind, ownerId, fileId, userId }, ttlSeconds = DEFAULT_TTL_SECONDS) => {
+    const ttl = Math.min(Math.max(parseInt(ttlSeconds) || DEFAULT_TTL_SECONDS, 1), MAX_TTL_SECONDS);
+    const expiresAt = Math.floor(Date.now() / 1000) + ttl;
+
+    const payload = Buffer.from(JSON.stringify({
+        k: kind,
+        o: ownerId.toString(),
+        f: fileId.toString(),
+        u: userId.toString(),
+        exp: expiresAt
+    })).toString('base64url');
+
+    return {
+        token: `${payload}.${sign(payload)}`,
+        expiresAt: new Date(expiresAt * 1000)
+    };
+};
+
+/**
+ * Verify a token; returns `{ kind, ownerId, fileId, userId, expiresAt }` or null
+ * when the signature is wrong or the link has expired.
+ */
+const verifyFileLinkToken = (token) => {
+    if (typeof token !== 'string' || !token.includes('.')) return null;
+
+    const [payload, signature] = token.split('.');
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature || '');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+        return null;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+
+    if (!data.exp || data.exp * 1000 < Date.now()) {
+        return null;
+    }
+
+    return {
+        kind: data.k,
+        ownerId: data.o,
+        fileId: data.f,
+        userId: data.u,
+        expiresAt: new Date(data.exp * 1000)
+    };
+};
+
+module.exports = {
+    DEFAULT_TTL_SECONDS,
+    MAX_TTL_SECONDS,
+    fileDownloadPath,
+    createFileLinkToken,
+    verifyFileLinkToken
+};
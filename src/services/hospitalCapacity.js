@@ -0,0 +1,166 @@
+// Live bed availability
+//
+// Hospital admins publish the beds free in each ward (Hospital.wards). Every
+// change is recorded as a CapacityChange, and Hospital.availability is rebuilt
+// from the wards so hospitals can be filtered and ranked on it. A ward, or the
+// hospital's rollup, is stale when it has not been updated for
+// CAPACITY_STALE_HOURS (default 12); stale figures are still shown, but flagged.
+
+const CapacityChange = require('../models/CapacityChange');
+const { idOf } = require('../utils/ids');
+
+const DEFAULT_STALE_HOURS = 12;
+
+const staleAfterHours = () => Number(process.env.CAPACITY_STALE_HOURS) || DEFAULT_STALE_HOURS;
+
+// Oldest updatedAt that still counts as current
+const freshSince = (now = new Date()) => new Date(now.getTime() - staleAfterHours() * 60 * 60 * 1000);
+
+const isStale = (updatedAt, now = new Date()) => !updatedAt || new Date(updatedAt) < freshSince(now);
+
+const normalizeName = (name) => String(name || '').trim().toLowerCase();
+
+const sumAvailable = (wards) => wards.reduce((sum, ward) => sum + (ward.availableBeds || 0), 0);
+
+// Hospital.availability for a set of wards; dated by the least recently updated ward
+const summarizeWards = (wards) => {
+    if (wards.length === 0) {
+        return undefined;
+    }
+    return {
+        beds: sumAvailable(wards),
+        icuBeds: sumAvailable(wards.filter(ward => ward.type === 'icu')),
+        emergencyBeds: sumAvailable(wards.filter(ward => ward.type === 'emergency')),
+        updatedAt: new Date(Math.min(...wards.map(ward => new Date(ward.updatedAt).getTime())))
+    };
+};
+
+const describeWard = (ward, now) => ({
+    _id: ward._id,
+    name: ward.name,
+    type: ward.type,
+    totalBeds: ward.totalBeds,
+    availableBeds: ward.availableBeds,
+    updatedAt: ward.updatedAt,
+    isStale: isStale(ward.updatedAt, now)
+});
+
+/**
+ * Current availability of a hospital (document or lean object) with staleness flags.
+ */
+const describeCapacity = (hospital, now = new Date()) => ({
+    staleAfterHours: staleAfterHours(),
+    availability: hospital.availability?.updatedAt
+        ? {
+            beds: hospital.availability.beds,
+            icuBeds: hospital.availability.icuBeds,
+            emergencyBeds: hospital.availability.emergencyBeds,
+            updatedAt: hospital.availability.updatedAt,
+            isStale: isStale(hospital.availability.updatedAt, now)
+        }
+        : null,
+    wards: (hospital.wards || []).map(ward => describeWard(ward, now))
+});
+
+const bedCounts = (ward) => ({ totalBeds: ward.totalBeds, availableBeds: ward.availableBeds });
+
+const historyEntry = (hospital, ward, action, previous, actor, note) => ({
+    hospital: hospital._id,
+    ward: ward._id,
+    wardName: ward.name,
+    wardType: ward.type,
+    action,
+    previous,
+    current: action === 'removed' ? undefined : bedCounts(ward),
+    note,
+    changedBy: idOf(actor)
+});
+
+/**
+ * Apply ward updates to a hospital document, save it and record the history.
+ * Each update matches an existing ward by `wardId`, else by name; unmatched
+ * updates add a ward. Returns { ok, changes } or { ok: false, statusCode, message }.
+ */
+const applyWardUpdates = async (hospital, updates, { actor, note, now = new Date() } = {}) => {
+    const entries = [];
+
+    for (const update of updates) {
+        const existing = update.wardId
+            ? hospital.wards.id(update.wardId)
+            : hospital.wards.find(ward => normalizeName(ward.name) === normalizeName(update.name));
+
+        if (update.wardId && !existing) {
+            return { ok: false, statusCode: 404, message: 'Ward not found' };
+        }
+
+        const ward = existing || hospital.wards.create({ name: update.name, type: update.type });
+        const previous = existing ? bedCounts(existing) : undefined;
+
+        // A ward matched by name keeps its spelling; renaming needs the ward's id
+        if (update.name !== undefined && (update.wardId || !existing)) ward.name = update.name.trim();
+        if (update.type !== undefined) ward.type = update.type;
+        if (update.totalBeds !== undefined) ward.totalBeds = Number(update.totalBeds);
+        if (update.availableBeds !== undefined) ward.availableBeds = Number(update.availableBeds);
+
+        if (ward.totalBeds && ward.availableBeds > ward.totalBeds) {
+            return {
+                ok: false,
+                statusCode: 400,
+                message: `${ward.name} cannot have more available beds (${ward.availableBeds}) than beds in total (${ward.totalBeds})`
+            };
+        }
+
+        // Re-publishing the same figures still confirms them, so the timestamp always moves
+        ward.updatedAt = now;
+        ward.updatedBy = idOf(actor);
+        if (!existing) {
+            hospital.wards.push(ward);
+        }
+
+        const changed = !previous ||
+            previous.totalBeds !== ward.totalBeds ||
+            previous.availableBeds !== ward.availableBeds;
+        if (changed) {
+            entries.push(historyEntry(hospital, ward, existing ? 'updated' : 'created', previous, actor, note));
+        }
+    }
+
+    const names = hospital.wards.map(ward => normalizeName(ward.name));
+    if (new Set(names).size !== names.length) {
+        return { ok: false, statusCode: 400, message: 'Ward names must be unique within a hospital' };
+    }
+
+    hospital.availability = summarizeWards(hospital.wards);
+    await hospital.save();
+    const changes = entries.length > 0 ? await CapacityChange.insertMany(entries) : [];
+
+    return { ok: true, changes };
+};
+
+/**
+ * Remove a ward from a hospital document and record it in the history.
+ */
+const removeWard = async (hospital, wardId, { actor, note } = {}) => {
+    const ward = hospital.wards.id(wardId);
+    if (!ward) {
+        return { ok: false, statusCode: 404, message: 'Ward not found' };
+    }
+
+    const entry = historyEntry(hospital, ward, 'removed', bedCounts(ward), actor, note);
+    ward.deleteOne();
+    hospital.availability = summarizeWards(hospital.wards);
+    await hospital.save();
+    await CapacityChange.create(entry);
+
+    return { ok: true };
+};
+
+module.exports = {
+    staleAfterHours,
+    freshSince,
+    isStale,
+    summarizeWards,
+    describeCapacity,
+    applyWardUpdates,
+    removeWard
+};
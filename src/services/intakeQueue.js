@@ -0,0 +1,256 @@
+// Receiving-side intake queue
+//
+// Incoming referrals of a hospital, most urgent first and oldest first within a
+// priority, each with its SLA countdown (the same SLA hours the escalation job
+// uses). Doctors claim a referral for themselves; admins and department intake
+// coordinators assign it to a doctor or move it to another department. Both are
+// conditional updates, so two doctors claiming at once cannot both win.
+
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const { getSlaHours } = require('./jobs/referralSla');
+const { isDepartmentStaff } = require('./departmentRouting');
+const { emitEvent } = require('./eventBus');
+const { idOf, sameId } = require('../utils/ids');
+
+const PRIORITY_ORDER = ['urgent', 'high', 'medium', 'low'];
+// Statuses in which the receiving doctor may still change
+const OPEN_STATUSES = ['pending', 'accepted'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * SLA countdown for a pending referral, or null when its priority has no SLA
+ * or it is no longer waiting for a response.
+ */
+const slaCountdown = (referral, now = new Date(), slaHours = getSlaHours()) => {
+    const hours = slaHours[referral.priority];
+    if (!hours || referral.status !== 'pending') return null;
+
+    const dueAt = new Date(new Date(referral.createdAt).getTime() + hours * 60 * 60 * 1000);
+    const remainingMinutes = Math.floor((dueAt - now) / MINUTE_MS);
+    return {
+        hours,
+        dueAt,
+        remainingMinutes,
+        isOverdue: remainingMinutes < 0,
+        escalatedAt: referral.escalation?.escalatedAt || null
+    };
+};
+
+// A queue item: the referral with its age and SLA countdown
+const describeQueueItem = (referral, now = new Date(), slaHours = getSlaHours()) => ({
+    ...referral,
+    ageInDays: Math.floor((now - new Date(referral.createdAt)) / DAY_MS),
+    sla: slaCountdown(referral, now, slaHours)
+});
+
+// Aggregation stages ordering referrals by priority, then age
+const priorityOrderStages = [
+    { $addFields: { priorityRank: { $indexOfArray: [PRIORITY_ORDER, '$priority'] } } },
+    { $sort: { priorityRank: 1, createdAt: 1 } }
+];
+
+const QUEUE_POPULATE = [
+    { path: 'patient', select: 'firstName lastName dateOfBirth gender' },
+    { path: 'referringDoctor', select: 'firstName lastName specialization' },
+    { path: 'referringHospital', select: 'name' },
+    { path: 'referringClinic', select: 'name' },
+    { path: 'receivingDoctor', select: 'firstName lastName specialization' },
+    { path: 'receivingDepartment', select: 'name specialtyCode' }
+];
+
+/**
+ * One page of queue items matching `match`, most urgent and oldest first.
+ */
+const loadQueuePage = async (match, { page = 1, limit = 20, now = new Date() } = {}) => {
+    const rows = await Referral.aggregate([
+        { $match: match },
+        ...priorityOrderStages,
+        { $skip: (page - 1) * limit },
+        { $limit: limit * 1 },
+        { $project: { timeline: 0, messages: 0, attachments: 0, priorityRank: 0 } }
+    ]);
+    const referrals = await Referral.populate(rows, QUEUE_POPULATE);
+    const total = await Referral.countDocuments(match);
+
+    const slaHours = getSlaHours();
+    return { items: referrals.map(referral => describeQueueItem(referral, now, slaHours)), total };
+};
+
+const timelineEntry = (action, actor, changes, notes, timestamp) => ({
+    action,
+    timestamp,
+    performedBy: actor._id,
+    performedByRole: actor.role,
+    changes,
+    notes
+});
+
+/**
+ * Claim an unassigned referral for the acting doctor.
+ * Returns { ok, referral } or { ok: false, statusCode, message }.
+ */
+const claimReferral = async (referralId, user, now = new Date()) => {
+    if (user.role !== 'doctor' || !user.hospitalId) {
+        return { ok: false, statusCode: 403, message: 'Only doctors of the receiving hospital can claim referrals' };
+    }
+    if (!mongoose.isValidObjectId(referralId)) {
+        return { ok: false, statusCode: 400, message: 'Invalid referral ID' };
+    }
+
+    const referral = await Referral.findById(referralId)
+        .select('referralId status receivingHospital receivingDepartment receivingDoctor')
+        .lean();
+    if (!referral) {
+        return { ok: false, statusCode: 404, message: 'Referral not found' };
+    }
+    if (!sameId(referral.receivingHospital, user.hospitalId)) {
+        return { ok: false, statusCode: 403, message: 'Only doctors of the receiving hospital can claim referrals' };
+    }
+    if (referral.receivingDepartment) {
+        const department = await Department.findById(referral.receivingDepartment).lean();
+        if (department && !isDepartmentStaff(department, user)) {
+            return { ok: false, statusCode: 403, message: `Only staff of the ${department.name} department can claim this referral` };
+        }
+    }
+    if (!OPEN_STATUSES.includes(referral.status)) {
+        return { ok: false, statusCode: 409, message: `A ${referral.status} referral cannot be claimed` };
+    }
+
+    const claimed = await Referral.findOneAndUpdate(
+        { _id: referral._id, status: { $in: OPEN_STATUSES }, receivingDoctor: null },
+        {
+            $set: {
+                receivingDoctor: user._id,
+                assignment: { method: 'claimed', assignedAt: now, assignedBy: user._id }
+            },
+            $push: {
+                timeline: timelineEntry('claimed', user,
+                    [{ field: 'receivingDoctor', from: null, to: idOf(user._id) }],
+                    'Claimed from the intake queue', now)
+            }
+        },
+        { new: true }
+    ).lean();
+
+    if (!claimed) {
+        const current = await Referral.findById(referral._id)
+            .select('receivingDoctor')
+            .populate('receivingDoctor', 'firstName lastName')
+            .lean();
+        return {
+            ok: false,
+            statusCode: 409,
+            message: 'Referral has already been claimed',
+            receivingDoctor: current?.receivingDoctor || null
+        };
+    }
+
+    emitEvent('referral.assigned', { referral: claimed, actor: user, previousDoctor: null });
+    return { ok: true, referral: claimed };
+};
+
+// Hospital admins and super admins assign anywhere; a department's intake coordinator or head within it
+const canAssign = (user, referral, department) =>
+    user.role === 'super_admin' ||
+    (user.role === 'hospital' && sameId(user.hospitalId, referral.receivingHospital)) ||
+    (!!department && (sameId(department.intakeCoordinator, user._id) || sameId(department.headDoctor, user._id)));
+
+/**
+ * Assign a referral to a doctor (null returns it to the queue) and/or move it to
+ * another department of the receiving hospital (null for the general queue).
+ * Returns { ok, referral } or { ok: false, statusCode, message }.
+ */
+const assignReferral = async (referralId, user, { doctorId, departmentId, note } = {}, now = new Date()) => {
+    if (doctorId === undefined && departmentId === undefined) {
+        return { ok: false, statusCode: 400, message: 'Provide doctorId and/or departmentId' };
+    }
+    if (!mongoose.isValidObjectId(referralId)) {
+        return { ok: false, statusCode: 400, message: 'Invalid referral ID' };
+    }
+    if (doctorId && !mongoose.isValidObjectId(doctorId)) {
+        return { ok: false, statusCode: 400, message: 'Invalid doctor ID' };
+    }
+    if (departmentId && !mongoose.isValidObjectId(departmentId)) {
+        return { ok: false, statusCode: 400, message: 'Invalid department ID' };
+    }
+
+    const referral = await Referral.findById(referralId)
+        .select('referralId status receivingHospital receivingDepartment receivingDoctor')
+        .lean();
+    if (!referral) {
+        return { ok: false, statusCode: 404, message: 'Referral not found' };
+    }
+
+    const currentDepartment = referral.receivingDepartment
+        ? await Department.findById(referral.receivingDepartment).lean()
+        : null;
+    if (!canAssign(user, referral, currentDepartment)) {
+        return { ok: false, statusCode: 403, message: 'Only hospital admins and department intake coordinators can assign referrals' };
+    }
+    if (!OPEN_STATUSES.includes(referral.status)) {
+        return { ok: false, statusCode: 409, message: `A ${referral.status} referral cannot be reassigned` };
+    }
+
+    const set = {};
+    const changes = [];
+
+    if (doctorId !== undefined) {
+        if (doctorId) {
+            const doctor = await User.findById(doctorId).select('role hospitalId isActive').lean();
+            if (!doctor || doctor.role !== 'doctor' || !doctor.isActive || !sameId(doctor.hospitalId, referral.receivingHospital)) {
+                return { ok: false, statusCode: 400, message: 'The doctor must be an active doctor of the receiving hospital' };
+            }
+        }
+        set.receivingDoctor = doctorId || null;
+        set.assignment = doctorId ? { method: 'assigned', assignedAt: now, assignedBy: user._id } : null;
+        changes.push({ field: 'receivingDoctor', from: idOf(referral.receivingDoctor), to: doctorId || null });
+    }
+
+    if (departmentId !== undefined) {
+        if (departmentId) {
+            const department = await Department.findOne({ _id: departmentId, hospital: referral.receivingHospital, isActive: true })
+                .select('_id')
+                .lean();
+            if (!department) {
+                return { ok: false, statusCode: 400, message: 'Invalid receiving department ID' };
+            }
+        }
+        set.receivingDepartment = departmentId || null;
+        changes.push({ field: 'receivingDepartment', from: idOf(referral.receivingDepartment), to: departmentId || null });
+    }
+
+    // Only applies if nobody claimed or reassigned the referral in the meantime
+    const updated = await Referral.findOneAndUpdate(
+        { _id: referral._id, status: { $in: OPEN_STATUSES }, receivingDoctor: referral.receivingDoctor || null },
+        {
+            $set: set,
+            $push: { timeline: timelineEntry('reassigned', user, changes, note || 'Reassigned from the intake queue', now) }
+        },
+        { new: true }
+    ).lean();
+
+    if (!updated) {
+        return { ok: false, statusCode: 409, message: 'The referral changed while it was being reassigned; reload and try again' };
+    }
+
+    if (set.receivingDoctor !== undefined && idOf(set.receivingDoctor) !== idOf(referral.receivingDoctor)) {
+        emitEvent('referral.assigned', { referral: updated, actor: user, previousDoctor: referral.receivingDoctor || null });
+    }
+    return { ok: true, referral: updated };
+};
+
+module.exports = {
+    PRIORITY_ORDER,
+    OPEN_STATUSES,
+    priorityOrderStages,
+    slaCountdown,
+    describeQueueItem,
+    loadQueuePage,
+    claimReferral,
+    assignReferral
+};
@@ -0,0 +1,28 @@
+// Registers the background jobs run by the in-process scheduler
+
+const { registerJob } = require('../scheduler');
+const { expireStaleReferrals, escalateOverdueReferrals } = require('./referralSla');
+const { OUTBOX_JOB, processOutbox } = require('../email');
+const { WEBHOOK_JOB, processWebhookDeliveries } = require('../webhooks');
+
+const DEFAULT_INTERVAL_MINUTES = 5;
+const DEFAULT_OUTBOX_INTERVAL_SECONDS = 15;
+const DEFAULT_WEBHOOK_INTERVAL_SECONDS = 30;
+
+const registerJobs = () => {
+    const minutes = parseFloat(process.env.REFERRAL_JOB_INTERVAL_MINUTES) || DEFAULT_INTERVAL_MINUTES;
+    const intervalMs = minutes * 60 * 1000;
+
+    registerJob('referral-expiry', intervalMs, expireStaleReferrals);
+    registerJob('referral-escalation', intervalMs, escalateOverdueReferrals);
+
+    const outboxSeconds = parseFloat(process.env.EMAIL_OUTBOX_INTERVAL_SECONDS) || DEFAULT_OUTBOX_INTERVAL_SECONDS;
+    registerJob(OUTBOX_JOB, outboxSeconds * 1000, processOutbox);
+
+    const webhookSeconds = parseFloat(process.env.WEBHOOK_DELIVERY_INTERVAL_SECONDS) || DEFAULT_WEBHOOK_INTERVAL_SECONDS;
+    registerJob(WEBHOOK_JOB, webhookSeconds * 1000, processWebhookDeliveries);
+};
+
+module.exports = {
+    registerJobs
+};
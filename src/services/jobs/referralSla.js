@@ -0,0 +1,113 @@
+// Referral housekeeping jobs
+//
+// expireStaleReferrals: pending referrals past `expiresAt` become 'expired'.
+// escalateOverdueReferrals: urgent/high referrals still pending after their SLA
+// window are flagged once and the referring doctor is notified.
+//
+// Both use conditional updates on `status: 'pending'` so a referral accepted
+// or rejected while the job runs is never overwritten.
+
+const Referral = require('../../models/Referral');
+const { emitEvent } = require('../eventBus');
+
+const BATCH_SIZE = 100;
+
+// Hours a referral may wait for a response, per priority (override with REFERRAL_SLA_HOURS_<PRIORITY>)
+const DEFAULT_SLA_HOURS = {
+    urgent: 4,
+    high: 24
+};
+
+const getSlaHours = () => Object.keys(DEFAULT_SLA_HOURS).reduce((hours, priority) => {
+    const configured = parseFloat(process.env[`REFERRAL_SLA_HOURS_${priority.toUpperCase()}`]);
+    hours[priority] = configured > 0 ? configured : DEFAULT_SLA_HOURS[priority];
+    return hours;
+}, {});
+
+const systemTimelineEntry = (action, changes, notes, timestamp) => ({
+    action,
+    timestamp,
+    performedByRole: 'system',
+    changes,
+    notes
+});
+
+const expireStaleReferrals = async (now = new Date()) => {
+    const candidates = await Referral.find({ status: 'pending', expiresAt: { $lte: now } })
+        .select('_id')
+        .limit(BATCH_SIZE)
+        .lean();
+
+    let expired = 0;
+    for (const { _id } of candidates) {
+        const referral = await Referral.findOneAndUpdate(
+            { _id, status: 'pending', expiresAt: { $lte: now } },
+            {
+                $set: { status: 'expired' },
+                $push: {
+                    timeline: systemTimelineEntry(
+                        'status_changed',
+                        [{ field: 'status', from: 'pending', to: 'expired' }],
+                        'Referral expired without a response',
+                        now
+                    )
+                }
+            },
+            { new: true }
+        ).lean();
+
+        if (!referral) continue;
+        expired++;
+        emitEvent('referral.status_changed', { referral, actor: null, previousStatus: 'pending' });
+    }
+
+    return { expired };
+};
+
+const escalateOverdueReferrals = async (now = new Date()) => {
+    const slaHours = getSlaHours();
+    let escalated = 0;
+
+    for (const [priority, hours] of Object.entries(slaHours)) {
+        const deadline = new Date(now.getTime() - hours * 60 * 60 * 1000);
+        const filter = {
+            status: 'pending',
+            priority,
+            'escalation.escalatedAt': null,
+            createdAt: { $lte: deadline }
+        };
+
+        const candidates = await Referral.find(filter).select('_id').limit(BATCH_SIZE).lean();
+
+        for (const { _id } of candidates) {
+            const referral = await Referral.findOneAndUpdate(
+                { ...filter, _id },
+                {
+                    $set: { escalation: { escalatedAt: now, slaHours: hours } },
+                    $push: {
+                        timeline: systemTimelineEntry(
+                            'escalated',
+                            [{ field: 'escalation', from: null, to: `${hours}h SLA` }],
+                            `No response within the ${hours}-hour SLA for ${priority} referrals; referring doctor notified`,
+                            now
+                        )
+                    }
+                },
+                { new: true }
+            ).lean();
+
+            if (!referral) continue;
+            escalated++;
+            emitEvent('referral.escalated', { referral, actor: null, slaHours: hours });
+        }
+    }
+
+    return { escalated };
+};
+
+module.exports = {
+    DEFAULT_SLA_HOURS,
+    getSlaHours,
+    expireStaleReferrals,
+    escalateOverdueReferrals
+};
@@ -0,0 +1,276 @@
+// Per-account protection against password guessing and credential stuffing
+//
+// The first few failed logins are free; after that each attempt must wait twice as
+// long as the one before, and at LOGIN_MAX_FAILED_ATTEMPTS the account locks for
+// LOGIN_LOCKOUT_MINUTES (doubling with every further lockout until a successful
+// login). While an account is delayed or locked the password is not even checked,
+// so guesses cannot be confirmed. Lockouts are emailed to the user; a password
+// reset or a super admin unlocks early. Every step is recorded as a SecurityEvent.
+// Emails nobody has are delayed and locked by the same rules, replayed from their
+// logged failures, so the responses do not tell which accounts exist.
+
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const User = require('../models/User');
+const SecurityEvent = require('../models/SecurityEvent');
+const { sendEmail, emailTemplates } = require('../config/email');
+const { resolveLocale } = require('./email/templates');
+
+const FREE_ATTEMPTS = 3;
+const MAX_DELAY_SECONDS = 60;
+const MAX_LOCKOUT_MINUTES = 24 * 60;
+// Failures further apart than this are not counted as one run
+const FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000;
+// Logged failures of an unknown email old enough to matter for its delay or lockout
+const UNKNOWN_EMAIL_HISTORY_MS = FAILURE_WINDOW_MS + MAX_LOCKOUT_MINUTES * 60 * 1000;
+
+const maxFailedAttempts = () => parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 10;
+const lockoutMinutes = () => parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15;
+
+// Seconds to wait after the nth consecutive failure: 0, 0, 1, 2, 4, ... up to a minute
+const failureDelaySeconds = (failedAttempts) =>
+    failedAttempts < FREE_ATTEMPTS ? 0 : Math.min(2 ** (failedAttempts - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+
+// Length of the next lockout, given how many came before it since the last successful login
+const lockoutDurationMinutes = (previousLockouts = 0) =>
+    Math.min(lockoutMinutes() * 2 ** previousLockouts, MAX_LOCKOUT_MINUTES);
+
+// Record a security event; never blocks the request
+const logSecurityEvent = (req, { type, user, email, actor, details }) => {
+    SecurityEvent.create({
+        type,
+        user: user?._id,
+        email: email || user?.email,
+        actor: actor?._id,
+        details,
+        ip: req?.ip,
+        userAgent: req?.get?.('user-agent')
+    }).catch(error => console.error('Security event log error:', error.message));
+};
+
+/**
+ * Whether the account may try to log in now.
+ * Returns { ok: true } or { ok: false, statusCode, message, retryAfter } (seconds);
+ * 423 while locked, 429 while the delay after the last failure runs.
+ */
+const getLoginBlock = (user, now = new Date()) => {
+    const { failedAttempts = 0, lastFailedAt, lockedUntil } = user.loginSecurity || {};
+
+    if (lockedUntil && lockedUntil > now) {
+        return {
+            ok: false,
+            statusCode: 423,
+            message: 'Account is temporarily locked after too many failed logins. Try again later or reset your password',
+            retryAfter: Math.ceil((lockedUntil - now) / 1000)
+        };
+    }
+
+    if (lastFailedAt && now - lastFailedAt < FAILURE_WINDOW_MS) {
+        const waitMs = failureDelaySeconds(failedAttempts) * 1000 - (now - lastFailedAt);
+        if (waitMs > 0) {
+            const retryAfter = Math.ceil(waitMs / 1000);
+            return {
+                ok: false,
+                statusCode: 429,
+                message: `Too many failed logins, try again in ${retryAfter} seconds`,
+                retryAfter
+            };
+        }
+    }
+
+    return { ok: true };
+};
+
+// As getLoginBlock, recording refused attempts
+const checkLoginAllowed = (user, req, now = new Date()) => {
+    const block = getLoginBlock(user, now);
+    if (!block.ok) {
+        logSecurityEvent(req, {
+            type: 'login_throttled',
+            user,
+            details: { locked: block.statusCode === 423, retryAfter: block.retryAfter }
+        });
+    }
+    return block;
+};
+
+const sendLockoutEmail = async (user, { failedAttempts, minutes, lockedUntil }, req) => {
+    try {
+        await sendEmail({
+            email: user.email,
+            ...emailTemplates.accountLocked(
+                { name: user.firstName, failedAttempts, lockoutMinutes: minutes, ip: req?.ip },
+                await resolveLocale(user)
+            ),
+            idempotencyKey: `account-locked:${user._id}:${lockedUntil.getTime()}`
+        });
+    } catch (error) {
+        console.error('Email sending failed:', error);
+    }
+};
+
+// Lock the account unless a concurrent failure already did
+const lockAccount = async (user, failedAttempts, req, now) => {
+    const minutes = lockoutDurationMinutes(user.loginSecurity?.lockouts);
+    const lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+
+    const locked = await User.findOneAndUpdate(
+        {
+            _id: user._id,
+            $or: [{ 'loginSecurity.lockedUntil': null }, { 'loginSecurity.lockedUntil': { $lte: now } }]
+        },
+        {
+            $set: { 'loginSecurity.lockedUntil': lockedUntil, 'loginSecurity.failedAttempts': 0 },
+            $inc: { 'loginSecurity.lockouts': 1 }
+        },
+        { new: true }
+    ).select('email firstName role locale loginSecurity');
+    if (!locked) return null;
+
+    console.warn(`Account ${user._id} locked until ${lockedUntil.toISOString()} after ${failedAttempts} failed logins`);
+    logSecurityEvent(req, {
+        type: 'account_locked',
+        user: locked,
+        details: { failedAttempts, lockedUntil, lockoutMinutes: minutes, lockouts: locked.loginSecurity.lockouts }
+    });
+    await sendLockoutEmail(locked, { failedAttempts, minutes, lockedUntil }, req);
+
+    return lockedUntil;
+};
+
+/**
+ * Count a failed login (`reason` e.g. 'bad_password', 'bad_two_factor_code').
+ * Returns { failedAttempts, lockedUntil } where lockedUntil is set when this failure locked the account.
+ */
+const recordFailedLogin = async (user, req, reason, now = new Date()) => {
+    // A run of failures that went quiet starts over
+    await User.updateOne(
+        { _id: user._id, 'loginSecurity.lastFailedAt': { $lt: new Date(now.getTime() - FAILURE_WINDOW_MS) } },
+        { $set: { 'loginSecurity.failedAttempts': 0 } }
+    );
+
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { 'loginSecurity.failedAttempts': 1 }, $set: { 'loginSecurity.lastFailedAt': now } },
+        { new: true }
+    ).select('email loginSecurity');
+    const failedAttempts = updated?.loginSecurity?.failedAttempts || 1;
+
+    logSecurityEvent(req, { type: 'login_failed', user, details: { reason, failedAttempts } });
+
+    const lockedUntil = failedAttempts >= maxFailedAttempts()
+        ? await lockAccount(updated, failedAttempts, req, now)
+        : null;
+
+    return { failedAttempts, lockedUntil };
+};
+
+// loginSecurity an unknown email would have, replaying its logged failures as recordFailedLogin counts them
+const getUnknownEmailSecurity = async (email, now) => {
+    const failures = await SecurityEvent.find({
+        type: 'login_failed',
+        email: String(email).toLowerCase().trim(),
+        'details.reason': 'unknown_email',
+        createdAt: { $gt: new Date(now.getTime() - UNKNOWN_EMAIL_HISTORY_MS), $lte: now }
+    })
+        .select('createdAt')
+        .sort({ createdAt: 1 })
+        .lean();
+
+    return failures.reduce((security, { createdAt }) => {
+        const quiet = security.lastFailedAt && createdAt - security.lastFailedAt > FAILURE_WINDOW_MS;
+        const failedAttempts = (quiet ? 0 : security.failedAttempts) + 1;
+        if (failedAttempts < maxFailedAttempts()) {
+            return { ...security, failedAttempts, lastFailedAt: createdAt };
+        }
+        const minutes = lockoutDurationMinutes(security.lockouts);
+        return {
+            failedAttempts: 0,
+            lastFailedAt: createdAt,
+            lockedUntil: new Date(createdAt.getTime() + minutes * 60 * 1000),
+            lockouts: security.lockouts + 1
+        };
+    }, { failedAttempts: 0, lockouts: 0 });
+};
+
+// Hash compared against for unknown emails, so they take as long as a wrong password
+let decoyHash;
+const getDecoyHash = () => {
+    decoyHash = decoyHash || bcrypt.hash(crypto.randomBytes(16).toString('hex'), 12);
+    return decoyHash;
+};
+
+/**
+ * A login for an email nobody has. Throttled exactly like a real account (see
+ * getLoginBlock) and as slow as a password check; returns { ok: true } or the block.
+ */
+const recordUnknownLogin = async (email, password, req, now = new Date()) => {
+    const block = getLoginBlock({ loginSecurity: await getUnknownEmailSecurity(email, now) }, now);
+    if (!block.ok) {
+        logSecurityEvent(req, {
+            type: 'login_throttled',
+            email,
+            details: { locked: block.statusCode === 423, retryAfter: block.retryAfter }
+        });
+        return block;
+    }
+
+    await bcrypt.compare(String(password), await getDecoyHash());
+    logSecurityEvent(req, { type: 'login_failed', email, details: { reason: 'unknown_email' } });
+    return block;
+};
+
+/**
+ * Forget failed attempts on the user document (the caller saves it), after a
+ * successful login or a password reset. Logs an unlock when the account was locked.
+ */
+const clearLoginFailures = (user, req, reason, now = new Date()) => {
+    const lockedUntil = user.loginSecurity?.lockedUntil;
+    if (lockedUntil && lockedUntil > now) {
+        logSecurityEvent(req, { type: 'account_unlocked', user, details: { reason } });
+    }
+    user.set('loginSecurity', { failedAttempts: 0, lockouts: 0 });
+};
+
+/**
+ * Unlock an account and clear its failed attempts (super admin action).
+ * Returns { ok, user, wasLocked } or { ok: false, statusCode, message }.
+ */
+const unlockAccount = async (userId, actor, req, now = new Date()) => {
+    const user = await User.findByIdAndUpdate(userId, {
+        $set: { 'loginSecurity.failedAttempts': 0, 'loginSecurity.lockouts': 0 },
+        $unset: { 'loginSecurity.lockedUntil': 1, 'loginSecurity.lastFailedAt': 1 }
+    }).select('email firstName role locale loginSecurity');
+
+    if (!user) {
+        return { ok: false, statusCode: 404, message: 'User not found' };
+    }
+
+    const wasLocked = Boolean(user.loginSecurity?.lockedUntil && user.loginSecurity.lockedUntil > now);
+    if (wasLocked) {
+        logSecurityEvent(req, { type: 'account_unlocked', user, actor, details: { reason: 'admin' } });
+        try {
+            await sendEmail({
+                email: user.email,
+                ...emailTemplates.accountUnlocked({ name: user.firstName }, await resolveLocale(user)),
+                idempotencyKey: `account-unlocked:${user._id}:${user.loginSecurity.lockedUntil.getTime()}`
+            });
+        } catch (error) {
+            console.error('Email sending failed:', error);
+        }
+    }
+
+    return { ok: true, user, wasLocked };
+};
+
+module.exports = {
+    failureDelaySeconds,
+    lockoutDurationMinutes,
+    logSecurityEvent,
+    getLoginBlock,
+    checkLoginAllowed,
+    recordFailedLogin,
+    recordUnknownLogin,
+    clearLoginFailures,
+    unlockAccount
+};
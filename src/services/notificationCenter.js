@@ -0,0 +1,193 @@
+// In-app notification center
+//
+// createNotifications() stores one notification per recipient and pushes it to
+// the recipient's open event streams (see realtime.js). The listeners below turn
+// referral, appointment and record events into notifications; approval
+// decisions call createNotifications() directly from the approval controller.
+// The acting user is never notified about their own action.
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { emitEvent, onEvent } = require('./eventBus');
+const { loadDepartmentContacts } = require('./departmentRouting');
+const { idOf } = require('../utils/ids');
+
+const STATUS_TITLES = {
+    accepted: 'Referral accepted',
+    rejected: 'Referral rejected',
+    in_progress: 'Referral in progress',
+    completed: 'Referral completed',
+    cancelled: 'Referral cancelled',
+    expired: 'Referral expired',
+    forwarded: 'Referral forwarded'
+};
+
+const referralLink = (referral) => ({
+    entityType: 'referral',
+    entityId: referral._id,
+    path: `/referrals/${idOf(referral._id)}`
+});
+
+/**
+ * Store a notification for each recipient (ids or documents). `key` identifies
+ * the event occurrence; a recipient already notified with the same key is
+ * skipped, so a re-delivered event does not notify anyone twice.
+ */
+const createNotifications = async (recipients, { type, title, message, link, actor = null, key }) => {
+    const actorId = idOf(actor);
+    const recipientIds = [...new Set(recipients.map(idOf).filter(Boolean))].filter(id => id !== actorId);
+    if (recipientIds.length === 0) return [];
+
+    const docs = recipientIds.map(recipient => ({
+        recipient,
+        type,
+        title,
+        message,
+        actor: actorId,
+        link,
+        key
+    }));
+
+    let created;
+    try {
+        created = await Notification.insertMany(docs, { ordered: false });
+    } catch (error) {
+        const duplicatesOnly = (error.writeErrors || [error]).every(writeError => writeError.code === 11000);
+        if (!duplicatesOnly) throw error;
+        created = error.insertedDocs || [];
+    }
+
+    created.forEach(notification => emitEvent('notification.created', { notification }));
+    return created;
+};
+
+// The receiving doctor once assigned, otherwise the intake contact of the referral's
+// department, otherwise the receiving hospital's admin accounts
+const receivingSide = async (referral) => {
+    if (referral.receivingDoctor) {
+        return [referral.receivingDoctor];
+    }
+    const contacts = await loadDepartmentContacts(referral.receivingDepartment);
+    if (contacts.length > 0) {
+        return contacts.map(contact => contact._id);
+    }
+    const admins = await User.find({ role: 'hospital', hospitalId: idOf(referral.receivingHospital), isActive: true })
+        .select('_id')
+        .lean();
+    return admins.map(admin => admin._id);
+};
+
+const participants = async (referral) => [
+    referral.referringDoctor,
+    ...(await receivingSide(referral)),
+    referral.patient
+];
+
+onEvent('referral.created', async ({ referral, actor }) => {
+    const title = referral.priority === 'urgent' ? 'New urgent referral' : 'New referral';
+    await createNotifications(await receivingSide(referral), {
+        type: 'referral_received',
+        title,
+        message: `Referral ${referral.referralId} for ${referral.specialty} is waiting for a response.`,
+        link: referralLink(referral),
+        actor,
+        key: `referral-created:${idOf(referral._id)}`
+    });
+
+    await createNotifications([referral.patient], {
+        type: 'referral_received',
+        title: 'You have been referred',
+        message: `Your doctor has referred you for ${referral.specialty}.`,
+        link: referralLink(referral),
+        actor,
+        key: `referral-created:${idOf(referral._id)}`
+    });
+});
+
+onEvent('referral.status_changed', async ({ referral, actor, previousStatus }) => {
+    await createNotifications(await participants(referral), {
+        type: 'referral_status_changed',
+        title: STATUS_TITLES[referral.status] || 'Referral updated',
+        message: `Referral ${referral.referralId} moved from ${previousStatus} to ${referral.status}.`,
+        link: referralLink(referral),
+        actor,
+        key: `referral-status:${idOf(referral._id)}:${referral.status}`
+    });
+});
+
+onEvent('referral.assigned', async ({ referral, actor, occurredAt }) => {
+    await createNotifications([referral.receivingDoctor], {
+        type: 'referral_assigned',
+        title: 'Referral assigned to you',
+        message: `Referral ${referral.referralId} for ${referral.specialty} is now yours.`,
+        link: referralLink(referral),
+        actor,
+        key: `referral-assigned:${idOf(referral._id)}:${occurredAt.getTime()}`
+    });
+});
+
+onEvent('referral.message', async ({ referral, message, actor }) => {
+    await createNotifications(await participants(referral), {
+        type: 'referral_message',
+        title: 'New referral message',
+        message: `There is a new message on referral ${referral.referralId}.`,
+        link: { ...referralLink(referral), path: `/referrals/${idOf(referral._id)}/messages` },
+        actor,
+        key: `referral-message:${idOf(message._id)}`
+    });
+});
+
+onEvent('referral.escalated', async ({ referral, slaHours }) => {
+    await createNotifications([referral.referringDoctor, ...(await receivingSide(referral))], {
+        type: 'referral_escalated',
+        title: 'Referral overdue',
+        message: `Referral ${referral.referralId} has had no response within ${slaHours} hours.`,
+        link: referralLink(referral),
+        key: `referral-escalated:${idOf(referral._id)}`
+    });
+});
+
+const APPOINTMENT_TITLES = {
+    scheduled: 'Appointment booked',
+    rescheduled: 'Appointment rescheduled',
+    cancelled: 'Appointment cancelled'
+};
+
+Object.entries(APPOINTMENT_TITLES).forEach(([action, title]) => {
+    onEvent(`appointment.${action}`, async ({ appointment, actor, occurredAt }) => {
+        const start = new Date(appointment.scheduledStart).toLocaleString('en-GB', { dateStyle: 'medium', timeStyle: 'short' });
+        await createNotifications([appointment.patient, appointment.doctor], {
+            type: `appointment_${action}`,
+            title,
+            message: action === 'cancelled'
+                ? `The appointment on ${start} has been cancelled.`
+                : `Appointment ${appointment.appointmentId} is on ${start}.`,
+            link: {
+                entityType: 'appointment',
+                entityId: appointment._id,
+                path: `/appointments/${idOf(appointment._id)}`
+            },
+            actor,
+            key: `appointment-${action}:${idOf(appointment._id)}:${occurredAt.getTime()}`
+        });
+    });
+});
+
+onEvent('record.created', async ({ record, actor }) => {
+    await createNotifications([record.patient], {
+        type: 'record_created',
+        title: 'New medical record',
+        message: `A new ${record.visitType} record was added to your chart.`,
+        link: {
+            entityType: 'record',
+            entityId: record._id,
+            path: `/records/${idOf(record._id)}`
+        },
+        actor,
+        key: `record-created:${idOf(record._id)}`
+    });
+});
+
+module.exports = {
+    createNotifications
+};
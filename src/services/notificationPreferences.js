@@ -0,0 +1,51 @@
+// Per-user email notification preferences
+//
+// Every notification email belongs to one event type; users opt out per type.
+// Missing values (accounts created before a type existed) count as opted in.
+
+const EMAIL_EVENT_TYPES = {
+    referralReceived: 'New referrals sent to you or your hospital',
+    referralDecision: 'A referral you sent was accepted, rejected, forwarded or expired',
+    referralCompleted: 'A referral you sent was completed',
+    referralMessage: 'New messages on your referrals',
+    referralEscalated: 'An urgent referral you sent is overdue for a response',
+    referralUpdates: 'Plain-language updates about referrals for your care',
+    appointments: 'Appointment bookings, changes and cancellations'
+};
+
+const wantsEmail = (user, eventType) => user?.notificationPreferences?.email?.[eventType] !== false;
+
+// Effective preferences with defaults filled in
+const getEmailPreferences = (user) => Object.keys(EMAIL_EVENT_TYPES).reduce((prefs, eventType) => {
+    prefs[eventType] = wantsEmail(user, eventType);
+    return prefs;
+}, {});
+
+/**
+ * Validate a partial `{ eventType: boolean }` update.
+ * Returns `{ updates }` or `{ error }`.
+ */
+const parseEmailPreferenceUpdate = (input) => {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'email preferences must be an object of event type to true/false' };
+    }
+
+    const updates = {};
+    for (const [eventType, value] of Object.entries(input)) {
+        if (!EMAIL_EVENT_TYPES[eventType]) {
+            return { error: `Unknown notification type: ${eventType}` };
+        }
+        if (typeof value !== 'boolean') {
+            return { error: `${eventType} must be true or false` };
+        }
+        updates[eventType] = value;
+    }
+    return { updates };
+};
+
+module.exports = {
+    EMAIL_EVENT_TYPES,
+    wantsEmail,
+    getEmailPreferences,
+    parseEmailPreferenceUpdate
+};
@@ -0,0 +1,175 @@
+// Password policy
+//
+// One set of rules for every place a password is chosen (registration, reset,
+// change, patients created by staff): a minimum length, required character
+// classes, nothing derived from the user's name or email, and nothing from the
+// bundled list of common and breached passwords (checked offline). Changing a
+// password may not reuse the last PASSWORD_HISTORY_COUNT ones, and with
+// PASSWORD_MAX_AGE_DAYS set, passwords older than that must be changed before
+// anything else can be done (enforced by `protect`).
+
+const fs = require('fs');
+const path = require('path');
+const bcrypt = require('bcrypt');
+
+// bcrypt ignores everything after 72 bytes, so longer passwords would be silently truncated
+const MAX_LENGTH = 72;
+
+const CHARACTER_CLASSES = {
+    lower: { pattern: /[a-z]/, label: 'a lowercase letter' },
+    upper: { pattern: /[A-Z]/, label: 'an uppercase letter' },
+    digit: { pattern: /\d/, label: 'a number' },
+    symbol: { pattern: /[^A-Za-z0-9]/, label: 'a symbol' }
+};
+
+// Name and email parts shorter than this are too common to forbid
+const MIN_PERSONAL_TOKEN_LENGTH = 3;
+
+const getPasswordPolicy = () => {
+    const requiredClasses = (process.env.PASSWORD_REQUIRED_CLASSES ?? 'lower,upper,digit')
+        .split(',')
+        .map(name => name.trim())
+        .filter(name => CHARACTER_CLASSES[name]);
+
+    return {
+        minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 10,
+        maxLength: MAX_LENGTH,
+        requiredClasses,
+        historyCount: parseInt(process.env.PASSWORD_HISTORY_COUNT ?? '5', 10) || 0,
+        maxAgeDays: parseInt(process.env.PASSWORD_MAX_AGE_DAYS, 10) || 0
+    };
+};
+
+let commonPasswords = null;
+
+// The bundled list (src/data/common-passwords.txt), loaded on first use
+const getCommonPasswords = () => {
+    if (!commonPasswords) {
+        const file = fs.readFileSync(path.join(__dirname, '../data/common-passwords.txt'), 'utf8');
+        commonPasswords = new Set(file.split('\n')
+            .map(line => line.trim().toLowerCase())
+            .filter(line => line && !line.startsWith('#')));
+    }
+    return commonPasswords;
+};
+
+// Common passwords dressed up to pass the class rules ("Password123!") count as common too
+const isCommonPassword = (password) => {
+    const list = getCommonPasswords();
+    const lower = password.toLowerCase();
+    const core = lower.replace(/^[^a-z]+|[^a-z]+$/g, '');
+    return list.has(lower) || (core.length >= 4 && list.has(core));
+};
+
+// Lowercased name parts and email parts a password should not contain
+const personalTokens = ({ firstName, lastName, email } = {}) => {
+    const localPart = String(email || '').toLowerCase().split('@')[0];
+    return [firstName, lastName, localPart, ...localPart.split(/[._+-]/)]
+        .filter(Boolean)
+        .map(token => String(token).toLowerCase().trim())
+        .filter(token => token.length >= MIN_PERSONAL_TOKEN_LENGTH);
+};
+
+/**
+ * Check a new password against the policy.
+ * `context` is the user (or registration data): firstName, lastName, email.
+ * Returns a list of problems, empty when the password is acceptable.
+ */
+const checkPasswordPolicy = (password, context = {}, policy = getPasswordPolicy()) => {
+    if (typeof password !== 'string' || !password) {
+        return ['Password is required'];
+    }
+
+    const errors = [];
+    if (password.length < policy.minLength) {
+        errors.push(`Password must be at least ${policy.minLength} characters long`);
+    }
+    if (Buffer.byteLength(password) > policy.maxLength) {
+        errors.push(`Password must be at most ${policy.maxLength} characters long`);
+    }
+
+    const missing = policy.requiredClasses.filter(name => !CHARACTER_CLASSES[name].pattern.test(password));
+    if (missing.length) {
+        errors.push(`Password must contain ${missing.map(name => CHARACTER_CLASSES[name].label).join(', ')}`);
+    }
+
+    const lower = password.toLowerCase();
+    if (personalTokens(context).some(token => lower.includes(token))) {
+        errors.push('Password must not contain your name or email address');
+    }
+
+    if (isCommonPassword(password)) {
+        errors.push('This password is too common or has appeared in data breaches; choose another');
+    }
+
+    return errors;
+};
+
+// Hashes of earlier passwords worth keeping: with the current one they make up the last `historyCount`
+const recentHistory = (hashes = [], policy) => {
+    const keep = policy.historyCount - 1;
+    return keep > 0 ? hashes.slice(-keep) : [];
+};
+
+/**
+ * As checkPasswordPolicy, as a service result:
+ * { ok: true } or { ok: false, statusCode: 400, message, errors: [{ field, message }] }.
+ */
+const validateNewPassword = (password, context = {}, field = 'password') => {
+    const errors = checkPasswordPolicy(password, context);
+    if (!errors.length) return { ok: true };
+    return {
+        ok: false,
+        statusCode: 400,
+        message: errors.join('. '),
+        errors: errors.map(message => ({ field, message }))
+    };
+};
+
+/**
+ * Whether the password is one of the user's last `historyCount` passwords (the current one included).
+ * `user` must be loaded with +password +passwordHistory.
+ */
+const isPasswordReused = async (user, password, policy = getPasswordPolicy()) => {
+    if (!policy.historyCount) return false;
+
+    const hashes = [user.password, ...recentHistory(user.passwordHistory, policy)].filter(Boolean);
+    for (const hash of hashes) {
+        if (await bcrypt.compare(password, hash)) return true;
+    }
+    return false;
+};
+
+/**
+ * Set a new password on a user document (the caller saves it), keeping the
+ * current hash in the history. `user` must be loaded with +password +passwordHistory.
+ */
+const setNewPassword = (user, password, policy = getPasswordPolicy()) => {
+    if (user.password) {
+        user.passwordHistory = recentHistory([...(user.passwordHistory || []), user.password], policy);
+    }
+    user.password = password;
+};
+
+// When the user's password stops being accepted, or null when passwords do not expire
+const passwordExpiresAt = (user, policy = getPasswordPolicy()) => {
+    if (!policy.maxAgeDays) return null;
+    const changedAt = user.passwordChangedAt || user.createdAt;
+    return changedAt ? new Date(new Date(changedAt).getTime() + policy.maxAgeDays * 24 * 60 * 60 * 1000) : null;
+};
+
+const isPasswordExpired = (user, now = new Date(), policy = getPasswordPolicy()) => {
+    const expiresAt = passwordExpiresAt(user, policy);
+    return Boolean(expiresAt && expiresAt <= now);
+};
+
+module.exports = {
+    getPasswordPolicy,
+    checkPasswordPolicy,
+    validateNewPassword,
+    isCommonPassword,
+    isPasswordReused,
+    setNewPassword,
+    passwordExpiresAt,
+    isPasswordExpired
+};
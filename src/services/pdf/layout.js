@@ -0,0 +1,175 @@
+const PDFDocument = require('pdfkit');
+
+// Shared building blocks for the PDF documents the API renders
+
+const COLORS = {
+    primary: '#2196f3',
+    text: '#222222',
+    muted: '#666666',
+    rule: '#cccccc',
+    warning: '#e65100',
+    danger: '#c62828'
+};
+
+const createDocument = (info = {}) => new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    bufferPages: true,
+    info: { Creator: 'Patient Referral System', ...info }
+});
+
+// Finish the document and collect it into a Buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+});
+
+const formatDate = (value) => {
+    if (!value) return '-';
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) return '-';
+    return date.toLocaleDateString('en-GB', { day: '2-digit', month: 'short', year: 'numeric' });
+};
+
+const formatAddress = (address) => {
+    if (!address) return '';
+    return [address.street, address.city, address.state, address.zipCode, address.country]
+        .filter(Boolean)
+        .join(', ');
+};
+
+const fullName = (person) => (person ? `${person.firstName || ''} ${person.lastName || ''}`.trim() : '');
+
+const calculateAge = (dateOfBirth) => {
+    if (!dateOfBirth) return null;
+    const today = new Date();
+    const birthDate = new Date(dateOfBirth);
+    let age = today.getFullYear() - birthDate.getFullYear();
+    const monthDiff = today.getMonth() - birthDate.getMonth();
+    if (monthDiff < 0 || (monthDiff === 0 && today.getDate() < birthDate.getDate())) {
+        age--;
+    }
+    return age;
+};
+
+const rule = (doc) => {
+    const y = doc.y + 4;
+    doc.moveTo(doc.page.margins.left, y)
+        .lineTo(doc.page.width - doc.page.margins.right, y)
+        .strokeColor(COLORS.rule)
+        .lineWidth(0.5)
+        .stroke();
+    doc.y = y + 8;
+};
+
+const title = (doc, text) => {
+    doc.font('Helvetica-Bold').fontSize(16).fillColor(COLORS.primary).text(text, { align: 'center' });
+    doc.moveDown(0.5);
+};
+
+const section = (doc, text) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 80) {
+        doc.addPage();
+    }
+    doc.moveDown(0.6);
+    doc.font('Helvetica-Bold').fontSize(11).fillColor(COLORS.primary).text(text.toUpperCase());
+    rule(doc);
+    doc.fillColor(COLORS.text);
+};
+
+const field = (doc, label, value) => {
+    doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(value === undefined || value === null || value === '' ? '-' : String(value));
+};
+
+const paragraph = (doc, text) => {
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text(text || '-', { align: 'left' });
+};
+
+/**
+ * Draw a simple table. `columns` is [{ header, width, key | value(row), color?(row) }];
+ * widths are fractions of the usable page width.
+ */
+const table = (doc, columns, rows) => {
+    if (!rows || rows.length === 0) {
+        paragraph(doc, 'None recorded');
+        return;
+    }
+
+    const left = doc.page.margins.left;
+    const usable = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const widths = columns.map(column => column.width * usable);
+
+    const drawRow = (cells, { bold = false, colors = [] } = {}) => {
+        const heights = cells.map((cell, index) =>
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9).heightOfString(cell, { width: widths[index] - 6 })
+        );
+        const height = Math.max(...heights) + 6;
+
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+        }
+
+        const y = doc.y;
+        let x = left;
+        cells.forEach((cell, index) => {
+            doc.font(bold ? 'Helvetica-Bold' : 'Helvetica')
+                .fontSize(9)
+                .fillColor(colors[index] || COLORS.text)
+                .text(cell, x + 3, y + 3, { width: widths[index] - 6 });
+            x += widths[index];
+        });
+
+        doc.moveTo(left, y + height).lineTo(left + usable, y + height).strokeColor(COLORS.rule).lineWidth(0.5).stroke();
+        doc.x = left;
+        doc.y = y + height;
+    };
+
+    drawRow(columns.map(column => column.header), { bold: true });
+    rows.forEach(row => {
+        const cells = columns.map(column => {
+            const value = column.value ? column.value(row) : row[column.key];
+            return value === undefined || value === null || value === '' ? '-' : String(value);
+        });
+        const colors = columns.map(column => (column.color ? column.color(row) : null));
+        drawRow(cells, { colors });
+    });
+    doc.fillColor(COLORS.text);
+};
+
+// Page numbers and a generated-on footer on every page
+const addFooters = (doc, label) => {
+    const range = doc.bufferedPageRange();
+    for (let index = range.start; index < range.start + range.count; index++) {
+        doc.switchToPage(index);
+        const bottom = doc.page.margins.bottom;
+        doc.page.margins.bottom = 0;
+        doc.font('Helvetica').fontSize(8).fillColor(COLORS.muted).text(
+            `${label} - Generated ${formatDate(new Date())} - Page ${index + 1} of ${range.count}`,
+            doc.page.margins.left,
+            doc.page.height - 35,
+            { align: 'center', width: doc.page.width - doc.page.margins.left - doc.page.margins.right }
+        );
+        doc.page.margins.bottom = bottom;
+    }
+};
+
+module.exports = {
+    COLORS,
+    createDocument,
+    toBuffer,
+    formatDate,
+    formatAddress,
+    fullName,
+    calculateAge,
+    rule,
+    title,
+    section,
+    field,
+    paragraph,
+    table,
+    addFooters
+};
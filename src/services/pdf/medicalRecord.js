@@ -0,0 +1,209 @@
+const {
+    COLORS,
+    createDocument,
+    toBuffer,
+    formatDate,
+    formatAddress,
+    fullName,
+    calculateAge,
+    rule,
+    title,
+    section,
+    field,
+    paragraph,
+    table,
+    addFooters
+} = require('./layout');
+
+// Medical record summary and patient chart, rendered from records populated with patient, doctor and hospital
+
+const LAB_STATUS_COLORS = {
+    abnormal: COLORS.warning,
+    critical: COLORS.danger
+};
+
+// BMI is stored on save, but older records may only have height and weight
+const getBmi = (vitals = {}) => {
+    if (vitals.bmi) return Number(vitals.bmi);
+    if (!vitals.height || !vitals.weight) return null;
+    const heightInMeters = vitals.height / 100;
+    return Number((vitals.weight / (heightInMeters * heightInMeters)).toFixed(2));
+};
+
+const bmiCategory = (bmi) => {
+    if (bmi < 18.5) return 'underweight';
+    if (bmi < 25) return 'normal';
+    if (bmi < 30) return 'overweight';
+    return 'obese';
+};
+
+const formatVitals = (vitals = {}) => {
+    const bmi = getBmi(vitals);
+    return [
+        { label: 'Blood pressure', value: vitals.bloodPressure, unit: 'mmHg' },
+        { label: 'Heart rate', value: vitals.heartRate, unit: 'bpm' },
+        { label: 'Temperature', value: vitals.temperature, unit: '°C' },
+        { label: 'Respiratory rate', value: vitals.respiratoryRate, unit: '/min' },
+        { label: 'Oxygen saturation', value: vitals.oxygenSaturation, unit: '%' },
+        { label: 'Weight', value: vitals.weight, unit: 'kg' },
+        { label: 'Height', value: vitals.height, unit: 'cm' },
+        { label: 'BMI', value: bmi, unit: bmi ? `kg/m² (${bmiCategory(bmi)})` : '' }
+    ].filter(vital => vital.value !== undefined && vital.value !== null && vital.value !== '');
+};
+
+const patientBlock = (doc, patient = {}) => {
+    const age = calculateAge(patient.dateOfBirth);
+    field(doc, 'Patient', fullName(patient));
+    field(doc, 'Date of birth', `${formatDate(patient.dateOfBirth)}${age !== null ? ` (${age} years)` : ''}`);
+    field(doc, 'Gender', patient.gender);
+    field(doc, 'Phone', patient.phone);
+    const address = formatAddress(patient.address);
+    if (address) field(doc, 'Address', address);
+};
+
+// Body of one record; shared by the single-record summary and the chart
+const drawRecord = (doc, record) => {
+    section(doc, 'Visit');
+    field(doc, 'Record No', record.recordId);
+    field(doc, 'Visit date', formatDate(record.visitDate));
+    field(doc, 'Visit type', record.visitType);
+    field(doc, 'Specialty', record.specialty);
+    field(doc, 'Doctor', record.doctor ? `Dr. ${fullName(record.doctor)}` : null);
+    field(doc, 'Hospital', record.hospital?.name);
+
+    section(doc, 'Visit Note');
+    field(doc, 'Chief complaint', record.chiefComplaint);
+    if (record.historyOfPresentIllness) field(doc, 'History of present illness', record.historyOfPresentIllness);
+    if (record.physicalExamination) field(doc, 'Physical examination', record.physicalExamination);
+    if (record.doctorNotes) field(doc, 'Doctor notes', record.doctorNotes);
+
+    section(doc, 'Vital Signs');
+    table(doc, [
+        { header: 'Measurement', width: 0.4, key: 'label' },
+        { header: 'Value', width: 0.6, value: vital => `${vital.value} ${vital.unit}`.trim() }
+    ], formatVitals(record.vitalSigns));
+
+    section(doc, 'Diagnosis');
+    field(doc, 'Primary', record.diagnosis?.primary);
+    const secondary = record.diagnosis?.secondary || [];
+    if (secondary.length) field(doc, 'Secondary', secondary.join('; '));
+    const icdCodes = record.diagnosis?.icdCodes || [];
+    field(doc, 'ICD codes', icdCodes.length ? icdCodes.join(', ') : null);
+
+    section(doc, 'Treatment');
+    paragraph(doc, record.treatment);
+    if (record.procedures?.length) {
+        doc.moveDown(0.4);
+        table(doc, [
+            { header: 'Procedure', width: 0.4, key: 'name' },
+            { header: 'Date', width: 0.2, value: procedure => formatDate(procedure.date) },
+            { header: 'Notes', width: 0.4, key: 'notes' }
+        ], record.procedures);
+    }
+
+    section(doc, 'Medications');
+    table(doc, [
+        { header: 'Medication', width: 0.24, key: 'name' },
+        { header: 'Dosage', width: 0.14, key: 'dosage' },
+        { header: 'Frequency', width: 0.16, key: 'frequency' },
+        { header: 'Duration', width: 0.14, key: 'duration' },
+        { header: 'Instructions', width: 0.32, key: 'instructions' }
+    ], record.medications);
+
+    section(doc, 'Lab Results');
+    table(doc, [
+        { header: 'Test', width: 0.24, key: 'testName' },
+        { header: 'Result', width: 0.18, value: lab => [lab.result, lab.unit].filter(Boolean).join(' ') },
+        { header: 'Normal range', width: 0.2, key: 'normalRange' },
+        { header: 'Date', width: 0.16, value: lab => formatDate(lab.date) },
+        {
+            header: 'Flag',
+            width: 0.22,
+            value: lab => (lab.status && lab.status !== 'normal' ? lab.status.toUpperCase() : lab.status),
+            color: lab => LAB_STATUS_COLORS[lab.status] || null
+        }
+    ], record.labResults);
+
+    if (record.investigations?.length) {
+        section(doc, 'Investigations');
+        table(doc, [
+            { header: 'Investigation', width: 0.25, key: 'type' },
+            { header: 'Result', width: 0.35, key: 'result' },
+            { header: 'Date', width: 0.15, value: investigation => formatDate(investigation.date) },
+            { header: 'Notes', width: 0.25, key: 'notes' }
+        ], record.investigations);
+    }
+
+    if (record.followUp?.required) {
+        section(doc, 'Follow-up');
+        field(doc, 'Date', formatDate(record.followUp.date));
+        if (record.followUp.notes) field(doc, 'Notes', record.followUp.notes);
+    }
+};
+
+/**
+ * Render a single medical record. Returns a Promise resolving to the PDF Buffer.
+ */
+const renderRecordSummary = (record) => {
+    const doc = createDocument({ Title: `Medical Record ${record.recordId}` });
+
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.primary).text(record.hospital?.name || 'Medical Record');
+    const address = formatAddress(record.hospital?.address);
+    if (address) doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted).text(address);
+    rule(doc);
+
+    title(doc, 'Medical Record Summary');
+    patientBlock(doc, record.patient);
+    drawRecord(doc, record);
+
+    if (record.doctor) {
+        doc.moveDown(1.5);
+        doc.font('Helvetica-Bold').fontSize(10).fillColor(COLORS.text).text(`Dr. ${fullName(record.doctor)}`);
+        doc.font('Helvetica');
+        if (record.doctor.specialization) doc.text(record.doctor.specialization);
+        if (record.doctor.licenseNumber) doc.text(`License No: ${record.doctor.licenseNumber}`);
+    }
+
+    addFooters(doc, `Medical Record ${record.recordId}`);
+    return toBuffer(doc);
+};
+
+/**
+ * Render every record of a patient in a date range, newest first.
+ * Returns a Promise resolving to the PDF Buffer.
+ */
+const renderPatientChart = (patient, records, { startDate, endDate } = {}) => {
+    const doc = createDocument({ Title: `Patient Chart - ${fullName(patient)}` });
+
+    title(doc, 'Patient Chart');
+    patientBlock(doc, patient);
+    field(doc, 'Period', `${startDate ? formatDate(startDate) : 'All records'}${endDate ? ` to ${formatDate(endDate)}` : startDate ? ' onwards' : ''}`);
+    field(doc, 'Records', records.length);
+
+    if (records.length > 0) {
+        section(doc, 'Visit Summary');
+        table(doc, [
+            { header: 'Date', width: 0.16, value: record => formatDate(record.visitDate) },
+            { header: 'Record No', width: 0.2, key: 'recordId' },
+            { header: 'Type', width: 0.16, key: 'visitType' },
+            { header: 'Diagnosis', width: 0.28, value: record => record.diagnosis?.primary },
+            { header: 'Hospital', width: 0.2, value: record => record.hospital?.name }
+        ], records);
+    }
+
+    records.forEach(record => {
+        doc.addPage();
+        doc.font('Helvetica-Bold').fontSize(13).fillColor(COLORS.primary)
+            .text(`${formatDate(record.visitDate)} - ${record.specialty}`);
+        drawRecord(doc, record);
+    });
+
+    addFooters(doc, `Patient Chart - ${fullName(patient)}`);
+    return toBuffer(doc);
+};
+
+module.exports = {
+    getBmi,
+    renderRecordSummary,
+    renderPatientChart
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const {
+    COLORS,
+    createDocument,
+    toBuffer,
+    formatDate,
+    formatAddress,
+    fullName,
+    calculateAge,
+    rule,
+    title,
+    section,
+    field,
+    paragraph,
+    table,
+    addFooters
+} = require('./layout');
+
+// Referral letter rendered from a referral populated with its patient, doctors and facilities
+
+const facilityHeader = (doc, facility) => {
+    doc.font('Helvetica-Bold').fontSize(14).fillColor(COLORS.primary).text(facility?.name || 'Referring Facility');
+    doc.font('Helvetica').fontSize(9).fillColor(COLORS.muted);
+    const address = formatAddress(facility?.address);
+    if (address) doc.text(address);
+    const contact = [facility?.phone && `Tel: ${facility.phone}`, facility?.email].filter(Boolean).join('  |  ');
+    if (contact) doc.text(contact);
+    doc.fillColor(COLORS.text);
+    rule(doc);
+};
+
+const formatVitals = (vitals = {}) => [
+    { label: 'Blood pressure', value: vitals.bloodPressure, unit: 'mmHg' },
+    { label: 'Heart rate', value: vitals.heartRate, unit: 'bpm' },
+    { label: 'Temperature', value: vitals.temperature, unit: '°C' },
+    { label: 'Respiratory rate', value: vitals.respiratoryRate, unit: '/min' },
+    { label: 'Oxygen saturation', value: vitals.oxygenSaturation, unit: '%' },
+    { label: 'Weight', value: vitals.weight, unit: 'kg' },
+    { label: 'Height', value: vitals.height, unit: 'cm' }
+].filter(vital => vital.value !== undefined && vital.value !== null && vital.value !== '');
+
+// Referral fields printed on the letter; anything else changing does not invalidate a cached copy
+const LETTER_FIELDS = [
+    'referralId', 'createdAt', 'patient', 'referringDoctor', 'referringHospital', 'referringClinic',
+    'receivingDoctor', 'receivingHospital', 'reason', 'priority', 'specialty', 'chiefComplaint',
+    'historyOfPresentIllness', 'physicalExamination', 'vitalSigns', 'diagnosis', 'treatmentGiven',
+    'medications', 'investigations'
+];
+
+/**
+ * Fingerprint of everything the letter shows (including populated names and addresses),
+ * used to tell whether a cached letter is still current.
+ */
+const letterSourceHash = (referral) => {
+    const source = LETTER_FIELDS.reduce((acc, key) => {
+        acc[key] = referral[key] === undefined ? null : referral[key];
+        return acc;
+    }, {});
+    return crypto.createHash('sha256').update(JSON.stringify(source)).digest('hex');
+};
+
+/**
+ * Render the referral letter. Returns a Promise resolving to the PDF Buffer.
+ */
+const renderReferralLetter = (referral) => {
+    const doc = createDocument({ Title: `Referral ${referral.referralId}` });
+    const patient = referral.patient || {};
+    const doctor = referral.referringDoctor || {};
+
+    facilityHeader(doc, referral.referringHospital || referral.referringClinic);
+
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text);
+    doc.text(`Date: ${formatDate(referral.createdAt)}`, { align: 'right' });
+    doc.text(`Referral No: ${referral.referralId}`, { align: 'right' });
+    doc.moveDown(0.5);
+
+    title(doc, 'Referral Letter');
+
+    const receiving = referral.receivingHospital || {};
+    doc.font('Helvetica-Bold').fontSize(10).text('To:');
+    doc.font('Helvetica').text(receiving.name || '-');
+    const receivingAddress = formatAddress(receiving.address);
+    if (receivingAddress) doc.text(receivingAddress);
+    if (referral.receivingDoctor) {
+        doc.text(`Attn: Dr. ${fullName(referral.receivingDoctor)}${referral.receivingDoctor.specialization ? ` (${referral.receivingDoctor.specialization})` : ''}`);
+    }
+    doc.moveDown(0.5);
+
+    field(doc, 'Specialty', referral.specialty);
+    field(doc, 'Priority', referral.priority ? referral.priority.toUpperCase() : '-');
+    field(doc, 'Reason for referral', referral.reason);
+
+    section(doc, 'Patient');
+    const age = calculateAge(patient.dateOfBirth);
+    field(doc, 'Name', fullName(patient));
+    field(doc, 'Date of birth', `${formatDate(patient.dateOfBirth)}${age !== null ? ` (${age} years)` : ''}`);
+    field(doc, 'Gender', patient.gender);
+    if (patient.bloodType) field(doc, 'Blood type', patient.bloodType);
+    field(doc, 'Phone', patient.phone);
+    field(doc, 'Email', patient.email);
+
+    section(doc, 'Chief Complaint');
+    paragraph(doc, referral.chiefComplaint);
+
+    section(doc, 'History of Present Illness');
+    paragraph(doc, referral.historyOfPresentIllness);
+
+    section(doc, 'Physical Examination');
+    paragraph(doc, referral.physicalExamination);
+
+    section(doc, 'Vital Signs');
+    table(doc, [
+        { header: 'Measurement', width: 0.5, key: 'label' },
+        { header: 'Value', width: 0.5, value: vital => `${vital.value} ${vital.unit}` }
+    ], formatVitals(referral.vitalSigns));
+
+    section(doc, 'Diagnosis');
+    field(doc, 'Primary', referral.diagnosis?.primary);
+    const secondary = referral.diagnosis?.secondary || [];
+    field(doc, 'Secondary', secondary.length ? secondary.join('; ') : null);
+    if (referral.treatmentGiven) {
+        field(doc, 'Treatment given', referral.treatmentGiven);
+    }
+
+    section(doc, 'Current Medications');
+    table(doc, [
+        { header: 'Medication', width: 0.34, key: 'name' },
+        { header: 'Dosage', width: 0.22, key: 'dosage' },
+        { header: 'Frequency', width: 0.22, key: 'frequency' },
+        { header: 'Duration', width: 0.22, key: 'duration' }
+    ], referral.medications);
+
+    section(doc, 'Investigations');
+    table(doc, [
+        { header: 'Investigation', width: 0.3, key: 'type' },
+        { header: 'Result', width: 0.5, key: 'result' },
+        { header: 'Date', width: 0.2, value: investigation => formatDate(investigation.date) }
+    ], referral.investigations);
+
+    // Signature block
+    doc.moveDown(2);
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 90) {
+        doc.addPage();
+    }
+    doc.font('Helvetica').fontSize(10).fillColor(COLORS.text).text('Yours sincerely,');
+    doc.moveDown(2);
+    const lineY = doc.y;
+    doc.moveTo(doc.page.margins.left, lineY).lineTo(doc.page.margins.left + 180, lineY).strokeColor(COLORS.text).lineWidth(0.5).stroke();
+    doc.y = lineY + 5;
+    doc.font('Helvetica-Bold').text(`Dr. ${fullName(doctor)}`);
+    doc.font('Helvetica');
+    if (doctor.qualification) doc.text(doctor.qualification);
+    if (doctor.specialization) doc.text(doctor.specialization);
+    if (doctor.licenseNumber) doc.text(`License No: ${doctor.licenseNumber}`);
+    doc.text(`Date: ${formatDate(referral.createdAt)}`);
+
+    addFooters(doc, `Referral ${referral.referralId}`);
+    return toBuffer(doc);
+};
+
+module.exports = {
+    letterSourceHash,
+    renderReferralLetter
+};
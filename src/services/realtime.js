@@ -0,0 +1,179 @@
+// Server-Sent Events hub
+//
+// Each connected browser tab registers its response stream here. Domain events
+// from the event bus are pushed only to users whose scope covers the entity,
+// using the same rules as GET /api/referrals and GET /api/records/:id. The
+// user's department ids are looked up once, when the stream is opened. Each
+// heartbeat re-checks the sign-in session, so a stream ends soon after logout,
+// session revocation or a password change.
+
+const { onEvent } = require('./eventBus');
+const { isReferralInScope, isRecordInScope } = require('./referralScope');
+const { canMessageOnReferral } = require('./referralWorkflow');
+const { isAccessTokenSessionActive } = require('./sessions');
+const { idOf, sameId } = require('../utils/ids');
+
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+const clients = new Map();
+let nextClientId = 1;
+let nextEventId = 1;
+
+const writeEvent = (res, type, data, id) => {
+    if (id) res.write(`id: ${id}\n`);
+    res.write(`event: ${type}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// Whether the session behind the stream is still live; a failed check ends the stream too
+const isStreamSessionActive = (user, sessionId) => isAccessTokenSessionActive({ userId: user._id, sid: sessionId })
+    .catch(error => {
+        console.error('Realtime session check error:', error.message);
+        return false;
+    });
+
+// Register a response as an event stream; returns an unsubscribe function
+const addClient = (user, res, { departmentIds = [], sessionId = null } = {}) => {
+    const clientId = nextClientId++;
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache, no-transform',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    writeEvent(res, 'connected', { clientId, userId: user._id });
+
+    const remove = () => {
+        clearInterval(heartbeat);
+        clients.delete(clientId);
+    };
+
+    const heartbeat = setInterval(async () => {
+        if (sessionId && !(await isStreamSessionActive(user, sessionId))) {
+            if (!clients.has(clientId)) return;
+            remove();
+            writeEvent(res, 'session_ended', { message: 'Session has ended, please log in again' });
+            res.end();
+            return;
+        }
+        res.write(': ping\n\n');
+    }, HEARTBEAT_INTERVAL_MS);
+    clients.set(clientId, { user, res, heartbeat, scope: { departmentIds } });
+
+    return remove;
+};
+
+// Send an event to every connected user the audience check accepts
+const broadcast = (type, data, audience) => {
+    const id = nextEventId++;
+    clients.forEach(({ user, res, scope }) => {
+        if (!audience(user, scope)) return;
+        try {
+            writeEvent(res, type, data, id);
+        } catch (error) {
+            console.error('Realtime write error:', error.message);
+        }
+    });
+};
+
+const getConnectedCount = () => clients.size;
+
+const summariseReferral = (referral) => ({
+    _id: idOf(referral._id),
+    referralId: referral.referralId,
+    status: referral.status,
+    priority: referral.priority,
+    specialty: referral.specialty,
+    patient: idOf(referral.patient),
+    referringDoctor: idOf(referral.referringDoctor),
+    referringHospital: idOf(referral.referringHospital),
+    referringClinic: idOf(referral.referringClinic),
+    receivingDoctor: idOf(referral.receivingDoctor),
+    receivingHospital: idOf(referral.receivingHospital),
+    receivingDepartment: idOf(referral.receivingDepartment),
+    parentReferral: idOf(referral.parentReferral),
+    forwardedTo: idOf(referral.forwarding?.forwardedTo),
+    updatedAt: referral.updatedAt
+});
+
+onEvent('referral.created', ({ type, occurredAt, referral, actor }) => {
+    broadcast(type, {
+        referral: summariseReferral(referral),
+        actor: idOf(actor),
+        occurredAt
+    }, (user, scope) => isReferralInScope(referral, user, scope));
+});
+
+onEvent('referral.status_changed', ({ type, occurredAt, referral, actor, previousStatus }) => {
+    broadcast(type, {
+        referral: summariseReferral(referral),
+        previousStatus,
+        status: referral.status,
+        actor: idOf(actor),
+        occurredAt
+    }, (user, scope) => isReferralInScope(referral, user, scope));
+});
+
+// Doctors of the receiving hospital also get it, so their intake queues drop claimed referrals
+onEvent('referral.assigned', ({ type, occurredAt, referral, actor, previousDoctor }) => {
+    broadcast(type, {
+        referral: summariseReferral(referral),
+        previousDoctor: idOf(previousDoctor),
+        actor: idOf(actor),
+        occurredAt
+    }, (user, scope) => isReferralInScope(referral, user, scope) ||
+        sameId(previousDoctor, user._id) ||
+        (user.role === 'doctor' && sameId(user.hospitalId, referral.receivingHospital)));
+});
+
+onEvent('referral.escalated', ({ type, occurredAt, referral, slaHours }) => {
+    broadcast(type, {
+        referral: summariseReferral(referral),
+        slaHours,
+        escalatedAt: referral.escalation?.escalatedAt,
+        occurredAt
+    }, (user, scope) => isReferralInScope(referral, user, scope));
+});
+
+onEvent('referral.message', ({ type, occurredAt, referral, message }) => {
+    broadcast(type, {
+        referral: { _id: idOf(referral._id), referralId: referral.referralId },
+        message: {
+            _id: idOf(message._id),
+            sender: idOf(message.sender),
+            message: message.message,
+            timestamp: message.timestamp
+        },
+        occurredAt
+    }, (user, scope) => isReferralInScope(referral, user, scope) && canMessageOnReferral(referral, user, scope));
+});
+
+onEvent('record.created', ({ type, occurredAt, record, actor }) => {
+    broadcast(type, {
+        record: {
+            _id: idOf(record._id),
+            recordId: record.recordId,
+            patient: idOf(record.patient),
+            doctor: idOf(record.doctor),
+            hospital: idOf(record.hospital),
+            referral: idOf(record.referral),
+            visitDate: record.visitDate,
+            visitType: record.visitType
+        },
+        actor: idOf(actor),
+        occurredAt
+    }, user => isRecordInScope(record, user));
+});
+
+// In-app notifications go to their recipient only
+onEvent('notification.created', ({ type, notification }) => {
+    broadcast(type, { notification }, user => sameId(user._id, notification.recipient));
+});
+
+module.exports = {
+    addClient,
+    broadcast,
+    getConnectedCount
+};
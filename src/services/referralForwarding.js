@@ -0,0 +1,239 @@
+// Forwarding a referral to another hospital
+//
+// Instead of rejecting a referral it cannot take, the receiving side (or a super
+// admin) can pass it on. Forwarding creates a child referral at the new hospital
+// with the same patient and clinical content and its own copy of every
+// attachment (so deleting a file on one side never breaks the other). The
+// original becomes 'forwarded'; the child points back to it through
+// `parentReferral` and the original to the child through `forwarding.forwardedTo`.
+
+const mongoose = require('mongoose');
+const Referral = require('../models/Referral');
+const Hospital = require('../models/Hospital');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const { validateTransition } = require('./referralWorkflow');
+const { routeToDepartment } = require('./departmentRouting');
+const { copyStoredFile, removeStoredFile } = require('./storage');
+const { fileDownloadPath } = require('./fileLinks');
+const { emitEvent } = require('./eventBus');
+const { idOf, sameId } = require('../utils/ids');
+
+// Copied verbatim from the original referral
+const CLINICAL_FIELDS = [
+    'reason', 'priority', 'specialty', 'chiefComplaint', 'historyOfPresentIllness',
+    'physicalExamination', 'vitalSigns', 'diagnosis', 'treatmentGiven', 'medications'
+];
+
+// Fields shown for the other end of a forwarding link
+const LINK_FIELDS = 'referralId status receivingHospital receivingDepartment forwarding createdAt';
+
+/**
+ * Populate options for `parentReferral` and `forwarding.forwardedTo`, so a referral
+ * shows where it came from and where it went.
+ */
+const FORWARDING_POPULATE = ['parentReferral', 'forwarding.forwardedTo'].map(path => ({
+    path,
+    select: LINK_FIELDS,
+    populate: [
+        { path: 'receivingHospital', select: 'name' },
+        { path: 'receivingDepartment', select: 'name specialtyCode' }
+    ]
+}));
+
+// Remove copied files whose referral was never saved
+const discardCopies = (copies) => Promise.all(
+    copies.map(storage => removeStoredFile(storage).catch(err => console.error('File cleanup error:', err.message)))
+);
+
+/**
+ * Copy the clinical content of `parent` into a new (unsaved) referral document,
+ * with fresh copies of its attachments stored under the new referral.
+ * Returns { child, copies } where `copies` lists the stored files to clean up
+ * if the child is never saved.
+ */
+const buildChildReferral = async (parent, data) => {
+    const source = typeof parent.toObject === 'function' ? parent.toObject() : parent;
+    const child = new Referral({ ...data, _id: new mongoose.Types.ObjectId() });
+    CLINICAL_FIELDS.forEach(field => {
+        if (source[field] !== undefined) child[field] = source[field];
+    });
+
+    const copies = [];
+    const attachmentIds = new Map();
+    try {
+        for (const attachment of source.attachments || []) {
+            const storage = attachment.storage?.key
+                ? await copyStoredFile(attachment, `referrals/${child._id}`)
+                : attachment.storage;
+            if (attachment.storage?.key) copies.push(storage);
+
+            const _id = new mongoose.Types.ObjectId();
+            attachmentIds.set(idOf(attachment._id), _id);
+            child.attachments.push({
+                _id,
+                name: attachment.name,
+                url: attachment.storage?.key ? fileDownloadPath('referral', child._id, _id) : attachment.url,
+                type: attachment.type,
+                mimeType: attachment.mimeType,
+                size: attachment.size,
+                storage,
+                uploadedAt: attachment.uploadedAt,
+                uploadedBy: attachment.uploadedBy
+            });
+        }
+    } catch (error) {
+        await discardCopies(copies);
+        throw error;
+    }
+
+    // Investigations keep pointing at their (copied) result files
+    child.investigations = (source.investigations || []).map(investigation => {
+        const attachment = investigation.attachment ? attachmentIds.get(idOf(investigation.attachment)) : null;
+        return {
+            type: investigation.type,
+            result: investigation.result,
+            date: investigation.date,
+            file: attachment ? fileDownloadPath('referral', child._id, attachment) : investigation.file,
+            attachment: attachment || undefined
+        };
+    });
+
+    return { child, copies };
+};
+
+// The doctor the child referral is sent on behalf of: the acting doctor, else the
+// doctor handling the original, else the first approved doctor of the forwarding hospital
+const resolveReferringDoctor = async (parent, user) => {
+    if (user.role === 'doctor') return user._id;
+    if (parent.receivingDoctor) return parent.receivingDoctor;
+
+    const doctor = await User.findOne({
+        role: 'doctor',
+        hospitalId: parent.receivingHospital,
+        approvalStatus: 'approved',
+        isActive: true
+    }).sort({ createdAt: 1 }).select('_id').lean();
+    return doctor?._id || null;
+};
+
+/**
+ * Forward a referral to another hospital.
+ * Returns { ok, referral, child } or { ok: false, statusCode, message, allowedTransitions? }.
+ */
+const forwardReferral = async (referralId, user, { receivingHospitalId, receivingDepartmentId, receivingDoctorId, reason } = {}, now = new Date()) => {
+    const parent = mongoose.isValidObjectId(referralId) ? await Referral.findById(referralId) : null;
+    if (!parent) {
+        return { ok: false, statusCode: 404, message: 'Referral not found' };
+    }
+
+    const check = validateTransition(parent, user, 'forwarded', { reason });
+    if (!check.ok) {
+        return check;
+    }
+
+    if (!receivingHospitalId || !mongoose.isValidObjectId(receivingHospitalId)) {
+        return { ok: false, statusCode: 400, message: 'receivingHospitalId is required' };
+    }
+    if (sameId(receivingHospitalId, parent.receivingHospital)) {
+        return { ok: false, statusCode: 400, message: 'A referral cannot be forwarded to the hospital it is already with' };
+    }
+    const hospital = await Hospital.findOne({ _id: receivingHospitalId, status: 'approved', isActive: true }).select('_id name');
+    if (!hospital) {
+        return { ok: false, statusCode: 400, message: 'Invalid receiving hospital ID' };
+    }
+
+    let department = null;
+    if (receivingDepartmentId) {
+        if (!mongoose.isValidObjectId(receivingDepartmentId)) {
+            return { ok: false, statusCode: 400, message: 'Invalid receiving department ID' };
+        }
+        department = await Department.findOne({ _id: receivingDepartmentId, hospital: hospital._id, isActive: true });
+        if (!department) {
+            return { ok: false, statusCode: 400, message: 'Invalid receiving department ID' };
+        }
+    } else {
+        department = await routeToDepartment(hospital._id, parent.specialty);
+    }
+
+    if (receivingDoctorId) {
+        if (!mongoose.isValidObjectId(receivingDoctorId)) {
+            return { ok: false, statusCode: 400, message: 'Invalid receiving doctor ID' };
+        }
+        const doctor = await User.findById(receivingDoctorId).select('role hospitalId isActive').lean();
+        if (!doctor || doctor.role !== 'doctor' || !doctor.isActive || !sameId(doctor.hospitalId, hospital._id)) {
+            return { ok: false, statusCode: 400, message: 'The doctor must be an active doctor of the receiving hospital' };
+        }
+    }
+
+    const referringDoctor = await resolveReferringDoctor(parent, user);
+    if (!referringDoctor) {
+        return { ok: false, statusCode: 400, message: 'No approved doctor found at the forwarding hospital to send the referral on behalf of' };
+    }
+
+    const { child, copies } = await buildChildReferral(parent, {
+        referralId: Referral.generateReferralId(),
+        patient: parent.patient,
+        referringDoctor,
+        referringHospital: parent.receivingHospital,
+        referringClinic: null,
+        receivingHospital: hospital._id,
+        receivingDoctor: receivingDoctorId || null,
+        receivingDepartment: department?._id || null,
+        parentReferral: parent._id,
+        status: 'pending'
+    });
+    child.recordEvent('created', user, { notes: `Forwarded from referral ${parent.referralId}: ${reason}` });
+
+    try {
+        await child.save();
+    } catch (error) {
+        await discardCopies(copies);
+        throw error;
+    }
+
+    // Only applies if the original was not decided or forwarded in the meantime
+    const previousStatus = parent.status;
+    const forwarded = await Referral.findOneAndUpdate(
+        { _id: parent._id, status: previousStatus },
+        {
+            $set: {
+                status: 'forwarded',
+                forwarding: { forwardedTo: child._id, forwardedAt: now, forwardedBy: user._id, reason },
+                response: { notes: reason, responseDate: now, responseBy: user._id }
+            },
+            $push: {
+                timeline: {
+                    action: 'forwarded',
+                    timestamp: now,
+                    performedBy: user._id,
+                    performedByRole: user.role,
+                    changes: [
+                        { field: 'status', from: previousStatus, to: 'forwarded' },
+                        { field: 'forwarding.forwardedTo', from: null, to: child.referralId }
+                    ],
+                    notes: `Forwarded to ${hospital.name}: ${reason}`
+                }
+            }
+        },
+        { new: true }
+    ).lean();
+
+    if (!forwarded) {
+        await Referral.deleteOne({ _id: child._id });
+        await discardCopies(copies);
+        return { ok: false, statusCode: 409, message: 'The referral changed while it was being forwarded; reload and try again' };
+    }
+
+    emitEvent('referral.status_changed', { referral: forwarded, actor: user, previousStatus });
+    emitEvent('referral.created', { referral: child, actor: user });
+
+    return { ok: true, referral: forwarded, child };
+};
+
+module.exports = {
+    CLINICAL_FIELDS,
+    FORWARDING_POPULATE,
+    buildChildReferral,
+    forwardReferral
+};
@@ -0,0 +1,73 @@
+// Cached referral letter PDFs
+//
+// A rendered letter is stored with the fingerprint of what it shows
+// (letterSourceHash) and reused while the fingerprint matches. A stale copy is
+// replaced; a copy that can no longer be read from storage is rendered again.
+// Caching is best effort: a storage failure still returns a freshly rendered letter.
+
+const Referral = require('../models/Referral');
+const { renderReferralLetter, letterSourceHash } = require('./pdf/referralLetter');
+const { getStorage, storageMetadata, removeStoredFile } = require('./storage');
+
+// Read the cached letter, or null when there is none or it cannot be read
+const readCachedLetter = async (cached) => {
+    try {
+        return await getStorage(cached.storage.provider).read(cached.storage);
+    } catch (error) {
+        console.error('Referral PDF cache read error:', error.message);
+        return null;
+    }
+};
+
+const cacheLetter = async (referral, buffer, sourceHash) => {
+    const previous = referral.pdfReport;
+
+    try {
+        const stored = await getStorage().save({
+            buffer,
+            ext: 'pdf',
+            mimeType: 'application/pdf',
+            folder: `referrals/${referral._id}/letters`
+        });
+
+        // timestamps: false so caching the letter does not count as a change to the referral
+        await Referral.updateOne({ _id: referral._id }, {
+            $set: {
+                pdfReport: {
+                    url: `/api/referrals/${referral._id}/pdf`,
+                    generatedAt: new Date(),
+                    sourceHash,
+                    storage: storageMetadata(stored)
+                }
+            }
+        }, { timestamps: false });
+
+        if (previous?.storage?.key) {
+            await removeStoredFile(previous.storage).catch(() => { });
+        }
+    } catch (error) {
+        console.error('Referral PDF cache error:', error.message);
+    }
+};
+
+/**
+ * The referral letter as a PDF Buffer, from the cache when it is current.
+ * `referral` must be populated as for renderReferralLetter.
+ */
+const getReferralLetter = async (referral) => {
+    const sourceHash = letterSourceHash(referral);
+    const cached = referral.pdfReport;
+
+    if (cached?.storage?.key && cached.sourceHash === sourceHash) {
+        const buffer = await readCachedLetter(cached);
+        if (buffer) return buffer;
+    }
+
+    const buffer = await renderReferralLetter(referral);
+    await cacheLetter(referral, buffer, sourceHash);
+    return buffer;
+};
+
+module.exports = {
+    getReferralLetter
+};
@@ -0,0 +1,195 @@
+// Email notifications for the referral lifecycle
+//
+// Listens to referral and appointment events on the event bus and emails the
+// people involved, honouring each recipient's per-event-type opt-outs:
+//   referral.created         -> receiving doctor and department intake (or hospital admins), patient
+//   referral.status_changed  -> referring doctor (decision, forwarding, completion), patient
+//   referral.message         -> the other participants
+//   referral.escalated       -> referring doctor
+//   appointment.*            -> patient
+
+const Referral = require('../models/Referral');
+const Appointment = require('../models/Appointment');
+const User = require('../models/User');
+const { onEvent } = require('./eventBus');
+const { wantsEmail } = require('./notificationPreferences');
+const { loadDepartmentContacts } = require('./departmentRouting');
+const { resolveLocale } = require('./email/templates');
+const { sendEmail, emailTemplates } = require('../config/email');
+const { idOf } = require('../utils/ids');
+
+const RECIPIENT_FIELDS = 'firstName lastName email role locale isActive notificationPreferences';
+
+const referralLink = (referral) => `${process.env.FRONTEND_URL || 'http://localhost:5173'}/referrals/${idOf(referral._id)}`;
+
+const fullName = (person) => (person ? `${person.firstName} ${person.lastName}` : '');
+
+const loadReferral = (referralId) => Referral.findById(idOf(referralId))
+    .select('referralId status priority specialty reason response forwarding patient referringDoctor referringHospital referringClinic receivingDoctor receivingHospital receivingDepartment')
+    .populate('patient', RECIPIENT_FIELDS)
+    .populate('referringDoctor', RECIPIENT_FIELDS)
+    .populate('receivingDoctor', RECIPIENT_FIELDS)
+    .populate('referringHospital', 'name')
+    .populate('referringClinic', 'name')
+    .populate('receivingHospital', 'name')
+    .populate({ path: 'forwarding.forwardedTo', select: 'referralId receivingHospital', populate: { path: 'receivingHospital', select: 'name' } })
+    .lean();
+
+// Admin accounts of the receiving hospital
+const loadHospitalAdmins = (hospitalId) => User.find({ role: 'hospital', hospitalId: idOf(hospitalId), isActive: true })
+    .select(RECIPIENT_FIELDS)
+    .lean();
+
+// The receiving doctor (set at creation or assigned later) together with the receiving
+// hospital: the intake contact of the referral's department, otherwise its admins
+const receivingSide = async (referral) => {
+    const contacts = await loadDepartmentContacts(referral.receivingDepartment, RECIPIENT_FIELDS);
+    const hospitalSide = contacts.length > 0 ? contacts : await loadHospitalAdmins(referral.receivingHospital?._id);
+
+    const recipients = new Map();
+    [referral.receivingDoctor, ...hospitalSide].filter(Boolean).forEach(recipient => {
+        if (!recipients.has(idOf(recipient._id))) recipients.set(idOf(recipient._id), recipient);
+    });
+    return [...recipients.values()];
+};
+
+/**
+ * Queue one template for each recipient that wants this event type, in the
+ * recipient's language. The acting user is never emailed about their own
+ * action. `key` identifies the event occurrence so a re-delivered event does
+ * not email anyone twice.
+ */
+const notify = async (recipients, eventType, key, buildEmail, actor = null) => {
+    const seen = new Set();
+    const actorId = idOf(actor);
+
+    for (const recipient of recipients) {
+        const recipientId = idOf(recipient?._id);
+        if (!recipient?.email || !recipient.isActive || seen.has(recipientId) || recipientId === actorId) continue;
+        seen.add(recipientId);
+        if (!wantsEmail(recipient, eventType)) continue;
+
+        try {
+            await sendEmail({
+                email: recipient.email,
+                ...buildEmail(recipient, await resolveLocale(recipient)),
+                idempotencyKey: `${eventType}:${key}:${recipientId}`
+            });
+        } catch (error) {
+            console.error(`Referral notification (${eventType}) to ${recipient.email} failed:`, error.message);
+        }
+    }
+};
+
+const patientUpdate = (referral, appointment = null) => (recipient, locale) => emailTemplates.patientReferralUpdate({
+    recipientName: recipient.firstName,
+    status: referral.status,
+    receivingHospital: referral.receivingHospital?.name,
+    specialty: referral.specialty,
+    referringDoctor: fullName(referral.referringDoctor),
+    appointment
+}, locale);
+
+onEvent('referral.created', async ({ referral: created, actor }) => {
+    const referral = await loadReferral(created._id);
+    if (!referral) return;
+
+    const key = `created:${referral._id}`;
+    await notify(await receivingSide(referral), 'referralReceived', key, (recipient, locale) => emailTemplates.referralNotification({
+        patientName: fullName(referral.patient),
+        fromHospital: referral.referringHospital?.name || referral.referringClinic?.name,
+        toHospital: referral.receivingHospital?.name,
+        reason: referral.reason,
+        priority: referral.priority,
+        link: referralLink(referral)
+    }, locale), actor);
+
+    await notify([referral.patient], 'referralUpdates', key, patientUpdate(referral), actor);
+});
+
+onEvent('referral.status_changed', async ({ referral: changed, actor }) => {
+    const loaded = await loadReferral(changed._id);
+    if (!loaded) return;
+
+    // Describe the status this event is about, even if the referral has moved on since
+    const referral = { ...loaded, status: changed.status };
+    const key = `status:${referral._id}:${referral.status}`;
+
+    const details = (recipient) => ({
+        recipientName: fullName(recipient),
+        referralId: referral.referralId,
+        status: referral.status,
+        patientName: fullName(referral.patient),
+        receivingHospital: referral.receivingHospital?.name,
+        specialty: referral.specialty,
+        notes: referral.response?.notes,
+        forwardedTo: referral.forwarding?.forwardedTo?.receivingHospital?.name,
+        link: referralLink(referral)
+    });
+
+    if (['accepted', 'rejected', 'expired', 'forwarded'].includes(referral.status)) {
+        await notify([referral.referringDoctor], 'referralDecision', key, (recipient, locale) => emailTemplates.referralDecision(details(recipient), locale), actor);
+        // The patient hears about a forwarded referral from the new referral instead
+        if (referral.status === 'forwarded') return;
+    } else if (referral.status === 'completed') {
+        await notify([referral.referringDoctor], 'referralCompleted', key, (recipient, locale) => emailTemplates.referralCompleted(details(recipient), locale), actor);
+    } else {
+        return;
+    }
+
+    await notify([referral.patient], 'referralUpdates', key, patientUpdate(referral), actor);
+});
+
+onEvent('referral.message', async ({ referral: thread, message, actor }) => {
+    const referral = await loadReferral(thread._id);
+    if (!referral) return;
+
+    const participants = [referral.referringDoctor, ...(await receivingSide(referral)), referral.patient];
+    await notify(participants, 'referralMessage', `message:${idOf(message._id)}`, (recipient, locale) => emailTemplates.referralMessage({
+        recipientName: recipient.firstName,
+        senderName: actor ? fullName(actor) : 'A participant',
+        referralId: referral.referralId,
+        link: referralLink(referral)
+    }, locale), actor);
+});
+
+onEvent('referral.escalated', async ({ referral: escalated, slaHours }) => {
+    const referral = await loadReferral(escalated._id);
+    if (!referral) return;
+
+    await notify([referral.referringDoctor], 'referralEscalated', `escalated:${referral._id}`, (recipient, locale) => emailTemplates.referralEscalated({
+        recipientName: fullName(recipient),
+        referralId: referral.referralId,
+        priority: referral.priority,
+        patientName: fullName(referral.patient),
+        receivingHospital: referral.receivingHospital?.name,
+        slaHours,
+        link: referralLink(referral)
+    }, locale));
+});
+
+['scheduled', 'rescheduled', 'cancelled'].forEach(action => {
+    onEvent(`appointment.${action}`, async ({ appointment: changed, actor, occurredAt }) => {
+        const appointment = await Appointment.findById(changed._id)
+            .populate('patient', RECIPIENT_FIELDS)
+            .populate('doctor', 'firstName lastName')
+            .populate('hospital', 'name')
+            .lean();
+        if (!appointment) return;
+
+        const key = `${action}:${appointment._id}:${occurredAt.getTime()}`;
+        await notify([appointment.patient], 'appointments', key, (recipient, locale) => emailTemplates.appointmentUpdate({
+            action,
+            recipientName: recipient.firstName,
+            appointment,
+            doctorName: fullName(appointment.doctor),
+            hospitalName: appointment.hospital?.name,
+            reason: appointment.cancellation?.reason
+        }, locale), actor);
+    });
+});
+
+module.exports = {
+    notify,
+    receivingSide
+};
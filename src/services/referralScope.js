@@ -0,0 +1,149 @@
+// Which referrals, records and appointments a user is allowed to see.
+//
+// getReferralScopeConditions() builds the Mongo conditions used by
+// GET /api/referrals; isReferralInScope() applies the same rules to a single
+// referral already in memory (for pushed events, webhooks, ...).
+
+const { idOf, sameId } = require('../utils/ids');
+
+// Matches no document; used when a user has no referral scope at all
+const NO_MATCH = { _id: null };
+
+/**
+ * Conditions (to be OR-ed) limiting referrals to the user's scope.
+ * Returns null when the user may see every referral. Doctors also see the
+ * queues of the departments in `departmentIds` (see getUserDepartmentIds).
+ */
+const getReferralScopeConditions = (user, { departmentIds = [] } = {}) => {
+    if (user.role === 'super_admin') {
+        return null;
+    }
+
+    if (user.role === 'hospital') {
+        if (!user.hospitalId) return [NO_MATCH];
+        return [
+            { referringHospital: user.hospitalId },
+            { receivingHospital: user.hospitalId }
+        ];
+    }
+
+    if (user.role === 'doctor') {
+        const conditions = [
+            { referringDoctor: user._id },
+            { receivingDoctor: user._id }
+        ];
+        // Also include referrals where the doctor's clinic is the referring entity
+        if (user.practiceType === 'own_clinic' && user.clinicId) {
+            conditions.push({ referringClinic: user.clinicId });
+        }
+        if (departmentIds.length > 0) {
+            conditions.push({ receivingDepartment: { $in: departmentIds } });
+        }
+        return conditions;
+    }
+
+    if (user.role === 'patient') {
+        return [{ patient: user._id }];
+    }
+
+    return [NO_MATCH];
+};
+
+// Same rules as getReferralScopeConditions, applied to one referral
+const isReferralInScope = (referral, user, { departmentIds = [] } = {}) => {
+    if (!referral || !user) return false;
+
+    switch (user.role) {
+        case 'super_admin':
+            return true;
+        case 'hospital':
+            return !!user.hospitalId && (
+                sameId(referral.referringHospital, user.hospitalId) ||
+                sameId(referral.receivingHospital, user.hospitalId)
+            );
+        case 'doctor':
+            return sameId(referral.referringDoctor, user._id) ||
+                sameId(referral.receivingDoctor, user._id) ||
+                (user.practiceType === 'own_clinic' && !!user.clinicId &&
+                    sameId(referral.referringClinic, user.clinicId)) ||
+                departmentIds.some(departmentId => sameId(referral.receivingDepartment, departmentId));
+        case 'patient':
+            return sameId(referral.patient, user._id);
+        default:
+            return false;
+    }
+};
+
+// Medical records follow the rules enforced by getRecordById
+const isRecordInScope = (record, user) => {
+    if (!record || !user) return false;
+
+    return user.role === 'super_admin' ||
+        sameId(record.patient, user._id) ||
+        sameId(record.doctor, user._id) ||
+        (user.role === 'hospital' && !!idOf(user.hospitalId) && sameId(record.hospital, user.hospitalId));
+};
+
+// Same rules as isRecordInScope as conditions (to be OR-ed); null when every record is visible
+const getRecordScopeConditions = (user) => {
+    if (user.role === 'super_admin') {
+        return null;
+    }
+
+    const conditions = [
+        { patient: user._id },
+        { doctor: user._id }
+    ];
+    if (user.role === 'hospital' && idOf(user.hospitalId)) {
+        conditions.push({ hospital: user.hospitalId });
+    }
+    return conditions;
+};
+
+// Appointments are visible to their patient, the booked doctor and that hospital's admins
+const getAppointmentScopeConditions = (user) => {
+    if (user.role === 'super_admin') {
+        return null;
+    }
+
+    if (user.role === 'hospital') {
+        return idOf(user.hospitalId) ? [{ hospital: user.hospitalId }] : [NO_MATCH];
+    }
+
+    if (user.role === 'doctor') {
+        return [{ doctor: user._id }];
+    }
+
+    if (user.role === 'patient') {
+        return [{ patient: user._id }];
+    }
+
+    return [NO_MATCH];
+};
+
+// Same rules as getAppointmentScopeConditions, applied to one appointment
+const isAppointmentInScope = (appointment, user) => {
+    if (!appointment || !user) return false;
+
+    switch (user.role) {
+        case 'super_admin':
+            return true;
+        case 'hospital':
+            return !!idOf(user.hospitalId) && sameId(appointment.hospital, user.hospitalId);
+        case 'doctor':
+            return sameId(appointment.doctor, user._id);
+        case 'patient':
+            return sameId(appointment.patient, user._id);
+        default:
+            return false;
+    }
+};
+
+module.exports = {
+    getReferralScopeConditions,
+    isReferralInScope,
+    isRecordInScope,
+    getRecordScopeConditions,
+    getAppointmentScopeConditions,
+    isAppointmentInScope
+};
@@ -0,0 +1,40 @@
+// Helpers for building before/after diffs for referral timeline events
+
+// Normalise a value so ObjectIds, Dates and subdocuments compare by content
+const normalise = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    if (value._bsontype === 'ObjectId' || value._bsontype === 'ObjectID') return value.toString();
+    if (value instanceof Date) return value.toISOString();
+    if (typeof value.toObject === 'function') return normalise(value.toObject());
+    if (Array.isArray(value)) return value.map(normalise);
+    if (typeof value === 'object') {
+        const result = {};
+        Object.keys(value).sort().forEach(key => {
+            if (key === '_id') return;
+            result[key] = normalise(value[key]);
+        });
+        return result;
+    }
+    return value;
+};
+
+// Copy the given fields off a document
+const snapshot = (doc, fields) => {
+    const result = {};
+    fields.forEach(field => {
+        result[field] = normalise(doc.get ? doc.get(field) : doc[field]);
+    });
+    return result;
+};
+
+// List the fields whose values differ between two snapshots
+const diffSnapshots = (before, after) => {
+    return Object.keys(after)
+        .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+        .map(field => ({ field, from: before[field], to: after[field] }));
+};
+
+module.exports = {
+    snapshot,
+    diffSnapshots
+};
@@ -0,0 +1,171 @@
+// Referral lifecycle rules
+//
+// Every status change goes through this module. A transition is only legal
+// when it is listed for the current status AND the acting user belongs to one
+// of the parties allowed to perform it.
+
+const { idOf, sameId } = require('../utils/ids');
+const { isReferralInScope } = require('./referralScope');
+
+const REFERRAL_STATUSES = ['pending', 'accepted', 'rejected', 'in_progress', 'completed', 'cancelled', 'expired', 'forwarded'];
+
+// Parties a user can act as on a given referral
+const PARTIES = {
+    REFERRING: 'referring',
+    RECEIVING: 'receiving',
+    PATIENT: 'patient',
+    SUPER_ADMIN: 'super_admin'
+};
+
+// from -> to -> { parties allowed, body fields required }
+// 'forwarded' is only reached through the forward action, which also creates the
+// child referral (see services/referralForwarding.js)
+const TRANSITIONS = {
+    pending: {
+        accepted: { parties: [PARTIES.RECEIVING, PARTIES.SUPER_ADMIN], requires: [] },
+        rejected: { parties: [PARTIES.RECEIVING, PARTIES.SUPER_ADMIN], requires: ['reason'] },
+        cancelled: { parties: [PARTIES.REFERRING, PARTIES.PATIENT, PARTIES.SUPER_ADMIN], requires: ['reason'] },
+        forwarded: { parties: [PARTIES.RECEIVING, PARTIES.SUPER_ADMIN], requires: ['reason'] }
+    },
+    accepted: {
+        in_progress: { parties: [PARTIES.RECEIVING, PARTIES.SUPER_ADMIN], requires: [] },
+        cancelled: { parties: [PARTIES.REFERRING, PARTIES.PATIENT, PARTIES.SUPER_ADMIN], requires: ['reason'] },
+        forwarded: { parties: [PARTIES.RECEIVING, PARTIES.SUPER_ADMIN], requires: ['reason'] }
+    },
+    in_progress: {
+        completed: { parties: [PARTIES.RECEIVING, PARTIES.SUPER_ADMIN], requires: [] }
+    },
+    rejected: {},
+    completed: {},
+    cancelled: {},
+    forwarded: {},
+    // Set only by the expiry job (see services/jobs/referralSla.js), never by a user
+    expired: {}
+};
+
+// Work out which parties the user represents on this referral
+const getActorParties = (referral, user) => {
+    const parties = [];
+    if (!referral || !user) return parties;
+
+    const userId = idOf(user._id);
+    const userHospitalId = idOf(user.hospitalId);
+    const userClinicId = idOf(user.clinicId);
+
+    if (user.role === 'super_admin') {
+        parties.push(PARTIES.SUPER_ADMIN);
+    }
+
+    if (user.role === 'patient' && idOf(referral.patient) === userId) {
+        parties.push(PARTIES.PATIENT);
+    }
+
+    if (user.role === 'doctor') {
+        if (idOf(referral.referringDoctor) === userId ||
+            (userClinicId && idOf(referral.referringClinic) === userClinicId)) {
+            parties.push(PARTIES.REFERRING);
+        }
+
+        // Any doctor of the receiving hospital may act until a specific doctor is assigned
+        const receivingDoctorId = idOf(referral.receivingDoctor);
+        if (receivingDoctorId === userId ||
+            (!receivingDoctorId && userHospitalId && idOf(referral.receivingHospital) === userHospitalId)) {
+            parties.push(PARTIES.RECEIVING);
+        }
+    }
+
+    if (user.role === 'hospital' && userHospitalId) {
+        if (idOf(referral.referringHospital) === userHospitalId) {
+            parties.push(PARTIES.REFERRING);
+        }
+        if (idOf(referral.receivingHospital) === userHospitalId) {
+            parties.push(PARTIES.RECEIVING);
+        }
+    }
+
+    return parties;
+};
+
+// Who may view a referral: everyone in the user's referral scope (the same rules
+// as the GET /api/referrals list, including the queues of the departments in
+// `departmentIds`), plus the doctors of the receiving hospital while it is
+// unassigned, who find it in their intake queue and may claim it
+const canViewReferral = (referral, user, { departmentIds = [] } = {}) =>
+    isReferralInScope(referral, user, { departmentIds }) || getActorParties(referral, user).length > 0;
+
+// Only the clinical parties, the patient and the staff of the receiving
+// department (one of `departmentIds`) take part in the message thread
+const canMessageOnReferral = (referral, user, { departmentIds = [] } = {}) =>
+    getActorParties(referral, user)
+        .some(party => [PARTIES.REFERRING, PARTIES.RECEIVING, PARTIES.PATIENT].includes(party)) ||
+    departmentIds.some(departmentId => sameId(referral.receivingDepartment, departmentId));
+
+// Statuses the user may move the referral to from its current status
+const getAllowedTransitions = (referral, user) => {
+    const parties = getActorParties(referral, user);
+    const options = TRANSITIONS[referral.status] || {};
+
+    return Object.keys(options).filter(status =>
+        options[status].parties.some(party => parties.includes(party))
+    );
+};
+
+/**
+ * Check whether `user` may move `referral` to `toStatus` with the given body.
+ * Returns `{ ok: true, rule }` or `{ ok: false, statusCode, message, allowedTransitions }`.
+ */
+const validateTransition = (referral, user, toStatus, payload = {}) => {
+    const allowedTransitions = getAllowedTransitions(referral, user);
+
+    if (!REFERRAL_STATUSES.includes(toStatus)) {
+        return {
+            ok: false,
+            statusCode: 400,
+            message: `Invalid status. Must be one of: ${REFERRAL_STATUSES.join(', ')}`,
+            allowedTransitions
+        };
+    }
+
+    const rule = (TRANSITIONS[referral.status] || {})[toStatus];
+    if (!rule) {
+        return {
+            ok: false,
+            statusCode: 409,
+            message: `Cannot change referral status from ${referral.status} to ${toStatus}`,
+            allowedTransitions
+        };
+    }
+
+    const parties = getActorParties(referral, user);
+    if (!rule.parties.some(party => parties.includes(party))) {
+        return {
+            ok: false,
+            statusCode: 403,
+            message: `You are not allowed to change this referral to ${toStatus}`,
+            allowedTransitions
+        };
+    }
+
+    const missing = rule.requires.filter(field => !payload[field] || !String(payload[field]).trim());
+    if (missing.length > 0) {
+        return {
+            ok: false,
+            statusCode: 400,
+            message: `${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} required to change status to ${toStatus}`,
+            allowedTransitions
+        };
+    }
+
+    return { ok: true, rule, allowedTransitions };
+};
+
+module.exports = {
+    REFERRAL_STATUSES,
+    PARTIES,
+    TRANSITIONS,
+    getActorParties,
+    canViewReferral,
+    canMessageOnReferral,
+    getAllowedTransitions,
+    validateTransition
+};
@@ -0,0 +1,78 @@
+// In-process scheduler for periodic background jobs
+//
+// Jobs are registered with a name, an interval and an async function. A job
+// never overlaps itself: if a run is still going when the next tick fires,
+// that tick is skipped. Errors are logged and the job keeps its schedule.
+
+const jobs = new Map();
+
+const registerJob = (name, intervalMs, run) => {
+    if (jobs.has(name)) {
+        throw new Error(`Job already registered: ${name}`);
+    }
+    jobs.set(name, { name, intervalMs, run, timer: null, running: false, lastRunAt: null, lastError: null });
+};
+
+// Run a job once now; resolves with the job's result (or null when skipped)
+const runJob = async (name) => {
+    const job = jobs.get(name);
+    if (!job) {
+        throw new Error(`Unknown job: ${name}`);
+    }
+    if (job.running) {
+        return null;
+    }
+
+    job.running = true;
+    try {
+        const result = await job.run(new Date());
+        job.lastError = null;
+        return result;
+    } catch (error) {
+        job.lastError = error.message;
+        console.error(`Scheduled job ${name} failed:`, error);
+        return null;
+    } finally {
+        job.running = false;
+        job.lastRunAt = new Date();
+    }
+};
+
+// Start a registered job right away (without waiting for its next tick); no-op when not registered
+const triggerJob = (name) => {
+    if (!jobs.has(name)) return;
+    runJob(name);
+};
+
+const startScheduler = () => {
+    jobs.forEach(job => {
+        if (job.timer) return;
+        job.timer = setInterval(() => runJob(job.name), job.intervalMs);
+        // Background jobs must not keep the process alive on shutdown
+        job.timer.unref();
+    });
+};
+
+const stopScheduler = () => {
+    jobs.forEach(job => {
+        clearInterval(job.timer);
+        job.timer = null;
+    });
+};
+
+const getJobStatus = () => Array.from(jobs.values()).map(({ name, intervalMs, running, lastRunAt, lastError }) => ({
+    name,
+    intervalMs,
+    running,
+    lastRunAt,
+    lastError
+}));
+
+module.exports = {
+    registerJob,
+    runJob,
+    triggerJob,
+    startScheduler,
+    stopScheduler,
+    getJobStatus
+};
@@ -0,0 +1,177 @@
+// Sign-in sessions
+//
+// Signing in creates a Session and returns two tokens:
+//   access token   short-lived JWT ({ userId, sid }), sent as `Authorization: Bearer` or the `token` cookie
+//   refresh token  `<sessionId>.<secret>`; only a SHA-256 hash of the secret is stored
+// POST /api/auth/refresh trades a refresh token for a new pair and remembers the
+// hash of the one it replaced. If a replaced refresh token is ever presented
+// again, two parties hold the session (one of them with a stolen copy), so the
+// session is revoked. `protect` rejects access tokens of revoked sessions, so
+// logging out or revoking a device takes effect immediately; open event
+// streams end at their next heartbeat.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { sameId } = require('../utils/ids');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Replaced refresh tokens remembered per session for reuse detection
+const MAX_PREVIOUS_HASHES = 20;
+
+const accessTokenTtl = () => process.env.JWT_EXPIRE || '15m';
+const refreshTokenDays = () => parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const newSecret = () => crypto.randomBytes(32).toString('base64url');
+
+// Split a refresh token into its session id and secret, or null if malformed
+const parseRefreshToken = (token) => {
+    const parts = String(token || '').split('.');
+    if (parts.length !== 2 || !parts[1] || !mongoose.isValidObjectId(parts[0])) return null;
+    return { sessionId: parts[0], secret: parts[1] };
+};
+
+const isSessionActive = (session, now = new Date()) =>
+    !!session && !session.revokedAt && new Date(session.expiresAt) > now;
+
+const signAccessToken = (user, session) => jwt.sign(
+    { userId: user._id, sid: session._id },
+    process.env.JWT_SECRET,
+    { expiresIn: accessTokenTtl() }
+);
+
+const deviceInfo = (req) => ({ userAgent: req.get('user-agent'), ip: req.ip });
+
+const refreshExpiry = (now) => new Date(now.getTime() + refreshTokenDays() * DAY_MS);
+
+/**
+ * Start a session for `user` on the device making `req`.
+ * Returns { session, accessToken, refreshToken }.
+ */
+const createSession = async (user, req, now = new Date()) => {
+    const secret = newSecret();
+    const session = await Session.create({
+        user: user._id,
+        tokenHash: hashToken(secret),
+        ...deviceInfo(req),
+        lastUsedAt: now,
+        expiresAt: refreshExpiry(now)
+    });
+
+    return {
+        session,
+        accessToken: signAccessToken(user, session),
+        refreshToken: `${session._id}.${secret}`
+    };
+};
+
+/**
+ * Trade a refresh token for a new access and refresh token.
+ * Returns { ok, user, session, accessToken, refreshToken } or { ok: false, statusCode, message }.
+ */
+const rotateRefreshToken = async (token, req, now = new Date()) => {
+    const parsed = parseRefreshToken(token);
+    if (!parsed) {
+        return { ok: false, statusCode: 401, message: 'Invalid or expired refresh token' };
+    }
+
+    const presentedHash = hashToken(parsed.secret);
+    const secret = newSecret();
+
+    // Only the current refresh token of a live session rotates; the swap is atomic
+    const session = await Session.findOneAndUpdate(
+        { _id: parsed.sessionId, tokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: { tokenHash: hashToken(secret), lastUsedAt: now, expiresAt: refreshExpiry(now), ...deviceInfo(req) },
+            $push: { previousTokenHashes: { $each: [presentedHash], $slice: -MAX_PREVIOUS_HASHES } }
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        const reused = await Session.findOneAndUpdate(
+            { _id: parsed.sessionId, previousTokenHashes: presentedHash, revokedAt: null },
+            { $set: { revokedAt: now, revokedReason: 'reuse_detected' } },
+            { new: true }
+        );
+        if (reused) {
+            console.warn(`Refresh token reuse detected for session ${reused._id} of user ${reused.user}; session revoked`);
+            return { ok: false, statusCode: 401, message: 'This refresh token was already used, so the session has been ended. Please log in again' };
+        }
+        return { ok: false, statusCode: 401, message: 'Invalid or expired refresh token' };
+    }
+
+    const user = await User.findById(session.user);
+    if (!user || !user.isActive) {
+        await revokeSession(session._id, session.user, 'deactivated', now);
+        return { ok: false, statusCode: 401, message: 'User account has been deactivated' };
+    }
+
+    return {
+        ok: true,
+        user,
+        session,
+        accessToken: signAccessToken(user, session),
+        refreshToken: `${session._id}.${secret}`
+    };
+};
+
+/**
+ * Load the session an access token belongs to and check it is still live.
+ */
+const isAccessTokenSessionActive = async (decoded, now = new Date()) => {
+    if (!decoded.sid || !mongoose.isValidObjectId(decoded.sid)) return false;
+    const session = await Session.findById(decoded.sid).select('user revokedAt expiresAt').lean();
+    return isSessionActive(session, now) && sameId(session.user, decoded.userId);
+};
+
+/**
+ * Revoke one of the user's sessions. Returns true if a live session was revoked.
+ */
+const revokeSession = async (sessionId, userId, reason, now = new Date()) => {
+    if (!mongoose.isValidObjectId(sessionId)) return false;
+    const { modifiedCount } = await Session.updateOne(
+        { _id: sessionId, user: userId, revokedAt: null },
+        { $set: { revokedAt: now, revokedReason: reason } }
+    );
+    return modifiedCount > 0;
+};
+
+/**
+ * Revoke all of a user's live sessions, optionally keeping one. Returns the number revoked.
+ */
+const revokeUserSessions = async (userId, reason, { exceptSessionId = null } = {}, now = new Date()) => {
+    const filter = { user: userId, revokedAt: null, expiresAt: { $gt: now } };
+    if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+    const { modifiedCount } = await Session.updateMany(filter, { $set: { revokedAt: now, revokedReason: reason } });
+    return modifiedCount;
+};
+
+/**
+ * The user's live sessions, most recently used first, flagging the one making the request.
+ */
+const listActiveSessions = async (userId, currentSessionId, now = new Date()) => {
+    const sessions = await Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: now } })
+        .select('userAgent ip lastUsedAt expiresAt createdAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+
+    return sessions.map(session => ({ ...session, current: sameId(session._id, currentSessionId) }));
+};
+
+module.exports = {
+    hashToken,
+    parseRefreshToken,
+    isSessionActive,
+    createSession,
+    rotateRefreshToken,
+    isAccessTokenSessionActive,
+    revokeSession,
+    revokeUserSessions,
+    listActiveSessions
+};
@@ -0,0 +1,71 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const { cloudinary, uploadOriginalToCloudinary, deleteFromCloudinary } = require('../../config/cloudinary');
+
+// Stores files on Cloudinary via the helpers in config/cloudinary, untransformed.
+// Files are 'authenticated' assets: the API fetches them itself through signed
+// download URLs that expire after DOWNLOAD_URL_TTL_SECONDS and never hands out
+// a provider URL.
+
+const DOWNLOAD_URL_TTL_SECONDS = 60;
+
+const save = async ({ buffer, filePath, ext, folder }) => {
+    // Cloudinary uploads from a path, so a buffer is staged in a temp file first
+    const tempPath = filePath ? null : path.join(os.tmpdir(), `upload-${crypto.randomBytes(8).toString('hex')}.${ext}`);
+    if (tempPath) {
+        await fs.promises.writeFile(tempPath, buffer);
+    }
+
+    try {
+        const result = await uploadOriginalToCloudinary(filePath || tempPath, `patient-referral-system/${folder}`);
+        return {
+            provider: 'cloudinary',
+            key: result.public_id,
+            resourceType: result.resource_type,
+            format: result.format,
+            deliveryType: result.type,
+            url: result.secure_url,
+            size: buffer ? buffer.length : (await fs.promises.stat(filePath)).size
+        };
+    } finally {
+        if (tempPath) {
+            await fs.promises.unlink(tempPath).catch(() => { });
+        }
+    }
+};
+
+// Files stored before `format` was recorded carry it in their URL
+const signedDownloadUrl = ({ key, resourceType, format, deliveryType, url }) =>
+    cloudinary.utils.private_download_url(key, format || (/\.(\w+)$/.exec(url || '') || [])[1] || '', {
+        resource_type: resourceType || 'image',
+        type: deliveryType || 'upload',
+        expires_at: Math.floor(Date.now() / 1000) + DOWNLOAD_URL_TTL_SECONDS
+    });
+
+const download = async (storage) => {
+    const response = await fetch(signedDownloadUrl(storage));
+    if (!response.ok) {
+        throw new Error(`Could not download stored file (HTTP ${response.status})`);
+    }
+    return response;
+};
+
+const openReadStream = async (storage) => Readable.fromWeb((await download(storage)).body);
+
+const read = async (storage) => Buffer.from(await (await download(storage)).arrayBuffer());
+
+const remove = async ({ key, resourceType, deliveryType }) => {
+    await deleteFromCloudinary(key, { resource_type: resourceType || 'image', type: deliveryType || 'upload' });
+};
+
+module.exports = {
+    name: 'cloudinary',
+    DOWNLOAD_URL_TTL_SECONDS,
+    save,
+    openReadStream,
+    read,
+    remove
+};
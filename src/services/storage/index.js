@@ -0,0 +1,99 @@
+// Pluggable file storage
+//
+// Every backend exposes:
+//   save({ buffer | filePath, ext, mimeType, folder })
+//     -> { provider, key, url, size, resourceType?, format?, deliveryType? }
+//     (uploads arrive as temp files and are passed by path, never loaded into memory)
+//     (url is the provider's own URL, null when files are only reachable via /api/files;
+//     it is never handed to clients)
+//   openReadStream(storage) -> Promise<Readable>
+//   read(storage) -> Buffer
+//   remove(storage)
+// where `storage` is the metadata kept with the file (see storageMetadata).
+// The backend used for new uploads is chosen with FILE_STORAGE_DRIVER
+// (local | cloudinary); files are always removed through the backend that
+// stored them.
+
+const drivers = {
+    local: () => require('./localStorage'),
+    cloudinary: () => require('./cloudinaryStorage')
+};
+
+const getStorage = (name = process.env.FILE_STORAGE_DRIVER || 'local') => {
+    const driver = drivers[name];
+    if (!driver) {
+        throw new Error(`Unknown file storage driver: ${name}`);
+    }
+    return driver();
+};
+
+// The metadata to keep alongside a file, from a backend's save() result
+const storageMetadata = (result) => ({
+    provider: result.provider,
+    key: result.key,
+    resourceType: result.resourceType,
+    format: result.format,
+    deliveryType: result.deliveryType,
+    url: result.url
+});
+
+// Remove a stored file using the metadata saved alongside it
+const removeStoredFile = async (storage) => {
+    if (!storage || !storage.key) return;
+    await getStorage(storage.provider).remove(storage);
+};
+
+/**
+ * Store an independent copy of a stored file (attachment metadata with `storage`)
+ * under `folder` with the current backend, so either copy can be removed without
+ * affecting the other. Returns the new storage metadata.
+ */
+const copyStoredFile = async (file, folder) => {
+    const buffer = await getStorage(file.storage.provider).read(file.storage);
+    // Cloudinary keys carry no extension; fall back to the original file name
+    const ext = [file.storage.key, file.name]
+        .map(name => (/\.(\w+)$/.exec(name || '') || [])[1])
+        .find(Boolean) || 'bin';
+    const result = await getStorage().save({ buffer, ext, mimeType: file.mimeType, folder });
+    return storageMetadata(result);
+};
+
+/**
+ * Store files accepted by the clinicalFiles upload middleware.
+ * Returns attachment metadata in input order (the caller sets the download url); if one file fails, the files
+ * already stored are removed again before the error is rethrown.
+ */
+const storeUploadedFiles = async (files, folder) => {
+    const storage = getStorage();
+    const stored = [];
+
+    try {
+        for (const file of files) {
+            const result = await storage.save({
+                filePath: file.path,
+                ext: file.detectedType.ext,
+                mimeType: file.detectedType.mimeType,
+                folder
+            });
+            stored.push({
+                name: file.originalname,
+                mimeType: file.detectedType.mimeType,
+                size: result.size,
+                storage: storageMetadata(result)
+            });
+        }
+    } catch (error) {
+        await Promise.all(stored.map(entry => removeStoredFile(entry.storage).catch(() => { })));
+        throw error;
+    }
+
+    return stored;
+};
+
+module.exports = {
+    getStorage,
+    storageMetadata,
+    removeStoredFile,
+    copyStoredFile,
+    storeUploadedFiles
+};
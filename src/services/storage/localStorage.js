@@ -0,0 +1,59 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Stores files on the local disk under /uploads (not publicly served)
+
+const uploadsRoot = path.resolve(__dirname, '../../../uploads');
+
+// Resolve a storage key to an absolute path, refusing anything outside uploadsRoot
+const resolveKey = (key) => {
+    const filePath = path.resolve(uploadsRoot, key);
+    if (!filePath.startsWith(uploadsRoot + path.sep)) {
+        throw new Error('Invalid storage key');
+    }
+    return filePath;
+};
+
+const save = async ({ buffer, filePath, ext, folder }) => {
+    const fileName = `${Date.now()}-${crypto.randomBytes(8).toString('hex')}.${ext}`;
+    const key = path.posix.join(folder, fileName);
+    const target = resolveKey(key);
+
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    if (filePath) {
+        await fs.promises.copyFile(filePath, target);
+    } else {
+        await fs.promises.writeFile(target, buffer);
+    }
+
+    // Local files have no public URL; they are served through /api/files
+    return {
+        provider: 'local',
+        key,
+        url: null,
+        size: buffer ? buffer.length : (await fs.promises.stat(target)).size
+    };
+};
+
+const openReadStream = async ({ key }) => fs.createReadStream(resolveKey(key));
+
+const read = async ({ key }) => fs.promises.readFile(resolveKey(key));
+
+const remove = async ({ key }) => {
+    try {
+        await fs.promises.unlink(resolveKey(key));
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+};
+
+module.exports = {
+    name: 'local',
+    uploadsRoot,
+    resolveKey,
+    save,
+    openReadStream,
+    read,
+    remove
+};
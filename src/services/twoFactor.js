@@ -0,0 +1,253 @@
+// Two-factor authentication (TOTP)
+//
+// Setup stores an encrypted pending secret and returns it with an otpauth:// URI
+// for the authenticator app; the first valid code enables 2FA and yields one-time
+// recovery codes, of which only hashes are kept. Once 2FA is on, the password step
+// of login returns a short-lived challenge token instead of a session; the token
+// and a code (or a recovery code) are exchanged for the session at
+// POST /api/auth/login/2fa. Super admins can require 2FA per role; `protect` then
+// keeps users of those roles out of everything but the setup until they enrol.
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const SecurityPolicy = require('../models/SecurityPolicy');
+const { base32Encode, generateSecret, verifyTotp, provisioningUri } = require('../utils/totp');
+
+// Roles that handle PHI or administer the platform; the only ones 2FA can be required for
+const TWO_FACTOR_ROLES = ['super_admin', 'hospital', 'doctor'];
+
+// The secret fields, which are never loaded by default
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.lastUsedStep +twoFactor.recoveryCodes';
+
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const POLICY_CACHE_MS = 60 * 1000;
+
+const issuer = () => process.env.TWO_FACTOR_ISSUER || 'Patient Referral System';
+
+// Secrets are encrypted with AES-256-GCM; the key defaults to one derived from JWT_SECRET
+const encryptionKey = () => crypto.createHash('sha256')
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET)
+    .digest();
+
+const encryptSecret = (secret) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+    const data = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+    return [iv, cipher.getAuthTag(), data].map(part => part.toString('base64url')).join('.');
+};
+
+const decryptSecret = (payload) => {
+    const [iv, tag, data] = payload.split('.').map(part => Buffer.from(part, 'base64url'));
+    const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+    decipher.setAuthTag(tag);
+    return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8');
+};
+
+// Recovery codes look like `k3j9d-q2m7x`; dashes, spaces and case are ignored when checking
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[\s-]/g, '');
+
+const hashRecoveryCode = (code) => crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+
+const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) => Array.from({ length: count }, () => {
+    const raw = base32Encode(crypto.randomBytes(7)).slice(0, 10).toLowerCase();
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+});
+
+const createChallengeToken = (user) => jwt.sign(
+    { userId: user._id, purpose: '2fa' },
+    process.env.JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+);
+
+// The user id of a valid challenge token, else null
+const verifyChallengeToken = (token) => {
+    try {
+        const decoded = jwt.verify(token, process.env.JWT_SECRET);
+        return decoded.purpose === '2fa' ? decoded.userId : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+// Required roles are read on every authenticated request, so they are cached briefly
+let policyCache = null;
+
+const getRequiredRoles = async (now = Date.now()) => {
+    if (policyCache && now - policyCache.loadedAt < POLICY_CACHE_MS) {
+        return policyCache.roles;
+    }
+    const policy = await SecurityPolicy.findOne({ key: 'global' }).lean();
+    policyCache = { roles: policy?.twoFactorRequiredRoles || [], loadedAt: now };
+    return policyCache.roles;
+};
+
+const setRequiredRoles = async (roles, actor) => {
+    const policy = await SecurityPolicy.findOneAndUpdate(
+        { key: 'global' },
+        { $set: { twoFactorRequiredRoles: roles, updatedBy: actor._id } },
+        { new: true, upsert: true, runValidators: true }
+    ).lean();
+    policyCache = { roles: policy.twoFactorRequiredRoles, loadedAt: Date.now() };
+    return policy;
+};
+
+const isTwoFactorRequired = async (user) =>
+    TWO_FACTOR_ROLES.includes(user.role) && (await getRequiredRoles()).includes(user.role);
+
+const mustEnrollTwoFactor = async (user) => !user.twoFactor?.enabled && isTwoFactorRequired(user);
+
+/**
+ * Begin setup: store a new pending secret (replacing any earlier unfinished setup).
+ * `user` must be loaded with TWO_FACTOR_FIELDS.
+ * Returns { ok, secret, otpauthUrl } or { ok: false, statusCode, message }.
+ */
+const startSetup = async (user) => {
+    if (user.twoFactor?.enabled) {
+        return { ok: false, statusCode: 409, message: 'Two-factor authentication is already enabled' };
+    }
+
+    const secret = generateSecret();
+    user.set('twoFactor.pendingSecret', encryptSecret(secret));
+    await user.save();
+
+    return {
+        ok: true,
+        secret,
+        otpauthUrl: provisioningUri({ secret, accountName: user.email, issuer: issuer() })
+    };
+};
+
+/**
+ * Finish setup with the first code from the app.
+ * Returns { ok, recoveryCodes } (shown once) or { ok: false, statusCode, message }.
+ */
+const enable = async (user, code, now = new Date()) => {
+    if (user.twoFactor?.enabled) {
+        return { ok: false, statusCode: 409, message: 'Two-factor authentication is already enabled' };
+    }
+    if (!user.twoFactor?.pendingSecret) {
+        return { ok: false, statusCode: 400, message: 'Start the setup with POST /api/auth/2fa/setup first' };
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), code, { time: now.getTime() });
+    if (step === null) {
+        return { ok: false, statusCode: 400, message: 'Invalid authentication code' };
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    user.set('twoFactor', {
+        enabled: true,
+        enabledAt: now,
+        secret: user.twoFactor.pendingSecret,
+        pendingSecret: undefined,
+        lastUsedStep: step,
+        recoveryCodes: recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) }))
+    });
+    await user.save();
+
+    return { ok: true, recoveryCodes };
+};
+
+/**
+ * Check a second factor: an authenticator code, or else an unused recovery code.
+ * Both are consumed atomically, so neither works twice.
+ * Returns { ok, method } or { ok: false, statusCode, message }.
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}, now = new Date()) => {
+    if (!user.twoFactor?.enabled || !user.twoFactor.secret) {
+        return { ok: false, statusCode: 400, message: 'Two-factor authentication is not enabled' };
+    }
+
+    if (code) {
+        const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, { time: now.getTime() });
+        if (step !== null) {
+            const { modifiedCount } = await User.updateOne(
+                { _id: user._id, $or: [{ 'twoFactor.lastUsedStep': { $lt: step } }, { 'twoFactor.lastUsedStep': null }] },
+                { $set: { 'twoFactor.lastUsedStep': step } }
+            );
+            if (modifiedCount > 0) return { ok: true, method: 'totp' };
+        }
+    } else if (recoveryCode) {
+        const { modifiedCount } = await User.updateOne(
+            { _id: user._id, 'twoFactor.recoveryCodes': { $elemMatch: { hash: hashRecoveryCode(recoveryCode), usedAt: null } } },
+            { $set: { 'twoFactor.recoveryCodes.$.usedAt': now } }
+        );
+        if (modifiedCount > 0) return { ok: true, method: 'recovery_code' };
+    } else {
+        return { ok: false, statusCode: 400, message: 'An authentication code or recovery code is required' };
+    }
+
+    return { ok: false, statusCode: 401, message: 'Invalid authentication code' };
+};
+
+// Re-authentication for disabling 2FA or replacing recovery codes: password and a second factor
+const reauthenticate = async (user, { password, code, recoveryCode }) => {
+    if (!password || !(await user.comparePassword(password))) {
+        return { ok: false, statusCode: 401, message: 'Password is incorrect' };
+    }
+    return verifySecondFactor(user, { code, recoveryCode });
+};
+
+/**
+ * Turn 2FA off. Not allowed while the user's role requires it.
+ * `user` must be loaded with +password and TWO_FACTOR_FIELDS.
+ */
+const disable = async (user, credentials) => {
+    if (await isTwoFactorRequired(user)) {
+        return { ok: false, statusCode: 403, message: 'Two-factor authentication is required for your role and cannot be disabled' };
+    }
+
+    const check = await reauthenticate(user, credentials);
+    if (!check.ok) return check;
+
+    user.set('twoFactor', { enabled: false });
+    await user.save();
+    return { ok: true };
+};
+
+/**
+ * Replace all recovery codes. `user` must be loaded with +password and TWO_FACTOR_FIELDS.
+ * Returns { ok, recoveryCodes } (shown once) or { ok: false, statusCode, message }.
+ */
+const regenerateRecoveryCodes = async (user, credentials) => {
+    const check = await reauthenticate(user, credentials);
+    if (!check.ok) return check;
+
+    const recoveryCodes = generateRecoveryCodes();
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { 'twoFactor.recoveryCodes': recoveryCodes.map(recoveryCode => ({ hash: hashRecoveryCode(recoveryCode) })) } }
+    );
+    return { ok: true, recoveryCodes };
+};
+
+// Status shown to the user; recovery codes only as a count of unused ones
+const describeTwoFactor = async (user) => ({
+    enabled: !!user.twoFactor?.enabled,
+    enabledAt: user.twoFactor?.enabledAt || null,
+    recoveryCodesRemaining: (user.twoFactor?.recoveryCodes || []).filter(entry => !entry.usedAt).length,
+    required: await isTwoFactorRequired(user)
+});
+
+module.exports = {
+    TWO_FACTOR_ROLES,
+    TWO_FACTOR_FIELDS,
+    encryptSecret,
+    decryptSecret,
+    hashRecoveryCode,
+    generateRecoveryCodes,
+    createChallengeToken,
+    verifyChallengeToken,
+    getRequiredRoles,
+    setRequiredRoles,
+    isTwoFactorRequired,
+    mustEnrollTwoFactor,
+    startSetup,
+    enable,
+    verifySecondFactor,
+    disable,
+    regenerateRecoveryCodes,
+    describeTwoFactor
+};
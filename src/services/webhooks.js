@@ -0,0 +1,359 @@
+// Outbound webhooks for hospital systems
+//
+// Hospitals subscribe a URL to some of WEBHOOK_EVENTS. When an event fires, a
+// delivery is stored for every active subscription whose hospital can see the
+// entity, using the same scope rules as GET /api/referrals and the record
+// endpoints. The delivery worker (a scheduled job) POSTs the JSON payload with
+//   X-Webhook-Signature: sha256=HMAC_SHA256(secret, `${X-Webhook-Timestamp}.${body}`)
+// and retries non-2xx responses with exponential backoff. Every attempt is kept
+// in the delivery's attemptLog. Receiver hosts must resolve to public addresses,
+// checked when the URL is saved and again on every delivery, against the very
+// addresses the delivery connects to.
+
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { onEvent } = require('./eventBus');
+const { isReferralInScope, isRecordInScope } = require('./referralScope');
+const { triggerJob } = require('./scheduler');
+const { idOf } = require('../utils/ids');
+
+const WEBHOOK_EVENTS = ['referral.created', 'referral.status_changed', 'referral.escalated', 'record.created'];
+const TEST_EVENT = 'webhook.test';
+const WEBHOOK_JOB = 'webhook-deliveries';
+
+const BATCH_SIZE = 25;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_BODY_LIMIT = 500;
+const NON_PUBLIC_HOST_ERROR = 'Webhook URL does not resolve to a public address';
+const BASE_RETRY_DELAY_MS = 60 * 1000;
+const MAX_RETRY_DELAY_MS = 12 * 60 * 60 * 1000;
+// A delivery left in 'sending' this long belongs to a worker that died mid-request
+const STALE_LOCK_MS = 10 * 60 * 1000;
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const signPayload = (secret, timestamp, body) => crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}.${body}`)
+    .digest('hex');
+
+// Delay before attempt n + 1, after n failed attempts: 1m, 2m, 4m, ... capped at 12h
+const retryDelayMs = (attempts) => Math.min(BASE_RETRY_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_RETRY_DELAY_MS);
+
+// Receivers must use https; plain http is accepted outside production for local testing
+const isValidWebhookUrl = (value) => {
+    try {
+        const url = new URL(value);
+        return url.protocol === 'https:' || (url.protocol === 'http:' && process.env.NODE_ENV !== 'production');
+    } catch (error) {
+        return false;
+    }
+};
+
+// Loopback, private, link-local, unique-local and other non-public ranges. BlockList
+// also matches IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) against the IPv4 ranges.
+const NON_PUBLIC_NETWORKS = new net.BlockList();
+[
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+].forEach(([network, prefix]) => NON_PUBLIC_NETWORKS.addSubnet(network, prefix, 'ipv4'));
+[
+    ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => NON_PUBLIC_NETWORKS.addSubnet(network, prefix, 'ipv6'));
+
+const isPublicAddress = (address) =>
+    !NON_PUBLIC_NETWORKS.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+
+// WEBHOOK_ALLOW_PRIVATE_HOSTS=true lifts the public address rule for local development
+// against receivers on the same machine or network
+const allowsPrivateHosts = () => process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS === 'true';
+
+const hostOf = (value) => new URL(value).hostname.replace(/^\[|\]$/g, '');
+
+// Resolve the URL's host and require every address to be public, so a receiver cannot
+// point the worker at internal services
+const isPublicWebhookHost = async (value) => {
+    if (allowsPrivateHosts()) return true;
+    try {
+        const host = hostOf(value);
+        const addresses = net.isIP(host)
+            ? [host]
+            : (await dns.promises.lookup(host, { all: true })).map(({ address }) => address);
+        return addresses.length > 0 && addresses.every(isPublicAddress);
+    } catch (error) {
+        return false;
+    }
+};
+
+// A hospital as a user-like principal, so scope checks match what its admins can see
+const hospitalPrincipal = (hospitalId) => ({ role: 'hospital', hospitalId });
+
+const serializeReferral = (referral) => ({
+    id: idOf(referral._id),
+    referralId: referral.referralId,
+    status: referral.status,
+    priority: referral.priority,
+    specialty: referral.specialty,
+    patient: idOf(referral.patient),
+    referringDoctor: idOf(referral.referringDoctor),
+    referringHospital: idOf(referral.referringHospital),
+    referringClinic: idOf(referral.referringClinic),
+    receivingDoctor: idOf(referral.receivingDoctor),
+    receivingHospital: idOf(referral.receivingHospital),
+    receivingDepartment: idOf(referral.receivingDepartment),
+    parentReferral: idOf(referral.parentReferral),
+    forwardedTo: idOf(referral.forwarding?.forwardedTo),
+    createdAt: referral.createdAt,
+    updatedAt: referral.updatedAt
+});
+
+const serializeRecord = (record) => ({
+    id: idOf(record._id),
+    recordId: record.recordId,
+    patient: idOf(record.patient),
+    doctor: idOf(record.doctor),
+    hospital: idOf(record.hospital),
+    referral: idOf(record.referral),
+    visitDate: record.visitDate,
+    visitType: record.visitType,
+    createdAt: record.createdAt
+});
+
+const buildPayload = (type, occurredAt, data) => ({
+    id: crypto.randomUUID(),
+    type,
+    occurredAt,
+    data
+});
+
+// Store a delivery for every subscription to `type` whose hospital passes `inScope`
+const enqueueEvent = async (type, occurredAt, data, inScope) => {
+    const subscriptions = await WebhookSubscription.find({ isActive: true, events: type })
+        .select('hospital')
+        .lean();
+    const targets = subscriptions.filter(subscription => inScope(hospitalPrincipal(subscription.hospital)));
+    if (targets.length === 0) return [];
+
+    const payload = buildPayload(type, occurredAt, data);
+    const deliveries = await WebhookDelivery.insertMany(targets.map(subscription => ({
+        subscription: subscription._id,
+        hospital: subscription.hospital,
+        event: type,
+        payload
+    })));
+
+    triggerJob(WEBHOOK_JOB);
+    return deliveries;
+};
+
+onEvent('referral.created', ({ type, occurredAt, referral }) =>
+    enqueueEvent(type, occurredAt, { referral: serializeReferral(referral) },
+        principal => isReferralInScope(referral, principal)));
+
+onEvent('referral.status_changed', ({ type, occurredAt, referral, previousStatus }) =>
+    enqueueEvent(type, occurredAt, { referral: serializeReferral(referral), previousStatus },
+        principal => isReferralInScope(referral, principal)));
+
+onEvent('referral.escalated', ({ type, occurredAt, referral, slaHours }) =>
+    enqueueEvent(type, occurredAt, { referral: serializeReferral(referral), slaHours },
+        principal => isReferralInScope(referral, principal)));
+
+onEvent('record.created', ({ type, occurredAt, record }) =>
+    enqueueEvent(type, occurredAt, { record: serializeRecord(record) },
+        principal => isRecordInScope(record, principal)));
+
+// dns.lookup for delivery sockets. The addresses are checked as they are handed to the
+// socket, so a host cannot pass a check with a public address and then resolve to a
+// private one for the connection (DNS rebinding).
+const lookupPublicAddress = (hostname, options, callback) => {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!allowsPrivateHosts() && (addresses.length === 0 || !addresses.every(({ address }) => isPublicAddress(address)))) {
+            return callback(new Error(NON_PUBLIC_HOST_ERROR));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+// POST without following redirects; resolves to the status code and at most `limit`
+// bytes of the response, dropping the rest of the stream
+const postToReceiver = (url, headers, body, limit) => new Promise((resolve, reject) => {
+    const client = new URL(url).protocol === 'https:' ? https : http;
+    const request = client.request(url, {
+        method: 'POST',
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+        lookup: lookupPublicAddress,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    }, (response) => {
+        const chunks = [];
+        let size = 0;
+        const finish = () => resolve({
+            statusCode: response.statusCode,
+            body: Buffer.concat(chunks).subarray(0, limit).toString('utf8')
+        });
+
+        response.on('data', chunk => {
+            chunks.push(chunk);
+            size += chunk.length;
+            if (size >= limit) {
+                finish();
+                response.destroy();
+            }
+        });
+        response.on('end', finish);
+        response.on('error', reject);
+    });
+
+    request.on('error', reject);
+    request.end(body);
+});
+
+// POST the payload once; never throws
+const postDelivery = async (subscription, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+
+    try {
+        // IP literals never go through the lookup, so they are checked here
+        const host = hostOf(subscription.url);
+        if (net.isIP(host) && !allowsPrivateHosts() && !isPublicAddress(host)) {
+            return { ok: false, durationMs: Date.now() - startedAt, error: NON_PUBLIC_HOST_ERROR };
+        }
+
+        const response = await postToReceiver(subscription.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'PatientReferralSystem-Webhooks/1.0',
+            'X-Webhook-Id': idOf(delivery._id),
+            'X-Webhook-Event': delivery.event,
+            'X-Webhook-Timestamp': timestamp,
+            'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, body)}`
+        }, body, RESPONSE_BODY_LIMIT);
+        const ok = response.statusCode >= 200 && response.statusCode < 300;
+
+        return {
+            ok,
+            statusCode: response.statusCode,
+            responseBody: response.body,
+            durationMs: Date.now() - startedAt,
+            error: ok ? undefined : `Receiver responded with HTTP ${response.statusCode}`
+        };
+    } catch (error) {
+        return { ok: false, durationMs: Date.now() - startedAt, error: error.message };
+    }
+};
+
+// Send one claimed delivery and record the attempt on the delivery and its subscription
+const attemptDelivery = async (delivery, now = new Date()) => {
+    const subscription = await WebhookSubscription.findById(delivery.subscription).select('+secret');
+
+    const result = subscription?.isActive
+        ? await postDelivery(subscription, delivery)
+        : { ok: false, error: 'Webhook subscription is disabled or was deleted' };
+    const outcome = result.ok
+        ? 'delivered'
+        : (!subscription?.isActive || delivery.attempts >= delivery.maxAttempts ? 'failed' : 'retry');
+
+    const update = {
+        $push: {
+            attemptLog: {
+                attemptedAt: now,
+                statusCode: result.statusCode,
+                durationMs: result.durationMs,
+                error: result.error,
+                responseBody: result.responseBody
+            }
+        },
+        $unset: { lockedAt: 1 }
+    };
+    if (outcome === 'delivered') {
+        update.$set = { status: 'delivered', deliveredAt: new Date(), lastError: null };
+    } else if (outcome === 'retry') {
+        update.$set = { status: 'pending', nextAttemptAt: new Date(now.getTime() + retryDelayMs(delivery.attempts)), lastError: result.error };
+    } else {
+        update.$set = { status: 'failed', lastError: result.error };
+    }
+    const updated = await WebhookDelivery.findByIdAndUpdate(delivery._id, update, { new: true });
+
+    if (subscription) {
+        await WebhookSubscription.updateOne({ _id: subscription._id }, result.ok
+            ? { $set: { lastDeliveryAt: now, lastSuccessAt: now, consecutiveFailures: 0 } }
+            : { $set: { lastDeliveryAt: now }, $inc: { consecutiveFailures: 1 } });
+    }
+
+    return { outcome, delivery: updated };
+};
+
+/**
+ * Worker run: release stale locks, then claim and send due deliveries one at a time.
+ */
+const processWebhookDeliveries = async (now = new Date()) => {
+    await WebhookDelivery.updateMany(
+        { status: 'sending', lockedAt: { $lte: new Date(now.getTime() - STALE_LOCK_MS) } },
+        { $set: { status: 'pending', nextAttemptAt: now }, $unset: { lockedAt: 1 } }
+    );
+
+    const results = { delivered: 0, retry: 0, failed: 0 };
+    for (let i = 0; i < BATCH_SIZE; i++) {
+        const delivery = await WebhookDelivery.findOneAndUpdate(
+            { status: 'pending', nextAttemptAt: { $lte: now } },
+            { $set: { status: 'sending', lockedAt: now }, $inc: { attempts: 1 } },
+            { sort: { nextAttemptAt: 1 }, new: true }
+        );
+        if (!delivery) break;
+
+        const { outcome } = await attemptDelivery(delivery, now);
+        results[outcome]++;
+    }
+    return results;
+};
+
+// Send a test event right away (single attempt, no retries) and return the logged delivery
+const sendTestEvent = async (subscription, actor) => {
+    const now = new Date();
+    const delivery = await WebhookDelivery.create({
+        subscription: subscription._id,
+        hospital: subscription.hospital,
+        event: TEST_EVENT,
+        payload: buildPayload(TEST_EVENT, now, {
+            message: 'This is a test event from the Patient Referral System.',
+            subscription: idOf(subscription._id),
+            requestedBy: idOf(actor)
+        }),
+        status: 'sending',
+        attempts: 1,
+        maxAttempts: 1,
+        lockedAt: now
+    });
+
+    return attemptDelivery(delivery, now);
+};
+
+// Queue a delivery again with a fresh set of attempts
+const redeliver = (delivery) => WebhookDelivery.findOneAndUpdate(
+    { _id: delivery._id, status: { $in: ['delivered', 'failed'] } },
+    { $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date() } },
+    { new: true }
+).then(updated => {
+    if (updated) triggerJob(WEBHOOK_JOB);
+    return updated;
+});
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    WEBHOOK_JOB,
+    generateSecret,
+    signPayload,
+    retryDelayMs,
+    isValidWebhookUrl,
+    isPublicWebhookHost,
+    processWebhookDeliveries,
+    sendTestEvent,
+    redeliver
+};
@@ -0,0 +1,47 @@
+// Detect a file's real type from its leading bytes instead of trusting the
+// extension or the Content-Type sent by the client.
+
+const fs = require('fs');
+
+// Enough leading bytes for every signature below (DICOM's is at offset 128)
+const HEADER_LENGTH = 132;
+
+const startsWith = (buffer, bytes, offset = 0) =>
+    buffer.length >= offset + bytes.length &&
+    bytes.every((byte, index) => buffer[offset + index] === byte);
+
+const SIGNATURES = [
+    { mimeType: 'application/pdf', ext: 'pdf', test: buf => startsWith(buf, [0x25, 0x50, 0x44, 0x46, 0x2d]) }, // %PDF-
+    { mimeType: 'image/png', ext: 'png', test: buf => startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]) },
+    { mimeType: 'image/jpeg', ext: 'jpg', test: buf => startsWith(buf, [0xff, 0xd8, 0xff]) },
+    // DICOM Part 10: 128 byte preamble followed by "DICM"
+    { mimeType: 'application/dicom', ext: 'dcm', test: buf => startsWith(buf, [0x44, 0x49, 0x43, 0x4d], 128) }
+];
+
+/**
+ * Returns `{ mimeType, ext }` for a recognised file, or null.
+ */
+const detectFileType = (buffer) => {
+    if (!buffer || buffer.length === 0) return null;
+    const match = SIGNATURES.find(signature => signature.test(buffer));
+    return match ? { mimeType: match.mimeType, ext: match.ext } : null;
+};
+
+/**
+ * As detectFileType, for a file on disk; only its first bytes are read.
+ */
+const detectFileTypeOfFile = async (filePath) => {
+    const handle = await fs.promises.open(filePath, 'r');
+    try {
+        const header = Buffer.alloc(HEADER_LENGTH);
+        const { bytesRead } = await handle.read(header, 0, HEADER_LENGTH, 0);
+        return detectFileType(header.subarray(0, bytesRead));
+    } finally {
+        await handle.close();
+    }
+};
+
+module.exports = {
+    detectFileType,
+    detectFileTypeOfFile
+};
@@ -0,0 +1,16 @@
+// Helpers for comparing ids that may be ObjectIds, strings or populated documents
+
+const idOf = (value) => {
+    if (!value) return null;
+    return (value._id || value).toString();
+};
+
+const sameId = (a, b) => {
+    const left = idOf(a);
+    return left !== null && left === idOf(b);
+};
+
+module.exports = {
+    idOf,
+    sameId
+};
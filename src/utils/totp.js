@@ -0,0 +1,92 @@
+const crypto = require('crypto');
+
+// Time-based one-time passwords (RFC 6238, HMAC-SHA1, 6 digits, 30-second steps),
+// the variant every authenticator app supports
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const DEFAULTS = { step: 30, digits: 6 };
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let output = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return output;
+};
+
+const base32Decode = (text) => {
+    const clean = String(text).toUpperCase().replace(/[\s=-]/g, '');
+    let bits = '';
+    for (const char of clean) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 character');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// New random secret (160 bits, as RFC 4226 recommends), base32 encoded
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+// HOTP value (RFC 4226) for a counter
+const hotp = (key, counter, digits = DEFAULTS.digits) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+    const hmac = crypto.createHmac('sha1', key).update(message).digest();
+
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** digits).padStart(digits, '0');
+};
+
+const timeStep = (time = Date.now(), step = DEFAULTS.step) => Math.floor(time / 1000 / step);
+
+// TOTP value of a base32 secret at `time` (ms)
+const generateTotp = (secret, time = Date.now(), { step = DEFAULTS.step, digits = DEFAULTS.digits } = {}) =>
+    hotp(base32Decode(secret), timeStep(time, step), digits);
+
+/**
+ * Check a code against the secret, allowing `window` steps of clock drift either way.
+ * Returns the matching time step (use it to refuse replays) or null.
+ */
+const verifyTotp = (secret, code, { time = Date.now(), window = 1, step = DEFAULTS.step, digits = DEFAULTS.digits } = {}) => {
+    const candidate = String(code || '').replace(/\s/g, '');
+    if (!new RegExp(`^\\d{${digits}}$`).test(candidate)) return null;
+
+    const key = base32Decode(secret);
+    const current = timeStep(time, step);
+    for (let offset = -window; offset <= window; offset++) {
+        const expected = hotp(key, current + offset, digits);
+        if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(candidate))) {
+            return current + offset;
+        }
+    }
+    return null;
+};
+
+// otpauth:// URI that authenticator apps import (usually shown as a QR code)
+const provisioningUri = ({ secret, accountName, issuer }) => {
+    const label = `${encodeURIComponent(issuer)}:${encodeURIComponent(accountName)}`;
+    // encodeURIComponent rather than URLSearchParams: some apps show a '+' in the issuer literally
+    const params = { secret, issuer, algorithm: 'SHA1', digits: DEFAULTS.digits, period: DEFAULTS.step };
+    const query = Object.entries(params).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+    return `otpauth://totp/${label}?${query}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    hotp,
+    generateTotp,
+    verifyTotp,
+    provisioningUri
+};
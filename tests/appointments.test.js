@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/Appointment');
+const AvailabilitySlot = require('../src/models/AvailabilitySlot');
+const Referral = require('../src/models/Referral');
+const { getSlots, bookAppointment, cancelAppointment } = require('../src/controllers/appointmentController');
+
+describe('Appointments', () => {
+    const id = () => new mongoose.Types.ObjectId();
+    const hospitalId = id();
+    const receivingDoctor = { _id: id(), role: 'doctor', hospitalId, approvalStatus: 'approved' };
+    const patient = { _id: id(), role: 'patient', hospitalId };
+
+    const call = async (handler, user, { params = {}, query = {}, body = {} } = {}) => {
+        const res = { statusCode: 200 };
+        res.status = jest.fn(code => { res.statusCode = code; return res; });
+        res.json = jest.fn(payload => { res.body = payload; return res; });
+        await handler({ user, params, query, body }, res);
+        return res;
+    };
+
+    // A query chain (populate/sort/limit/skip) ending in lean()
+    const query = (result) => {
+        const chain = { lean: () => Promise.resolve(result) };
+        ['populate', 'sort', 'limit', 'skip'].forEach(method => { chain[method] = () => chain; });
+        return chain;
+    };
+
+    const referralDoc = () => {
+        const referral = Referral.hydrate({
+            _id: id(),
+            referralId: 'REF0001',
+            status: 'accepted',
+            patient: patient._id,
+            referringDoctor: id(),
+            referringHospital: id(),
+            receivingHospital: hospitalId,
+            receivingDoctor: receivingDoctor._id,
+            timeline: []
+        });
+        jest.spyOn(referral, 'save').mockResolvedValue(referral);
+        return referral;
+    };
+
+    const startTime = new Date(Date.now() + 24 * 60 * 60 * 1000);
+    const slot = () => ({
+        _id: id(),
+        doctor: receivingDoctor._id,
+        hospital: hospitalId,
+        startTime,
+        endTime: new Date(startTime.getTime() + 30 * 60 * 1000),
+        appointment: null
+    });
+
+    describe('Slots', () => {
+        it('should limit patients to their hospital and hide which appointment took a slot', async () => {
+            const booked = { ...slot(), appointment: id() };
+            const find = jest.spyOn(AvailabilitySlot, 'find').mockReturnValue(query([booked]));
+            jest.spyOn(AvailabilitySlot, 'countDocuments').mockResolvedValue(1);
+
+            const res = await call(getSlots, patient);
+
+            expect(find.mock.calls[0][0]).toEqual({ hospital: hospitalId });
+            expect(res.body.data.slots[0].isBooked).toBe(true);
+            expect(res.body.data.slots[0]).not.toHaveProperty('appointment');
+
+            expect((await call(getSlots, patient, { query: { hospitalId: String(id()) } })).statusCode).toBe(403);
+        });
+
+        it('should refuse doctors awaiting approval and malformed ids', async () => {
+            expect((await call(getSlots, { ...receivingDoctor, approvalStatus: 'pending' })).statusCode).toBe(403);
+            expect((await call(getSlots, receivingDoctor, { query: { doctorId: 'nope' } })).statusCode).toBe(400);
+        });
+    });
+
+    describe('Booking', () => {
+        let referral;
+        let freeSlot;
+
+        beforeEach(() => {
+            referral = referralDoc();
+            freeSlot = slot();
+            jest.spyOn(Referral, 'findById').mockResolvedValue(referral);
+            jest.spyOn(AvailabilitySlot, 'findById').mockResolvedValue(freeSlot);
+            jest.spyOn(Appointment, 'findOne').mockReturnValue(query(null));
+        });
+
+        it('should claim the slot atomically and refuse a slot that was just taken', async () => {
+            const claim = jest.spyOn(AvailabilitySlot, 'findOneAndUpdate').mockResolvedValue(null);
+            const create = jest.spyOn(Appointment, 'create');
+
+            const res = await call(bookAppointment, receivingDoctor, { body: { referralId: String(referral._id), slotId: String(freeSlot._id) } });
+
+            expect(res.statusCode).toBe(409);
+            expect(res.body.message).toBe('Slot is no longer available');
+            const [filter, update] = claim.mock.calls[0];
+            expect(filter).toMatchObject({ _id: freeSlot._id, appointment: null, startTime: { $gt: expect.any(Date) } });
+            expect(update.$set.appointment).toBeInstanceOf(mongoose.Types.ObjectId);
+            expect(create).not.toHaveBeenCalled();
+        });
+
+        it('should book a claimed slot and show it on the referral', async () => {
+            jest.spyOn(AvailabilitySlot, 'findOneAndUpdate').mockImplementation((filter, update) =>
+                Promise.resolve({ ...freeSlot, appointment: update.$set.appointment }));
+            jest.spyOn(Appointment, 'create').mockImplementation(data => Promise.resolve({ ...data, appointmentId: 'APT0001', status: 'scheduled' }));
+
+            const res = await call(bookAppointment, receivingDoctor, { body: { referralId: String(referral._id), slotId: String(freeSlot._id) } });
+
+            expect(res.statusCode).toBe(201);
+            expect(Appointment.create).toHaveBeenCalledWith(expect.objectContaining({ slot: freeSlot._id, scheduledStart: startTime }));
+            expect(referral.appointment.scheduledDate).toEqual(startTime);
+            expect(referral.timeline.map(entry => entry.action)).toEqual(['appointment_scheduled']);
+        });
+
+        it('should only let the receiving side book', async () => {
+            const res = await call(bookAppointment, patient, { body: { referralId: String(referral._id), slotId: String(freeSlot._id) } });
+
+            expect(res.statusCode).toBe(403);
+        });
+    });
+
+    describe('Cancellation', () => {
+        let appointment;
+        let referral;
+
+        beforeEach(() => {
+            referral = referralDoc();
+            appointment = Appointment.hydrate({
+                _id: id(),
+                appointmentId: 'APT0001',
+                referral: referral._id,
+                patient: patient._id,
+                doctor: receivingDoctor._id,
+                hospital: hospitalId,
+                slot: id(),
+                scheduledStart: startTime,
+                scheduledEnd: new Date(startTime.getTime() + 30 * 60 * 1000),
+                status: 'scheduled'
+            });
+            jest.spyOn(appointment, 'save').mockResolvedValue(appointment);
+            jest.spyOn(Appointment, 'findById').mockResolvedValue(appointment);
+            jest.spyOn(Referral, 'findById').mockResolvedValue(referral);
+            jest.spyOn(AvailabilitySlot, 'updateOne').mockResolvedValue({});
+        });
+
+        it('should require a text reason', async () => {
+            expect((await call(cancelAppointment, patient, { params: { id: String(appointment._id) }, body: { reason: 1 } })).statusCode).toBe(400);
+            expect((await call(cancelAppointment, patient, { params: { id: String(appointment._id) }, body: { reason: '  ' } })).statusCode).toBe(400);
+            expect(Appointment.findById).not.toHaveBeenCalled();
+        });
+
+        it('should cancel, free the slot and clear the referral appointment', async () => {
+            const res = await call(cancelAppointment, patient, { params: { id: String(appointment._id) }, body: { reason: ' Travelling ' } });
+
+            expect(res.statusCode).toBe(200);
+            expect(appointment.status).toBe('cancelled');
+            expect(appointment.cancellation.reason).toBe('Travelling');
+            expect(AvailabilitySlot.updateOne).toHaveBeenCalledWith(
+                { _id: appointment.slot, appointment: appointment._id },
+                { $set: { appointment: null } }
+            );
+            expect(referral.appointment?.scheduledDate).toBeUndefined();
+            expect(referral.timeline.map(entry => entry.action)).toEqual(['appointment_cancelled']);
+        });
+
+        it('should refuse cancelling twice or by unrelated users', async () => {
+            expect((await call(cancelAppointment, { _id: id(), role: 'patient' }, { params: { id: String(appointment._id) }, body: { reason: 'No' } })).statusCode).toBe(403);
+
+            appointment.status = 'cancelled';
+            expect((await call(cancelAppointment, patient, { params: { id: String(appointment._id) }, body: { reason: 'Again' } })).statusCode).toBe(409);
+        });
+    });
+});
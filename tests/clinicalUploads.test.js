@@ -0,0 +1,184 @@
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const { clinicalFiles } = require('../src/middleware/upload');
+const { detectFileType } = require('../src/utils/fileType');
+const localStorage = require('../src/services/storage/localStorage');
+
+jest.mock('cloudinary', () => ({
+    v2: {
+        config: jest.fn(),
+        uploader: { upload: jest.fn(), destroy: jest.fn() }
+    }
+}));
+
+jest.mock('../src/middleware/auth', () => ({
+    protect: (req, res, next) => {
+        req.user = { _id: '64b000000000000000000009', role: 'doctor', hospitalId: '64b0000000000000000000aa' };
+        next();
+    },
+    requireEmailVerification: (req, res, next) => next()
+}));
+
+const { v2: cloudinary } = require('cloudinary');
+const Referral = require('../src/models/Referral');
+const MedicalRecord = require('../src/models/MedicalRecord');
+
+const MB = 1024 * 1024;
+const pdf = (size = 64) => Buffer.concat([Buffer.from('%PDF-1.7\n'), Buffer.alloc(size)]);
+const png = () => Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0]);
+const jpeg = (size = 16) => Buffer.concat([Buffer.from([0xff, 0xd8, 0xff, 0xe0]), Buffer.alloc(size)]);
+const dicom = () => Buffer.concat([Buffer.alloc(128), Buffer.from('DICM'), Buffer.alloc(16)]);
+
+describe('Clinical uploads', () => {
+    describe('File type sniffing', () => {
+        it('should recognise the allowed types by content', () => {
+            expect(detectFileType(pdf())).toEqual({ mimeType: 'application/pdf', ext: 'pdf' });
+            expect(detectFileType(png())).toEqual({ mimeType: 'image/png', ext: 'png' });
+            expect(detectFileType(jpeg())).toEqual({ mimeType: 'image/jpeg', ext: 'jpg' });
+            expect(detectFileType(dicom())).toEqual({ mimeType: 'application/dicom', ext: 'dcm' });
+        });
+
+        it('should not trust names or declared types', () => {
+            expect(detectFileType(Buffer.from('MZ\x90\x00 not really a pdf'))).toBeNull();
+            expect(detectFileType(Buffer.alloc(0))).toBeNull();
+        });
+    });
+
+    describe('Upload middleware', () => {
+        let tempPaths;
+
+        const app = express();
+        app.post('/upload', clinicalFiles('files'), (req, res) => {
+            tempPaths = req.files.map(file => file.path);
+            res.json({
+                files: req.files.map(file => ({
+                    name: file.originalname,
+                    type: file.detectedType.mimeType,
+                    inMemory: Boolean(file.buffer)
+                }))
+            });
+        });
+
+        it('should spool accepted files to disk with their detected type and clean up afterwards', async () => {
+            const res = await request(app)
+                .post('/upload')
+                .attach('files', pdf(), { filename: 'letter.txt', contentType: 'text/plain' })
+                .attach('files', jpeg(), 'xray.jpg');
+
+            expect(res.status).toBe(200);
+            expect(res.body.files).toEqual([
+                { name: 'letter.txt', type: 'application/pdf', inMemory: false },
+                { name: 'xray.jpg', type: 'image/jpeg', inMemory: false }
+            ]);
+
+            await new Promise(resolve => setTimeout(resolve, 50));
+            expect(tempPaths.some(tempPath => fs.existsSync(tempPath))).toBe(false);
+        });
+
+        it('should reject files whose content is not an allowed type', async () => {
+            const res = await request(app)
+                .post('/upload')
+                .attach('files', Buffer.from('<script>alert(1)</script>'), { filename: 'scan.pdf', contentType: 'application/pdf' });
+
+            expect(res.status).toBe(415);
+        });
+
+        it('should apply the size limit of the detected type', async () => {
+            const res = await request(app)
+                .post('/upload')
+                .attach('files', jpeg(10 * MB + 1), 'large.jpg');
+
+            expect(res.status).toBe(413);
+            expect(res.body.message).toContain('10MB limit for image/jpeg');
+        });
+
+        it('should require at least one file', async () => {
+            const res = await request(app).post('/upload').field('note', 'nothing attached');
+
+            expect(res.status).toBe(400);
+        });
+    });
+
+    describe('Upload access checks', () => {
+        const app = express();
+        app.use('/api/referrals', require('../src/routes/referrals'));
+        app.use('/api/records', require('../src/routes/records'));
+
+        const otherDoctor = '64b000000000000000000001';
+        const upload = (url) => request(app).post(url).attach('files', pdf(), 'letter.pdf');
+
+        // multer's disk storage opens a write stream for every file it accepts
+        beforeEach(() => jest.spyOn(fs, 'createWriteStream'));
+
+        it('should refuse uploads to a referral outside the user\'s care before reading any file', async () => {
+            jest.spyOn(Referral, 'findById').mockResolvedValue(Referral.hydrate({
+                _id: '64b000000000000000000100',
+                referringDoctor: otherDoctor,
+                receivingHospital: '64b0000000000000000000bb'
+            }));
+
+            const res = await upload('/api/referrals/64b000000000000000000100/attachments');
+
+            expect(res.status).toBe(403);
+            expect(fs.createWriteStream).not.toHaveBeenCalled();
+        });
+
+        it('should refuse uploads to a missing investigation or another doctor\'s record before reading any file', async () => {
+            jest.spyOn(Referral, 'findById').mockResolvedValue(Referral.hydrate({
+                _id: '64b000000000000000000100',
+                referringDoctor: '64b000000000000000000009'
+            }));
+            jest.spyOn(MedicalRecord, 'findById').mockResolvedValue({ _id: '64b000000000000000000200', doctor: otherDoctor });
+
+            const investigation = await request(app)
+                .post('/api/referrals/64b000000000000000000100/investigations/64b000000000000000000300/file')
+                .attach('file', pdf(), 'result.pdf');
+            const record = await upload('/api/records/64b000000000000000000200/files');
+            const malformed = await upload('/api/records/not-an-id/files');
+
+            expect(investigation.status).toBe(404);
+            expect(investigation.body.message).toBe('Investigation not found');
+            expect(record.status).toBe(403);
+            expect(malformed.status).toBe(404);
+            expect(fs.createWriteStream).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Storage drivers', () => {
+        const folder = `test-${process.pid}`;
+
+        afterAll(() => fs.promises.rm(localStorage.resolveKey(folder), { recursive: true, force: true }));
+
+        it('should store local files from a path or a buffer and read them back', async () => {
+            const source = localStorage.resolveKey(`${folder}/source.pdf`);
+            await fs.promises.mkdir(localStorage.resolveKey(folder), { recursive: true });
+            await fs.promises.writeFile(source, pdf());
+
+            const fromPath = await localStorage.save({ filePath: source, ext: 'pdf', folder });
+            const fromBuffer = await localStorage.save({ buffer: png(), ext: 'png', folder });
+
+            expect(fromPath).toMatchObject({ provider: 'local', url: null, size: pdf().length });
+            expect(await localStorage.read(fromPath)).toEqual(pdf());
+            expect(await localStorage.read(fromBuffer)).toEqual(png());
+
+            await localStorage.remove(fromPath);
+            expect(fs.existsSync(localStorage.resolveKey(fromPath.key))).toBe(false);
+        });
+
+        it('should refuse local keys outside the uploads directory', () => {
+            expect(() => localStorage.resolveKey('../package.json')).toThrow('Invalid storage key');
+        });
+
+        it('should upload clinical files to Cloudinary without transformations', async () => {
+            cloudinary.uploader.upload.mockResolvedValue({ public_id: 'abc', resource_type: 'image', secure_url: 'https://res.example/abc' });
+            const cloudinaryStorage = require('../src/services/storage/cloudinaryStorage');
+
+            const stored = await cloudinaryStorage.save({ buffer: jpeg(), ext: 'jpg', folder: 'referrals/1' });
+
+            expect(stored).toMatchObject({ provider: 'cloudinary', key: 'abc', size: jpeg().length });
+            const [, options] = cloudinary.uploader.upload.mock.calls[0];
+            expect(options).toEqual({ folder: 'patient-referral-system/referrals/1', resource_type: 'auto', type: 'authenticated' });
+        });
+    });
+});
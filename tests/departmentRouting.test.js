@@ -0,0 +1,51 @@
+const { toSpecialtyCode, matchDepartment, isDepartmentStaff } = require('../src/services/departmentRouting');
+const { getReferralScopeConditions, isReferralInScope } = require('../src/services/referralScope');
+const Referral = require('../src/models/Referral');
+const { getReferrals } = require('../src/controllers/referralController');
+
+describe('Department Routing', () => {
+    const departments = [
+        { _id: 'cardio', name: 'Heart Centre', specialtyCode: 'cardiology', isActive: true },
+        { _id: 'ent', name: 'Ear, Nose & Throat', specialtyCode: 'otolaryngology', isActive: true },
+        { _id: 'neuro', name: 'Neurology', specialtyCode: 'neurology', isActive: false }
+    ];
+
+    it('should normalise free-text specialties to codes', () => {
+        expect(toSpecialtyCode('Cardiology')).toBe('cardiology');
+        expect(toSpecialtyCode('  Ear, Nose & Throat ')).toBe('ear_nose_throat');
+        expect(toSpecialtyCode('')).toBe('');
+    });
+
+    it('should route by specialty code, then department name, and skip inactive departments', () => {
+        expect(matchDepartment(departments, 'cardiology')._id).toBe('cardio');
+        expect(matchDepartment(departments, 'ear nose throat')._id).toBe('ent');
+        expect(matchDepartment(departments, 'Neurology')).toBeNull();
+        expect(matchDepartment(departments, 'Dermatology')).toBeNull();
+    });
+
+    it('should let department staff see the department queue', () => {
+        const department = { headDoctor: 'doc1', members: ['doc2'], intakeCoordinator: 'admin1' };
+        const member = { _id: 'doc2', role: 'doctor', hospitalId: 'hospitalB' };
+        const referral = { receivingHospital: 'hospitalB', receivingDepartment: 'cardio', referringDoctor: 'doc9' };
+
+        expect(isDepartmentStaff(department, member)).toBe(true);
+        expect(isDepartmentStaff(department, { _id: 'doc3', role: 'doctor' })).toBe(false);
+
+        expect(isReferralInScope(referral, member)).toBe(false);
+        expect(isReferralInScope(referral, member, { departmentIds: ['cardio'] })).toBe(true);
+        expect(getReferralScopeConditions(member, { departmentIds: ['cardio'] }))
+            .toContainEqual({ receivingDepartment: { $in: ['cardio'] } });
+    });
+
+    it('should reject a department filter that is not an id or "none"', async () => {
+        const find = jest.spyOn(Referral, 'find');
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+
+        await getReferrals({ user: { _id: 'root', role: 'super_admin' }, query: { department: { $ne: null } } }, res);
+        await getReferrals({ user: { _id: 'root', role: 'super_admin' }, query: { department: 'cardio' } }, res);
+
+        expect(res.status.mock.calls).toEqual([[400], [400]]);
+        expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Invalid department ID' });
+        expect(find).not.toHaveBeenCalled();
+    });
+});
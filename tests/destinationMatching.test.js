@@ -0,0 +1,129 @@
+const User = require('../src/models/User');
+const Hospital = require('../src/models/Hospital');
+const Referral = require('../src/models/Referral');
+const Department = require('../src/models/Department');
+const { WEIGHTS, haversineKm, scoreHospital } = require('../src/services/destinationMatching');
+const { suggestDestinations } = require('../src/controllers/referralController');
+
+describe('Destination Matching', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    const hospital = {
+        name: 'City General',
+        specialties: ['Cardiology', 'Neurology'],
+        services: ['Cardiac catheterization'],
+        capacity: { beds: 100, icuBeds: 10 },
+        availability: { beds: 20, icuBeds: 0, updatedAt: new Date('2026-03-01T08:00:00Z') },
+        address: { city: 'Lahore', state: 'Punjab', country: 'Pakistan' },
+        location: { latitude: 31.5204, longitude: 74.3587 }
+    };
+
+    const context = (overrides = {}) => ({
+        specialty: 'Cardiology',
+        priority: 'medium',
+        patient: null,
+        pendingCount: 0,
+        history: undefined,
+        now,
+        ...overrides
+    });
+
+    const factor = (result, name) => result.factors.find(item => item.factor === name);
+
+    it('should explain every factor and add the points up to the score', () => {
+        const result = scoreHospital(hospital, context());
+
+        expect(result.factors.map(item => item.factor))
+            .toEqual(['specialty', 'availability', 'load', 'acceptance', 'turnaround', 'distance']);
+        result.factors.forEach(item => expect(item.explanation).toEqual(expect.any(String)));
+        expect(factor(result, 'specialty').points).toBe(WEIGHTS.default.specialty);
+        expect(factor(result, 'acceptance').explanation).toMatch(/Not enough/);
+
+        const total = result.factors.reduce((sum, item) => sum + item.points, 0);
+        expect(result.score).toBe(Math.round(total));
+    });
+
+    it('should rank a hospital with the specialty and free beds above one without', () => {
+        const other = { ...hospital, specialties: ['Orthopedics'], services: [], availability: { beds: 0, updatedAt: now } };
+
+        const match = scoreHospital(hospital, context());
+        const mismatch = scoreHospital(other, context());
+
+        expect(match.score).toBeGreaterThan(mismatch.score);
+        expect(factor(mismatch, 'specialty').score).toBe(0);
+        expect(factor(mismatch, 'availability').explanation).toBe('No beds available');
+    });
+
+    it('should use ICU beds for urgent referrals and ignore stale availability', () => {
+        const urgent = scoreHospital(hospital, context({ priority: 'urgent' }));
+        expect(factor(urgent, 'availability').score).toBe(0);
+        expect(factor(urgent, 'availability').weight).toBe(WEIGHTS.urgent.availability);
+
+        const stale = { ...hospital, availability: { ...hospital.availability, updatedAt: new Date('2026-02-27T12:00:00Z') } };
+        expect(factor(scoreHospital(stale, context()), 'availability').score).toBe(0.5);
+    });
+
+    it('should score acceptance, turnaround and distance from history and the patient', () => {
+        const history = { accepted: 8, rejected: 2, expired: 0, responded: 10, avgResponseHours: 72 };
+        const patient = { location: { latitude: 31.5204, longitude: 74.3587 }, address: { city: 'Lahore' } };
+
+        const result = scoreHospital(hospital, context({ history, patient, pendingCount: 5 }));
+
+        expect(factor(result, 'acceptance').score).toBe(0.8);
+        expect(factor(result, 'turnaround').score).toBe(0.5);
+        expect(factor(result, 'load').score).toBe(0.5);
+        expect(factor(result, 'distance').explanation).toBe('0 km from the patient');
+
+        const farPatient = { address: { city: 'Karachi', state: 'Sindh', country: 'Pakistan' } };
+        expect(factor(scoreHospital(hospital, context({ patient: farPatient })), 'distance').score).toBe(0.3);
+        const km = haversineKm(hospital.location, { latitude: 24.8607, longitude: 67.0011 });
+        expect(km).toBeGreaterThan(1020);
+        expect(km).toBeLessThan(1045);
+    });
+
+    describe('suggest destinations endpoint', () => {
+        const doctor = { _id: '64b000000000000000000001', role: 'doctor', hospitalId: '64b0000000000000000000a1' };
+        const patientId = '64b000000000000000000002';
+        const query = result => ({ select: () => query(result), distinct: async () => [], lean: async () => result });
+        const call = async (queryParams) => {
+            const res = { status: jest.fn(() => res), json: jest.fn() };
+            await suggestDestinations({ user: doctor, query: queryParams }, res);
+            return res;
+        };
+
+        beforeEach(() => {
+            jest.spyOn(Department, 'find').mockReturnValue(query([]));
+            jest.spyOn(Hospital, 'find').mockReturnValue(query([]));
+        });
+
+        afterEach(() => jest.restoreAllMocks());
+
+        it('should only use the location of patients in the caller\'s scope', async () => {
+            const patient = { _id: patientId, role: 'patient', hospitalId: '64b0000000000000000000b2', location: {} };
+            jest.spyOn(User, 'findById').mockReturnValue(query(patient));
+            const exists = jest.spyOn(Referral, 'exists').mockResolvedValue(null);
+
+            const res = await call({ specialty: 'Cardiology', patientId });
+
+            expect(res.status).toHaveBeenCalledWith(400);
+            expect(exists.mock.calls[0][0]).toEqual({
+                patient: patientId,
+                $or: [{ referringDoctor: doctor._id }, { receivingDoctor: doctor._id }]
+            });
+            expect(Hospital.find).not.toHaveBeenCalled();
+
+            exists.mockResolvedValue({ _id: '64b0000000000000000000c1' });
+            const allowed = await call({ specialty: 'Cardiology', patientId });
+            expect(allowed.status).not.toHaveBeenCalled();
+            expect(allowed.json.mock.calls[0][0]).toMatchObject({ success: true, data: { suggestions: [] } });
+        });
+
+        it('should reject malformed patient ids and repeated specialty parameters', async () => {
+            const findById = jest.spyOn(User, 'findById');
+
+            expect((await call({ specialty: 'Cardiology', patientId: 'abc' })).status).toHaveBeenCalledWith(400);
+            expect((await call({ specialty: ['Cardiology', 'Neurology'] })).status).toHaveBeenCalledWith(400);
+            expect(findById).not.toHaveBeenCalled();
+        });
+    });
+});
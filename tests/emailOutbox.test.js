@@ -0,0 +1,104 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const EmailOutbox = require('../src/models/EmailOutbox');
+const { retryDelayMs, processOutbox, retryDeadEmail } = require('../src/services/email');
+const { getTransport } = require('../src/services/email/transports');
+
+describe('Email outbox', () => {
+    it('should back off exponentially between attempts up to a cap', () => {
+        expect(retryDelayMs(1)).toBe(30 * 1000);
+        expect(retryDelayMs(2)).toBe(60 * 1000);
+        expect(retryDelayMs(4)).toBe(4 * 60 * 1000);
+        expect(retryDelayMs(30)).toBe(6 * 60 * 60 * 1000);
+    });
+
+    it('should append messages to the file transport as JSON lines', async () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'outbox-'));
+        process.env.EMAIL_FILE_PATH = path.join(dir, 'emails.jsonl');
+
+        try {
+            const transport = getTransport('file');
+            const { messageId } = await transport.send({
+                from: 'noreply@example.com',
+                to: 'doctor@example.com',
+                subject: 'Referral accepted',
+                html: '<p>Accepted</p>'
+            });
+
+            const [line] = fs.readFileSync(process.env.EMAIL_FILE_PATH, 'utf8').trim().split('\n');
+            const message = JSON.parse(line);
+            expect(messageId).toBeTruthy();
+            expect(message.subject).toBe('Referral accepted');
+            expect(message.to).toEqual([{ address: 'doctor@example.com', name: '' }]);
+        } finally {
+            delete process.env.EMAIL_FILE_PATH;
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+
+    it('should reject unknown transports', () => {
+        expect(() => getTransport('carrier-pigeon')).toThrow('Unknown email transport');
+    });
+
+    it('should retry, then dead-letter, messages claimed while the transport is misconfigured', async () => {
+        const now = new Date('2026-03-01T12:00:00Z');
+        const entry = { _id: 'email1', to: 'doctor@example.com', attempts: 1, maxAttempts: 2 };
+        process.env.EMAIL_TRANSPORT = 'carrier-pigeon';
+        jest.spyOn(EmailOutbox, 'updateMany').mockResolvedValue({});
+        jest.spyOn(EmailOutbox, 'updateOne').mockResolvedValue({});
+        const claim = jest.spyOn(EmailOutbox, 'findOneAndUpdate');
+
+        try {
+            claim.mockResolvedValueOnce(entry).mockResolvedValueOnce(null);
+            expect(await processOutbox(now)).toEqual({ sent: 0, retry: 1, dead: 0 });
+            expect(EmailOutbox.updateOne).toHaveBeenLastCalledWith({ _id: 'email1' }, {
+                $set: {
+                    status: 'pending',
+                    nextAttemptAt: new Date(now.getTime() + 30 * 1000),
+                    lastError: 'Unknown email transport: carrier-pigeon',
+                    transport: 'carrier-pigeon'
+                },
+                $unset: { lockedAt: 1 }
+            });
+
+            claim.mockResolvedValueOnce({ ...entry, attempts: 2 }).mockResolvedValueOnce(null);
+            expect(await processOutbox(now)).toEqual({ sent: 0, retry: 0, dead: 1 });
+            const { $set: deadLetter } = EmailOutbox.updateOne.mock.calls[1][1];
+            expect(deadLetter).toMatchObject({ status: 'dead' });
+            expect(deadLetter.purgeAt - deadLetter.deadLetteredAt).toBe(14 * 24 * 60 * 60 * 1000);
+        } finally {
+            delete process.env.EMAIL_TRANSPORT;
+        }
+    });
+
+    it('should drop the message body once the email is sent', async () => {
+        process.env.EMAIL_TRANSPORT = 'console';
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(EmailOutbox, 'updateMany').mockResolvedValue({});
+        jest.spyOn(EmailOutbox, 'updateOne').mockResolvedValue({});
+        jest.spyOn(EmailOutbox, 'findOneAndUpdate')
+            .mockResolvedValueOnce({ _id: 'email1', to: 'patient@example.com', subject: 'Reset', html: '<a href="/reset/secret">Reset</a>', attempts: 1, maxAttempts: 6 })
+            .mockResolvedValueOnce(null);
+
+        try {
+            expect(await processOutbox()).toEqual({ sent: 1, retry: 0, dead: 0 });
+            const [, update] = EmailOutbox.updateOne.mock.calls[0];
+            expect(update.$set).toMatchObject({ status: 'sent', transport: 'console' });
+            expect(update.$unset).toEqual({ lockedAt: 1, html: 1, text: 1, attachments: 1 });
+        } finally {
+            delete process.env.EMAIL_TRANSPORT;
+        }
+    });
+
+    it('should requeue a dead letter, cancelling its purge, without returning its body', async () => {
+        const claim = jest.spyOn(EmailOutbox, 'findOneAndUpdate').mockResolvedValue({ _id: 'email1', status: 'pending' });
+
+        await retryDeadEmail('email1');
+
+        const [filter, update, options] = claim.mock.calls[0];
+        expect(filter).toEqual({ _id: 'email1', status: 'dead' });
+        expect(update.$unset).toEqual({ deadLetteredAt: 1, purgeAt: 1 });
+        expect(options.projection).toEqual({ html: 0, text: 0, attachments: 0 });
+    });
+});
@@ -0,0 +1,50 @@
+const { emailTemplates } = require('../src/config/email');
+const { normalizeLocale, renderString } = require('../src/services/email/templates');
+
+describe('Email templates', () => {
+    it('should escape interpolated values in HTML but not in the text alternative', () => {
+        const email = emailTemplates.accountRejected({ name: 'Amina', reason: '<b>Licence</b> & ID missing' });
+
+        expect(email.subject).toBe('Account Application Rejected - Patient Referral System');
+        expect(email.html).toContain('&lt;b&gt;Licence&lt;/b&gt; &amp; ID missing');
+        expect(email.html).not.toContain('<b>Licence</b>');
+        expect(email.text).toContain('Reason: <b>Licence</b> & ID missing');
+        expect(email.text).not.toMatch(/<p>|\{\{/);
+    });
+
+    it('should leave template tags in user-supplied values uninterpolated', () => {
+        const reason = 'see {{frontendUrl}} and {{{strings.signOff}}}';
+        const email = emailTemplates.accountRejected({ name: 'Amina', reason });
+
+        expect(email.html).toContain('see {{frontendUrl}} and {{{strings.signOff}}}');
+        expect(email.text).toContain(`Reason: ${reason}`);
+
+        const source = '{{#note}}Note: {{note}}{{/note}}';
+        expect(renderString(source, { note: '{{secret}}', secret: 'leaked' }, value => String(value)))
+            .toBe('Note: {{secret}}');
+    });
+
+    it('should render the requested locale and fall back to English when a template is not translated', () => {
+        const reset = emailTemplates.passwordReset({ resetLink: 'http://localhost/reset/abc', expiresInMinutes: 10 }, 'es');
+        expect(reset.template).toEqual({ name: 'passwordReset', locale: 'es', version: 2 });
+        expect(reset.text).toContain('Este enlace caduca en 10 minutos.');
+
+        const escalated = emailTemplates.referralEscalated({ referralId: 'REF1', slaHours: 4 }, 'es');
+        expect(escalated.template.locale).toBe('en');
+        expect(escalated.subject).toBe('Urgent referral REF1 has had no response');
+    });
+
+    it('should map language names and regional codes to supported locales only', () => {
+        expect(normalizeLocale('Spanish')).toBe('es');
+        expect(normalizeLocale('es-MX')).toBe('es');
+        expect(normalizeLocale('English')).toBe('en');
+        expect(normalizeLocale('klingon')).toBeNull();
+        expect(normalizeLocale('../en')).toBeNull();
+    });
+
+    it('should render sections only when their value is truthy', () => {
+        const source = '{{#note}}Note: {{note}}{{/note}}{{^note}}No note{{/note}}';
+        expect(renderString(source, { note: 'a&b' }, value => String(value))).toBe('Note: a&b');
+        expect(renderString(source, {}, value => String(value))).toBe('No note');
+    });
+});
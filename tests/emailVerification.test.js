@@ -0,0 +1,132 @@
+const User = require('../src/models/User');
+const Hospital = require('../src/models/Hospital');
+const Patient = require('../src/models/Patient');
+const {
+    hashToken,
+    sendVerificationEmail,
+    resendVerificationEmail,
+    markLegacyAccountsVerified,
+    verifyEmailToken
+} = require('../src/services/emailVerification');
+const { createPatient } = require('../src/controllers/patientController');
+const { createHospital } = require('../src/controllers/hospitalController');
+
+jest.mock('../src/config/email', () => ({
+    sendEmail: jest.fn(),
+    emailTemplates: { emailVerification: jest.fn() }
+}));
+
+const { sendEmail, emailTemplates } = require('../src/config/email');
+
+describe('Email verification', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const user = { _id: '64b000000000000000000001', email: 'dr@example.com', firstName: 'Ada', role: 'doctor' };
+
+    beforeEach(() => {
+        sendEmail.mockResolvedValue({});
+        emailTemplates.emailVerification.mockReturnValue({ subject: 'Verify' });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should store only a hash of the emailed token, with an expiry', async () => {
+        const update = jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+        const expiresAt = await sendVerificationEmail(user, now);
+
+        expect(expiresAt).toEqual(new Date('2026-03-02T12:00:00Z'));
+        const { verificationLink, expiresInHours } = emailTemplates.emailVerification.mock.calls[0][0];
+        const token = verificationLink.split('/verify-email/')[1];
+        expect(expiresInHours).toBe(24);
+        expect(update.mock.calls[0][1].$set).toEqual({
+            emailVerificationToken: hashToken(token),
+            emailVerificationExpires: expiresAt,
+            emailVerificationSentAt: now
+        });
+        expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'dr@example.com' }));
+    });
+
+    it('should only accept unexpired tokens by their hash and clear them once used', async () => {
+        const update = jest.spyOn(User, 'findOneAndUpdate').mockResolvedValue({ ...user, isEmailVerified: true });
+
+        await verifyEmailToken('abc', now);
+
+        const [filter, changes] = update.mock.calls[0];
+        expect(filter).toEqual({ emailVerificationToken: hashToken('abc'), emailVerificationExpires: { $gt: now } });
+        expect(changes.$set.isEmailVerified).toBe(true);
+        expect(changes.$unset).toEqual({ emailVerificationToken: 1, emailVerificationExpires: 1 });
+    });
+
+    it('should not resend to verified users or more than once a minute', async () => {
+        jest.spyOn(User, 'updateOne').mockResolvedValue({});
+
+        expect(await resendVerificationEmail({ ...user, isEmailVerified: true }, now))
+            .toMatchObject({ ok: false, statusCode: 400 });
+        expect(await resendVerificationEmail({ ...user, emailVerificationSentAt: new Date(now.getTime() - 20 * 1000) }, now))
+            .toMatchObject({ ok: false, statusCode: 429, retryAfter: 40 });
+        expect(sendEmail).not.toHaveBeenCalled();
+
+        expect(await resendVerificationEmail({ ...user, emailVerificationSentAt: new Date(now.getTime() - 61 * 1000) }, now))
+            .toMatchObject({ ok: true });
+        expect(sendEmail).toHaveBeenCalledTimes(1);
+    });
+
+    it('should mark only accounts from before verification was enforced as verified', async () => {
+        const updateMany = jest.spyOn(User, 'updateMany').mockResolvedValue({ modifiedCount: 7 });
+
+        expect(await markLegacyAccountsVerified(now)).toBe(7);
+
+        const [filter, changes] = updateMany.mock.calls[0];
+        expect(filter).toEqual({ isEmailVerified: { $ne: true }, emailVerificationSentAt: null });
+        expect(changes.$set).toEqual({ isEmailVerified: true, emailVerifiedAt: now });
+        expect(changes.$unset).toEqual({ emailVerificationToken: 1, emailVerificationExpires: 1 });
+    });
+
+    describe('Accounts created by staff', () => {
+        const res = () => {
+            const response = { json: jest.fn() };
+            response.status = jest.fn(() => response);
+            return response;
+        };
+
+        beforeEach(() => {
+            jest.spyOn(User.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+            jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        });
+
+        it('should email a verification link to a patient registered by staff', async () => {
+            jest.spyOn(User, 'findOne').mockResolvedValue(null);
+            jest.spyOn(User, 'findById').mockReturnValue({ populate: () => ({ select: async () => ({}) }) });
+            jest.spyOn(Patient, 'findOne').mockReturnValue({ select: () => ({ lean: async () => null }) });
+            const response = res();
+
+            await createPatient({
+                user: { _id: '64b0000000000000000000a1', role: 'doctor' },
+                body: { firstName: 'Ada', lastName: 'Obi', email: 'ada@example.com', emergencyPhone: '+15550100' }
+            }, response);
+
+            expect(response.status).toHaveBeenCalledWith(201);
+            expect(User.updateOne.mock.calls[0][1].$set.emailVerificationToken).toEqual(expect.any(String));
+            expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'ada@example.com' }));
+        });
+
+        it('should email a verification link to the admin of a newly registered hospital', async () => {
+            jest.spyOn(Hospital, 'findOne').mockResolvedValue(null);
+            jest.spyOn(Hospital.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+            const response = res();
+
+            await createHospital({
+                body: {
+                    name: 'St Marys',
+                    email: 'admin@stmarys.org',
+                    firstName: 'Amina',
+                    lastName: 'Okafor',
+                    password: 'Harbor-Lantern-42'
+                }
+            }, response);
+
+            expect(response.status).toHaveBeenCalledWith(201);
+            expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'admin@stmarys.org' }));
+        });
+    });
+});
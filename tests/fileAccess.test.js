@@ -0,0 +1,199 @@
+const fs = require('fs');
+const express = require('express');
+const request = require('supertest');
+const mongoose = require('mongoose');
+const Referral = require('../src/models/Referral');
+const MedicalRecord = require('../src/models/MedicalRecord');
+const User = require('../src/models/User');
+const FileAccessLog = require('../src/models/FileAccessLog');
+const Department = require('../src/models/Department');
+const { cloudinary } = require('../src/config/cloudinary');
+const localStorage = require('../src/services/storage/localStorage');
+const { resolveFile } = require('../src/services/fileAccess');
+const { downloadFile, downloadSignedFile } = require('../src/controllers/fileController');
+const { createFileLinkToken } = require('../src/services/fileLinks');
+
+describe('File access', () => {
+    const id = () => new mongoose.Types.ObjectId();
+    const folder = `test-files-${process.pid}`;
+    const fileId = id();
+
+    const referringDoctor = { _id: id(), role: 'doctor', isActive: true };
+    const outsider = { _id: id(), role: 'doctor', hospitalId: id(), isActive: true };
+    const patient = { _id: id(), role: 'patient', isActive: true };
+    const otherPatient = { _id: id(), role: 'patient', isActive: true };
+    const departmentDoctor = { _id: id(), role: 'doctor', hospitalId: id(), isActive: true };
+    const departmentId = id();
+
+    let referral;
+    let currentUser;
+
+    // Model.findById(...).select(...) resolving to a hydrated document
+    const mockFindById = (Model, doc) => jest.spyOn(Model, 'findById').mockImplementation(() => ({
+        select: () => Promise.resolve(doc && Model.hydrate(doc))
+    }));
+
+    const app = express();
+    app.use((req, res, next) => {
+        req.user = currentUser;
+        next();
+    });
+    app.get('/files/signed/:token', downloadSignedFile);
+    app.get('/files/:kind/:ownerId/:fileId', downloadFile);
+
+    beforeAll(async () => {
+        process.env.FILE_LINK_SECRET = 'test-secret';
+        await fs.promises.mkdir(localStorage.resolveKey(folder), { recursive: true });
+        await fs.promises.writeFile(localStorage.resolveKey(`${folder}/lab.pdf`), '%PDF-1.7 lab results');
+    });
+
+    afterAll(() => fs.promises.rm(localStorage.resolveKey(folder), { recursive: true, force: true }));
+
+    beforeEach(() => {
+        referral = {
+            _id: id(),
+            patient: patient._id,
+            referringDoctor: referringDoctor._id,
+            referringHospital: id(),
+            receivingHospital: id(),
+            receivingDoctor: id(),
+            attachments: [{
+                _id: fileId,
+                name: 'lab.pdf',
+                mimeType: 'application/pdf',
+                storage: { provider: 'local', key: `${folder}/lab.pdf` }
+            }]
+        };
+        jest.spyOn(FileAccessLog, 'create').mockResolvedValue({});
+        jest.spyOn(Department, 'find').mockImplementation(filter => ({
+            distinct: async () => (filter.$or[0].headDoctor === departmentDoctor._id ? [departmentId] : [])
+        }));
+    });
+
+    describe('resolveFile', () => {
+        it('should find referral attachments and allow only the referral parties', async () => {
+            mockFindById(Referral, referral);
+
+            const resolved = await resolveFile('referral', String(referral._id), String(fileId));
+
+            expect(resolved.file.name).toBe('lab.pdf');
+            expect(await resolved.canAccess(referringDoctor)).toBe(true);
+            expect(await resolved.canAccess(patient)).toBe(true);
+            expect(await resolved.canAccess(outsider)).toBe(false);
+            expect(await resolved.canAccess(otherPatient)).toBe(false);
+        });
+
+        it('should allow the staff of the receiving department, as in the referral list', async () => {
+            mockFindById(Referral, { ...referral, receivingDepartment: departmentId });
+
+            const resolved = await resolveFile('referral', String(referral._id), String(fileId));
+
+            expect(await resolved.canAccess(departmentDoctor)).toBe(true);
+
+            mockFindById(Referral, referral);
+            const elsewhere = await resolveFile('referral', String(referral._id), String(fileId));
+            expect(await elsewhere.canAccess(departmentDoctor)).toBe(false);
+        });
+
+        it('should allow record files to the record scope only', async () => {
+            const hospital = id();
+            mockFindById(MedicalRecord, {
+                _id: id(),
+                patient: patient._id,
+                doctor: referringDoctor._id,
+                hospital,
+                attachments: [{ _id: fileId, name: 'xray.jpg' }]
+            });
+
+            const resolved = await resolveFile('record', String(id()), String(fileId));
+
+            expect(await resolved.canAccess(patient)).toBe(true);
+            expect(await resolved.canAccess({ _id: id(), role: 'hospital', hospitalId: hospital })).toBe(true);
+            expect(await resolved.canAccess(outsider)).toBe(false);
+        });
+
+        it('should show patient profile images to clinical staff but not to other patients', async () => {
+            mockFindById(User, { _id: patient._id, role: 'patient', profileImage: 'https://res.example/me.jpg' });
+
+            const resolved = await resolveFile('user', String(patient._id), 'profile-image');
+
+            expect(await resolved.canAccess(patient)).toBe(true);
+            expect(await resolved.canAccess(outsider)).toBe(true);
+            expect(await resolved.canAccess(otherPatient)).toBe(false);
+        });
+
+        it('should return null for unknown kinds, invalid ids and missing files', async () => {
+            mockFindById(Referral, referral);
+
+            expect(await resolveFile('invoice', String(referral._id), String(fileId))).toBeNull();
+            expect(await resolveFile('referral', 'not-an-id', String(fileId))).toBeNull();
+            expect(await resolveFile('referral', String(referral._id), String(id()))).toBeNull();
+            expect(Referral.findById).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('Downloads', () => {
+        it('should stream the file to a party and log the access', async () => {
+            mockFindById(Referral, referral);
+            currentUser = referringDoctor;
+
+            const res = await request(app).get(`/files/referral/${referral._id}/${fileId}`);
+
+            expect(res.status).toBe(200);
+            expect(res.headers['content-type']).toBe('application/pdf');
+            expect(res.headers['cache-control']).toBe('private, no-store');
+            expect(res.body.toString()).toBe('%PDF-1.7 lab results');
+            expect(FileAccessLog.create).toHaveBeenCalledWith(expect.objectContaining({ user: referringDoctor._id, via: 'direct' }));
+        });
+
+        it('should refuse users outside the referral without logging a download', async () => {
+            mockFindById(Referral, referral);
+            currentUser = outsider;
+
+            const res = await request(app).get(`/files/referral/${referral._id}/${fileId}`);
+
+            expect(res.status).toBe(403);
+            expect(FileAccessLog.create).not.toHaveBeenCalled();
+        });
+
+        it('should re-check access when a signed link is used', async () => {
+            mockFindById(Referral, referral);
+            const { token } = createFileLinkToken({ kind: 'referral', ownerId: String(referral._id), fileId: String(fileId), userId: String(patient._id) }, 60);
+
+            jest.spyOn(User, 'findById').mockResolvedValue({ ...patient, isActive: false });
+            expect((await request(app).get(`/files/signed/${token}`)).status).toBe(403);
+
+            User.findById.mockResolvedValue(patient);
+            const res = await request(app).get(`/files/signed/${token}`);
+            expect(res.status).toBe(200);
+            expect(FileAccessLog.create).toHaveBeenCalledWith(expect.objectContaining({ via: 'signed_link' }));
+        });
+
+        it('should stream Cloudinary files through a short-lived signed URL instead of redirecting', async () => {
+            referral.attachments[0].storage = {
+                provider: 'cloudinary',
+                key: 'patient-referral-system/referrals/1/abc',
+                resourceType: 'image',
+                format: 'pdf',
+                deliveryType: 'authenticated',
+                url: 'https://res.cloudinary.com/demo/image/authenticated/abc.pdf'
+            };
+            mockFindById(Referral, referral);
+            currentUser = referringDoctor;
+            const signUrl = jest.spyOn(cloudinary.utils, 'private_download_url').mockReturnValue('https://api.cloudinary.com/download?signature=x');
+            const fetchMock = jest.spyOn(global, 'fetch').mockResolvedValue(new Response('%PDF-1.7 from cloudinary'));
+
+            const res = await request(app).get(`/files/referral/${referral._id}/${fileId}`);
+
+            expect(res.status).toBe(200);
+            expect(res.headers.location).toBeUndefined();
+            expect(res.body.toString()).toBe('%PDF-1.7 from cloudinary');
+            expect(fetchMock).toHaveBeenCalledWith('https://api.cloudinary.com/download?signature=x');
+
+            const [key, format, options] = signUrl.mock.calls[0];
+            expect([key, format]).toEqual(['patient-referral-system/referrals/1/abc', 'pdf']);
+            expect(options).toMatchObject({ resource_type: 'image', type: 'authenticated' });
+            expect(options.expires_at - Date.now() / 1000).toBeLessThanOrEqual(60);
+        });
+    });
+});
@@ -0,0 +1,39 @@
+const { createFileLinkToken, verifyFileLinkToken } = require('../src/services/fileLinks');
+
+describe('Signed File Links', () => {
+    const link = { kind: 'referral', ownerId: 'ref1', fileId: 'file1', userId: 'user1' };
+
+    beforeAll(() => {
+        process.env.FILE_LINK_SECRET = 'test-secret';
+    });
+
+    it('should round-trip a valid token', () => {
+        const { token } = createFileLinkToken(link, 60);
+        const verified = verifyFileLinkToken(token);
+
+        expect(verified).toMatchObject(link);
+        expect(verified.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    });
+
+    it('should reject a token with a tampered payload', () => {
+        const { token } = createFileLinkToken(link, 60);
+        const [, signature] = token.split('.');
+        const forged = Buffer.from(JSON.stringify({ k: 'record', o: 'x', f: 'y', u: 'user1', exp: 9999999999 })).toString('base64url');
+
+        expect(verifyFileLinkToken(`${forged}.${signature}`)).toBeNull();
+    });
+
+    it('should reject an expired token', () => {
+        jest.useFakeTimers();
+        const { token } = createFileLinkToken(link, 60);
+        jest.advanceTimersByTime(61 * 1000);
+
+        expect(verifyFileLinkToken(token)).toBeNull();
+        jest.useRealTimers();
+    });
+
+    it('should reject malformed tokens', () => {
+        expect(verifyFileLinkToken('not-a-token')).toBeNull();
+        expect(verifyFileLinkToken(undefined)).toBeNull();
+    });
+});
@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const Hospital = require('../src/models/Hospital');
+const CapacityChange = require('../src/models/CapacityChange');
+const { applyWardUpdates, describeCapacity, summarizeWards } = require('../src/services/hospitalCapacity');
+
+describe('Hospital Capacity', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    const buildHospital = (wards = []) => {
+        const hospital = new Hospital({ name: 'City General', wards });
+        jest.spyOn(hospital, 'save').mockResolvedValue(hospital);
+        return hospital;
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should total the wards and date the totals by the least recently updated ward', () => {
+        const availability = summarizeWards([
+            { type: 'general', availableBeds: 10, updatedAt: hoursAgo(1) },
+            { type: 'icu', availableBeds: 2, updatedAt: hoursAgo(5) },
+            { type: 'emergency', availableBeds: 3, updatedAt: hoursAgo(2) }
+        ]);
+
+        expect(availability).toEqual({ beds: 15, icuBeds: 2, emergencyBeds: 3, updatedAt: hoursAgo(5) });
+        expect(summarizeWards([])).toBeUndefined();
+    });
+
+    it('should flag wards not updated within the staleness window', () => {
+        const hospital = {
+            wards: [
+                { name: 'General', type: 'general', availableBeds: 10, updatedAt: hoursAgo(2) },
+                { name: 'ICU', type: 'icu', availableBeds: 1, updatedAt: hoursAgo(13) }
+            ],
+            availability: { beds: 11, icuBeds: 1, emergencyBeds: 0, updatedAt: hoursAgo(13) }
+        };
+
+        const capacity = describeCapacity(hospital, now);
+
+        expect(capacity.staleAfterHours).toBe(12);
+        expect(capacity.wards.map(ward => ward.isStale)).toEqual([false, true]);
+        expect(capacity.availability.isStale).toBe(true);
+    });
+
+    it('should update wards by name, add new ones and record only real changes', async () => {
+        const hospital = buildHospital([
+            { name: 'General', type: 'general', totalBeds: 40, availableBeds: 5, updatedAt: hoursAgo(20) },
+            { name: 'ICU', type: 'icu', totalBeds: 8, availableBeds: 1, updatedAt: hoursAgo(20) }
+        ]);
+        const insert = jest.spyOn(CapacityChange, 'insertMany').mockImplementation(async docs => docs);
+
+        const result = await applyWardUpdates(hospital, [
+            { name: 'general', availableBeds: 7 },
+            { name: 'ICU', availableBeds: 1 },
+            { name: 'Emergency', type: 'emergency', totalBeds: 6, availableBeds: 2 }
+        ], { actor: { _id: new mongoose.Types.ObjectId() }, note: 'Morning round', now });
+
+        expect(result.ok).toBe(true);
+        expect(result.changes.map(change => [change.wardName, change.action])).toEqual([
+            ['General', 'updated'],
+            ['Emergency', 'created']
+        ]);
+        expect(result.changes[0].previous).toEqual({ totalBeds: 40, availableBeds: 5 });
+        expect(insert).toHaveBeenCalledTimes(1);
+
+        // An unchanged ward is still confirmed as current
+        expect(hospital.wards.every(ward => ward.updatedAt.getTime() === now.getTime())).toBe(true);
+        expect(hospital.availability.toObject()).toEqual({ beds: 10, icuBeds: 1, emergencyBeds: 2, updatedAt: now });
+    });
+
+    it('should refuse more available beds than the ward has', async () => {
+        const hospital = buildHospital([{ name: 'ICU', type: 'icu', totalBeds: 8, availableBeds: 1 }]);
+        const insert = jest.spyOn(CapacityChange, 'insertMany');
+
+        const result = await applyWardUpdates(hospital, [{ wardId: hospital.wards[0]._id, availableBeds: 9 }], { now });
+
+        expect(result).toMatchObject({ ok: false, statusCode: 400 });
+        expect(hospital.save).not.toHaveBeenCalled();
+        expect(insert).not.toHaveBeenCalled();
+    });
+});
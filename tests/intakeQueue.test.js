@@ -0,0 +1,81 @@
+const Referral = require('../src/models/Referral');
+const { describeQueueItem, claimReferral, assignReferral } = require('../src/services/intakeQueue');
+
+describe('Intake Queue', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const slaHours = { urgent: 4, high: 24 };
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    // Stand-in for a query chain ending in .lean()
+    const query = (result) => {
+        const chain = {
+            select: () => chain,
+            populate: () => chain,
+            lean: async () => result
+        };
+        return chain;
+    };
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should count down the SLA of pending referrals that have one', () => {
+        const urgent = describeQueueItem({ status: 'pending', priority: 'urgent', createdAt: hoursAgo(3) }, now, slaHours);
+        expect(urgent.sla).toMatchObject({ hours: 4, remainingMinutes: 60, isOverdue: false });
+        expect(urgent.ageInDays).toBe(0);
+
+        const overdue = describeQueueItem({ status: 'pending', priority: 'high', createdAt: hoursAgo(50) }, now, slaHours);
+        expect(overdue.sla).toMatchObject({ isOverdue: true, remainingMinutes: -26 * 60 });
+        expect(overdue.ageInDays).toBe(2);
+
+        expect(describeQueueItem({ status: 'pending', priority: 'low', createdAt: hoursAgo(1) }, now, slaHours).sla).toBeNull();
+        expect(describeQueueItem({ status: 'accepted', priority: 'urgent', createdAt: hoursAgo(1) }, now, slaHours).sla).toBeNull();
+    });
+
+    describe('Claiming', () => {
+        const doctor = { _id: '64b000000000000000000002', role: 'doctor', hospitalId: 'hospitalB' };
+        const referralId = '64b0000000000000000000f1';
+        const referral = { _id: referralId, referralId: 'REF1', status: 'pending', receivingHospital: 'hospitalB', receivingDoctor: null };
+
+        it('should only let doctors of the receiving hospital claim', async () => {
+            jest.spyOn(Referral, 'findById').mockReturnValue(query(referral));
+
+            const result = await claimReferral(referralId, { ...doctor, hospitalId: 'hospitalC' }, now);
+
+            expect(result).toMatchObject({ ok: false, statusCode: 403 });
+        });
+
+        it('should claim only while nobody else holds the referral', async () => {
+            jest.spyOn(Referral, 'findById').mockReturnValue(query(referral));
+            const update = jest.spyOn(Referral, 'findOneAndUpdate')
+                .mockReturnValueOnce(query({ ...referral, receivingDoctor: doctor._id }))
+                .mockReturnValueOnce(query(null));
+
+            const first = await claimReferral(referralId, doctor, now);
+            expect(first.ok).toBe(true);
+            expect(update.mock.calls[0][0]).toMatchObject({ receivingDoctor: null, status: { $in: ['pending', 'accepted'] } });
+            expect(update.mock.calls[0][1].$set.assignment).toMatchObject({ method: 'claimed', assignedBy: doctor._id });
+
+            const second = await claimReferral(referralId, { ...doctor, _id: '64b000000000000000000003' }, now);
+            expect(second).toMatchObject({ ok: false, statusCode: 409, message: 'Referral has already been claimed' });
+        });
+    });
+
+    describe('Validation', () => {
+        const admin = { _id: '64b000000000000000000004', role: 'hospital', hospitalId: 'hospitalB' };
+        const referralId = '64b0000000000000000000f1';
+
+        it('should reject malformed referral, doctor and department ids before querying', async () => {
+            const findById = jest.spyOn(Referral, 'findById');
+            const doctor = { _id: '64b000000000000000000002', role: 'doctor', hospitalId: 'hospitalB' };
+
+            expect(await claimReferral('r1', doctor, now)).toMatchObject({ ok: false, statusCode: 400, message: 'Invalid referral ID' });
+            expect(await assignReferral('r1', admin, { doctorId: null }, now))
+                .toMatchObject({ statusCode: 400, message: 'Invalid referral ID' });
+            expect(await assignReferral(referralId, admin, { doctorId: { $ne: null } }, now))
+                .toMatchObject({ statusCode: 400, message: 'Invalid doctor ID' });
+            expect(await assignReferral(referralId, admin, { departmentId: 'cardio' }, now))
+                .toMatchObject({ statusCode: 400, message: 'Invalid department ID' });
+            expect(findById).not.toHaveBeenCalled();
+        });
+    });
+});
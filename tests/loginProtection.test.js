@@ -0,0 +1,133 @@
+const User = require('../src/models/User');
+const SecurityEvent = require('../src/models/SecurityEvent');
+const { failureDelaySeconds, lockoutDurationMinutes, getLoginBlock, recordFailedLogin, recordUnknownLogin } = require('../src/services/loginProtection');
+const { login } = require('../src/controllers/authController');
+
+jest.mock('../src/config/email', () => ({
+    sendEmail: jest.fn(),
+    emailTemplates: { accountLocked: jest.fn(), accountUnlocked: jest.fn() }
+}));
+
+const { sendEmail, emailTemplates } = require('../src/config/email');
+
+describe('Login protection', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const userId = '64b000000000000000000001';
+    const req = { ip: '10.0.0.1', get: () => 'jest' };
+    const secondsAgo = (seconds) => new Date(now.getTime() - seconds * 1000);
+
+    // Stand-in for a query chain ending in .select()
+    const query = (result) => ({ select: async () => result });
+
+    beforeEach(() => {
+        jest.spyOn(SecurityEvent, 'create').mockResolvedValue({});
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        sendEmail.mockResolvedValue({});
+        emailTemplates.accountLocked.mockReturnValue({ subject: 'Locked' });
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should let the first failures through and then double the delay up to a minute', () => {
+        expect([1, 2, 3, 4, 5, 6, 20].map(failureDelaySeconds)).toEqual([0, 0, 1, 2, 4, 8, 60]);
+        expect([0, 1, 2, 10].map(lockoutDurationMinutes)).toEqual([15, 30, 60, 1440]);
+    });
+
+    it('should refuse attempts while delayed or locked and say when to retry', () => {
+        expect(getLoginBlock({ loginSecurity: { failedAttempts: 2, lastFailedAt: secondsAgo(0) } }, now).ok).toBe(true);
+
+        expect(getLoginBlock({ loginSecurity: { failedAttempts: 5, lastFailedAt: secondsAgo(1) } }, now))
+            .toMatchObject({ ok: false, statusCode: 429, retryAfter: 3 });
+        expect(getLoginBlock({ loginSecurity: { failedAttempts: 5, lastFailedAt: secondsAgo(4) } }, now).ok).toBe(true);
+
+        expect(getLoginBlock({ loginSecurity: { lockedUntil: new Date(now.getTime() + 90 * 1000) } }, now))
+            .toMatchObject({ ok: false, statusCode: 423, retryAfter: 90 });
+        expect(getLoginBlock({ loginSecurity: { lockedUntil: secondsAgo(1) } }, now).ok).toBe(true);
+    });
+
+    it('should count a failure and log it without locking below the limit', async () => {
+        jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        const update = jest.spyOn(User, 'findOneAndUpdate')
+            .mockReturnValue(query({ _id: userId, loginSecurity: { failedAttempts: 4 } }));
+
+        const result = await recordFailedLogin({ _id: userId, email: 'dr@example.com' }, req, 'bad_password', now);
+
+        expect(result).toEqual({ failedAttempts: 4, lockedUntil: null });
+        expect(update).toHaveBeenCalledTimes(1);
+        expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+            type: 'login_failed', user: userId, ip: '10.0.0.1', details: { reason: 'bad_password', failedAttempts: 4 }
+        }));
+        expect(sendEmail).not.toHaveBeenCalled();
+    });
+
+    it('should lock the account at the limit, escalating with earlier lockouts, and email the user', async () => {
+        jest.spyOn(User, 'updateOne').mockResolvedValue({});
+        const update = jest.spyOn(User, 'findOneAndUpdate')
+            .mockReturnValueOnce(query({ _id: userId, loginSecurity: { failedAttempts: 10, lockouts: 1 } }))
+            .mockReturnValueOnce(query({ _id: userId, email: 'dr@example.com', firstName: 'Ada', loginSecurity: { lockouts: 2 } }));
+
+        const result = await recordFailedLogin({ _id: userId, email: 'dr@example.com' }, req, 'bad_password', now);
+
+        const lockedUntil = new Date(now.getTime() + 30 * 60 * 1000);
+        expect(result).toEqual({ failedAttempts: 10, lockedUntil });
+        expect(update.mock.calls[1][1].$set).toEqual({ 'loginSecurity.lockedUntil': lockedUntil, 'loginSecurity.failedAttempts': 0 });
+        expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'account_locked' }));
+        expect(emailTemplates.accountLocked).toHaveBeenCalledWith(
+            expect.objectContaining({ name: 'Ada', failedAttempts: 10, lockoutMinutes: 30 }), 'en'
+        );
+        expect(sendEmail).toHaveBeenCalledWith(expect.objectContaining({ email: 'dr@example.com' }));
+    });
+
+    it('should keep the lockout state out of serialized users', () => {
+        const user = new User({
+            email: 'dr@example.com',
+            loginSecurity: { failedAttempts: 3, lastFailedAt: now, lockedUntil: now, lockouts: 1 }
+        });
+
+        expect(user.toJSON()).not.toHaveProperty('loginSecurity');
+    });
+
+    describe('Unknown emails', () => {
+        // Logged unknown-email failures at the given times, oldest first
+        const mockFailures = (...times) => jest.spyOn(SecurityEvent, 'find').mockReturnValue({
+            select: () => ({ sort: () => ({ lean: async () => times.map(createdAt => ({ createdAt })) }) })
+        });
+
+        it('should delay and lock unknown emails exactly like real accounts', async () => {
+            const find = mockFailures(secondsAgo(40), secondsAgo(30), secondsAgo(20), secondsAgo(10), secondsAgo(1));
+
+            const delayed = await recordUnknownLogin('Nobody@Example.com', 'guess', req, now);
+
+            expect(delayed).toEqual(getLoginBlock({ loginSecurity: { failedAttempts: 5, lastFailedAt: secondsAgo(1) } }, now));
+            expect(delayed).toMatchObject({ statusCode: 429, retryAfter: 3 });
+            expect(find.mock.calls[0][0]).toMatchObject({ email: 'nobody@example.com', 'details.reason': 'unknown_email' });
+            expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({ type: 'login_throttled' }));
+
+            mockFailures(...Array.from({ length: 10 }, (value, index) => secondsAgo(600 - index * 60)));
+            expect(await recordUnknownLogin('nobody@example.com', 'guess', req, now))
+                .toMatchObject({ ok: false, statusCode: 423, retryAfter: 15 * 60 - 60 });
+        });
+
+        it('should forget a run of failures that went quiet and log the next attempt', async () => {
+            mockFailures(secondsAgo(2 * 24 * 3600), secondsAgo(2 * 24 * 3600 - 1), secondsAgo(2 * 24 * 3600 - 2), secondsAgo(2 * 24 * 3600 - 3));
+
+            expect(await recordUnknownLogin('nobody@example.com', 'guess', req, now)).toEqual({ ok: true });
+            expect(SecurityEvent.create).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'login_failed', email: 'nobody@example.com', details: { reason: 'unknown_email' }
+            }));
+        });
+
+        it('should answer a throttled unknown email as it would a throttled account', async () => {
+            jest.spyOn(User, 'findOne').mockReturnValue(query(null));
+            const ago = (seconds) => new Date(Date.now() - seconds * 1000);
+            mockFailures(ago(40), ago(30), ago(20), ago(10), ago(1));
+            const res = { set: jest.fn(() => res), json: jest.fn() };
+            res.status = jest.fn(() => res);
+
+            await login({ body: { email: 'nobody@example.com', password: 'guess' }, ip: req.ip, get: req.get }, res);
+
+            expect(res.status).toHaveBeenCalledWith(429);
+            expect(res.set).toHaveBeenCalledWith('Retry-After', expect.any(String));
+        });
+    });
+});
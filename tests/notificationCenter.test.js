@@ -0,0 +1,41 @@
+const Notification = require('../src/models/Notification');
+const { createNotifications } = require('../src/services/notificationCenter');
+
+describe('Notification center', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should notify each recipient once and never the actor', async () => {
+        const insertMany = jest.spyOn(Notification, 'insertMany').mockImplementation(async docs => docs);
+
+        await createNotifications(['u1', { _id: 'u2' }, 'u1', null, 'actor'], {
+            type: 'referral_message',
+            title: 'New referral message',
+            link: { entityType: 'referral', entityId: 'r1', path: '/referrals/r1' },
+            actor: { _id: 'actor' },
+            key: 'referral-message:m1'
+        });
+
+        const docs = insertMany.mock.calls[0][0];
+        expect(docs.map(doc => doc.recipient)).toEqual(['u1', 'u2']);
+        expect(docs[0]).toMatchObject({ actor: 'actor', key: 'referral-message:m1', link: { path: '/referrals/r1' } });
+    });
+
+    it('should skip recipients already notified for the same event', async () => {
+        const error = Object.assign(new Error('E11000 duplicate key'), {
+            code: 11000,
+            writeErrors: [{ code: 11000 }],
+            insertedDocs: [{ recipient: 'u2' }]
+        });
+        jest.spyOn(Notification, 'insertMany').mockRejectedValue(error);
+
+        const created = await createNotifications(['u1', 'u2'], { type: 'record_created', title: 'New medical record', key: 'k' });
+        expect(created).toEqual([{ recipient: 'u2' }]);
+    });
+
+    it('should not touch the database when nobody is left to notify', async () => {
+        const insertMany = jest.spyOn(Notification, 'insertMany');
+
+        await expect(createNotifications(['actor'], { type: 'record_created', title: 'x', actor: 'actor' })).resolves.toEqual([]);
+        expect(insertMany).not.toHaveBeenCalled();
+    });
+});
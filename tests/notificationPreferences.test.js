@@ -0,0 +1,31 @@
+const {
+    EMAIL_EVENT_TYPES,
+    wantsEmail,
+    getEmailPreferences,
+    parseEmailPreferenceUpdate
+} = require('../src/services/notificationPreferences');
+
+describe('Notification Preferences', () => {
+    it('should treat missing preferences as opted in', () => {
+        expect(wantsEmail({}, 'referralMessage')).toBe(true);
+        expect(wantsEmail({ notificationPreferences: { email: {} } }, 'referralMessage')).toBe(true);
+    });
+
+    it('should honour an explicit opt-out for that event type only', () => {
+        const user = { notificationPreferences: { email: { referralMessage: false } } };
+
+        expect(wantsEmail(user, 'referralMessage')).toBe(false);
+        expect(wantsEmail(user, 'referralDecision')).toBe(true);
+        expect(getEmailPreferences(user)).toEqual({
+            ...Object.fromEntries(Object.keys(EMAIL_EVENT_TYPES).map(type => [type, true])),
+            referralMessage: false
+        });
+    });
+
+    it('should validate preference updates', () => {
+        expect(parseEmailPreferenceUpdate({ appointments: false })).toEqual({ updates: { appointments: false } });
+        expect(parseEmailPreferenceUpdate({ unknown: false }).error).toMatch('Unknown notification type');
+        expect(parseEmailPreferenceUpdate({ appointments: 'no' }).error).toMatch('true or false');
+        expect(parseEmailPreferenceUpdate(['appointments']).error).toBeDefined();
+    });
+});
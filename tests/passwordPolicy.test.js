@@ -0,0 +1,110 @@
+const bcrypt = require('bcrypt');
+const Hospital = require('../src/models/Hospital');
+const User = require('../src/models/User');
+const { createHospital } = require('../src/controllers/hospitalController');
+const { createDoctor } = require('../src/controllers/doctorController');
+const {
+    getPasswordPolicy,
+    checkPasswordPolicy,
+    isCommonPassword,
+    isPasswordReused,
+    setNewPassword,
+    isPasswordExpired
+} = require('../src/services/passwordPolicy');
+
+describe('Password policy', () => {
+    const user = { firstName: 'Amina', lastName: 'Okafor', email: 'a.okafor@stmarys.org' };
+    const policy = { ...getPasswordPolicy(), historyCount: 3, maxAgeDays: 90 };
+
+    it('should accept a strong password and explain every rule a weak one breaks', () => {
+        expect(checkPasswordPolicy('Harbor-Lantern-42', user)).toEqual([]);
+
+        expect(checkPasswordPolicy('short1', user)).toEqual([
+            'Password must be at least 10 characters long',
+            'Password must contain an uppercase letter'
+        ]);
+        expect(checkPasswordPolicy(undefined, user)).toEqual(['Password is required']);
+    });
+
+    it('should reject passwords containing the name or email', () => {
+        expect(checkPasswordPolicy('Amina-Rocks-2026', user)).toContain('Password must not contain your name or email address');
+        expect(checkPasswordPolicy('MyOkafor!Key9', user)).toContain('Password must not contain your name or email address');
+        expect(checkPasswordPolicy('Xa.okafor99Z', user)).toContain('Password must not contain your name or email address');
+    });
+
+    it('should catch common passwords dressed up to pass the character rules', () => {
+        expect(isCommonPassword('qwerty123')).toBe(true);
+        expect(isCommonPassword('Password123!')).toBe(true);
+        expect(isCommonPassword('2024Sunshine')).toBe(true);
+        expect(isCommonPassword('Harbor-Lantern-42')).toBe(false);
+        expect(checkPasswordPolicy('Welcome12345', user))
+            .toEqual(['This password is too common or has appeared in data breaches; choose another']);
+    });
+
+    it('should refuse the last passwords and keep only as many hashes as needed', async () => {
+        const hash = (password) => bcrypt.hash(password, 4);
+        const account = {
+            password: await hash('Current-Pass-1'),
+            passwordHistory: [await hash('Oldest-Pass-1'), await hash('Older-Pass-1'), await hash('Old-Pass-1')]
+        };
+
+        expect(await isPasswordReused(account, 'Current-Pass-1', policy)).toBe(true);
+        expect(await isPasswordReused(account, 'Old-Pass-1', policy)).toBe(true);
+        expect(await isPasswordReused(account, 'Older-Pass-1', policy)).toBe(true);
+        expect(await isPasswordReused(account, 'Oldest-Pass-1', policy)).toBe(false);
+
+        const current = account.password;
+        setNewPassword(account, 'Brand-New-Pass-1', policy);
+        expect(account.password).toBe('Brand-New-Pass-1');
+        expect(account.passwordHistory).toHaveLength(2);
+        expect(account.passwordHistory[1]).toBe(current);
+    });
+
+    it('should expire passwords only when a maximum age is configured', () => {
+        const now = new Date('2026-06-01T00:00:00Z');
+
+        expect(isPasswordExpired({ passwordChangedAt: new Date('2026-02-01T00:00:00Z') }, now, policy)).toBe(true);
+        expect(isPasswordExpired({ passwordChangedAt: new Date('2026-04-01T00:00:00Z') }, now, policy)).toBe(false);
+        expect(isPasswordExpired({ createdAt: new Date('2025-01-01T00:00:00Z') }, now, policy)).toBe(true);
+        expect(isPasswordExpired({ passwordChangedAt: new Date('2020-01-01T00:00:00Z') }, now, { ...policy, maxAgeDays: 0 })).toBe(false);
+    });
+
+    it('should refuse a weak password for the admin of a newly registered hospital', async () => {
+        const findOne = jest.spyOn(Hospital, 'findOne').mockResolvedValue(null);
+        const save = jest.spyOn(User.prototype, 'save');
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+
+        await createHospital({
+            body: { name: 'St Marys', email: user.email, firstName: 'Amina', lastName: 'Okafor', password: 'amina123' }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].errors.length).toBeGreaterThan(0);
+        expect(findOne).not.toHaveBeenCalled();
+        expect(save).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a weak password for a doctor created by staff', async () => {
+        const findOne = jest.spyOn(User, 'findOne');
+        const save = jest.spyOn(User.prototype, 'save');
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+
+        await createDoctor({
+            user: { _id: 'admin1', role: 'hospital', hospitalId: '64b0000000000000000000a1' },
+            body: {
+                firstName: 'Amina',
+                lastName: 'Okafor',
+                email: user.email,
+                password: 'password1',
+                practiceType: 'hospital',
+                licenseNumber: 'MD-1',
+                specialization: 'Cardiology'
+            }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json.mock.calls[0][0].errors.length).toBeGreaterThan(0);
+        expect(findOne).not.toHaveBeenCalled();
+        expect(save).not.toHaveBeenCalled();
+    });
+});
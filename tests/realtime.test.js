@@ -0,0 +1,138 @@
+const Session = require('../src/models/Session');
+const { addClient, getConnectedCount } = require('../src/services/realtime');
+const { emitEvent } = require('../src/services/eventBus');
+
+describe('Realtime event stream', () => {
+    const referringDoctor = { _id: 'doctor1', role: 'doctor', hospitalId: 'hospitalA' };
+    const receivingAdmin = { _id: 'admin2', role: 'hospital', hospitalId: 'hospitalB' };
+    const receivingColleague = { _id: 'doctor2', role: 'doctor', hospitalId: 'hospitalB' };
+    const patient = { _id: 'patient1', role: 'patient' };
+    const otherPatient = { _id: 'patient2', role: 'patient' };
+    const outsideAdmin = { _id: 'admin3', role: 'hospital', hospitalId: 'hospitalC' };
+
+    const referral = {
+        _id: 'ref1',
+        referralId: 'REF0001',
+        status: 'accepted',
+        patient: 'patient1',
+        referringDoctor: 'doctor1',
+        referringHospital: 'hospitalA',
+        receivingHospital: 'hospitalB',
+        receivingDoctor: null
+    };
+
+    let connections;
+
+    // Connect a fake response stream per user and collect the event types each receives
+    const connect = (...users) => {
+        connections = users.map(user => {
+            const res = { writeHead: jest.fn(), write: jest.fn() };
+            return { user, res, close: addClient(user, res, { departmentIds: user.departmentIds }) };
+        });
+    };
+
+    const received = () => Object.fromEntries(connections.map(({ user, res }) => [
+        user._id,
+        res.write.mock.calls
+            .map(([chunk]) => chunk.match(/^event: (.+)\n$/))
+            .filter(Boolean)
+            .map(match => match[1])
+            .filter(type => type !== 'connected')
+    ]));
+
+    afterEach(() => connections.forEach(({ close }) => close()));
+
+    it('should open an event stream and forget it on disconnect', () => {
+        connect(patient);
+
+        expect(connections[0].res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+        expect(getConnectedCount()).toBe(1);
+        connections[0].close();
+        expect(getConnectedCount()).toBe(0);
+    });
+
+    it('should end the stream once its session is revoked', async () => {
+        jest.useFakeTimers();
+        const sessionId = '507f1f77bcf86cd799439011';
+        const session = { user: 'patient1', revokedAt: null, expiresAt: new Date(Date.now() + 60 * 60 * 1000) };
+        const findById = jest.spyOn(Session, 'findById')
+            .mockReturnValue({ select: () => ({ lean: async () => session }) });
+        const res = { writeHead: jest.fn(), write: jest.fn(), end: jest.fn() };
+        connections = [{ user: patient, res, close: addClient(patient, res, { sessionId }) }];
+
+        try {
+            await jest.advanceTimersByTimeAsync(25000);
+            expect(findById).toHaveBeenCalledWith(sessionId);
+            expect(res.write).toHaveBeenLastCalledWith(': ping\n\n');
+            expect(res.end).not.toHaveBeenCalled();
+
+            session.revokedAt = new Date();
+            await jest.advanceTimersByTimeAsync(25000);
+            expect(res.write).toHaveBeenCalledWith('event: session_ended\n');
+            expect(res.end).toHaveBeenCalledTimes(1);
+            expect(getConnectedCount()).toBe(0);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    it('should push referral changes only to users in the referral scope', () => {
+        connect(referringDoctor, receivingAdmin, patient, otherPatient, outsideAdmin);
+
+        emitEvent('referral.status_changed', { referral, actor: receivingAdmin, previousStatus: 'pending' });
+
+        expect(received()).toEqual({
+            doctor1: ['referral.status_changed'],
+            admin2: ['referral.status_changed'],
+            patient1: ['referral.status_changed'],
+            patient2: [],
+            admin3: []
+        });
+    });
+
+    it('should push changes to the staff of the receiving department', () => {
+        const departmentDoctor = { _id: 'doctor7', role: 'doctor', hospitalId: 'hospitalB', departmentIds: ['cardiology'] };
+        const otherDepartmentDoctor = { _id: 'doctor8', role: 'doctor', hospitalId: 'hospitalB', departmentIds: ['neurology'] };
+        connect(departmentDoctor, otherDepartmentDoctor);
+
+        emitEvent('referral.status_changed', {
+            referral: { ...referral, receivingDoctor: 'doctor4', receivingDepartment: 'cardiology' },
+            actor: receivingAdmin,
+            previousStatus: 'pending'
+        });
+
+        expect(received()).toEqual({ doctor7: ['referral.status_changed'], doctor8: [] });
+    });
+
+    it('should keep messages to the thread participants', () => {
+        connect(referringDoctor, receivingAdmin, patient, outsideAdmin);
+
+        emitEvent('referral.message', {
+            referral,
+            message: { _id: 'msg1', sender: 'doctor1', message: 'Any update?', timestamp: new Date() }
+        });
+
+        expect(received()).toEqual({
+            doctor1: ['referral.message'],
+            admin2: ['referral.message'],
+            patient1: ['referral.message'],
+            admin3: []
+        });
+    });
+
+    it('should tell receiving doctors about assignments so their intake queues stay current', () => {
+        connect(receivingColleague, otherPatient);
+
+        emitEvent('referral.assigned', { referral: { ...referral, receivingDoctor: 'doctor9' }, actor: receivingAdmin });
+
+        expect(received()).toEqual({ doctor2: ['referral.assigned'], patient2: [] });
+    });
+
+    it('should push new records to their patient and doctor only', () => {
+        connect(patient, otherPatient, referringDoctor);
+
+        emitEvent('record.created', { record: { _id: 'rec1', patient: 'patient1', doctor: 'doctor1', hospital: 'hospitalA' } });
+
+        expect(received()).toEqual({ patient1: ['record.created'], patient2: [], doctor1: ['record.created'] });
+    });
+});
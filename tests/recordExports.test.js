@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const MedicalRecord = require('../src/models/MedicalRecord');
+const User = require('../src/models/User');
+const { renderRecordSummary, renderPatientChart } = require('../src/services/pdf/medicalRecord');
+const { getRecordPdf, getPatientChartPdf } = require('../src/controllers/recordController');
+
+jest.mock('../src/services/pdf/medicalRecord', () => ({
+    renderRecordSummary: jest.fn(),
+    renderPatientChart: jest.fn()
+}));
+
+describe('Medical record exports', () => {
+    const id = () => new mongoose.Types.ObjectId();
+    const hospitalId = id();
+    const patient = { _id: id(), role: 'patient', firstName: 'Amina', lastName: 'Khan' };
+    const doctor = { _id: id(), role: 'doctor' };
+    const hospitalAdmin = { _id: id(), role: 'hospital', hospitalId };
+    const otherDoctor = { _id: id(), role: 'doctor' };
+    const otherPatient = { _id: id(), role: 'patient' };
+    const record = { _id: id(), recordId: 'MR0001', patient: { _id: patient._id }, doctor: { _id: doctor._id }, hospital: { _id: hospitalId } };
+
+    // A query chain (select/populate/sort) ending in lean()
+    const query = (result) => {
+        const chain = { lean: () => Promise.resolve(result) };
+        ['select', 'populate', 'sort'].forEach(method => { chain[method] = () => chain; });
+        return chain;
+    };
+
+    const call = async (handler, user, { params = {}, query: q = {} } = {}) => {
+        const res = { statusCode: 200, headers: {} };
+        res.status = jest.fn(code => { res.statusCode = code; return res; });
+        res.json = jest.fn(payload => { res.body = payload; return res; });
+        res.setHeader = (name, value) => { res.headers[name] = value; };
+        res.send = jest.fn(body => { res.body = body; return res; });
+        await handler({ user, params, query: q }, res);
+        return res;
+    };
+
+    beforeEach(() => {
+        renderRecordSummary.mockResolvedValue(Buffer.from('%PDF summary'));
+        renderPatientChart.mockResolvedValue(Buffer.from('%PDF chart'));
+    });
+
+    describe('Record summary', () => {
+        it('should export a record to its patient, doctor and hospital', async () => {
+            jest.spyOn(MedicalRecord, 'findById').mockReturnValue(query(record));
+
+            for (const user of [patient, doctor, hospitalAdmin]) {
+                const res = await call(getRecordPdf, user, { params: { id: String(record._id) } });
+                expect(res.statusCode).toBe(200);
+                expect(res.headers['Content-Type']).toBe('application/pdf');
+                expect(res.headers['Cache-Control']).toBe('private, no-store');
+            }
+        });
+
+        it('should refuse anyone else', async () => {
+            jest.spyOn(MedicalRecord, 'findById').mockReturnValue(query(record));
+
+            expect((await call(getRecordPdf, otherDoctor, { params: { id: String(record._id) } })).statusCode).toBe(403);
+            expect((await call(getRecordPdf, otherPatient, { params: { id: String(record._id) } })).statusCode).toBe(403);
+            expect(renderRecordSummary).not.toHaveBeenCalled();
+        });
+
+        it('should return 404 for malformed ids', async () => {
+            expect((await call(getRecordPdf, doctor, { params: { id: 'nope' } })).statusCode).toBe(404);
+        });
+    });
+
+    describe('Patient chart', () => {
+        it("should only include records within the caller's scope", async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(query(patient));
+            const find = jest.spyOn(MedicalRecord, 'find').mockReturnValue(query([record]));
+
+            const res = await call(getPatientChartPdf, doctor, {
+                params: { patientId: String(patient._id) },
+                query: { startDate: '2026-01-01', endDate: '2026-06-30' }
+            });
+
+            expect(res.statusCode).toBe(200);
+            const [filter] = find.mock.calls[0];
+            expect(filter.patient).toBe(patient._id);
+            expect(filter.$or).toEqual([{ patient: doctor._id }, { doctor: doctor._id }]);
+            expect(filter.visitDate).toEqual({ $gte: new Date('2026-01-01'), $lte: new Date('2026-06-30') });
+            expect(renderPatientChart).toHaveBeenCalledWith(patient, [record], { startDate: '2026-01-01', endDate: '2026-06-30' });
+        });
+
+        it('should refuse users with no visible record, except the patient', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(query(patient));
+            jest.spyOn(MedicalRecord, 'find').mockReturnValue(query([]));
+
+            expect((await call(getPatientChartPdf, otherDoctor, { params: { patientId: String(patient._id) } })).statusCode).toBe(403);
+            expect((await call(getPatientChartPdf, patient, { params: { patientId: String(patient._id) } })).statusCode).toBe(200);
+        });
+
+        it('should validate the patient and the date range', async () => {
+            jest.spyOn(User, 'findById').mockReturnValue(query(doctor));
+
+            expect((await call(getPatientChartPdf, doctor, { params: { patientId: String(doctor._id) } })).statusCode).toBe(404);
+            expect((await call(getPatientChartPdf, doctor, { params: { patientId: 'nope' } })).statusCode).toBe(404);
+            expect((await call(getPatientChartPdf, doctor, {
+                params: { patientId: String(patient._id) },
+                query: { startDate: 'yesterday-ish' }
+            })).statusCode).toBe(400);
+        });
+    });
+});
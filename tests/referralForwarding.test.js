@@ -0,0 +1,135 @@
+jest.mock('../src/services/storage', () => ({
+    copyStoredFile: jest.fn(),
+    removeStoredFile: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const Referral = require('../src/models/Referral');
+const Hospital = require('../src/models/Hospital');
+const Department = require('../src/models/Department');
+const User = require('../src/models/User');
+const { copyStoredFile, removeStoredFile } = require('../src/services/storage');
+const { buildChildReferral, forwardReferral } = require('../src/services/referralForwarding');
+
+describe('Referral Forwarding', () => {
+    const attachmentId = new mongoose.Types.ObjectId();
+    const parent = {
+        _id: new mongoose.Types.ObjectId(),
+        referralId: 'REF1',
+        status: 'pending',
+        patient: new mongoose.Types.ObjectId(),
+        referringDoctor: new mongoose.Types.ObjectId(),
+        receivingHospital: new mongoose.Types.ObjectId(),
+        reason: 'Chest pain',
+        specialty: 'cardiology',
+        priority: 'high',
+        chiefComplaint: 'Chest pain on exertion',
+        diagnosis: { primary: 'Angina', secondary: [] },
+        attachments: [{
+            _id: attachmentId,
+            name: 'ecg.pdf',
+            type: 'lab_report',
+            mimeType: 'application/pdf',
+            storage: { provider: 'local', key: 'referrals/parent/ecg.pdf' }
+        }],
+        investigations: [{ type: 'ECG', result: 'ST depression', attachment: attachmentId, file: `/api/files/referral/parent/${attachmentId}` }]
+    };
+
+    beforeEach(() => {
+        copyStoredFile.mockImplementation(async (file, folder) => ({
+            provider: 'local',
+            key: `${folder}/copy-of-${file.storage.key.split('/').pop()}`
+        }));
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should copy the clinical content and give the child its own attachment copies', async () => {
+        const { child, copies } = await buildChildReferral(parent, {
+            referralId: 'REF2',
+            patient: parent.patient,
+            referringDoctor: new mongoose.Types.ObjectId(),
+            receivingHospital: new mongoose.Types.ObjectId(),
+            parentReferral: parent._id
+        });
+
+        expect(child).toMatchObject({ reason: 'Chest pain', specialty: 'cardiology', priority: 'high', chiefComplaint: 'Chest pain on exertion' });
+        expect(child.diagnosis.primary).toBe('Angina');
+        expect(child.parentReferral.toString()).toBe(parent._id.toString());
+
+        expect(copyStoredFile).toHaveBeenCalledWith(parent.attachments[0], `referrals/${child._id}`);
+        expect(copies).toHaveLength(1);
+
+        const [attachment] = child.attachments;
+        expect(attachment._id.toString()).not.toBe(attachmentId.toString());
+        expect(attachment.storage.key).toBe(`referrals/${child._id}/copy-of-ecg.pdf`);
+        expect(attachment.url).toBe(`/api/files/referral/${child._id}/${attachment._id}`);
+        expect(child.investigations[0].attachment.toString()).toBe(attachment._id.toString());
+        expect(child.investigations[0].file).toBe(attachment.url);
+    });
+
+    it('should only let the receiving side forward, and require a reason', async () => {
+        jest.spyOn(Referral, 'findById').mockResolvedValue(parent);
+
+        const referring = { _id: parent.referringDoctor, role: 'doctor' };
+        expect(await forwardReferral(parent._id, referring, { reason: 'No cath lab' }))
+            .toMatchObject({ ok: false, statusCode: 403 });
+
+        const receiving = { _id: new mongoose.Types.ObjectId(), role: 'hospital', hospitalId: parent.receivingHospital };
+        expect(await forwardReferral(parent._id, receiving, {}))
+            .toMatchObject({ ok: false, statusCode: 400, message: 'reason is required to change status to forwarded' });
+        expect(await forwardReferral(parent._id, receiving, { reason: 'No cath lab', receivingHospitalId: parent.receivingHospital }))
+            .toMatchObject({ ok: false, statusCode: 400 });
+    });
+
+    describe('forwardReferral', () => {
+        const receiving = { _id: new mongoose.Types.ObjectId(), role: 'hospital', hospitalId: parent.receivingHospital };
+        const target = { _id: new mongoose.Types.ObjectId(), name: 'City General' };
+        const chain = result => ({
+            select: () => chain(result),
+            sort: () => chain(result),
+            lean: async () => result,
+            then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+        });
+
+        beforeEach(() => {
+            removeStoredFile.mockResolvedValue();
+            jest.spyOn(Referral, 'findById').mockResolvedValue(Referral.hydrate({ ...parent }));
+            jest.spyOn(Hospital, 'findOne').mockReturnValue(chain(target));
+            jest.spyOn(Department, 'find').mockReturnValue(chain([]));
+            jest.spyOn(User, 'findOne').mockReturnValue(chain({ _id: new mongoose.Types.ObjectId() }));
+        });
+
+        it('should answer malformed ids with 404 for the referral and 400 for the destination', async () => {
+            const findOne = jest.spyOn(Department, 'findOne');
+            const findUser = jest.spyOn(User, 'findById');
+            const body = { reason: 'No cath lab', receivingHospitalId: target._id };
+
+            expect(await forwardReferral('abc', receiving, body)).toMatchObject({ ok: false, statusCode: 404 });
+            expect(Referral.findById).not.toHaveBeenCalled();
+            expect(await forwardReferral(parent._id, receiving, { ...body, receivingDepartmentId: 'cardio' }))
+                .toMatchObject({ ok: false, statusCode: 400, message: 'Invalid receiving department ID' });
+            expect(await forwardReferral(parent._id, receiving, { ...body, receivingDoctorId: { $ne: null } }))
+                .toMatchObject({ ok: false, statusCode: 400, message: 'Invalid receiving doctor ID' });
+            expect(findOne).not.toHaveBeenCalled();
+            expect(findUser).not.toHaveBeenCalled();
+        });
+
+        it('should delete the child and its copied files when the original changes mid-forward', async () => {
+            const save = jest.spyOn(Referral.prototype, 'save').mockImplementation(function () { return Promise.resolve(this); });
+            const update = jest.spyOn(Referral, 'findOneAndUpdate').mockReturnValue(chain(null));
+            const deleteOne = jest.spyOn(Referral, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+
+            const result = await forwardReferral(parent._id, receiving, { reason: 'No cath lab', receivingHospitalId: target._id });
+
+            expect(result).toMatchObject({ ok: false, statusCode: 409 });
+            expect(save).toHaveBeenCalledTimes(1);
+            const child = save.mock.contexts[0];
+            expect(update.mock.calls[0][0]).toEqual({ _id: parent._id, status: 'pending' });
+            expect(deleteOne).toHaveBeenCalledWith({ _id: child._id });
+            expect(removeStoredFile).toHaveBeenCalledWith(expect.objectContaining({
+                key: `referrals/${child._id}/copy-of-ecg.pdf`
+            }));
+        });
+    });
+});
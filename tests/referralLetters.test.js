@@ -0,0 +1,110 @@
+const Referral = require('../src/models/Referral');
+const { letterSourceHash, renderReferralLetter } = require('../src/services/pdf/referralLetter');
+const { getStorage, removeStoredFile } = require('../src/services/storage');
+const { getReferralLetter } = require('../src/services/referralLetters');
+
+jest.mock('../src/services/pdf/referralLetter', () => ({
+    ...jest.requireActual('../src/services/pdf/referralLetter'),
+    renderReferralLetter: jest.fn()
+}));
+
+jest.mock('../src/services/storage', () => ({
+    ...jest.requireActual('../src/services/storage'),
+    getStorage: jest.fn(),
+    removeStoredFile: jest.fn()
+}));
+
+describe('Referral letters', () => {
+    const referral = () => ({
+        _id: 'ref1',
+        referralId: 'REF0001',
+        status: 'pending',
+        reason: 'Chest pain on exertion',
+        priority: 'high',
+        patient: { firstName: 'Amina', lastName: 'Khan' },
+        receivingHospital: { name: 'City General Hospital', address: { city: 'Lagos' } },
+        updatedAt: new Date('2026-01-01T10:00:00Z')
+    });
+
+    describe('letterSourceHash', () => {
+        it('should change when anything printed on the letter changes', () => {
+            const original = letterSourceHash(referral());
+
+            expect(letterSourceHash({ ...referral(), reason: 'Syncope' })).not.toBe(original);
+            expect(letterSourceHash({ ...referral(), patient: { firstName: 'Amina', lastName: 'Bello' } })).not.toBe(original);
+            expect(letterSourceHash({
+                ...referral(),
+                receivingHospital: { name: 'City General Hospital', address: { city: 'Abuja' } }
+            })).not.toBe(original);
+        });
+
+        it('should ignore changes that are not on the letter', () => {
+            const original = letterSourceHash(referral());
+
+            expect(letterSourceHash({ ...referral(), status: 'accepted', updatedAt: new Date() })).toBe(original);
+            expect(letterSourceHash(referral())).toBe(original);
+        });
+    });
+
+    describe('getReferralLetter', () => {
+        const rendered = Buffer.from('%PDF-1.7 fresh');
+        let storage;
+
+        const withCache = (sourceHash) => ({
+            ...referral(),
+            pdfReport: { sourceHash, storage: { provider: 'local', key: 'referrals/ref1/letters/old.pdf' } }
+        });
+
+        beforeEach(() => {
+            storage = {
+                read: jest.fn(),
+                save: jest.fn().mockResolvedValue({ provider: 'local', key: 'referrals/ref1/letters/new.pdf', url: null, size: 14 })
+            };
+            getStorage.mockReturnValue(storage);
+            removeStoredFile.mockResolvedValue();
+            renderReferralLetter.mockResolvedValue(rendered);
+            jest.spyOn(Referral, 'updateOne').mockResolvedValue({});
+        });
+
+        it('should serve a current cached letter without rendering it again', async () => {
+            storage.read.mockResolvedValue(Buffer.from('%PDF-1.7 cached'));
+
+            const buffer = await getReferralLetter(withCache(letterSourceHash(referral())));
+
+            expect(buffer.toString()).toBe('%PDF-1.7 cached');
+            expect(renderReferralLetter).not.toHaveBeenCalled();
+            expect(storage.save).not.toHaveBeenCalled();
+        });
+
+        it('should replace a stale cached letter', async () => {
+            const buffer = await getReferralLetter(withCache('outdated'));
+
+            expect(buffer).toBe(rendered);
+            expect(storage.read).not.toHaveBeenCalled();
+            const [, update, options] = Referral.updateOne.mock.calls[0];
+            expect(update.$set.pdfReport).toMatchObject({
+                sourceHash: letterSourceHash(referral()),
+                storage: { provider: 'local', key: 'referrals/ref1/letters/new.pdf' }
+            });
+            expect(options).toEqual({ timestamps: false });
+            expect(removeStoredFile).toHaveBeenCalledWith({ provider: 'local', key: 'referrals/ref1/letters/old.pdf' });
+        });
+
+        it('should render and cache the letter again when the cached copy cannot be read', async () => {
+            storage.read.mockRejectedValue(Object.assign(new Error('ENOENT: no such file'), { code: 'ENOENT' }));
+
+            const buffer = await getReferralLetter(withCache(letterSourceHash(referral())));
+
+            expect(buffer).toBe(rendered);
+            expect(storage.save).toHaveBeenCalledWith(expect.objectContaining({ buffer: rendered, ext: 'pdf' }));
+            expect(Referral.updateOne).toHaveBeenCalled();
+        });
+
+        it('should still return the letter when caching fails', async () => {
+            storage.save.mockRejectedValue(new Error('Storage unavailable'));
+
+            await expect(getReferralLetter(referral())).resolves.toBe(rendered);
+            expect(Referral.updateOne).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Referral = require('../src/models/Referral');
+const { getReferrals } = require('../src/controllers/referralController');
+
+describe('Referral list', () => {
+    const patientId = '64b000000000000000000001';
+    const superAdmin = { _id: 'root', role: 'super_admin' };
+
+    // Stand-in for the populated list query
+    const listQuery = (result) => {
+        const chain = { populate: () => chain, sort: () => chain, skip: () => chain, limit: () => chain, lean: async () => result };
+        return chain;
+    };
+
+    let res;
+
+    beforeEach(() => {
+        res = { status: jest.fn(() => res), json: jest.fn() };
+        jest.spyOn(Referral, 'find').mockReturnValue(listQuery([{ _id: 'r1' }]));
+    });
+
+    it('should count the stats in one aggregation over the cast list filter', async () => {
+        const countDocuments = jest.spyOn(Referral, 'countDocuments');
+        const aggregate = jest.spyOn(Referral, 'aggregate')
+            .mockResolvedValue([{ _id: null, total: 3, pending: 2, expired: 1, forwarded: 0, priority_urgent: 1, priority_low: 2 }]);
+
+        await getReferrals({ user: superAdmin, query: { patientId, priority: 'urgent', limit: '2' } }, res);
+
+        expect(aggregate).toHaveBeenCalledTimes(1);
+        expect(countDocuments).not.toHaveBeenCalled();
+        const [{ $match }, { $group }] = aggregate.mock.calls[0][0];
+        expect($match.patient).toBeInstanceOf(mongoose.Types.ObjectId);
+        expect($match.patient.toString()).toBe(patientId);
+        expect($match.priority).toBe('urgent');
+        expect($group.pending).toEqual({ $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] } });
+
+        const { data } = res.json.mock.calls[0][0];
+        expect(data.pagination).toEqual({ current: 1, pages: 2, total: 3, limit: 2 });
+        expect(data.stats).toEqual({
+            total: 3,
+            pending: 2,
+            accepted: 0,
+            completed: 0,
+            cancelled: 0,
+            expired: 1,
+            forwarded: 0,
+            byPriority: { low: 2, medium: 0, high: 0, urgent: 1 }
+        });
+    });
+
+    it('should report zero counts when nothing matches', async () => {
+        jest.spyOn(Referral, 'aggregate').mockResolvedValue([]);
+
+        await getReferrals({ user: superAdmin, query: {} }, res);
+
+        const { data } = res.json.mock.calls[0][0];
+        expect(data.pagination.total).toBe(0);
+        expect(data.stats).toMatchObject({ total: 0, pending: 0, byPriority: { low: 0, medium: 0, high: 0, urgent: 0 } });
+    });
+});
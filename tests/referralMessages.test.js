@@ -0,0 +1,106 @@
+const mongoose = require('mongoose');
+const Referral = require('../src/models/Referral');
+const Department = require('../src/models/Department');
+const { getMessages, markMessagesRead, getUnreadCount } = require('../src/controllers/referralMessageController');
+
+describe('Referral messages', () => {
+    const id = () => new mongoose.Types.ObjectId();
+    const referringDoctor = { _id: id(), role: 'doctor' };
+    const receivingDoctor = { _id: id(), role: 'doctor' };
+    const outsider = { _id: id(), role: 'doctor' };
+    const departmentDoctor = { _id: id(), role: 'doctor' };
+    const departmentId = id();
+    const messageIds = [id(), id(), id()];
+
+    let stored;
+
+    // Referral.findById(...).select(fields) resolving to a document loaded with that projection
+    const mockThread = () => jest.spyOn(Referral, 'findById').mockImplementation(() => ({
+        select: (fields) => {
+            const projection = Object.fromEntries(fields.split(' ').map(field => [field, 1]));
+            const referral = Referral.hydrate(stored, { _id: 1, ...projection });
+            jest.spyOn(referral, 'populate').mockResolvedValue(referral);
+            return Promise.resolve(referral);
+        }
+    }));
+
+    const call = async (handler, user, { params = {}, query = {}, body = {} } = {}) => {
+        const res = { statusCode: 200 };
+        res.status = jest.fn(code => { res.statusCode = code; return res; });
+        res.json = jest.fn(payload => { res.body = payload; return res; });
+        await handler({ user, params: { id: String(stored._id), ...params }, query, body }, res);
+        return res;
+    };
+
+    beforeEach(() => {
+        stored = {
+            _id: id(),
+            referralId: 'REF0001',
+            referringDoctor: referringDoctor._id,
+            referringHospital: id(),
+            receivingDoctor: receivingDoctor._id,
+            receivingHospital: id(),
+            patient: id(),
+            timeline: [{ _id: id(), action: 'created', timestamp: new Date('2026-01-01T10:00:00Z') }],
+            messages: messageIds.map((messageId, index) => ({
+                _id: messageId,
+                sender: referringDoctor._id,
+                message: `Update ${index + 1}`,
+                timestamp: new Date(Date.UTC(2026, 0, 1, 11, index)),
+                readBy: []
+            }))
+        };
+        mockThread();
+        jest.spyOn(Department, 'find').mockImplementation(filter => ({
+            distinct: async () => (filter.$or[0].headDoctor === departmentDoctor._id ? [departmentId] : [])
+        }));
+        jest.spyOn(Referral.collection, 'updateOne')
+            .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    });
+
+    it('should page through messages newest first with a cursor', async () => {
+        const first = await call(getMessages, receivingDoctor, { query: { limit: '2' } });
+
+        expect(first.statusCode).toBe(200);
+        expect(first.body.data.messages.map(msg => msg.message)).toEqual(['Update 2', 'Update 3']);
+        expect(first.body.data.messages.every(msg => msg.isRead === false)).toBe(true);
+        expect(first.body.data.pagination).toMatchObject({ hasMore: true, nextCursor: messageIds[1] });
+
+        const second = await call(getMessages, receivingDoctor, { query: { limit: '2', cursor: String(messageIds[1]) } });
+        expect(second.body.data.messages.map(msg => msg.message)).toEqual(['Update 1']);
+        expect(second.body.data.pagination.hasMore).toBe(false);
+    });
+
+    it('should count unread messages per participant, own messages being read', async () => {
+        expect((await call(getUnreadCount, receivingDoctor)).body.data.unreadCount).toBe(3);
+        expect((await call(getUnreadCount, referringDoctor)).body.data.unreadCount).toBe(0);
+    });
+
+    it('should record read receipts for the reader only', async () => {
+        const res = await call(markMessagesRead, receivingDoctor, { body: { messageIds: [String(messageIds[0])] } });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data).toEqual({ marked: 1, unreadCount: 2 });
+        const [, update] = Referral.collection.updateOne.mock.calls[0];
+        expect(JSON.stringify(update)).toContain(String(receivingDoctor._id));
+
+        const all = await call(markMessagesRead, receivingDoctor);
+        expect(all.body.data).toEqual({ marked: 3, unreadCount: 0 });
+    });
+
+    it('should keep the thread to the referral parties', async () => {
+        expect((await call(getMessages, outsider)).statusCode).toBe(403);
+        expect((await call(getUnreadCount, outsider)).statusCode).toBe(403);
+        expect((await call(markMessagesRead, receivingDoctor, { body: { messageIds: ['nope'] } })).statusCode).toBe(400);
+    });
+
+    it('should include the staff of the receiving department, who see the referral in their queue', async () => {
+        expect((await call(getMessages, departmentDoctor)).statusCode).toBe(403);
+
+        stored.receivingDepartment = departmentId;
+        const res = await call(getMessages, departmentDoctor);
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.data.messages).toHaveLength(3);
+    });
+});
@@ -0,0 +1,46 @@
+const User = require('../src/models/User');
+const { loadDepartmentContacts } = require('../src/services/departmentRouting');
+const { receivingSide } = require('../src/services/referralNotifications');
+
+jest.mock('../src/services/departmentRouting', () => ({
+    ...jest.requireActual('../src/services/departmentRouting'),
+    loadDepartmentContacts: jest.fn()
+}));
+
+jest.mock('../src/config/email', () => ({
+    sendEmail: jest.fn(),
+    emailTemplates: {}
+}));
+
+describe('Referral notifications', () => {
+    const doctor = { _id: 'doctor1', email: 'doctor@example.com' };
+    const admin = { _id: 'admin1', email: 'admin@example.com' };
+    const coordinator = { _id: 'coordinator1', email: 'intake@example.com' };
+
+    const referral = { receivingHospital: { _id: 'hospitalB' }, receivingDoctor: null, receivingDepartment: null };
+
+    beforeEach(() => {
+        loadDepartmentContacts.mockResolvedValue([]);
+        jest.spyOn(User, 'find').mockReturnValue({ select: () => ({ lean: () => Promise.resolve([admin]) }) });
+    });
+
+    it('should tell the receiving doctor and the hospital about a referral', async () => {
+        expect(await receivingSide({ ...referral, receivingDoctor: doctor })).toEqual([doctor, admin]);
+        expect(User.find).toHaveBeenCalledWith({ role: 'hospital', hospitalId: 'hospitalB', isActive: true });
+    });
+
+    it("should reach the hospital through the department's intake contact when there is one", async () => {
+        loadDepartmentContacts.mockResolvedValue([coordinator]);
+
+        expect(await receivingSide({ ...referral, receivingDepartment: 'cardiology', receivingDoctor: doctor }))
+            .toEqual([doctor, coordinator]);
+        expect(User.find).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to the hospital alone and list each person once', async () => {
+        expect(await receivingSide(referral)).toEqual([admin]);
+
+        loadDepartmentContacts.mockResolvedValue([{ ...doctor }]);
+        expect(await receivingSide({ ...referral, receivingDepartment: 'cardiology', receivingDoctor: doctor })).toEqual([doctor]);
+    });
+});
@@ -0,0 +1,113 @@
+jest.mock('../src/services/eventBus', () => ({
+    emitEvent: jest.fn(),
+    onEvent: jest.fn()
+}));
+
+const Referral = require('../src/models/Referral');
+const { emitEvent } = require('../src/services/eventBus');
+const { getSlaHours, expireStaleReferrals, escalateOverdueReferrals } = require('../src/services/jobs/referralSla');
+
+describe('Referral SLA jobs', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+    // Stand-in for a query chain ending in .lean()
+    const query = (result) => ({ select: () => query(result), limit: () => query(result), lean: async () => result });
+
+    afterEach(() => {
+        delete process.env.REFERRAL_SLA_HOURS_URGENT;
+        delete process.env.REFERRAL_SLA_HOURS_HIGH;
+        jest.restoreAllMocks();
+    });
+
+    it('should use the default SLA hours unless a valid override is configured', () => {
+        expect(getSlaHours()).toEqual({ urgent: 4, high: 24 });
+
+        process.env.REFERRAL_SLA_HOURS_URGENT = '2';
+        process.env.REFERRAL_SLA_HOURS_HIGH = 'soon';
+        expect(getSlaHours()).toEqual({ urgent: 2, high: 24 });
+    });
+
+    describe('expireStaleReferrals', () => {
+        it('should expire overdue pending referrals with a system timeline entry and an event', async () => {
+            jest.spyOn(Referral, 'find').mockReturnValue(query([{ _id: 'r1' }]));
+            const update = jest.spyOn(Referral, 'findOneAndUpdate')
+                .mockReturnValue(query({ _id: 'r1', status: 'expired' }));
+
+            expect(await expireStaleReferrals(now)).toEqual({ expired: 1 });
+
+            const [filter, changes] = update.mock.calls[0];
+            expect(filter).toEqual({ _id: 'r1', status: 'pending', expiresAt: { $lte: now } });
+            expect(changes.$set).toEqual({ status: 'expired' });
+            expect(changes.$push.timeline).toEqual({
+                action: 'status_changed',
+                timestamp: now,
+                performedByRole: 'system',
+                changes: [{ field: 'status', from: 'pending', to: 'expired' }],
+                notes: 'Referral expired without a response'
+            });
+            expect(emitEvent).toHaveBeenCalledWith('referral.status_changed', {
+                referral: { _id: 'r1', status: 'expired' },
+                actor: null,
+                previousStatus: 'pending'
+            });
+        });
+
+        it('should leave a referral decided while the job ran alone', async () => {
+            jest.spyOn(Referral, 'find').mockReturnValue(query([{ _id: 'r1' }, { _id: 'r2' }]));
+            jest.spyOn(Referral, 'findOneAndUpdate')
+                .mockReturnValueOnce(query(null))
+                .mockReturnValueOnce(query({ _id: 'r2', status: 'expired' }));
+
+            expect(await expireStaleReferrals(now)).toEqual({ expired: 1 });
+            expect(emitEvent).toHaveBeenCalledTimes(1);
+            expect(emitEvent.mock.calls[0][1].referral._id).toBe('r2');
+        });
+    });
+
+    describe('escalateOverdueReferrals', () => {
+        it('should escalate pending referrals past their SLA once, with a timeline entry and an event', async () => {
+            process.env.REFERRAL_SLA_HOURS_URGENT = '2';
+            const find = jest.spyOn(Referral, 'find')
+                .mockReturnValueOnce(query([{ _id: 'r1' }]))
+                .mockReturnValueOnce(query([]));
+            const update = jest.spyOn(Referral, 'findOneAndUpdate')
+                .mockReturnValue(query({ _id: 'r1', priority: 'urgent' }));
+
+            expect(await escalateOverdueReferrals(now)).toEqual({ escalated: 1 });
+
+            const urgentFilter = {
+                status: 'pending',
+                priority: 'urgent',
+                'escalation.escalatedAt': null,
+                createdAt: { $lte: hoursAgo(2) }
+            };
+            expect(find.mock.calls[0][0]).toEqual(urgentFilter);
+            expect(find.mock.calls[1][0]).toMatchObject({ priority: 'high', createdAt: { $lte: hoursAgo(24) } });
+
+            const [filter, changes] = update.mock.calls[0];
+            expect(filter).toEqual({ ...urgentFilter, _id: 'r1' });
+            expect(changes.$set).toEqual({ escalation: { escalatedAt: now, slaHours: 2 } });
+            expect(changes.$push.timeline).toMatchObject({
+                action: 'escalated',
+                performedByRole: 'system',
+                changes: [{ field: 'escalation', from: null, to: '2h SLA' }]
+            });
+            expect(emitEvent).toHaveBeenCalledWith('referral.escalated', {
+                referral: { _id: 'r1', priority: 'urgent' },
+                actor: null,
+                slaHours: 2
+            });
+        });
+
+        it('should not escalate a referral that was escalated or answered in the meantime', async () => {
+            jest.spyOn(Referral, 'find')
+                .mockReturnValueOnce(query([{ _id: 'r1' }]))
+                .mockReturnValueOnce(query([]));
+            jest.spyOn(Referral, 'findOneAndUpdate').mockReturnValue(query(null));
+
+            expect(await escalateOverdueReferrals(now)).toEqual({ escalated: 0 });
+            expect(emitEvent).not.toHaveBeenCalled();
+        });
+    });
+});
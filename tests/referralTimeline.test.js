@@ -0,0 +1,128 @@
+const mongoose = require('mongoose');
+const Referral = require('../src/models/Referral');
+const { canViewReferral } = require('../src/services/referralWorkflow');
+
+describe('Referral timeline', () => {
+    const id = () => new mongoose.Types.ObjectId();
+    const stored = () => ({
+        _id: id(),
+        referralId: 'REF0001',
+        status: 'pending',
+        reason: 'Chest pain on exertion',
+        specialty: 'Cardiology',
+        chiefComplaint: 'Chest pain',
+        patient: id(),
+        referringDoctor: id(),
+        referringHospital: id(),
+        receivingHospital: id(),
+        messages: [],
+        timeline: [
+            { _id: id(), action: 'created', notes: 'Referral created', timestamp: new Date('2026-01-01T10:00:00Z') },
+            { _id: id(), action: 'accepted', notes: 'Seen by cardiology', timestamp: new Date('2026-01-02T10:00:00Z') }
+        ]
+    });
+
+    beforeEach(() => {
+        jest.spyOn(Referral.collection, 'updateOne')
+            .mockResolvedValue({ acknowledged: true, matchedCount: 1, modifiedCount: 1 });
+    });
+
+    it('should load referrals whose projection leaves out the timeline', async () => {
+        expect(() => Referral.hydrate(stored(), { referralId: 1, messages: 1 })).not.toThrow();
+
+        const referral = Referral.hydrate(stored(), { _id: 1, referralId: 1, messages: 1, referringHospital: 1, referringClinic: 1 });
+        referral.messages.push({ sender: id(), message: 'Any update?' });
+        await expect(referral.save()).resolves.toBe(referral);
+    });
+
+    it('should allow appending events', async () => {
+        const referral = Referral.hydrate(stored());
+
+        referral.recordEvent('status_changed', { _id: id(), role: 'doctor' }, { notes: 'Started treatment' });
+        await expect(referral.save()).resolves.toBe(referral);
+    });
+
+    it('should refuse removing, reordering or editing existing events', async () => {
+        const removed = Referral.hydrate(stored());
+        removed.timeline.shift();
+        await expect(removed.save()).rejects.toThrow('Referral timeline entries cannot be modified or removed');
+
+        const reordered = Referral.hydrate(stored());
+        reordered.timeline = [reordered.timeline[1], reordered.timeline[0]];
+        await expect(reordered.save()).rejects.toThrow('Referral timeline entries cannot be modified or removed');
+
+        const edited = Referral.hydrate(stored());
+        edited.timeline[1].notes = 'Rejected after all';
+        await expect(edited.save()).rejects.toThrow('Referral timeline entries cannot be modified or removed');
+        expect(Referral.collection.updateOne).not.toHaveBeenCalled();
+    });
+});
+
+describe('Referral view access', () => {
+    const referral = {
+        status: 'pending',
+        patient: 'patient1',
+        referringDoctor: 'doctor1',
+        referringHospital: 'hospitalA',
+        referringClinic: null,
+        receivingHospital: 'hospitalB',
+        receivingDoctor: null
+    };
+
+    const users = {
+        referringDoctor: { _id: 'doctor1', role: 'doctor', hospitalId: 'hospitalA' },
+        referringHospitalAdmin: { _id: 'admin1', role: 'hospital', hospitalId: 'hospitalA' },
+        receivingHospitalAdmin: { _id: 'admin2', role: 'hospital', hospitalId: 'hospitalB' },
+        receivingHospitalDoctor: { _id: 'doctor2', role: 'doctor', hospitalId: 'hospitalB' },
+        referringHospitalColleague: { _id: 'doctor5', role: 'doctor', hospitalId: 'hospitalA' },
+        patient: { _id: 'patient1', role: 'patient' },
+        otherPatient: { _id: 'patient2', role: 'patient' },
+        outsideDoctor: { _id: 'doctor3', role: 'doctor', hospitalId: 'hospitalC' },
+        outsideAdmin: { _id: 'admin3', role: 'hospital', hospitalId: 'hospitalC' },
+        superAdmin: { _id: 'root', role: 'super_admin' }
+    };
+
+    const viewers = (subject) => Object.keys(users).filter(name => canViewReferral(subject, users[name]));
+
+    it('should let both sides, the patient and super admins view an unassigned referral', () => {
+        // Doctors of the receiving hospital see it in their intake queue until one of them takes it
+        expect(viewers(referral)).toEqual([
+            'referringDoctor',
+            'referringHospitalAdmin',
+            'receivingHospitalAdmin',
+            'receivingHospitalDoctor',
+            'patient',
+            'superAdmin'
+        ]);
+    });
+
+    it('should limit receiving doctors to the assigned one once set', () => {
+        const assigned = { ...referral, receivingDoctor: 'doctor4' };
+        const assignedDoctor = { _id: 'doctor4', role: 'doctor', hospitalId: 'hospitalB' };
+
+        expect(viewers(assigned)).toEqual([
+            'referringDoctor',
+            'referringHospitalAdmin',
+            'receivingHospitalAdmin',
+            'patient',
+            'superAdmin'
+        ]);
+        expect(canViewReferral(assigned, assignedDoctor)).toBe(true);
+    });
+
+    it('should let the referring clinic view referrals sent by its doctors', () => {
+        const fromClinic = { ...referral, referringHospital: null, referringClinic: 'clinic1' };
+        const clinicDoctor = { _id: 'doctor6', role: 'doctor', practiceType: 'own_clinic', clinicId: 'clinic1' };
+
+        expect(canViewReferral(fromClinic, clinicDoctor)).toBe(true);
+    });
+
+    it('should let the staff of the receiving department view it, as in their queue', () => {
+        const routed = { ...referral, receivingDoctor: 'doctor4', receivingDepartment: 'cardiology' };
+        const departmentDoctor = { _id: 'doctor7', role: 'doctor', hospitalId: 'hospitalB' };
+
+        expect(canViewReferral(routed, departmentDoctor)).toBe(false);
+        expect(canViewReferral(routed, departmentDoctor, { departmentIds: ['cardiology'] })).toBe(true);
+        expect(canViewReferral(routed, departmentDoctor, { departmentIds: ['neurology'] })).toBe(false);
+    });
+});
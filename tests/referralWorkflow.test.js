@@ -0,0 +1,73 @@
+const {
+    getActorParties,
+    getAllowedTransitions,
+    validateTransition
+} = require('../src/services/referralWorkflow');
+
+describe('Referral Workflow', () => {
+    const referral = {
+        status: 'pending',
+        patient: 'patient1',
+        referringDoctor: 'doctor1',
+        referringHospital: 'hospitalA',
+        receivingHospital: 'hospitalB',
+        receivingDoctor: null
+    };
+
+    const referringDoctor = { _id: 'doctor1', role: 'doctor', hospitalId: 'hospitalA' };
+    const receivingDoctor = { _id: 'doctor2', role: 'doctor', hospitalId: 'hospitalB' };
+    const receivingHospital = { _id: 'admin1', role: 'hospital', hospitalId: 'hospitalB' };
+    const patient = { _id: 'patient1', role: 'patient' };
+    const outsider = { _id: 'doctor3', role: 'doctor', hospitalId: 'hospitalC' };
+
+    describe('Parties', () => {
+        it('should resolve the referring and receiving sides', () => {
+            expect(getActorParties(referral, referringDoctor)).toEqual(['referring']);
+            expect(getActorParties(referral, receivingDoctor)).toEqual(['receiving']);
+            expect(getActorParties(referral, receivingHospital)).toEqual(['receiving']);
+            expect(getActorParties(referral, patient)).toEqual(['patient']);
+            expect(getActorParties(referral, outsider)).toEqual([]);
+        });
+
+        it('should limit the receiving side to the assigned doctor once set', () => {
+            const assigned = { ...referral, receivingDoctor: 'doctor4' };
+            expect(getActorParties(assigned, receivingDoctor)).toEqual([]);
+            expect(getActorParties(assigned, { _id: 'doctor4', role: 'doctor' })).toEqual(['receiving']);
+        });
+    });
+
+    describe('Transitions', () => {
+        it('should list the next states each party may choose', () => {
+            expect(getAllowedTransitions(referral, receivingHospital)).toEqual(['accepted', 'rejected', 'forwarded']);
+            expect(getAllowedTransitions(referral, referringDoctor)).toEqual(['cancelled']);
+            expect(getAllowedTransitions(referral, { _id: 'root', role: 'super_admin' }))
+                .toEqual(['accepted', 'rejected', 'cancelled', 'forwarded']);
+        });
+
+        it('should return 409 with allowed states for an illegal transition', () => {
+            const result = validateTransition(referral, receivingDoctor, 'completed');
+            expect(result.ok).toBe(false);
+            expect(result.statusCode).toBe(409);
+            expect(result.allowedTransitions).toEqual(['accepted', 'rejected', 'forwarded']);
+        });
+
+        it('should return 403 when the party may not perform the transition', () => {
+            const result = validateTransition(referral, referringDoctor, 'accepted');
+            expect(result.statusCode).toBe(403);
+        });
+
+        it('should require a reason to reject', () => {
+            expect(validateTransition(referral, receivingDoctor, 'rejected').statusCode).toBe(400);
+            expect(validateTransition(referral, receivingDoctor, 'rejected', { reason: 'No beds' }).ok).toBe(true);
+        });
+
+        it('should reject unknown statuses', () => {
+            expect(validateTransition(referral, receivingDoctor, 'archived').statusCode).toBe(400);
+        });
+
+        it('should treat terminal states as final', () => {
+            const completed = { ...referral, status: 'completed' };
+            expect(getAllowedTransitions(completed, { _id: 'root', role: 'super_admin' })).toEqual([]);
+        });
+    });
+});
@@ -0,0 +1,39 @@
+const { registerJob, runJob, getJobStatus } = require('../src/services/scheduler');
+
+describe('Scheduler', () => {
+    it('should not start a job while its previous run is still going', async () => {
+        let release;
+        let calls = 0;
+        registerJob('slow-job', 60000, () => {
+            calls++;
+            return new Promise(resolve => { release = resolve; });
+        });
+
+        const first = runJob('slow-job');
+        const second = await runJob('slow-job');
+        release({ done: true });
+
+        expect(second).toBeNull();
+        expect(await first).toEqual({ done: true });
+        expect(calls).toBe(1);
+    });
+
+    it('should record a failing run without throwing', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => { });
+        registerJob('failing-job', 60000, async () => {
+            throw new Error('boom');
+        });
+
+        await expect(runJob('failing-job')).resolves.toBeNull();
+        const status = getJobStatus().find(job => job.name === 'failing-job');
+        expect(status.lastError).toBe('boom');
+        expect(status.running).toBe(false);
+    });
+
+    it('should reject duplicate and unknown jobs', async () => {
+        registerJob('unique-job', 60000, async () => 1);
+
+        expect(() => registerJob('unique-job', 60000, async () => 1)).toThrow('Job already registered');
+        await expect(runJob('missing-job')).rejects.toThrow('Unknown job');
+    });
+});
@@ -0,0 +1,86 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../src/models/Session');
+const User = require('../src/models/User');
+const { hashToken, parseRefreshToken, createSession, rotateRefreshToken, isAccessTokenSessionActive } = require('../src/services/sessions');
+
+describe('Sessions', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+    const sessionId = '64b000000000000000000010';
+    const userId = '64b000000000000000000001';
+    const req = { ip: '10.0.0.1', get: () => 'jest' };
+
+    // Stand-in for a query chain ending in .lean(), or awaited directly
+    const query = (result) => {
+        const chain = {
+            select: () => chain,
+            lean: async () => result,
+            then: (resolve, reject) => Promise.resolve(result).then(resolve, reject)
+        };
+        return chain;
+    };
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should only accept well-formed refresh tokens', () => {
+        expect(parseRefreshToken(`${sessionId}.secret`)).toEqual({ sessionId, secret: 'secret' });
+        expect(parseRefreshToken('not-a-session.secret')).toBeNull();
+        expect(parseRefreshToken(sessionId)).toBeNull();
+        expect(parseRefreshToken(undefined)).toBeNull();
+    });
+
+    it('should store only a hash of the refresh token and put the session in the access token', async () => {
+        const create = jest.spyOn(Session, 'create').mockImplementation(async (doc) => ({ ...doc, _id: sessionId }));
+
+        const { accessToken, refreshToken } = await createSession({ _id: userId }, req, now);
+
+        const [id, secret] = refreshToken.split('.');
+        expect(id).toBe(sessionId);
+        expect(create.mock.calls[0][0].tokenHash).toBe(hashToken(secret));
+        expect(create.mock.calls[0][0].tokenHash).not.toContain(secret);
+        expect(jwt.verify(accessToken, process.env.JWT_SECRET)).toMatchObject({ userId, sid: sessionId });
+    });
+
+    it('should rotate the refresh token and remember the one it replaced', async () => {
+        const update = jest.spyOn(Session, 'findOneAndUpdate')
+            .mockReturnValue(query({ _id: sessionId, user: userId, expiresAt: new Date('2026-04-01') }));
+        jest.spyOn(User, 'findById').mockReturnValue(query({ _id: userId, isActive: true }));
+
+        const result = await rotateRefreshToken(`${sessionId}.old-secret`, req, now);
+
+        expect(result.ok).toBe(true);
+        expect(result.refreshToken).not.toBe(`${sessionId}.old-secret`);
+        const [filter, changes] = update.mock.calls[0];
+        expect(filter).toMatchObject({ _id: sessionId, tokenHash: hashToken('old-secret'), revokedAt: null });
+        expect(changes.$push.previousTokenHashes.$each).toEqual([hashToken('old-secret')]);
+        expect(changes.$set.tokenHash).toBe(hashToken(result.refreshToken.split('.')[1]));
+    });
+
+    it('should revoke the session when a replaced refresh token is used again', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => { });
+        const update = jest.spyOn(Session, 'findOneAndUpdate')
+            .mockReturnValueOnce(query(null))
+            .mockReturnValueOnce(query({ _id: sessionId, user: userId }));
+
+        const result = await rotateRefreshToken(`${sessionId}.old-secret`, req, now);
+
+        expect(result).toMatchObject({ ok: false, statusCode: 401 });
+        expect(update.mock.calls[1][0]).toMatchObject({ _id: sessionId, previousTokenHashes: hashToken('old-secret') });
+        expect(update.mock.calls[1][1].$set).toMatchObject({ revokedReason: 'reuse_detected' });
+    });
+
+    it('should reject access tokens of revoked sessions', async () => {
+        const decoded = { userId, sid: sessionId };
+
+        jest.spyOn(Session, 'findById').mockReturnValue(query({ user: userId, expiresAt: new Date('2026-04-01') }));
+        expect(await isAccessTokenSessionActive(decoded, now)).toBe(true);
+
+        Session.findById.mockReturnValue(query({ user: userId, expiresAt: new Date('2026-04-01'), revokedAt: now }));
+        expect(await isAccessTokenSessionActive(decoded, now)).toBe(false);
+
+        expect(await isAccessTokenSessionActive({ userId }, now)).toBe(false);
+    });
+});
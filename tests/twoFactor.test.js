@@ -0,0 +1,93 @@
+const User = require('../src/models/User');
+const { generateTotp, verifyTotp, base32Encode, provisioningUri } = require('../src/utils/totp');
+const {
+    encryptSecret,
+    decryptSecret,
+    hashRecoveryCode,
+    createChallengeToken,
+    verifyChallengeToken,
+    enable,
+    verifySecondFactor
+} = require('../src/services/twoFactor');
+
+describe('Two-factor authentication', () => {
+    // RFC 6238 appendix B test key (ASCII "12345678901234567890")
+    const rfcSecret = base32Encode(Buffer.from('12345678901234567890'));
+    const userId = '64b000000000000000000001';
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    beforeAll(() => {
+        process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should match the RFC 6238 SHA-1 test vectors', () => {
+        expect(generateTotp(rfcSecret, 59 * 1000, { digits: 8 })).toBe('94287082');
+        expect(generateTotp(rfcSecret, 1111111109 * 1000, { digits: 8 })).toBe('07081804');
+        expect(generateTotp(rfcSecret, 1234567890 * 1000, { digits: 8 })).toBe('89005924');
+        expect(generateTotp(rfcSecret, 20000000000 * 1000, { digits: 8 })).toBe('65353130');
+    });
+
+    it('should accept codes one step either side and return the matched step', () => {
+        const time = now.getTime();
+        const step = Math.floor(time / 30000);
+
+        expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, time - 30000), { time })).toBe(step - 1);
+        expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, time + 30000), { time })).toBe(step + 1);
+        expect(verifyTotp(rfcSecret, generateTotp(rfcSecret, time - 90000), { time })).toBeNull();
+        expect(verifyTotp(rfcSecret, 'abcdef', { time })).toBeNull();
+    });
+
+    it('should build a provisioning URI authenticator apps can import', () => {
+        expect(provisioningUri({ secret: 'ABC', accountName: 'dr.who@example.com', issuer: 'Patient Referral System' }))
+            .toBe('otpauth://totp/Patient%20Referral%20System:dr.who%40example.com?secret=ABC&issuer=Patient%20Referral%20System&algorithm=SHA1&digits=6&period=30');
+    });
+
+    it('should store secrets encrypted and issue challenge tokens only for the second step', () => {
+        const stored = encryptSecret(rfcSecret);
+        expect(stored).not.toContain(rfcSecret);
+        expect(decryptSecret(stored)).toBe(rfcSecret);
+
+        expect(verifyChallengeToken(createChallengeToken({ _id: userId }))).toBe(userId);
+        expect(verifyChallengeToken('not-a-token')).toBeNull();
+    });
+
+    it('should enable with a valid code and hand out hashed recovery codes once', async () => {
+        const user = {
+            _id: userId,
+            twoFactor: { enabled: false, pendingSecret: encryptSecret(rfcSecret) },
+            set: jest.fn(),
+            save: jest.fn().mockResolvedValue()
+        };
+
+        expect(await enable(user, '000000', now)).toMatchObject({ ok: false, statusCode: 400 });
+
+        const result = await enable(user, generateTotp(rfcSecret, now.getTime()), now);
+
+        expect(result.ok).toBe(true);
+        expect(result.recoveryCodes).toHaveLength(10);
+        const [path, twoFactor] = user.set.mock.calls[0];
+        expect(path).toBe('twoFactor');
+        expect(twoFactor).toMatchObject({ enabled: true, secret: user.twoFactor.pendingSecret, pendingSecret: undefined });
+        expect(twoFactor.recoveryCodes.map(entry => entry.hash)).toEqual(result.recoveryCodes.map(hashRecoveryCode));
+    });
+
+    it('should refuse a code or recovery code that was already used', async () => {
+        const user = { _id: userId, twoFactor: { enabled: true, secret: encryptSecret(rfcSecret) } };
+        const code = generateTotp(rfcSecret, now.getTime());
+        const update = jest.spyOn(User, 'updateOne')
+            .mockResolvedValueOnce({ modifiedCount: 1 })
+            .mockResolvedValueOnce({ modifiedCount: 0 });
+
+        expect(await verifySecondFactor(user, { code }, now)).toEqual({ ok: true, method: 'totp' });
+        expect(await verifySecondFactor(user, { code }, now)).toMatchObject({ ok: false, statusCode: 401 });
+        expect(update.mock.calls[0][1]).toEqual({ $set: { 'twoFactor.lastUsedStep': Math.floor(now.getTime() / 30000) } });
+
+        update.mockResolvedValueOnce({ modifiedCount: 1 }).mockResolvedValueOnce({ modifiedCount: 0 });
+        expect(await verifySecondFactor(user, { recoveryCode: 'ABCDE-FGHIJ' }, now)).toEqual({ ok: true, method: 'recovery_code' });
+        expect(await verifySecondFactor(user, { recoveryCode: 'abcde-fghij' }, now)).toMatchObject({ ok: false, statusCode: 401 });
+        expect(update.mock.calls[2][0]['twoFactor.recoveryCodes'].$elemMatch)
+            .toEqual({ hash: hashRecoveryCode('abcdefghij'), usedAt: null });
+    });
+});
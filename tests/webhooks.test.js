@@ -0,0 +1,139 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const WebhookSubscription = require('../src/models/WebhookSubscription');
+const WebhookDelivery = require('../src/models/WebhookDelivery');
+const { createWebhook } = require('../src/controllers/webhookController');
+const { signPayload, isValidWebhookUrl, isPublicWebhookHost, retryDelayMs, sendTestEvent } = require('../src/services/webhooks');
+
+describe('Webhooks', () => {
+    afterEach(() => jest.restoreAllMocks());
+
+    it('should only accept https receivers in production', () => {
+        const env = process.env.NODE_ENV;
+        try {
+            process.env.NODE_ENV = 'production';
+            expect(isValidWebhookUrl('https://his.example.org/hooks')).toBe(true);
+            expect(isValidWebhookUrl('http://his.example.org/hooks')).toBe(false);
+            expect(isValidWebhookUrl('ftp://his.example.org')).toBe(false);
+            expect(isValidWebhookUrl('not a url')).toBe(false);
+        } finally {
+            process.env.NODE_ENV = env;
+        }
+    });
+
+    it('should reject receivers that resolve to loopback, private or link-local addresses', async () => {
+        jest.spyOn(dns.promises, 'lookup').mockImplementation(async host => (host === 'his.example.org'
+            ? [{ address: '93.184.216.34', family: 4 }]
+            : [{ address: '93.184.216.34', family: 4 }, { address: '10.1.2.3', family: 4 }]));
+
+        expect(await isPublicWebhookHost('https://his.example.org/hooks')).toBe(true);
+        expect(await isPublicWebhookHost('https://rebound.example.org/hooks')).toBe(false);
+        for (const url of [
+            'http://127.0.0.1/hooks', 'http://169.254.169.254/latest', 'http://192.168.1.10',
+            'http://172.20.0.5', 'http://[::1]/', 'http://[fd00::1]/', 'http://[fe80::1]/',
+            'http://[::ffff:10.0.0.1]/', 'http://0.0.0.0/'
+        ]) {
+            expect(await isPublicWebhookHost(url)).toBe(false);
+        }
+    });
+
+    it('should refuse to subscribe a URL on a private network', async () => {
+        const res = { status: jest.fn(() => res), json: jest.fn() };
+        const create = jest.spyOn(WebhookSubscription, 'create');
+
+        await createWebhook({
+            params: { id: '64b000000000000000000001' },
+            body: { url: 'https://10.0.0.5/hooks', events: ['referral.created'] },
+            user: { role: 'super_admin' }
+        }, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.json).toHaveBeenCalledWith({ success: false, message: 'Webhook URL must resolve to a public address' });
+        expect(create).not.toHaveBeenCalled();
+    });
+
+    it('should check the receiver address again before sending', async () => {
+        const subscription = { _id: 'sub1', hospital: 'h1', url: 'http://127.0.0.1:9/hooks', secret: 's', isActive: true };
+        const requestSpy = jest.spyOn(http, 'request');
+        jest.spyOn(WebhookDelivery, 'create').mockImplementation(async doc => ({ _id: 'd1', ...doc }));
+        const update = jest.spyOn(WebhookDelivery, 'findByIdAndUpdate').mockImplementation(async (id, changes) => changes);
+        jest.spyOn(WebhookSubscription, 'findById').mockReturnValue({ select: async () => subscription });
+        jest.spyOn(WebhookSubscription, 'updateOne').mockResolvedValue({});
+
+        const { outcome } = await sendTestEvent(subscription, { _id: 'admin1' });
+
+        expect(outcome).toBe('failed');
+        expect(requestSpy).not.toHaveBeenCalled();
+        expect(update.mock.calls[0][1].$set.lastError).toBe('Webhook URL does not resolve to a public address');
+    });
+
+    it('should refuse to connect when the host resolves to a private address at send time', async () => {
+        const subscription = { _id: 'sub1', hospital: 'h1', url: 'http://rebound.example.org/hooks', secret: 's', isActive: true };
+        // The host passed the check when it was saved; now it answers with an internal address
+        const lookup = jest.spyOn(dns, 'lookup').mockImplementation((host, options, callback) =>
+            callback(null, [{ address: '169.254.169.254', family: 4 }]));
+        jest.spyOn(WebhookDelivery, 'create').mockImplementation(async doc => ({ _id: 'd1', ...doc }));
+        const update = jest.spyOn(WebhookDelivery, 'findByIdAndUpdate').mockImplementation(async (id, changes) => changes);
+        jest.spyOn(WebhookSubscription, 'findById').mockReturnValue({ select: async () => subscription });
+        jest.spyOn(WebhookSubscription, 'updateOne').mockResolvedValue({});
+
+        const { outcome } = await sendTestEvent(subscription, { _id: 'admin1' });
+
+        expect(outcome).toBe('failed');
+        expect(lookup).toHaveBeenCalledWith('rebound.example.org', expect.objectContaining({ all: true }), expect.any(Function));
+        expect(update.mock.calls[0][1].$set.lastError).toBe('Webhook URL does not resolve to a public address');
+    });
+
+    it('should back off exponentially between attempts up to a cap', () => {
+        expect(retryDelayMs(1)).toBe(60 * 1000);
+        expect(retryDelayMs(3)).toBe(4 * 60 * 1000);
+        expect(retryDelayMs(20)).toBe(12 * 60 * 60 * 1000);
+    });
+
+    it('should post a test event the receiver can verify with the shared secret', async () => {
+        const secret = 'whsec_test';
+        let received;
+        const server = http.createServer((req, res) => {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', () => {
+                received = { headers: req.headers, body };
+                res.writeHead(200, { 'Content-Type': 'text/plain' });
+                res.end('x'.repeat(256 * 1024));
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+        const subscription = {
+            _id: 'sub1',
+            hospital: 'h1',
+            url: `http://127.0.0.1:${server.address().port}/hooks`,
+            secret,
+            isActive: true
+        };
+        jest.spyOn(WebhookDelivery, 'create').mockImplementation(async doc => ({ _id: 'd1', ...doc }));
+        const update = jest.spyOn(WebhookDelivery, 'findByIdAndUpdate').mockImplementation(async (id, changes) => changes);
+        jest.spyOn(WebhookSubscription, 'findById').mockReturnValue({ select: async () => subscription });
+        jest.spyOn(WebhookSubscription, 'updateOne').mockResolvedValue({});
+
+        process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS = 'true';
+        try {
+            const { outcome } = await sendTestEvent(subscription, { _id: 'admin1' });
+
+            expect(outcome).toBe('delivered');
+            expect(received.headers['x-webhook-event']).toBe('webhook.test');
+            const expected = signPayload(secret, received.headers['x-webhook-timestamp'], received.body);
+            expect(received.headers['x-webhook-signature']).toBe(`sha256=${expected}`);
+            expect(expected).toBe(crypto.createHmac('sha256', secret)
+                .update(`${received.headers['x-webhook-timestamp']}.${received.body}`).digest('hex'));
+            expect(JSON.parse(received.body)).toMatchObject({ type: 'webhook.test', data: { subscription: 'sub1' } });
+            const { attemptLog } = update.mock.calls[0][1].$push;
+            expect(attemptLog.statusCode).toBe(200);
+            expect(attemptLog.responseBody).toHaveLength(500);
+        } finally {
+            delete process.env.WEBHOOK_ALLOW_PRIVATE_HOSTS;
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+});